@@ -0,0 +1,56 @@
+// Hydrate Move asset manifest
+// Everything the app needs to run offline. The service worker precaches this
+// list on install; add new scripts, styles and assets here when adding them
+// to index.html (test/service-worker.test.js checks that nothing is missing)
+
+self.ASSET_MANIFEST = [
+  './',
+  './index.html',
+  './manifest.json',
+  './version.js',
+  './styles/main.css',
+
+  // Scripts, in index.html load order
+  './js/constants.js',
+  './js/locale-en-us.js',
+  './js/locale-zh-cn.js',
+  './js/i18n.js',
+  './js/clock.js',
+  './js/reminder-types.js',
+  './js/work-schedule.js',
+  './js/reminder-history.js',
+  './js/stats-dashboard.js',
+  './js/settings-panel.js',
+  './js/water-intake.js',
+  './js/standup-routines.js',
+  './js/message-library.js',
+  './js/sound-library.js',
+  './js/routine-player.js',
+  './js/activity-monitor.js',
+  './js/analytics.js',
+  './js/demo-controller.js',
+  './js/error-handler.js',
+  './js/storage-adapters.js',
+  './js/storage-manager.js',
+  './js/app-settings.js',
+  './js/backup-manager.js',
+  './js/service-worker-bridge.js',
+  './js/tab-coordinator.js',
+  './js/notification-service.js',
+  './js/reminder-manager.js',
+  './js/water-reminder.js',
+  './js/standup-reminder.js',
+  './js/mobile-adapter.js',
+  './js/ui-controller.js',
+  './js/feedback-button.js',
+  './js/app.js',
+
+  // Icons and sounds
+  './assets/favicon.ico',
+  './assets/default-icon.png',
+  './assets/water-icon.png',
+  './assets/standup-icon.png',
+  './assets/notification.mp3',
+  './assets/water-reminder.mp3',
+  './assets/standup-reminder.mp3'
+];
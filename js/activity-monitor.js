@@ -0,0 +1,402 @@
+/**
+ * Activity Monitor - Detects when the user is away from the computer
+ * Watches keyboard/mouse input and page visibility, and uses the Idle
+ * Detection API where it is available and permitted (it also sees activity
+ * in other apps and a locked screen)
+ *
+ * Time comes from an injectable clock (SystemClock or VirtualClock) so the
+ * monitor can be driven by a virtual clock in tests
+ */
+class ActivityMonitor {
+    /**
+     * Create activity monitor instance
+     * @param {Object} options - Monitor options
+     * @param {number} options.idleThresholdMs - No input for this long means away
+     * @param {number} options.checkIntervalMs - How often presence is re-evaluated
+     * @param {boolean} options.hiddenCountsAsIdle - Keep counting idle time while the tab is hidden
+     *   (without the Idle Detection API input in other apps cannot be seen)
+     * @param {SystemClock|VirtualClock} options.clock - Time and timer source (defaults to real time)
+     * @param {Document} options.document - Document to watch (defaults to global document)
+     * @param {Function} options.onAway - Called with {since} when the user goes away
+     * @param {Function} options.onReturn - Called with {since, awayMs} when the user comes back
+     * @param {Function} options.onActivity - Called with {visible} on input (at most every
+     *   REPORT_INTERVAL_MS) and on visibility changes, for the leading tab
+     */
+    constructor(options = {}) {
+        this.clock = options.clock || window.systemClock || new SystemClock();
+        this.document = options.document || document;
+        this.onAway = options.onAway || null;
+        this.onReturn = options.onReturn || null;
+        this.onActivity = options.onActivity || null;
+
+        this.idleThresholdMs = ACTIVITY_CONSTANTS.DEFAULT_IDLE_THRESHOLD_MS;
+        this.checkIntervalMs = ACTIVITY_CONSTANTS.CHECK_INTERVAL_MS;
+        this.hiddenCountsAsIdle = false;
+        this.configure(options);
+
+        // Presence state
+        this.lastActivityAt = this.clock.now();
+        this.isAway = false;
+        this.awaySince = null;
+        this.isRunning = false;
+        this.checkTimerId = null;
+        this.lastReportAt = null;
+
+        // Whether another tab of the app was visible when it last reported
+        this.visibleElsewhere = false;
+
+        // Idle Detection API state ('active' | 'idle' | null when unavailable)
+        this.idleState = null;
+        this.idleAbortController = null;
+
+        this.handleActivity = () => {
+            this.recordActivity();
+            this.report();
+        };
+        this.handleVisibilityChange = () => {
+            // Coming back to the tab is activity; while hidden, input can't be seen
+            if (!this.document.hidden) {
+                this.recordActivity();
+            }
+            this.report({ force: true });
+        };
+    }
+
+    /**
+     * Update thresholds
+     * @param {Object} config - Any of idleThresholdMs, checkIntervalMs, hiddenCountsAsIdle
+     */
+    configure(config = {}) {
+        const thresholdChanged = config.idleThresholdMs > 0 && config.idleThresholdMs !== this.idleThresholdMs;
+
+        if (config.idleThresholdMs > 0) {
+            this.idleThresholdMs = config.idleThresholdMs;
+        }
+
+        if (config.checkIntervalMs > 0) {
+            this.checkIntervalMs = config.checkIntervalMs;
+        }
+
+        if (typeof config.hiddenCountsAsIdle === 'boolean') {
+            this.hiddenCountsAsIdle = config.hiddenCountsAsIdle;
+        }
+
+        // Restart the check loop with the new interval
+        if (this.isRunning) {
+            this.stopChecks();
+            this.startChecks();
+        }
+
+        // The Idle Detection API takes its threshold when it starts
+        if (thresholdChanged && this.idleAbortController) {
+            this.stopIdleDetector();
+            this.startIdleDetector();
+        }
+    }
+
+    /**
+     * Start watching for activity
+     */
+    start() {
+        if (this.isRunning) return;
+
+        ACTIVITY_CONSTANTS.ACTIVITY_EVENTS.forEach(event => {
+            this.document.addEventListener(event, this.handleActivity, { passive: true });
+        });
+        this.document.addEventListener('visibilitychange', this.handleVisibilityChange);
+
+        this.isRunning = true;
+        this.lastActivityAt = this.clock.now();
+        this.startChecks();
+
+        // Use the Idle Detection API without prompting if permission was granted before
+        this.startIdleDetectionIfPermitted();
+
+        console.log('👀 Activity monitor started');
+    }
+
+    /**
+     * Stop watching for activity
+     */
+    stop() {
+        if (!this.isRunning) return;
+
+        ACTIVITY_CONSTANTS.ACTIVITY_EVENTS.forEach(event => {
+            this.document.removeEventListener(event, this.handleActivity, { passive: true });
+        });
+        this.document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+
+        this.stopChecks();
+        this.stopIdleDetector();
+        this.isRunning = false;
+
+        console.log('👀 Activity monitor stopped');
+    }
+
+    /**
+     * Start periodic presence checks
+     * @private
+     */
+    startChecks() {
+        if (this.checkTimerId) return;
+
+        this.checkTimerId = this.clock.setInterval(() => this.check(), this.checkIntervalMs);
+    }
+
+    /**
+     * Stop periodic presence checks
+     * @private
+     */
+    stopChecks() {
+        if (this.checkTimerId) {
+            this.clock.clearInterval(this.checkTimerId);
+            this.checkTimerId = null;
+        }
+    }
+
+    /**
+     * Record user activity, ending an away period
+     */
+    recordActivity() {
+        this.lastActivityAt = this.clock.now();
+
+        if (this.isAway) {
+            this.markReturned();
+        }
+    }
+
+    /**
+     * Record a report from another tab of the app
+     * Input only reaches the visible tab, so while another tab is visible
+     * this one counts idle time even when hidden
+     * @param {Object} report - Report {visible} from that tab's onActivity
+     */
+    recordOtherTabActivity({ visible }) {
+        this.visibleElsewhere = Boolean(visible);
+
+        if (this.visibleElsewhere) {
+            this.recordActivity();
+        }
+    }
+
+    /**
+     * Pass input and visibility on to onActivity
+     * @param {Object} options - Report options
+     * @param {boolean} options.force - Report even within REPORT_INTERVAL_MS of the last report
+     * @private
+     */
+    report({ force = false } = {}) {
+        if (!this.onActivity) return;
+
+        const now = this.clock.now();
+        if (!force && this.lastReportAt !== null && now - this.lastReportAt < ACTIVITY_CONSTANTS.REPORT_INTERVAL_MS) {
+            return;
+        }
+
+        this.lastReportAt = now;
+        this.onActivity({ visible: !this.document.hidden });
+    }
+
+    /**
+     * Re-evaluate presence
+     * @returns {boolean} Whether the user is away
+     */
+    check() {
+        if (!this.isAway && this.isIdle()) {
+            this.markAway();
+        }
+
+        return this.isAway;
+    }
+
+    /**
+     * Check whether the user currently looks idle
+     * @returns {boolean}
+     * @private
+     */
+    isIdle() {
+        // The Idle Detection API sees the whole system, not just this tab
+        if (this.idleState) {
+            return this.idleState === 'idle';
+        }
+
+        // Input in other apps can't be seen from a hidden tab - assume present
+        if (this.document.hidden && !this.visibleElsewhere && !this.hiddenCountsAsIdle) {
+            return false;
+        }
+
+        return this.clock.now() - this.lastActivityAt >= this.idleThresholdMs;
+    }
+
+    /**
+     * Enter away state; the away period starts at the last activity
+     * @private
+     */
+    markAway() {
+        this.isAway = true;
+        this.awaySince = this.lastActivityAt;
+
+        console.log(`💤 User away since ${new Date(this.awaySince).toLocaleTimeString()}`);
+
+        if (this.onAway) {
+            this.onAway({ since: this.awaySince });
+        }
+    }
+
+    /**
+     * Leave away state
+     * @private
+     */
+    markReturned() {
+        const since = this.awaySince;
+        const awayMs = Math.max(0, this.clock.now() - since);
+
+        this.isAway = false;
+        this.awaySince = null;
+
+        console.log(`👋 User back after ${Math.round(awayMs / 60000)} min`);
+
+        if (this.onReturn) {
+            this.onReturn({ since, awayMs });
+        }
+    }
+
+    /**
+     * Ask for Idle Detection permission and start the detector
+     * Must be called from a user gesture (e.g. a button click)
+     * @returns {Promise<boolean>} Whether idle detection is running
+     */
+    async enableIdleDetection() {
+        if (!ActivityMonitor.isIdleDetectionSupported()) {
+            return false;
+        }
+
+        try {
+            const permission = await window.IdleDetector.requestPermission();
+            if (permission !== 'granted') {
+                console.log('Idle detection permission denied');
+                return false;
+            }
+
+            return await this.startIdleDetector();
+        } catch (error) {
+            console.warn('Failed to enable idle detection:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Start the Idle Detection API when permission was already granted
+     * @private
+     */
+    async startIdleDetectionIfPermitted() {
+        if (!ActivityMonitor.isIdleDetectionSupported() || !navigator.permissions) {
+            return;
+        }
+
+        try {
+            const status = await navigator.permissions.query({ name: 'idle-detection' });
+            if (status.state === 'granted') {
+                await this.startIdleDetector();
+            }
+        } catch (error) {
+            // Permission name unknown to this browser - input events still work
+            console.warn('Idle detection permission check failed:', error);
+        }
+    }
+
+    /**
+     * Start the Idle Detection API
+     * @returns {Promise<boolean>} Whether the detector started
+     * @private
+     */
+    async startIdleDetector() {
+        if (this.idleAbortController || !this.isRunning) {
+            return Boolean(this.idleAbortController);
+        }
+
+        try {
+            const controller = new AbortController();
+            const detector = new window.IdleDetector();
+
+            detector.addEventListener('change', () => {
+                const idle = detector.userState === 'idle' || detector.screenState === 'locked';
+                this.idleState = idle ? 'idle' : 'active';
+
+                if (idle) {
+                    this.check();
+                } else {
+                    this.recordActivity();
+                }
+            });
+
+            await detector.start({
+                threshold: Math.max(ACTIVITY_CONSTANTS.MIN_IDLE_DETECTOR_THRESHOLD_MS, this.idleThresholdMs),
+                signal: controller.signal
+            });
+
+            this.idleAbortController = controller;
+            this.idleState = 'active';
+            console.log('👀 Idle detection enabled');
+            return true;
+        } catch (error) {
+            console.warn('Idle detector could not start:', error);
+            this.idleState = null;
+            return false;
+        }
+    }
+
+    /**
+     * Stop the Idle Detection API
+     * @private
+     */
+    stopIdleDetector() {
+        if (this.idleAbortController) {
+            this.idleAbortController.abort();
+            this.idleAbortController = null;
+        }
+
+        this.idleState = null;
+    }
+
+    /**
+     * Get current presence status
+     * @returns {Object} Status
+     */
+    getStatus() {
+        return {
+            isRunning: this.isRunning,
+            isAway: this.isAway,
+            awaySince: this.awaySince,
+            lastActivityAt: this.lastActivityAt,
+            idleThresholdMs: this.idleThresholdMs,
+            idleDetection: this.idleState !== null
+        };
+    }
+
+    /**
+     * Destroy monitor
+     */
+    destroy() {
+        this.stop();
+        this.onAway = null;
+        this.onReturn = null;
+        this.onActivity = null;
+    }
+
+    /**
+     * Check whether the Idle Detection API exists
+     * @returns {boolean}
+     */
+    static isIdleDetectionSupported() {
+        return typeof window !== 'undefined' && 'IdleDetector' in window;
+    }
+}
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ActivityMonitor;
+}
+
+// Export for browser use
+window.ActivityMonitor = ActivityMonitor;
@@ -26,39 +26,41 @@ class Analytics {
     }
 
     /**
-     * Track water reminder completion
-     * Core metric: User actually completed water reminder action
+     * Track reminder completion for any registered reminder type
+     * Core metric: User actually completed the reminder action
+     * @param {string} type - Reminder type id
      */
-    trackWaterCompleted() {
+    trackReminderCompleted(type) {
         if (!this.isEnabled) return;
         
         try {
-            console.log('📊 Analytics: Water reminder completed');
+            const definition = window.reminderTypeRegistry?.get(type);
+            const eventName = definition ? definition.analyticsEvent : `${type}_done`;
+            
+            console.log(`📊 Analytics: ${type} reminder completed`);
             
             if (this.baiduAnalyticsReady) {
-                _hmt.push(['_trackEvent', 'engagement', 'water_done', '', 1]);
+                _hmt.push(['_trackEvent', 'engagement', eventName, '', 1]);
             }
         } catch (error) {
             console.warn('Analytics tracking failed:', error);
         }
     }
 
+    /**
+     * Track water reminder completion
+     * Core metric: User actually completed water reminder action
+     */
+    trackWaterCompleted() {
+        this.trackReminderCompleted('water');
+    }
+
     /**
      * Track standup reminder completion  
      * Core metric: User actually completed standup reminder action
      */
     trackStandupCompleted() {
-        if (!this.isEnabled) return;
-        
-        try {
-            console.log('📊 Analytics: Standup reminder completed');
-            
-            if (this.baiduAnalyticsReady) {
-                _hmt.push(['_trackEvent', 'engagement', 'standup_done', '', 1]);
-            }
-        } catch (error) {
-            console.warn('Analytics tracking failed:', error);
-        }
+        this.trackReminderCompleted('standup');
     }
 
     /**
@@ -1,5 +1,24 @@
 /**
- * Application Settings Manager - Provides validation and default values
+ * Settings migrations, in order
+ * SETTINGS_MIGRATIONS[n] upgrades settings stored with schema version n to n + 1.
+ * Append a migration and bump SETTINGS_CONSTANTS.SCHEMA_VERSION when the stored shape changes
+ */
+const SETTINGS_MIGRATIONS = [
+    // 0 -> 1: unversioned settings written by saveSettings (reminder types,
+    // then notifications, appearance, schedule and activity). Their shape is
+    // kept; they were written after first use
+    settings => ({ ...settings, isFirstUse: false }),
+
+    // 1 -> 2: English was the only language and stored by default; follow
+    // the browser's language unless another one was picked
+    settings => (settings.appearance?.language === 'en-US'
+        ? { ...settings, appearance: { ...settings.appearance, language: I18N_CONSTANTS.AUTO } }
+        : settings)
+];
+
+/**
+ * Application Settings Manager - Provides validation, default values and
+ * loading of persisted settings (schema migrations and field-level repair)
  * Simplified settings management without StateManager dependency
  */
 class AppSettings {
@@ -8,23 +27,47 @@ class AppSettings {
         this.defaultSettings = {
             water: {
                 enabled: true,
-                interval: REMINDER_CONSTANTS.DEFAULT_INTERVAL_MINUTES, // Fixed 30 minutes
+                interval: REMINDER_CONSTANTS.DEFAULT_INTERVAL_MINUTES, // minutes between reminders
                 sound: true,
-                lastReminderAt: null
+                soundTheme: SOUND_CONSTANTS.THEMES.DEFAULT, // see SOUND_CONSTANTS.THEMES
+                lastReminderAt: null,
+                maxSnoozes: SNOOZE_CONSTANTS.DEFAULT_MAX_SNOOZES, // snoozes in a row before escalating
+                escalation: ESCALATION_CONSTANTS.DEFAULT_STEPS.map(step => ({ ...step })), // steps while unanswered
+                responseTimeout: REMINDER_CONSTANTS.RESPONSE_TIMEOUT_MINUTES, // minutes to wait for an answer
+                dailyGoalMl: WATER_INTAKE_CONSTANTS.DEFAULT_GOAL_ML,
+                cupSizeMl: WATER_INTAKE_CONSTANTS.DEFAULT_CUP_ML,
+                goalMetInterval: WATER_INTAKE_CONSTANTS.DEFAULT_GOAL_MET_INTERVAL_MINUTES, // null keeps the normal interval
+                adaptive: true, // interval follows intake pace
+                minInterval: WATER_INTAKE_CONSTANTS.ADAPTIVE.DEFAULT_MIN_INTERVAL_MINUTES,
+                maxInterval: WATER_INTAKE_CONSTANTS.ADAPTIVE.DEFAULT_MAX_INTERVAL_MINUTES
             },
             standup: {
                 enabled: true,
-                interval: REMINDER_CONSTANTS.DEFAULT_INTERVAL_MINUTES, // Fixed 30 minutes
+                interval: REMINDER_CONSTANTS.DEFAULT_INTERVAL_MINUTES, // minutes between reminders
                 sound: true,
-                lastReminderAt: null
+                soundTheme: SOUND_CONSTANTS.THEMES.DEFAULT, // see SOUND_CONSTANTS.THEMES
+                lastReminderAt: null,
+                maxSnoozes: SNOOZE_CONSTANTS.DEFAULT_MAX_SNOOZES,
+                escalation: ESCALATION_CONSTANTS.DEFAULT_STEPS.map(step => ({ ...step })),
+                responseTimeout: REMINDER_CONSTANTS.RESPONSE_TIMEOUT_MINUTES,
+                routineId: null // guided routine played when the reminder fires
             },
             notifications: {
-                browserNotifications: true,
-                soundEnabled: true,
-                style: 'standard' // notification style: standard, minimal, detailed
+                browserNotifications: true, // OS notifications (in-page alerts always show)
+                soundEnabled: true, // master switch; each reminder type also has `sound`
+                volume: SOUND_CONSTANTS.DEFAULT_VOLUME, // percent
+                style: NOTIFICATION_CONSTANTS.STYLES.STANDARD // standard, minimal, detailed
             },
             appearance: {
-                language: 'en-US'
+                language: I18N_CONSTANTS.AUTO // follow the browser, or a key of SETTINGS_CONSTANTS.LANGUAGES
+            },
+            schedule: {
+                ...SCHEDULE_CONSTANTS.DEFAULT_SCHEDULE
+            },
+            activity: {
+                enabled: true, // pause standup while away from the desk
+                idleThresholdMinutes: ACTIVITY_CONSTANTS.DEFAULT_IDLE_THRESHOLD_MS / 60000,
+                hiddenCountsAsIdle: false
             },
             isFirstUse: true
         };
@@ -40,43 +83,410 @@ class AppSettings {
 
     /**
      * Get default settings structure
+     * Sections are copies, so callers may change them freely
      * @returns {Object} Default settings
      */
     getDefaultSettings() {
-        return { ...this.defaultSettings };
+        return JSON.parse(JSON.stringify(this.defaultSettings));
+    }
+
+    /**
+     * Get defaults for one reminder type
+     * Custom types fall back to their registered interval
+     * @param {string} type - Reminder type id
+     * @returns {Object|null} Default reminder settings, null for unknown types
+     * @private
+     */
+    getReminderDefaults(type) {
+        const defaults = this.getDefaultSettings();
+        if (defaults[type]) return defaults[type];
+
+        const definition = window.reminderTypeRegistry?.get(type);
+        if (!definition) return null;
+
+        return { enabled: true, interval: definition.defaultInterval, sound: true, soundTheme: SOUND_CONSTANTS.THEMES.DEFAULT };
+    }
+
+    /**
+     * Load persisted settings
+     * Runs schema migrations, repairs invalid fields and writes the result
+     * back when anything changed. Never throws; missing or unreadable
+     * settings give the defaults
+     * @param {StorageManager} storage - Storage manager
+     * @returns {Object} Settings (without schemaVersion)
+     */
+    load(storage) {
+        const saved = storage?.getItem(STORAGE_CONSTANTS.APP_SETTINGS_KEY);
+        if (saved === null || saved === undefined) {
+            return this.getDefaultSettings();
+        }
+
+        const { settings: migrated, fromVersion } = this.migrateSettings(saved);
+        const { settings, repairs } = this.repairSettings(migrated);
+
+        if (repairs.length > 0) {
+            console.warn('🔧 Repaired stored settings:', repairs);
+        }
+
+        // Settings from a newer version are used but not written back, so they are not downgraded
+        const isNewer = fromVersion > SETTINGS_CONSTANTS.SCHEMA_VERSION;
+        if (!isNewer && (fromVersion < SETTINGS_CONSTANTS.SCHEMA_VERSION || repairs.length > 0)) {
+            this.save(storage, settings);
+        }
+
+        return settings;
+    }
+
+    /**
+     * Save settings with the current schema version
+     * @param {StorageManager} storage - Storage manager
+     * @param {Object} settings - Settings to save
+     * @returns {boolean} Whether save was successful
+     */
+    save(storage, settings) {
+        if (!storage) return false;
+
+        return storage.setItem(STORAGE_CONSTANTS.APP_SETTINGS_KEY, {
+            schemaVersion: SETTINGS_CONSTANTS.SCHEMA_VERSION,
+            ...settings,
+            isFirstUse: false
+        });
+    }
+
+    /**
+     * Upgrade stored settings to the current schema version
+     * Settings without a version are treated as version 0. A migration that
+     * throws stops the upgrade; repairSettings fixes what is left
+     * @param {Object} saved - Stored settings
+     * @returns {Object} Result {settings, fromVersion}
+     */
+    migrateSettings(saved) {
+        if (!saved || typeof saved !== 'object' || Array.isArray(saved)) {
+            return { settings: saved, fromVersion: 0 };
+        }
+
+        const { schemaVersion, ...data } = saved;
+        const fromVersion = Number.isInteger(schemaVersion) && schemaVersion >= 0 ? schemaVersion : 0;
+
+        if (fromVersion > SETTINGS_CONSTANTS.SCHEMA_VERSION) {
+            console.warn(`Settings were saved by a newer version (schema v${fromVersion}), loading what this version understands`);
+            return { settings: data, fromVersion };
+        }
+
+        let settings = data;
+        for (let version = fromVersion; version < SETTINGS_CONSTANTS.SCHEMA_VERSION; version++) {
+            try {
+                settings = SETTINGS_MIGRATIONS[version](settings);
+                console.log(`🔄 Settings migrated to schema v${version + 1}`);
+            } catch (error) {
+                console.warn(`Settings migration to schema v${version + 1} failed:`, error);
+                break;
+            }
+        }
+
+        return { settings, fromVersion };
+    }
+
+    /**
+     * Repair settings field by field against the defaults
+     * Missing sections and fields get their defaults, sections of the wrong
+     * type are reset, and each field that fails validation is reset to its
+     * default (or removed when it has none). Unknown keys are kept
+     * @param {Object} saved - Settings to repair
+     * @returns {Object} Result {settings, repairs} where repairs describes each change
+     */
+    repairSettings(saved) {
+        const defaults = this.getDefaultSettings();
+        const repairs = [];
+        const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+        if (!isObject(saved)) {
+            return { settings: defaults, repairs: ['settings: not an object, reset to defaults'] };
+        }
+
+        // Merge each section over its defaults
+        const settings = {};
+        Object.keys({ ...defaults, ...saved }).forEach(key => {
+            const fallback = defaults[key];
+            const value = saved[key];
+
+            if (value === undefined) {
+                settings[key] = fallback;
+            } else if (isObject(fallback)) {
+                if (isObject(value)) {
+                    settings[key] = { ...fallback, ...value };
+                } else {
+                    settings[key] = fallback;
+                    repairs.push(`${key}: not an object, reset to defaults`);
+                }
+            } else if (fallback !== undefined && typeof value !== typeof fallback) {
+                settings[key] = fallback;
+                repairs.push(`${key}: reset to default`);
+            } else {
+                settings[key] = value;
+            }
+        });
+
+        // Reset the fields that fail validation
+        this.validateSettings(settings).fields.forEach(({ section, field }) => {
+            const sectionDefaults = defaults[section] || this.getReminderDefaults(section);
+
+            if (field === null) {
+                if (sectionDefaults) {
+                    settings[section] = sectionDefaults;
+                } else {
+                    delete settings[section];
+                }
+                repairs.push(`${section}: reset to defaults`);
+            } else if (isObject(settings[section])) {
+                if (sectionDefaults && sectionDefaults[field] !== undefined) {
+                    settings[section][field] = sectionDefaults[field];
+                    repairs.push(`${section}.${field}: reset to default`);
+                } else {
+                    delete settings[section][field];
+                    repairs.push(`${section}.${field}: removed`);
+                }
+            }
+        });
+
+        // Defaults are valid, so this only happens if validation and defaults disagree
+        const validation = this.validateSettings(settings);
+        if (!validation.isValid) {
+            console.warn('Settings could not be repaired, using defaults:', validation.errors);
+            return { settings: defaults, repairs: [...repairs, 'settings: reset to defaults'] };
+        }
+
+        return { settings, repairs };
     }
 
     /**
      * Validate if settings are valid
      * @param {Object} settings - Settings to validate
-     * @returns {Object} Validation result {isValid: boolean, errors: Array}
+     * @returns {Object} Validation result {isValid: boolean, errors: Array, fields: Array}
+     *   `fields` lists {section, field} for each error (field is null when the whole section is invalid)
      */
     validateSettings(settings) {
         const errors = [];
+        const fields = [];
+        const fail = (section, field, message) => {
+            errors.push(`${section}: ${message}`);
+            [].concat(field).forEach(name => fields.push({ section, field: name }));
+        };
 
         if (!settings || typeof settings !== 'object') {
             errors.push('Settings must be an object');
-            return { isValid: false, errors };
+            fields.push({ section: null, field: null });
+            return { isValid: false, errors, fields };
         }
 
-        // Validate reminder settings
-        ['water', 'standup'].forEach(type => {
+        // Validate reminder settings (built-in types are required, custom types when present)
+        const registry = window.reminderTypeRegistry;
+        const customTypes = registry
+            ? registry.getIds().filter(type => !['water', 'standup'].includes(type) && settings[type] !== undefined)
+            : [];
+
+        ['water', 'standup', ...customTypes].forEach(type => {
             const reminder = settings[type];
             if (!reminder || typeof reminder !== 'object') {
-                errors.push(`${type}: settings must be an object`);
+                fail(type, null, 'settings must be an object');
                 return;
             }
 
-            // Interval is now fixed at 30 minutes, no validation needed
             if (typeof reminder.enabled !== 'boolean') {
-                errors.push(`${type}: enabled must be a boolean`);
+                fail(type, 'enabled', 'enabled must be a boolean');
+            }
+
+            const intervalRange = SETTINGS_CONSTANTS.INTERVAL_RANGE_MINUTES;
+            if (reminder.interval !== undefined &&
+                !(Number.isInteger(reminder.interval) && reminder.interval >= intervalRange.MIN && reminder.interval <= intervalRange.MAX)) {
+                fail(type, 'interval', `interval must be a whole number of minutes between ${intervalRange.MIN} and ${intervalRange.MAX}`);
+            }
+
+            if (reminder.sound !== undefined && typeof reminder.sound !== 'boolean') {
+                fail(type, 'sound', 'sound must be a boolean');
+            }
+
+            const themes = Object.values(SOUND_CONSTANTS.THEMES);
+            if (reminder.soundTheme !== undefined && !themes.includes(reminder.soundTheme)) {
+                fail(type, 'soundTheme', `soundTheme must be one of ${themes.join(', ')}`);
+            }
+
+            const { MIN, MAX } = SNOOZE_CONSTANTS.MAX_SNOOZES_RANGE;
+            if (reminder.maxSnoozes !== undefined &&
+                !(Number.isInteger(reminder.maxSnoozes) && reminder.maxSnoozes >= MIN && reminder.maxSnoozes <= MAX)) {
+                fail(type, 'maxSnoozes', `maxSnoozes must be a whole number between ${MIN} and ${MAX}`);
+            }
+
+            if (reminder.responseTimeout !== undefined &&
+                !(typeof reminder.responseTimeout === 'number' && reminder.responseTimeout > 0)) {
+                fail(type, 'responseTimeout', 'responseTimeout must be a positive number');
+            }
+
+            if (reminder.escalation !== undefined) {
+                const actions = Object.values(ESCALATION_CONSTANTS.ACTIONS);
+                const isValidStep = step => step && actions.includes(step.action) &&
+                    typeof step.afterMinutes === 'number' && step.afterMinutes > 0;
+
+                if (!Array.isArray(reminder.escalation) || !reminder.escalation.every(isValidStep)) {
+                    fail(type, 'escalation', `escalation must be a list of steps with an action (${actions.join(', ')}) and a positive afterMinutes`);
+                }
             }
         });
 
+        // Validate water intake settings (optional - defaults apply when missing)
+        const water = settings.water && typeof settings.water === 'object' ? settings.water : {};
+        const { GOAL_RANGE_ML, CUP_RANGE_ML } = WATER_INTAKE_CONSTANTS;
+        const inRange = (value, range) => typeof value === 'number' && value >= range.MIN && value <= range.MAX;
+
+        if (water.dailyGoalMl !== undefined && !inRange(water.dailyGoalMl, GOAL_RANGE_ML)) {
+            fail('water', 'dailyGoalMl', `dailyGoalMl must be between ${GOAL_RANGE_ML.MIN} and ${GOAL_RANGE_ML.MAX}`);
+        }
+
+        if (water.cupSizeMl !== undefined && !inRange(water.cupSizeMl, CUP_RANGE_ML)) {
+            fail('water', 'cupSizeMl', `cupSizeMl must be between ${CUP_RANGE_ML.MIN} and ${CUP_RANGE_ML.MAX}`);
+        }
+
+        if (water.goalMetInterval !== undefined && water.goalMetInterval !== null &&
+            !(typeof water.goalMetInterval === 'number' && water.goalMetInterval > 0)) {
+            fail('water', 'goalMetInterval', 'goalMetInterval must be a positive number or null');
+        }
+
+        if (water.adaptive !== undefined && typeof water.adaptive !== 'boolean') {
+            fail('water', 'adaptive', 'adaptive must be a boolean');
+        }
+
+        const isPositive = value => typeof value === 'number' && value > 0;
+        if (water.minInterval !== undefined && !isPositive(water.minInterval)) {
+            fail('water', 'minInterval', 'minInterval must be a positive number');
+        }
+
+        if (water.maxInterval !== undefined && !isPositive(water.maxInterval)) {
+            fail('water', 'maxInterval', 'maxInterval must be a positive number');
+        } else if (isPositive(water.minInterval) && water.maxInterval < water.minInterval) {
+            fail('water', ['minInterval', 'maxInterval'], 'maxInterval must not be less than minInterval');
+        }
+
+        const activity = settings.activity;
+        if (activity !== undefined) {
+            const idleRange = ACTIVITY_CONSTANTS.IDLE_THRESHOLD_RANGE_MINUTES;
+
+            if (!activity || typeof activity !== 'object') {
+                fail('activity', null, 'settings must be an object');
+            } else {
+                if (activity.enabled !== undefined && typeof activity.enabled !== 'boolean') {
+                    fail('activity', 'enabled', 'enabled must be a boolean');
+                }
+
+                if (activity.idleThresholdMinutes !== undefined && !inRange(activity.idleThresholdMinutes, idleRange)) {
+                    fail('activity', 'idleThresholdMinutes', `idleThresholdMinutes must be between ${idleRange.MIN} and ${idleRange.MAX}`);
+                }
+
+                if (activity.hiddenCountsAsIdle !== undefined && typeof activity.hiddenCountsAsIdle !== 'boolean') {
+                    fail('activity', 'hiddenCountsAsIdle', 'hiddenCountsAsIdle must be a boolean');
+                }
+            }
+        }
+
+        const schedule = settings.schedule;
+        if (schedule !== undefined) {
+            if (!schedule || typeof schedule !== 'object' || Array.isArray(schedule)) {
+                fail('schedule', null, 'settings must be an object');
+            } else {
+                if (schedule.enabled !== undefined && typeof schedule.enabled !== 'boolean') {
+                    fail('schedule', 'enabled', 'enabled must be a boolean');
+                }
+
+                const daysError = schedule.days !== undefined ? this.getScheduleDaysError(schedule.days) : null;
+                if (daysError) {
+                    fail('schedule', 'days', daysError);
+                }
+            }
+        }
+
+        const notifications = settings.notifications;
+        if (notifications !== undefined) {
+            if (!notifications || typeof notifications !== 'object') {
+                fail('notifications', null, 'settings must be an object');
+            } else {
+                ['browserNotifications', 'soundEnabled'].forEach(key => {
+                    if (notifications[key] !== undefined && typeof notifications[key] !== 'boolean') {
+                        fail('notifications', key, `${key} must be a boolean`);
+                    }
+                });
+
+                const { MIN, MAX } = SOUND_CONSTANTS.VOLUME_RANGE;
+                if (notifications.volume !== undefined &&
+                    !(Number.isInteger(notifications.volume) && notifications.volume >= MIN && notifications.volume <= MAX)) {
+                    fail('notifications', 'volume', `volume must be a whole number between ${MIN} and ${MAX}`);
+                }
+
+                const styles = Object.values(NOTIFICATION_CONSTANTS.STYLES);
+                if (notifications.style !== undefined && !styles.includes(notifications.style)) {
+                    fail('notifications', 'style', `style must be one of ${styles.join(', ')}`);
+                }
+            }
+        }
+
+        const appearance = settings.appearance;
+        if (appearance !== undefined) {
+            const languages = [I18N_CONSTANTS.AUTO, ...Object.keys(SETTINGS_CONSTANTS.LANGUAGES)];
+            if (!appearance || typeof appearance !== 'object') {
+                fail('appearance', null, 'settings must be an object');
+            } else if (appearance.language !== undefined && !languages.includes(appearance.language)) {
+                fail('appearance', 'language', `language must be one of ${languages.join(', ')}`);
+            }
+        }
+
+        const routineId = settings.standup?.routineId;
+        if (routineId !== undefined && routineId !== null && typeof routineId !== 'string') {
+            fail('standup', 'routineId', 'routineId must be a string or null');
+        }
+
         return {
             isValid: errors.length === 0,
-            errors
+            errors,
+            fields
+        };
+    }
+
+    /**
+     * Check the working windows of a schedule (see WorkSchedule)
+     * Each weekday is null (day off) or {start, end, breaks} with 'HH:MM'
+     * times, end after start, and breaks a list of such ranges
+     * @param {*} days - Windows by weekday key
+     * @returns {string|null} What is wrong, or null when valid
+     * @private
+     */
+    getScheduleDaysError(days) {
+        if (!days || typeof days !== 'object' || Array.isArray(days)) {
+            return 'days must be an object of weekdays';
+        }
+
+        const isRange = range => {
+            if (!range || typeof range !== 'object') return false;
+
+            const start = WorkSchedule.parseTime(range.start);
+            const end = WorkSchedule.parseTime(range.end);
+            return start !== null && end !== null && end > start;
         };
+
+        for (const [key, day] of Object.entries(days)) {
+            if (!SCHEDULE_CONSTANTS.DAY_KEYS.includes(key)) {
+                return `days: unknown weekday ${key}`;
+            }
+
+            if (day === null) continue;
+
+            if (!isRange(day)) {
+                return `days.${key} must be null or have a start and a later end ('HH:MM')`;
+            }
+
+            if (day.breaks !== undefined && !(Array.isArray(day.breaks) && day.breaks.every(isRange))) {
+                return `days.${key}.breaks must be a list of ranges with a start and a later end ('HH:MM')`;
+            }
+        }
+
+        return null;
     }
 
     /**
@@ -147,7 +557,7 @@ class AppSettings {
         }
     }
 
-    // AppSettings provides default settings and validation only
+    // AppSettings provides default settings, validation and loading only
 }
 
 // Export class for use by other modules
@@ -7,9 +7,28 @@ class OfficeWellnessApp {
         this.uiController = null;
         this.waterReminder = null;
         this.standupReminder = null;
+        this.reminders = new Map(); // All reminders keyed by type, including custom types
+        this.notificationService = null;
+        this.serviceWorkerBridge = null;
+        this.tabCoordinator = null;
+        this.workSchedule = null;
+        this.activityMonitor = null;
+        this.activitySettings = null;
         this.demoController = null;
         this.errorHandler = null;
         this.storage = null;
+        this.history = null;
+        this.waterIntake = null;
+        this.routineLibrary = null;
+        this.messageLibrary = null;
+        this.soundLibrary = null;
+        this.statsDashboard = null;
+        this.settingsPanel = null;
+        this.backupManager = null;
+        this.appSettings = null;
+        this.savedSettings = null;
+        this.notificationSettings = null;
+        this.appearanceSettings = null;
         this.analytics = null;
         this.feedbackButton = null;
         
@@ -19,15 +38,17 @@ class OfficeWellnessApp {
             maxRetries: 3
         };
         
-        this.init();
+        this.initPromise = this.init();
     }
 
     /**
      * Public initialize method for external calls
+     * Resolves when the initialization started by the constructor completes
+     * (running init twice would create duplicate reminders and timers)
      * @public
      */
     async initialize() {
-        return this.init();
+        return this.initPromise;
     }
 
     async init() {
@@ -36,11 +57,19 @@ class OfficeWellnessApp {
             
             // Initialize in strict order with validation
             this.initializeErrorHandler();
-            this.initializeStorage();
+            await this.initializeStorage();
+            this.initializeHistory();
+            this.initializeWaterIntake();
+            this.initializeRoutines();
+            this.initializeMessages();
+            this.initializeSounds();
             this.initializeAnalytics();
             this.initializeUI();
             this.initializeReminders();
             this.initializeDemoController();
+            this.initializeStatsDashboard();
+            this.initializeSettingsPanel();
+            this.initializeActivityMonitor();
             this.initializeFeedbackButton();
             
             // Validate all components are ready
@@ -50,13 +79,29 @@ class OfficeWellnessApp {
             if (this.waterReminder && this.standupReminder && this.uiController) {
                 this.uiController.setReminders(this.waterReminder, this.standupReminder);
                 
+                // Link custom reminder types (cards are rendered by the UI controller)
+                this.getCustomReminders().forEach(reminder => {
+                    this.uiController.addReminder(reminder);
+                });
+                
                 // Link demo controller to UI
                 if (this.demoController) {
                     this.uiController.setDemoController(this.demoController);
                 }
                 
-                // Sync initial intervals from HTML inputs
-                this.syncInitialIntervals();
+                // Link stats dashboard to its header button
+                if (this.statsDashboard) {
+                    this.uiController.setStatsDashboard(this.statsDashboard);
+                }
+                
+                // Link settings panel to its header button
+                if (this.settingsPanel) {
+                    this.uiController.setSettingsPanel(this.settingsPanel);
+                }
+                
+                // Only one open tab runs the reminders; it continues countdowns
+                // that were running before a reload
+                this.initializeTabCoordinator();
                 
                 console.log('🔗 Reminders and demo controller linked to UI controller');
             } else {
@@ -82,19 +127,91 @@ class OfficeWellnessApp {
     }
 
     /**
-     * Initialize storage manager for simple persistence
+     * Initialize storage manager and load stored data
      * @private
      */
-    initializeStorage() {
+    async initializeStorage() {
         try {
             this.storage = new StorageManager();
-            console.log('💾 Storage manager initialized');
+            const backend = await this.storage.init();
+            this.storage.addChangeListener(keys => this.handleStorageChange(keys));
+            console.log(`💾 Storage manager initialized (${backend})`);
         } catch (error) {
             console.warn('⚠️ Storage initialization failed, using defaults:', error);
             this.storage = null;
         }
     }
 
+    /**
+     * Initialize reminder history log
+     * @private
+     */
+    initializeHistory() {
+        try {
+            this.history = new ReminderHistory(this.storage);
+            console.log('📝 Reminder history initialized');
+        } catch (error) {
+            console.warn('⚠️ Reminder history initialization failed:', error);
+            this.history = null;
+        }
+    }
+
+    /**
+     * Initialize water intake log
+     * @private
+     */
+    initializeWaterIntake() {
+        try {
+            this.waterIntake = new WaterIntakeTracker(this.storage);
+            console.log('💧 Water intake tracker initialized');
+        } catch (error) {
+            console.warn('⚠️ Water intake tracker initialization failed:', error);
+            this.waterIntake = null;
+        }
+    }
+
+    /**
+     * Initialize guided standup routine library
+     * @private
+     */
+    initializeRoutines() {
+        try {
+            this.routineLibrary = new RoutineLibrary(this.storage);
+            console.log('🤸 Routine library initialized');
+        } catch (error) {
+            console.warn('⚠️ Routine library initialization failed:', error);
+            this.routineLibrary = null;
+        }
+    }
+
+    /**
+     * Initialize the library of rotating reminder messages
+     * @private
+     */
+    initializeMessages() {
+        try {
+            this.messageLibrary = new MessageLibrary(this.storage);
+            console.log('💬 Message library initialized');
+        } catch (error) {
+            console.warn('⚠️ Message library initialization failed:', error);
+            this.messageLibrary = null;
+        }
+    }
+
+    /**
+     * Initialize the store of user-uploaded alert sounds
+     * @private
+     */
+    initializeSounds() {
+        try {
+            this.soundLibrary = new SoundLibrary(this.storage);
+            console.log('🔔 Sound library initialized');
+        } catch (error) {
+            console.warn('⚠️ Sound library initialization failed:', error);
+            this.soundLibrary = null;
+        }
+    }
+
     /**
      * Initialize analytics for user engagement tracking
      * @private
@@ -117,7 +234,10 @@ class OfficeWellnessApp {
         try {
             this.uiController = new UIController({
                 updateInterval: 1000,
-                mobileBreakpoint: 768
+                mobileBreakpoint: 768,
+                history: this.history,
+                routines: this.routineLibrary,
+                onSettingsChange: () => this.saveSettings()
             });
             
             console.log('🎨 UI Controller initialized');
@@ -134,27 +254,46 @@ class OfficeWellnessApp {
         try {
             console.log('🔄 Starting reminder initialization...');
             
+            // Notification actions clicked outside the page come back through the service worker,
+            // which also reports when a new app version is waiting
+            this.serviceWorkerBridge = new ServiceWorkerBridge({
+                onAction: (type, action) => this.handleNotificationAction(type, action),
+                onUpdate: () => this.handleUpdateAvailable()
+            });
+            this.serviceWorkerBridge.init();
+            
             // Initialize notification service first
-            const notificationService = new NotificationService();
+            this.notificationService = new NotificationService({
+                history: this.history,
+                serviceWorker: this.serviceWorkerBridge,
+                sounds: this.soundLibrary
+            });
             
-            // Load saved settings from storage
-            const savedSettings = this.storage?.getItem('appSettings') || {};
+            // Register user-defined reminder types before creating reminders
+            this.loadCustomReminderTypes();
             
-            // Water Reminder
-            this.waterReminder = new WaterReminder('water', {
-                interval: 30,
-                enabled: true,
-                sound: true,
-                ...savedSettings.water
-            }, notificationService);
-
-            // Standup Reminder
-            this.standupReminder = new StandupReminder('standup', {
-                interval: 30,
-                enabled: true,
-                sound: true,
-                ...savedSettings.standup
-            }, notificationService);
+            // Load saved settings (migrated and repaired against the defaults)
+            this.appSettings = new AppSettings();
+            const savedSettings = this.appSettings.load(this.storage);
+            this.savedSettings = savedSettings;
+            
+            // Notification and appearance preferences (edited in the settings panel)
+            this.notificationSettings = { ...savedSettings.notifications };
+            this.appearanceSettings = { ...savedSettings.appearance };
+            this.applyNotificationSettings();
+            this.applyAppearanceSettings();
+            
+            // Working hours shared by all reminders
+            this.workSchedule = new WorkSchedule(savedSettings.schedule || {});
+            
+            // One reminder per registered type (water and standup are built in)
+            this.reminders.clear();
+            window.reminderTypeRegistry.getIds().forEach(type => {
+                this.reminders.set(type, this.createReminder(type, savedSettings[type]));
+            });
+            
+            this.waterReminder = this.reminders.get('water');
+            this.standupReminder = this.reminders.get('standup');
 
             console.log('✅ Reminder managers initialized successfully');
         } catch (error) {
@@ -163,6 +302,604 @@ class OfficeWellnessApp {
         }
     }
 
+    /**
+     * Create reminder instance for a registered type
+     * @param {string} type - Reminder type id
+     * @param {Object} savedSettings - Persisted settings for this type
+     * @returns {ReminderManager} Reminder instance
+     * @private
+     */
+    createReminder(type, savedSettings = {}) {
+        const definition = window.reminderTypeRegistry.get(type);
+        const reminderClasses = {
+            water: WaterReminder,
+            standup: StandupReminder
+        };
+        const ReminderClass = reminderClasses[type] || ReminderManager;
+
+        const reminder = new ReminderClass(type, {
+            interval: definition.defaultInterval,
+            enabled: true,
+            sound: true,
+            ...savedSettings
+        }, this.notificationService, {
+            schedule: this.workSchedule,
+            storage: this.storage,
+            intake: this.waterIntake,
+            routines: this.routineLibrary,
+            messages: this.messageLibrary,
+            onChange: () => this.shareReminderStates()
+        });
+
+        if (this.tabCoordinator && !this.tabCoordinator.isLeader) {
+            this.followLeader(reminder);
+        }
+
+        return reminder;
+    }
+
+    /**
+     * Restore persisted timer state for all reminders
+     * @private
+     */
+    restoreReminderStates() {
+        this.reminders.forEach(reminder => {
+            reminder.restoreState();
+        });
+    }
+
+    /**
+     * Coordinate with other open tabs so only one of them runs the reminders
+     * Without coordination this tab runs its own, as before
+     * @private
+     */
+    initializeTabCoordinator() {
+        try {
+            this.tabCoordinator = new TabCoordinator({
+                onLeaderChange: isLeader => this.handleLeaderChange(isLeader),
+                getState: () => this.getReminderSnapshots(),
+                onState: state => this.mirrorReminderStates(state),
+                onCommand: command => this.handleTabCommand(command),
+                onMessage: message => this.handleTabMessage(message)
+            });
+            this.tabCoordinator.start();
+            console.log('🗂️ Tab coordinator initialized');
+        } catch (error) {
+            console.warn('⚠️ Tab coordination failed, this tab runs its own reminders:', error);
+            this.tabCoordinator = null;
+            this.restoreReminderStates();
+        }
+    }
+
+    /**
+     * Run the reminders in this tab, or follow the tab that does
+     * @param {boolean} isLeader - Whether this tab leads
+     * @private
+     */
+    handleLeaderChange(isLeader) {
+        this.reminders.forEach(reminder => {
+            if (isLeader) {
+                reminder.lead();
+            } else {
+                this.followLeader(reminder);
+            }
+        });
+    }
+
+    /**
+     * Leave a reminder's timers to the leading tab
+     * @param {ReminderManager} reminder - Reminder in this tab
+     * @private
+     */
+    followLeader(reminder) {
+        reminder.follow(command => this.tabCoordinator.sendCommand({ type: reminder.type, ...command }));
+    }
+
+    /**
+     * Use the history and intake another tab saved, so the next write here keeps them
+     * @param {Array<string>} keys - Keys reloaded from storage
+     * @private
+     */
+    handleStorageChange(keys) {
+        if (this.history && keys.includes(STORAGE_CONSTANTS.HISTORY_KEY)) {
+            this.history.reload();
+            if (this.statsDashboard?.isOpen) this.statsDashboard.render();
+        }
+
+        if (this.waterIntake && keys.includes(STORAGE_CONSTANTS.WATER_INTAKE_KEY)) {
+            this.waterIntake.reload();
+        }
+    }
+
+    /**
+     * Get every reminder's state for the following tabs
+     * Only today's intake and history are shared, so heartbeats stay small
+     * @returns {Object} State {reminders: {type: snapshot}, intake, history}
+     * @private
+     */
+    getReminderSnapshots() {
+        const reminders = {};
+        this.reminders.forEach((reminder, type) => {
+            reminders[type] = reminder.getSnapshot();
+        });
+        return {
+            reminders,
+            intake: this.waterIntake ? this.waterIntake.data.today : null,
+            history: this.history ? this.history.getTodayEvents() : null
+        };
+    }
+
+    /**
+     * Share a reminder change with the following tabs at once
+     * @private
+     */
+    shareReminderStates() {
+        if (this.tabCoordinator) {
+            this.tabCoordinator.shareState();
+        }
+    }
+
+    /**
+     * Show the leading tab's reminder states in this tab
+     * @param {Object} state - State from getReminderSnapshots() in the leading tab
+     * @private
+     */
+    mirrorReminderStates(state) {
+        const routineId = this.standupReminder?.settings.routineId;
+
+        Object.entries(state.reminders || {}).forEach(([type, snapshot]) => {
+            const reminder = this.reminders.get(type);
+            if (reminder) {
+                reminder.mirror(snapshot);
+            }
+        });
+
+        if (this.waterIntake && state.intake) {
+            this.waterIntake.mirrorToday(state.intake);
+        }
+
+        if (this.history && state.history && this.history.mirrorToday(state.history)) {
+            if (this.statsDashboard?.isOpen) this.statsDashboard.render();
+        }
+
+        if (this.uiController && this.standupReminder?.settings.routineId !== routineId) {
+            this.uiController.renderRoutineOptions();
+        }
+    }
+
+    /**
+     * Run a reminder command sent by a following tab
+     * @param {Object} command - Command {type, command, action, choice, ml, source, routineId, routine, visible}
+     *   (see TAB_CONSTANTS.COMMANDS)
+     * @returns {boolean} Whether the command was applied
+     * @private
+     */
+    handleTabCommand({ type, command, action, choice, ml, source, routineId, routine, visible }) {
+        const { START, STOP, ANSWER, LOG_INTAKE, SET_ROUTINE, ACTIVITY } = TAB_CONSTANTS.COMMANDS;
+
+        // Activity is not tied to a reminder type
+        if (command === ACTIVITY) {
+            if (!this.activityMonitor) return false;
+
+            this.activityMonitor.recordOtherTabActivity({ visible });
+            return true;
+        }
+
+        const reminder = this.reminders.get(type);
+        if (!reminder) return false;
+
+        switch (command) {
+            case START:
+                return reminder.start();
+            case STOP:
+                return reminder.stop();
+            case ANSWER:
+                return this.handleNotificationAction(type, action, choice);
+            case LOG_INTAKE:
+                return this.logTabIntake(reminder, ml, source);
+            case SET_ROUTINE:
+                return this.setTabRoutine(reminder, routineId, routine);
+            default:
+                console.warn(`Unknown tab command: ${command}`);
+                return false;
+        }
+    }
+
+    /**
+     * Log a drink added in a following tab
+     * @param {WaterReminder} reminder - Water reminder in this tab
+     * @param {number} ml - Volume in millilitres
+     * @param {string} source - One of WATER_INTAKE_CONSTANTS.SOURCES
+     * @returns {boolean} Whether the drink was logged
+     * @private
+     */
+    logTabIntake(reminder, ml, source) {
+        if (typeof reminder.logIntake !== 'function' || !reminder.logIntake(ml, source)) return false;
+
+        this.shareReminderStates();
+        return true;
+    }
+
+    /**
+     * Select a routine chosen in a following tab
+     * @param {StandupReminder} reminder - Standup reminder in this tab
+     * @param {string|null} routineId - Routine id, or null for a plain reminder
+     * @param {Object|null} routine - Custom routine definition, for one this tab has not loaded
+     * @returns {boolean} Whether the routine was selected
+     * @private
+     */
+    setTabRoutine(reminder, routineId, routine) {
+        if (typeof reminder.setRoutine !== 'function') return false;
+
+        if (routine && this.routineLibrary && !this.routineLibrary.get(routine.id)) {
+            try {
+                this.routineLibrary.addCustomRoutine(routine);
+            } catch (error) {
+                console.warn('Routine from another tab not added:', error);
+            }
+        }
+
+        if (!reminder.setRoutine(routineId)) return false;
+
+        this.saveSettings();
+        if (this.uiController) {
+            this.uiController.renderRoutineOptions();
+        }
+        this.shareReminderStates();
+        return true;
+    }
+
+    /**
+     * Apply a change broadcast by another tab
+     * @param {Object} message - Message {kind, ...} (see TAB_CONSTANTS.BROADCASTS)
+     * @private
+     */
+    handleTabMessage(message) {
+        const {
+            SETTINGS, REMINDER_TYPE_ADDED, REMINDER_TYPE_REMOVED, MESSAGE_ADDED, MESSAGE_REMOVED, SOUND_ADDED, SOUND_REMOVED
+        } = TAB_CONSTANTS.BROADCASTS;
+        if (!message) return;
+
+        try {
+            if (message.kind === SETTINGS) {
+                this.updateSettings(message.changes, { fromOtherTab: true });
+            } else if (message.kind === REMINDER_TYPE_ADDED) {
+                this.addReminderType(message.definition, { fromOtherTab: true });
+            } else if (message.kind === REMINDER_TYPE_REMOVED) {
+                this.removeReminderType(message.type, { fromOtherTab: true });
+            } else if (message.kind === MESSAGE_ADDED) {
+                this.addReminderMessage(message.message, { fromOtherTab: true });
+            } else if (message.kind === MESSAGE_REMOVED) {
+                this.removeReminderMessage(message.type, message.id, { fromOtherTab: true });
+            } else if (message.kind === SOUND_ADDED) {
+                this.soundLibrary?.reload(message.type);
+            } else if (message.kind === SOUND_REMOVED) {
+                this.removeReminderSound(message.type, { fromOtherTab: true });
+            }
+        } catch (error) {
+            console.warn('Failed to apply a change from another tab:', error);
+        }
+    }
+
+    /**
+     * Get reminders for user-defined (non built-in) types
+     * @returns {Array<ReminderManager>} Custom reminders
+     * @private
+     */
+    getCustomReminders() {
+        return Array.from(this.reminders.values())
+            .filter(reminder => !reminder.definition.builtIn);
+    }
+
+    /**
+     * Register persisted custom reminder types
+     * @private
+     */
+    loadCustomReminderTypes() {
+        const definitions = this.storage?.getItem(STORAGE_CONSTANTS.CUSTOM_REMINDER_TYPES_KEY) || [];
+        if (!Array.isArray(definitions)) return;
+
+        definitions.forEach(definition => {
+            try {
+                window.reminderTypeRegistry.register(definition);
+            } catch (error) {
+                console.warn('Skipping invalid custom reminder type:', error);
+            }
+        });
+    }
+
+    /**
+     * Register a custom reminder type, persist it and show its card
+     * Other open tabs add it too
+     * @param {Object} definition - Reminder type definition (see ReminderTypeRegistry)
+     * @param {Object} options - Options
+     * @param {boolean} options.fromOtherTab - Type was added in another tab (not shared again)
+     * @returns {ReminderManager} Reminder created for the new type
+     * @public
+     */
+    addReminderType(definition, { fromOtherTab = false } = {}) {
+        const registered = window.reminderTypeRegistry.register(definition);
+        const type = registered.id;
+
+        // Replace existing reminder when a custom type is re-registered
+        if (this.reminders.has(type)) {
+            this.removeReminderInstance(type);
+        }
+
+        const reminder = this.createReminder(type);
+        this.reminders.set(type, reminder);
+        this.saveCustomReminderTypes();
+
+        if (this.uiController) {
+            this.uiController.addReminder(reminder);
+        }
+
+        if (this.tabCoordinator && !fromOtherTab) {
+            this.tabCoordinator.broadcast({ kind: TAB_CONSTANTS.BROADCASTS.REMINDER_TYPE_ADDED, definition });
+        }
+
+        return reminder;
+    }
+
+    /**
+     * Remove a custom reminder type and its reminder
+     * Other open tabs remove it too
+     * @param {string} type - Reminder type id
+     * @param {Object} options - Options
+     * @param {boolean} options.fromOtherTab - Type was removed in another tab (not shared again)
+     * @returns {boolean} Whether the type was removed
+     * @public
+     */
+    removeReminderType(type, { fromOtherTab = false } = {}) {
+        const definition = window.reminderTypeRegistry.get(type);
+        if (!definition || definition.builtIn) {
+            console.warn(`Cannot remove reminder type: ${type}`);
+            return false;
+        }
+
+        this.reminders.get(type)?.clearSavedState();
+        this.removeReminderInstance(type);
+        window.reminderTypeRegistry.unregister(type);
+        this.saveCustomReminderTypes();
+        this.saveSettings();
+
+        if (this.tabCoordinator && !fromOtherTab) {
+            this.tabCoordinator.broadcast({ kind: TAB_CONSTANTS.BROADCASTS.REMINDER_TYPE_REMOVED, type });
+        }
+
+        return true;
+    }
+
+    /**
+     * Destroy reminder instance and unlink it from the UI
+     * @param {string} type - Reminder type id
+     * @private
+     */
+    removeReminderInstance(type) {
+        const reminder = this.reminders.get(type);
+        if (!reminder) return;
+
+        reminder.destroy();
+        this.reminders.delete(type);
+
+        if (this.uiController) {
+            this.uiController.removeReminder(type);
+        }
+    }
+
+    /**
+     * Persist custom reminder type definitions
+     * @private
+     */
+    saveCustomReminderTypes() {
+        if (!this.storage) return;
+
+        this.storage.setItem(
+            STORAGE_CONSTANTS.CUSTOM_REMINDER_TYPES_KEY,
+            window.reminderTypeRegistry.getCustomDefinitions()
+        );
+    }
+
+    /**
+     * Update working hours and apply them to running reminders
+     * @param {Object} config - Schedule configuration (see WorkSchedule)
+     * @public
+     */
+    updateWorkSchedule(config) {
+        if (!this.workSchedule) return;
+
+        this.workSchedule.update(config);
+        this.reminders.forEach(reminder => reminder.setSchedule(this.workSchedule));
+        this.saveSettings();
+    }
+
+    /**
+     * Route a Done/Snooze action from a service worker notification or another tab to its reminder
+     * The modal's Done/Snooze handlers take it while the modal still shows the
+     * reminder; otherwise the reminder is answered directly
+     * @param {string} type - Reminder type id
+     * @param {string} action - One of SERVICE_WORKER_CONSTANTS.ACTIONS
+     * @param {number|string} choice - Snooze menu value (defaults to the standard snooze)
+     * @returns {boolean} Whether the action was applied
+     * @private
+     */
+    handleNotificationAction(type, action, choice) {
+        if (this.notificationService.handleNotificationAction(type, action, choice)) {
+            return true;
+        }
+
+        const reminder = this.reminders.get(type);
+        return Boolean(reminder && reminder.handleNotificationAction(action, choice));
+    }
+
+    /**
+     * Offer a waiting app version; reloading hands control to the new worker
+     * @private
+     */
+    handleUpdateAvailable() {
+        if (!this.uiController) return;
+
+        this.uiController.showUpdateBanner(() => {
+            if (!this.serviceWorkerBridge || !this.serviceWorkerBridge.applyUpdate()) {
+                window.location.reload();
+            }
+        });
+    }
+
+    /**
+     * Set how many times in a row a reminder can be snoozed before it escalates
+     * @param {string} type - Reminder type id
+     * @param {number} maxSnoozes - Snooze limit (0 turns snoozing off)
+     * @returns {boolean} Whether the limit was applied
+     * @public
+     */
+    updateSnoozeLimit(type, maxSnoozes) {
+        const reminder = this.reminders.get(type);
+        const { MIN, MAX } = SNOOZE_CONSTANTS.MAX_SNOOZES_RANGE;
+
+        if (!reminder || !Number.isInteger(maxSnoozes) || maxSnoozes < MIN || maxSnoozes > MAX) {
+            console.warn(`Invalid snooze limit for ${type}: ${maxSnoozes}`);
+            return false;
+        }
+
+        reminder.settings.maxSnoozes = maxSnoozes;
+        this.saveSettings();
+        return true;
+    }
+
+    /**
+     * Set what happens while a reminder goes unanswered
+     * @param {string} type - Reminder type id
+     * @param {Array<Object>} steps - Steps {action, afterMinutes}; an empty list turns escalation off
+     * @returns {boolean} Whether the steps were applied
+     * @public
+     */
+    updateEscalationSteps(type, steps) {
+        const reminder = this.reminders.get(type);
+        const actions = Object.values(ESCALATION_CONSTANTS.ACTIONS);
+        const isValidStep = step => step && actions.includes(step.action) &&
+            typeof step.afterMinutes === 'number' && step.afterMinutes > 0;
+
+        if (!reminder || !Array.isArray(steps) || !steps.every(isValidStep)) {
+            console.warn(`Invalid escalation steps for ${type}:`, steps);
+            return false;
+        }
+
+        reminder.settings.escalation = steps.map(({ action, afterMinutes }) => ({ action, afterMinutes }));
+        this.saveSettings();
+        return true;
+    }
+
+    /**
+     * Add a user-defined standup routine
+     * @param {Object|string} routine - Routine definition or its JSON text
+     * @returns {Object} Normalized routine
+     * @public
+     */
+    addStandupRoutine(routine) {
+        if (!this.routineLibrary) {
+            throw new Error('Routine library not available');
+        }
+
+        const added = this.routineLibrary.addCustomRoutine(routine);
+        if (this.uiController) {
+            this.uiController.renderRoutineOptions();
+        }
+
+        return added;
+    }
+
+    /**
+     * Add a user-written notification message to a reminder type's rotation
+     * Other open tabs add it too
+     * @param {Object} message - Message definition (see MessageLibrary)
+     * @param {Object} options - Options
+     * @param {boolean} options.fromOtherTab - Message was added in another tab (not shared again)
+     * @returns {Object} Normalized message
+     * @public
+     */
+    addReminderMessage(message, { fromOtherTab = false } = {}) {
+        if (!this.messageLibrary) {
+            throw new Error('Message library not available');
+        }
+
+        const added = this.messageLibrary.addCustomMessage(message);
+
+        if (this.tabCoordinator && !fromOtherTab) {
+            const { builtIn, ...shared } = added;
+            this.tabCoordinator.broadcast({ kind: TAB_CONSTANTS.BROADCASTS.MESSAGE_ADDED, message: shared });
+        }
+
+        return added;
+    }
+
+    /**
+     * Remove a user-written notification message
+     * Other open tabs remove it too
+     * @param {string} type - Reminder type id
+     * @param {string} id - Message id
+     * @param {Object} options - Options
+     * @param {boolean} options.fromOtherTab - Message was removed in another tab (not shared again)
+     * @returns {boolean} Whether the message was removed
+     * @public
+     */
+    removeReminderMessage(type, id, { fromOtherTab = false } = {}) {
+        if (!this.messageLibrary?.removeCustomMessage(type, id)) {
+            return false;
+        }
+
+        if (this.tabCoordinator && !fromOtherTab) {
+            this.tabCoordinator.broadcast({ kind: TAB_CONSTANTS.BROADCASTS.MESSAGE_REMOVED, type, id });
+        }
+
+        return true;
+    }
+
+    /**
+     * Upload an alert sound for a reminder type's custom sound theme
+     * Other open tabs are told the type and read the sound from storage,
+     * so the data URL itself never goes over the tab channel
+     * @param {string} type - Reminder type id
+     * @param {File} file - Audio file
+     * @returns {Promise<Object>} Stored sound {name, size, dataUrl}
+     * @throws {Error} When the file is rejected (see SoundLibrary.add)
+     * @public
+     */
+    async addReminderSound(type, file) {
+        if (!this.soundLibrary) {
+            throw new Error('Sound library not available');
+        }
+
+        const sound = await this.soundLibrary.add(type, file);
+
+        if (this.tabCoordinator) {
+            this.tabCoordinator.broadcast({ kind: TAB_CONSTANTS.BROADCASTS.SOUND_ADDED, type });
+        }
+
+        return sound;
+    }
+
+    /**
+     * Remove the alert sound uploaded for a reminder type
+     * Other open tabs remove it too
+     * @param {string} type - Reminder type id
+     * @param {Object} options - Options
+     * @param {boolean} options.fromOtherTab - Sound was removed in another tab (not shared again)
+     * @returns {boolean} Whether a sound was removed
+     * @public
+     */
+    removeReminderSound(type, { fromOtherTab = false } = {}) {
+        if (!this.soundLibrary?.remove(type)) {
+            return false;
+        }
+
+        if (this.tabCoordinator && !fromOtherTab) {
+            this.tabCoordinator.broadcast({ kind: TAB_CONSTANTS.BROADCASTS.SOUND_REMOVED, type });
+        }
+
+        return true;
+    }
+
     /**
      * Initialize demo controller with required dependencies
      * @private
@@ -189,6 +926,297 @@ class OfficeWellnessApp {
         }
     }
 
+    /**
+     * Initialize statistics dashboard (requires reminder history)
+     * @private
+     */
+    initializeStatsDashboard() {
+        try {
+            if (!this.history) {
+                throw new Error('Stats dashboard requires reminder history');
+            }
+            
+            this.statsDashboard = new StatsDashboard({
+                history: this.history,
+                registry: window.reminderTypeRegistry
+            });
+            console.log('📊 Stats dashboard initialized');
+        } catch (error) {
+            console.warn('⚠️ Stats dashboard initialization failed:', error);
+            // Stats are not critical - continue without them
+            this.statsDashboard = null;
+        }
+    }
+
+    /**
+     * Initialize settings panel opened by the Settings button
+     * @private
+     */
+    initializeSettingsPanel() {
+        try {
+            this.backupManager = new BackupManager({
+                storage: this.storage,
+                appSettings: this.appSettings
+            });
+            this.settingsPanel = new SettingsPanel({
+                getSettings: () => this.getSettings(),
+                onSave: changes => this.updateSettings(changes),
+                registry: window.reminderTypeRegistry,
+                backup: this.backupManager,
+                onImport: (backup, mode) => this.importData(backup, mode),
+                messages: this.messageLibrary,
+                onAddMessage: message => this.addReminderMessage(message),
+                onRemoveMessage: (type, id) => this.removeReminderMessage(type, id),
+                sounds: this.soundLibrary,
+                onAddSound: (type, file) => this.addReminderSound(type, file),
+                onRemoveSound: type => this.removeReminderSound(type),
+                onPreviewSound: (type, sound) => this.notificationService?.previewSound(type, sound),
+                onEnableIdleDetection: ActivityMonitor.isIdleDetectionSupported()
+                    ? () => this.activityMonitor?.enableIdleDetection() ?? false
+                    : null,
+                isIdleDetectionOn: () => Boolean(this.activityMonitor?.getStatus().idleDetection)
+            });
+            console.log('⚙️ Settings panel initialized');
+        } catch (error) {
+            console.warn('⚠️ Settings panel initialization failed:', error);
+            // Settings are not critical - reminders keep their current settings
+            this.settingsPanel = null;
+        }
+    }
+
+    /**
+     * Get a copy of all current settings
+     * @returns {Object} Settings keyed by reminder type, plus notifications,
+     *   appearance, schedule and activity
+     * @public
+     */
+    getSettings() {
+        const settings = {};
+        this.reminders.forEach((reminder, type) => {
+            settings[type] = { ...reminder.settings };
+        });
+
+        if (this.notificationSettings) {
+            settings.notifications = { ...this.notificationSettings };
+        }
+
+        if (this.appearanceSettings) {
+            settings.appearance = { ...this.appearanceSettings };
+        }
+
+        if (this.workSchedule) {
+            settings.schedule = this.workSchedule.toJSON();
+        }
+
+        if (this.activitySettings) {
+            settings.activity = { ...this.activitySettings };
+        }
+
+        return settings;
+    }
+
+    /**
+     * Validate, apply and persist settings changes
+     * Running reminders pick up the changes at once, in every open tab
+     * @param {Object} changes - Changes keyed by reminder type, notifications, appearance, schedule and activity
+     * @param {Object} options - Update options
+     * @param {boolean} options.fromOtherTab - Changes were made in another tab (not shared again)
+     * @returns {Object} Validation result {isValid, errors}
+     * @public
+     */
+    updateSettings(changes, { fromOtherTab = false } = {}) {
+        const current = this.getSettings();
+        const merged = { ...current };
+        Object.entries(changes).forEach(([key, value]) => {
+            merged[key] = { ...(current[key] || {}), ...value };
+        });
+
+        const validation = (this.appSettings || new AppSettings()).validateSettings(merged);
+        if (!validation.isValid) {
+            console.warn('Settings not applied:', validation.errors);
+            return validation;
+        }
+
+        this.reminders.forEach((reminder, type) => {
+            if (changes[type]) {
+                reminder.updateSettings(changes[type]);
+            }
+        });
+
+        if (changes.notifications) {
+            this.notificationSettings = merged.notifications;
+            this.applyNotificationSettings();
+        }
+
+        if (changes.appearance) {
+            this.appearanceSettings = merged.appearance;
+            this.applyAppearanceSettings();
+        }
+
+        if (changes.schedule) {
+            this.updateWorkSchedule(merged.schedule);
+        }
+
+        if (changes.activity) {
+            this.updateActivitySettings(merged.activity);
+        }
+
+        this.saveSettings();
+
+        if (this.tabCoordinator && !fromOtherTab) {
+            this.tabCoordinator.broadcast({ kind: TAB_CONSTANTS.BROADCASTS.SETTINGS, changes });
+        }
+
+        return validation;
+    }
+
+    /**
+     * Export all user data
+     * @returns {Object|null} Export (see BackupManager), null without storage
+     * @public
+     */
+    exportData() {
+        if (!this.backupManager || !this.storage) return null;
+
+        return this.backupManager.createExport();
+    }
+
+    /**
+     * Import user data and reload so every component reads it
+     * @param {Object} backup - Validated export (see BackupManager.parseImport)
+     * @param {string} mode - One of BACKUP_CONSTANTS.MODES
+     * @returns {Promise<boolean>} Whether all data was imported
+     * @public
+     */
+    async importData(backup, mode = BACKUP_CONSTANTS.MODES.MERGE) {
+        if (!this.backupManager || !this.storage) return false;
+
+        // Wait until the storage backend has everything before reloading
+        const imported = this.backupManager.applyImport(backup, mode) && await this.storage.flush();
+        if (!imported) {
+            console.warn('⚠️ Some imported data could not be saved');
+        }
+
+        // Reload either way so the page matches what is stored
+        window.location.reload();
+        return imported;
+    }
+
+    /**
+     * Hand notification preferences to the notification service
+     * @private
+     */
+    applyNotificationSettings() {
+        if (!this.notificationService || !this.notificationSettings) return;
+
+        const { soundEnabled, volume, browserNotifications, style } = this.notificationSettings;
+        this.notificationService.setSoundEnabled(soundEnabled);
+        this.notificationService.setVolume(volume);
+        this.notificationService.setBrowserNotificationsEnabled(browserNotifications);
+        this.notificationService.setStyle(style);
+    }
+
+    /**
+     * Apply appearance preferences to the page
+     * Switches the language and re-renders all text in it
+     * @private
+     */
+    applyAppearanceSettings() {
+        if (!this.appearanceSettings) return;
+
+        window.i18n.setLanguage(this.appearanceSettings.language || I18N_CONSTANTS.AUTO);
+        document.documentElement.lang = window.i18n.locale;
+
+        // Built-in reminder types, routines and messages are updated in place
+        window.reminderTypeRegistry?.localizeBuiltInTypes();
+        this.routineLibrary?.localizeBuiltInRoutines();
+        this.messageLibrary?.localizeBuiltInMessages();
+
+        window.i18n.translatePage();
+        this.uiController?.localize();
+        this.demoController?.localize();
+        this.feedbackButton?.localize();
+        this.statsDashboard?.localize();
+    }
+
+    /**
+     * Initialize away detection for the standup reminder
+     * @private
+     */
+    initializeActivityMonitor() {
+        try {
+            const savedSettings = this.savedSettings || {};
+            this.activitySettings = {
+                enabled: true,
+                idleThresholdMinutes: ACTIVITY_CONSTANTS.DEFAULT_IDLE_THRESHOLD_MS / 60000,
+                hiddenCountsAsIdle: false,
+                ...(savedSettings.activity || {})
+            };
+
+            this.activityMonitor = new ActivityMonitor({
+                ...this.getActivityMonitorConfig(),
+                onAway: () => this.standupReminder?.handleAway(),
+                onReturn: ({ awayMs }) => this.standupReminder?.handleReturn(awayMs),
+                onActivity: report => this.reportActivity(report)
+            });
+
+            if (this.activitySettings.enabled) {
+                this.activityMonitor.start();
+            }
+
+            console.log('👀 Activity monitor initialized');
+        } catch (error) {
+            console.warn('⚠️ Activity monitor initialization failed:', error);
+            // Away detection is not critical - reminders keep running
+            this.activityMonitor = null;
+        }
+    }
+
+    /**
+     * Pass input seen in a following tab on to the leading tab, whose monitor pauses the standup
+     * @param {Object} report - Report {visible} from ActivityMonitor
+     * @private
+     */
+    reportActivity(report) {
+        if (this.tabCoordinator && !this.tabCoordinator.isLeader) {
+            this.tabCoordinator.sendCommand({ command: TAB_CONSTANTS.COMMANDS.ACTIVITY, ...report });
+        }
+    }
+
+    /**
+     * Convert activity settings into monitor options
+     * @returns {Object} Monitor options
+     * @private
+     */
+    getActivityMonitorConfig() {
+        return {
+            idleThresholdMs: this.activitySettings.idleThresholdMinutes * 60 * 1000,
+            hiddenCountsAsIdle: this.activitySettings.hiddenCountsAsIdle
+        };
+    }
+
+    /**
+     * Update away detection settings
+     * @param {Object} config - Any of enabled, idleThresholdMinutes, hiddenCountsAsIdle
+     * @public
+     */
+    updateActivitySettings(config) {
+        if (!this.activityMonitor) return;
+
+        this.activitySettings = { ...this.activitySettings, ...config };
+        this.activityMonitor.configure(this.getActivityMonitorConfig());
+
+        if (this.activitySettings.enabled) {
+            this.activityMonitor.start();
+        } else {
+            this.activityMonitor.stop();
+            // Release a pause held while the user was away
+            this.standupReminder?.resume(ACTIVITY_CONSTANTS.PAUSE_REASON);
+        }
+
+        this.saveSettings();
+    }
+
     /**
      * Initialize feedback button for GitHub Issues integration
      * @private
@@ -240,8 +1268,8 @@ class OfficeWellnessApp {
         console.error('🚨 Initialization error:', error);
         
         // Show user-friendly error
-        const errorMessage = error.message || 'Application failed to start';
-        const userMessage = `Office Wellness App Error:\n${errorMessage}\n\nPlease refresh the page to try again.`;
+        const errorMessage = error.message || window.i18n.t('app.error.startFailed');
+        const userMessage = window.i18n.t('app.error.refreshToRetry', { message: errorMessage });
         
         // Try to show via UI, fallback to alert
         setTimeout(() => {
@@ -253,38 +1281,6 @@ class OfficeWellnessApp {
 
 
 
-    /**
-     * Sync initial intervals from HTML inputs
-     * @private
-     */
-    syncInitialIntervals() {
-        try {
-            // Get HTML input values
-            const waterInput = document.querySelector('#water-interval-display');
-            const standupInput = document.querySelector('#standup-interval-display');
-            
-            if (waterInput && this.waterReminder) {
-                const waterInterval = parseInt(waterInput.value, 10);
-                if (waterInterval >= 1 && waterInterval <= 120) {
-                    this.waterReminder.settings.interval = waterInterval;
-                    this.waterReminder.timeRemaining = waterInterval * 60 * 1000;
-                }
-            }
-            
-            if (standupInput && this.standupReminder) {
-                const standupInterval = parseInt(standupInput.value, 10);
-                if (standupInterval >= 1 && standupInterval <= 120) {
-                    this.standupReminder.settings.interval = standupInterval;
-                    this.standupReminder.timeRemaining = standupInterval * 60 * 1000;
-                }
-            }
-            
-            console.log('🔄 Initial intervals synced from HTML');
-        } catch (error) {
-            console.warn('Failed to sync initial intervals:', error);
-        }
-    }
-
     /**
      * Save current settings to storage
      * @private
@@ -293,12 +1289,7 @@ class OfficeWellnessApp {
         if (!this.storage) return;
         
         try {
-            const settings = {
-                water: this.waterReminder?.settings || {},
-                standup: this.standupReminder?.settings || {}
-            };
-            
-            this.storage.setItem('appSettings', settings);
+            (this.appSettings || new AppSettings()).save(this.storage, this.getSettings());
             console.log('💾 Settings saved successfully');
         } catch (error) {
             console.warn('Failed to save settings:', error);
@@ -355,15 +1346,15 @@ class OfficeWellnessApp {
      */
     showErrorToUser(error) {
         try {
-            const errorMessage = error.message || 'An unexpected error occurred';
+            const errorMessage = error.message || window.i18n.t('app.error.unexpected');
             
             if (this.uiController) {
                 // Use UI to show error (simplified notification)
                 console.error('Application Error:', errorMessage);
-                alert(`Office Wellness App Error:\n${errorMessage}\n\nPlease refresh the page to continue.`);
+                alert(window.i18n.t('app.error.refreshToContinue', { message: errorMessage }));
             } else {
                 // Fallback to basic alert
-                alert(`Office Wellness App Error:\n${errorMessage}`);
+                alert(window.i18n.t('app.error.generic', { message: errorMessage }));
             }
         } catch (uiError) {
             console.error('Failed to show error to user:', uiError);
@@ -376,21 +1367,42 @@ class OfficeWellnessApp {
      */
     cleanup() {
         try {
-            if (this.waterReminder) {
-                this.waterReminder.destroy();
-                this.waterReminder = null;
+            // Hand the lead to another tab before the timers stop
+            if (this.tabCoordinator) {
+                this.tabCoordinator.destroy();
+                this.tabCoordinator = null;
             }
             
-            if (this.standupReminder) {
-                this.standupReminder.destroy();
-                this.standupReminder = null;
-            }
+            this.reminders.forEach(reminder => reminder.destroy());
+            this.reminders.clear();
+            this.waterReminder = null;
+            this.standupReminder = null;
             
             if (this.demoController) {
                 this.demoController.destroy();
                 this.demoController = null;
             }
             
+            if (this.activityMonitor) {
+                this.activityMonitor.destroy();
+                this.activityMonitor = null;
+            }
+            
+            if (this.serviceWorkerBridge) {
+                this.serviceWorkerBridge.destroy();
+                this.serviceWorkerBridge = null;
+            }
+            
+            if (this.statsDashboard) {
+                this.statsDashboard.destroy();
+                this.statsDashboard = null;
+            }
+            
+            if (this.settingsPanel) {
+                this.settingsPanel.destroy();
+                this.settingsPanel = null;
+            }
+            
             if (this.uiController) {
                 this.uiController.destroy();
                 this.uiController = null;
@@ -400,6 +1412,10 @@ class OfficeWellnessApp {
                 this.feedbackButton.destroy();
                 this.feedbackButton = null;
             }
+
+            if (this.storage) {
+                this.storage.destroy();
+            }
             
             console.log('Application cleanup completed');
         } catch (error) {
@@ -0,0 +1,637 @@
+/**
+ * Backup Manager - Export and import of all user data as JSON
+ * An export holds the stored settings, custom reminder types, custom
+ * routines, custom messages, reminder history, water intake and uploaded
+ * sounds. Imports are validated, previewed and then merged into or replace
+ * the stored data
+ *
+ * Export file shape:
+ * {
+ *   format: 'hydrate-move-backup',
+ *   version: 1,
+ *   appVersion: '1.0.2',
+ *   exportedAt: '2024-05-01T09:30:00.000Z',
+ *   data: { appSettings, customReminderTypes, customRoutines, customMessages, reminderHistory, waterIntake, customSounds }
+ * }
+ *
+ * customSounds maps reminder type ids to their uploaded sounds ({name, size, dataUrl})
+ */
+class BackupManager {
+    /**
+     * Create backup manager instance
+     * @param {Object} dependencies - Required dependencies
+     * @param {StorageManager} dependencies.storage - Storage manager holding the user data
+     * @param {AppSettings} dependencies.appSettings - Settings schema (migration and repair)
+     * @param {I18n} dependencies.i18n - Translations of messages and labels (defaults to shared instance)
+     */
+    constructor({ storage, appSettings, i18n }) {
+        this.storage = storage;
+        this.appSettings = appSettings || new AppSettings();
+        this.i18n = i18n || window.i18n;
+    }
+
+    /**
+     * Build an export of everything stored
+     * Sections that were never saved are left out, except settings: until
+     * they are first changed the defaults are in use, so those are exported
+     * @returns {Object} Export (see file shape above)
+     */
+    createExport() {
+        const data = {};
+        Object.keys(BACKUP_CONSTANTS.SECTIONS).forEach(key => {
+            const value = this.readSection(key);
+            if (value !== null && value !== undefined) {
+                data[key] = value;
+            }
+        });
+
+        if (!data.appSettings) {
+            data.appSettings = {
+                schemaVersion: SETTINGS_CONSTANTS.SCHEMA_VERSION,
+                ...this.appSettings.getDefaultSettings(),
+                isFirstUse: false
+            };
+        }
+
+        return {
+            format: BACKUP_CONSTANTS.FORMAT,
+            version: BACKUP_CONSTANTS.VERSION,
+            appVersion: window.APP_VERSION || null,
+            exportedAt: new Date().toISOString(),
+            data
+        };
+    }
+
+    /**
+     * Download an export as a JSON file
+     * @returns {Object} The downloaded export
+     */
+    downloadExport() {
+        const backup = this.createExport();
+        const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${BACKUP_CONSTANTS.FILE_PREFIX}-${ReminderHistory.getDayKey(new Date())}.json`;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+
+        console.log('📤 User data exported');
+        return backup;
+    }
+
+    /**
+     * Parse and validate an export file
+     * @param {string} text - File contents
+     * @returns {Object} Result {isValid, errors, backup}; backup is null when invalid
+     */
+    parseImport(text) {
+        let backup;
+        try {
+            backup = JSON.parse(text);
+        } catch (error) {
+            return { isValid: false, errors: [this.i18n.t('backup.error.notJson')], backup: null };
+        }
+
+        const errors = this.validateBackup(backup);
+        return { isValid: errors.length === 0, errors, backup: errors.length === 0 ? backup : null };
+    }
+
+    /**
+     * Validate an export
+     * @param {Object} backup - Parsed export
+     * @returns {Array<string>} Error messages (empty when valid)
+     */
+    validateBackup(backup) {
+        if (!backup || typeof backup !== 'object' || backup.format !== BACKUP_CONSTANTS.FORMAT) {
+            return [this.i18n.t('backup.error.notExport')];
+        }
+
+        if (!Number.isInteger(backup.version) || backup.version > BACKUP_CONSTANTS.VERSION) {
+            return [this.i18n.t('backup.error.newerExport')];
+        }
+
+        const data = backup.data;
+        if (!this.isObject(data)) {
+            return [this.i18n.t('backup.error.noData')];
+        }
+
+        const errors = [];
+        const { SECTIONS } = BACKUP_CONSTANTS;
+        const fail = (key, message) => errors.push(`${this.i18n.t(SECTIONS[key])}: ${message}`);
+        const t = key => this.i18n.t(key);
+
+        if (data.appSettings !== undefined) {
+            if (!this.isObject(data.appSettings)) {
+                fail('appSettings', t('backup.error.notObject'));
+            } else if (data.appSettings.schemaVersion > SETTINGS_CONSTANTS.SCHEMA_VERSION) {
+                fail('appSettings', t('backup.error.newerSettings'));
+            }
+        }
+
+        if (data.customReminderTypes !== undefined) {
+            if (!Array.isArray(data.customReminderTypes)) {
+                fail('customReminderTypes', t('backup.error.notList'));
+            } else {
+                // Register into a scratch registry so the live one is untouched
+                const registry = new ReminderTypeRegistry();
+                data.customReminderTypes.forEach(definition => {
+                    try {
+                        registry.register(definition);
+                    } catch (error) {
+                        fail('customReminderTypes', error.message);
+                    }
+                });
+            }
+        }
+
+        if (data.customRoutines !== undefined) {
+            if (!Array.isArray(data.customRoutines)) {
+                fail('customRoutines', t('backup.error.notList'));
+            } else {
+                data.customRoutines.forEach(routine => {
+                    try {
+                        RoutineLibrary.validate(routine);
+                    } catch (error) {
+                        fail('customRoutines', error.message);
+                    }
+                });
+            }
+        }
+
+        if (data.customMessages !== undefined) {
+            if (!Array.isArray(data.customMessages)) {
+                fail('customMessages', t('backup.error.notList'));
+            } else {
+                data.customMessages.forEach(message => {
+                    try {
+                        MessageLibrary.validate(message);
+                    } catch (error) {
+                        fail('customMessages', error.message);
+                    }
+                });
+            }
+        }
+
+        const history = data.reminderHistory;
+        if (history !== undefined &&
+            !(this.isObject(history) && Array.isArray(history.events) && this.isObject(history.daily))) {
+            fail('reminderHistory', t('backup.error.history'));
+        }
+
+        const intake = data.waterIntake;
+        if (intake !== undefined &&
+            !(this.isObject(intake) && this.isObject(intake.today) && typeof intake.today.dayKey === 'string' &&
+                Array.isArray(intake.today.entries) && this.isObject(intake.totals))) {
+            fail('waterIntake', t('backup.error.intake'));
+        }
+
+        if (data.customSounds !== undefined) {
+            if (!this.isObject(data.customSounds)) {
+                fail('customSounds', t('backup.error.notObject'));
+            } else {
+                Object.entries(data.customSounds).forEach(([type, sound]) => {
+                    try {
+                        SoundLibrary.validate(sound);
+                    } catch (error) {
+                        fail('customSounds', `${type}: ${error.message}`);
+                    }
+                });
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Work out the stored data an import would produce
+     * @param {Object} backup - Valid export
+     * @param {string} mode - One of BACKUP_CONSTANTS.MODES
+     * @returns {Object} Resulting data keyed like the export sections
+     */
+    resolveImport(backup, mode) {
+        const incoming = backup.data;
+        const isMerge = mode === BACKUP_CONSTANTS.MODES.MERGE;
+        const result = {};
+
+        Object.keys(BACKUP_CONSTANTS.SECTIONS).forEach(key => {
+            const current = this.readSection(key) ?? undefined;
+            const value = incoming[key];
+
+            if (value === undefined) {
+                if (isMerge && current !== undefined) result[key] = current;
+                return;
+            }
+
+            result[key] = isMerge && current !== undefined ? this.mergeSection(key, current, value) : value;
+        });
+
+        // Settings go through the schema so older exports are upgraded and repaired
+        if (result.appSettings) {
+            const { settings } = this.appSettings.repairSettings(
+                this.appSettings.migrateSettings(result.appSettings).settings
+            );
+            result.appSettings = { schemaVersion: SETTINGS_CONSTANTS.SCHEMA_VERSION, ...settings, isFirstUse: false };
+        }
+
+        return result;
+    }
+
+    /**
+     * Merge one imported section into the stored one; imported values win
+     * @param {string} key - Section key
+     * @param {*} current - Stored value
+     * @param {*} incoming - Imported value
+     * @returns {*} Merged value
+     * @private
+     */
+    mergeSection(key, current, incoming) {
+        switch (key) {
+            case 'appSettings': {
+                const merged = { ...current };
+                Object.entries(incoming).forEach(([section, value]) => {
+                    merged[section] = this.isObject(value) && this.isObject(current[section])
+                        ? { ...current[section], ...value }
+                        : value;
+                });
+                return merged;
+            }
+
+            case 'customReminderTypes':
+            case 'customRoutines':
+            case 'customMessages':
+                return this.mergeById(current, incoming);
+
+            case 'reminderHistory':
+                return {
+                    events: this.mergeUnique([...current.events, ...incoming.events], event => `${event.type}:${event.firedAt}`)
+                        .sort((a, b) => a.firedAt - b.firedAt),
+                    daily: this.mergeDays(current.daily, incoming.daily, (a, b) => ({ ...a, ...b }))
+                };
+
+            case 'waterIntake':
+                return this.mergeIntake(current, incoming);
+
+            case 'customSounds':
+                return { ...current, ...incoming };
+
+            default:
+                return incoming;
+        }
+    }
+
+    /**
+     * Merge lists of definitions by id, keeping the stored order
+     * @param {Array<Object>} current - Stored definitions
+     * @param {Array<Object>} incoming - Imported definitions
+     * @returns {Array<Object>} Merged definitions
+     * @private
+     */
+    mergeById(current, incoming) {
+        const merged = new Map(current.map(item => [item.id, item]));
+        incoming.forEach(item => merged.set(item.id, item));
+        return Array.from(merged.values());
+    }
+
+    /**
+     * Drop duplicates, keeping the last occurrence
+     * @param {Array} items - Items
+     * @param {Function} getKey - Identity of an item
+     * @returns {Array} Unique items
+     * @private
+     */
+    mergeUnique(items, getKey) {
+        return Array.from(new Map(items.map(item => [getKey(item), item])).values());
+    }
+
+    /**
+     * Merge per-day records
+     * @param {Object} current - Stored records by day key
+     * @param {Object} incoming - Imported records by day key
+     * @param {Function} combine - Combines two records of the same day
+     * @returns {Object} Merged records
+     * @private
+     */
+    mergeDays(current, incoming, combine) {
+        const merged = { ...current };
+        Object.entries(incoming).forEach(([day, value]) => {
+            merged[day] = day in merged && this.isObject(value) ? combine(merged[day], value) : value;
+        });
+        return merged;
+    }
+
+    /**
+     * Merge water intake logs
+     * Entries of the same day are combined; when the logs are for different
+     * days the later day stays open and the earlier one becomes a total
+     * @param {Object} current - Stored intake log
+     * @param {Object} incoming - Imported intake log
+     * @returns {Object} Merged intake log
+     * @private
+     */
+    mergeIntake(current, incoming) {
+        const totals = { ...current.totals, ...incoming.totals };
+        const sum = today => today.entries.reduce((total, entry) => total + entry.ml, 0);
+
+        if (current.today.dayKey === incoming.today.dayKey) {
+            const entries = this.mergeUnique([...current.today.entries, ...incoming.today.entries], entry => `${entry.at}:${entry.ml}`)
+                .sort((a, b) => a.at - b.at);
+            return { today: { dayKey: current.today.dayKey, entries }, totals };
+        }
+
+        const [earlier, later] = current.today.dayKey < incoming.today.dayKey
+            ? [current.today, incoming.today]
+            : [incoming.today, current.today];
+        if (earlier.entries.length > 0 && !(earlier.dayKey in totals)) {
+            totals[earlier.dayKey] = sum(earlier);
+        }
+        delete totals[later.dayKey];
+
+        return { today: later, totals };
+    }
+
+    /**
+     * Describe what an import would change
+     * @param {Object} backup - Valid export
+     * @param {string} mode - One of BACKUP_CONSTANTS.MODES
+     * @returns {Array<Object>} Changed sections [{key, label, changes: Array<string>}]; empty when nothing changes
+     */
+    previewImport(backup, mode) {
+        const result = this.resolveImport(backup, mode);
+        const preview = [];
+
+        Object.entries(BACKUP_CONSTANTS.SECTIONS).forEach(([key, labelKey]) => {
+            const current = this.readSection(key) ?? undefined;
+            const next = result[key];
+            if (JSON.stringify(current) === JSON.stringify(next)) return;
+
+            const changes = next === undefined ? [this.i18n.t('backup.change.removed')] : this.describeChanges(key, current, next);
+            if (changes.length > 0) {
+                preview.push({ key, label: this.i18n.t(labelKey), changes });
+            }
+        });
+
+        return preview;
+    }
+
+    /**
+     * Describe the changes to one section
+     * @param {string} key - Section key
+     * @param {*} current - Stored value (undefined when none)
+     * @param {*} next - Value after the import
+     * @returns {Array<string>} Change descriptions
+     * @private
+     */
+    describeChanges(key, current, next) {
+        switch (key) {
+            case 'appSettings':
+                return this.describeSettingsChanges(current || {}, next);
+
+            case 'customReminderTypes':
+                return this.describeListChanges(current || [], next, item => item.label);
+
+            case 'customRoutines':
+                return this.describeListChanges(current || [], next, item => item.name);
+
+            case 'customMessages':
+                return this.describeListChanges(current || [], next, item => item.text);
+
+            case 'reminderHistory':
+                return this.describeDayChanges(current?.daily || {}, next.daily,
+                    this.countEvents(next.events) - this.countEvents(current?.events));
+
+            case 'waterIntake': {
+                const days = { ...(current?.totals || {}) };
+                const nextDays = { ...next.totals };
+                if (current) days[current.today.dayKey] = current.today.entries;
+                nextDays[next.today.dayKey] = next.today.entries;
+                return this.describeDayChanges(days, nextDays, 0);
+            }
+
+            case 'customSounds': {
+                const list = sounds => Object.entries(sounds || {}).map(([id, sound]) => ({ id, ...sound }));
+                return this.describeListChanges(list(current), list(next), item => item.name);
+            }
+
+            default:
+                return [this.i18n.t('backup.change.changed')];
+        }
+    }
+
+    /**
+     * List changed settings as "section.field: old → new"
+     * @param {Object} current - Stored settings
+     * @param {Object} next - Settings after the import
+     * @returns {Array<string>} Change descriptions
+     * @private
+     */
+    describeSettingsChanges(current, next) {
+        const ignored = ['schemaVersion', 'isFirstUse'];
+        const format = value => (value !== null && typeof value === 'object' ? '…' : JSON.stringify(value));
+        const changes = [];
+
+        Object.keys({ ...current, ...next }).filter(section => !ignored.includes(section)).forEach(section => {
+            const before = current[section];
+            const after = next[section];
+
+            if (!this.isObject(before) || !this.isObject(after)) {
+                if (JSON.stringify(before) !== JSON.stringify(after)) {
+                    changes.push(`${section}: ${format(before)} → ${format(after)}`);
+                }
+                return;
+            }
+
+            Object.keys({ ...before, ...after }).forEach(field => {
+                if (JSON.stringify(before[field]) !== JSON.stringify(after[field])) {
+                    changes.push(`${section}.${field}: ${format(before[field])} → ${format(after[field])}`);
+                }
+            });
+        });
+
+        return changes;
+    }
+
+    /**
+     * List added, updated and removed definitions
+     * @param {Array<Object>} current - Stored definitions
+     * @param {Array<Object>} next - Definitions after the import
+     * @param {Function} getName - Display name of a definition
+     * @returns {Array<string>} Change descriptions
+     * @private
+     */
+    describeListChanges(current, next, getName) {
+        const before = new Map(current.map(item => [item.id, item]));
+        const after = new Map(next.map(item => [item.id, item]));
+        const names = items => items.map(getName).join(', ');
+
+        const added = next.filter(item => !before.has(item.id));
+        const updated = next.filter(item => before.has(item.id) && JSON.stringify(before.get(item.id)) !== JSON.stringify(item));
+        const removed = current.filter(item => !after.has(item.id));
+
+        return [
+            added.length > 0 ? this.i18n.t('backup.change.added', { names: names(added) }) : null,
+            updated.length > 0 ? this.i18n.t('backup.change.updated', { names: names(updated) }) : null,
+            removed.length > 0 ? this.i18n.t('backup.change.removedItems', { names: names(removed) }) : null
+        ].filter(Boolean);
+    }
+
+    /**
+     * Count added, updated and removed days
+     * @param {Object} current - Stored records by day key
+     * @param {Object} next - Records after the import
+     * @param {number} eventDelta - Change in today's individual events
+     * @returns {Array<string>} Change descriptions
+     * @private
+     */
+    describeDayChanges(current, next, eventDelta) {
+        const t = (key, count) => this.i18n.t(key, { count });
+        const days = Object.keys({ ...current, ...next });
+
+        const added = days.filter(day => !(day in current)).length;
+        const removed = days.filter(day => !(day in next)).length;
+        const updated = days.filter(day => day in current && day in next &&
+            JSON.stringify(current[day]) !== JSON.stringify(next[day])).length;
+
+        return [
+            added > 0 ? t('backup.change.daysAdded', added) : null,
+            updated > 0 ? t('backup.change.daysUpdated', updated) : null,
+            removed > 0 ? t('backup.change.daysRemoved', removed) : null,
+            eventDelta > 0 ? t('backup.change.eventsAdded', eventDelta) : null,
+            eventDelta < 0 ? t('backup.change.eventsRemoved', -eventDelta) : null
+        ].filter(Boolean);
+    }
+
+    /**
+     * Count history events
+     * @param {Array|undefined} events - Events
+     * @returns {number} Count
+     * @private
+     */
+    countEvents(events) {
+        return Array.isArray(events) ? events.length : 0;
+    }
+
+    /**
+     * Write an import to storage
+     * The page should be reloaded afterwards so every component reads the
+     * imported data
+     * @param {Object} backup - Valid export
+     * @param {string} mode - One of BACKUP_CONSTANTS.MODES
+     * @returns {boolean} Whether everything was written
+     */
+    applyImport(backup, mode) {
+        if (!this.storage) return false;
+
+        const result = this.resolveImport(backup, mode);
+        // Taken before the settings are written, so replaced types lose their sounds too
+        const soundTypes = this.getSoundTypes();
+        let success = true;
+
+        Object.keys(BACKUP_CONSTANTS.SECTIONS).forEach(key => {
+            let written;
+            if (key === 'customSounds') {
+                written = this.writeSounds(result.customSounds || {}, soundTypes);
+            } else {
+                written = key in result
+                    ? this.storage.setItem(key, result[key])
+                    : this.storage.removeItem(key);
+            }
+            success = success && written;
+        });
+
+        console.log(`📥 User data imported (${mode})`);
+        return success;
+    }
+
+    /**
+     * Read one section from storage
+     * Uploaded sounds are kept under one key per reminder type and read together
+     * @param {string} key - Section key
+     * @returns {*} Stored value, null when nothing is stored
+     * @private
+     */
+    readSection(key) {
+        if (key !== 'customSounds') {
+            return this.storage?.getItem(key) ?? null;
+        }
+
+        const sounds = {};
+        this.getSoundTypes().forEach(type => {
+            const sound = this.storage?.getItem(this.getSoundKey(type));
+            if (sound) sounds[type] = sound;
+        });
+        return Object.keys(sounds).length > 0 ? sounds : null;
+    }
+
+    /**
+     * Store imported sounds, removing the other types' uploads
+     * @param {Object} sounds - Sounds by reminder type id
+     * @param {Array<string>} types - Reminder types that may have a stored sound
+     * @returns {boolean} Whether everything was written
+     * @private
+     */
+    writeSounds(sounds, types) {
+        let success = true;
+
+        new Set([...types, ...Object.keys(sounds)]).forEach(type => {
+            const key = this.getSoundKey(type);
+            if (sounds[type]) {
+                success = this.storage.setItem(key, sounds[type]) && success;
+            } else if (this.storage.getItem(key) !== null) {
+                success = this.storage.removeItem(key) && success;
+            }
+        });
+
+        return success;
+    }
+
+    /**
+     * Get the reminder types that may have an uploaded sound
+     * Built-in types from the settings, plus the stored custom types
+     * @returns {Array<string>} Reminder type ids
+     * @private
+     */
+    getSoundTypes() {
+        const settings = {
+            ...this.appSettings.getDefaultSettings(),
+            ...(this.storage?.getItem(STORAGE_CONSTANTS.APP_SETTINGS_KEY) || {})
+        };
+        const customTypes = this.storage?.getItem(STORAGE_CONSTANTS.CUSTOM_REMINDER_TYPES_KEY);
+
+        return Array.from(new Set([
+            ...Object.keys(settings).filter(key => this.isObject(settings[key]) && 'soundTheme' in settings[key]),
+            ...(Array.isArray(customTypes) ? customTypes.map(definition => definition.id) : [])
+        ]));
+    }
+
+    /**
+     * Get the storage key of a reminder type's uploaded sound (see SoundLibrary)
+     * @param {string} type - Reminder type id
+     * @returns {string} Storage key
+     * @private
+     */
+    getSoundKey(type) {
+        return `${STORAGE_CONSTANTS.CUSTOM_SOUND_KEY_PREFIX}.${type}`;
+    }
+
+    /**
+     * Check for a plain object
+     * @param {*} value - Value
+     * @returns {boolean} Whether value is a non-array object
+     * @private
+     */
+    isObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+}
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = BackupManager;
+}
+
+// Export for browser use
+window.BackupManager = BackupManager;
@@ -0,0 +1,214 @@
+/**
+ * Clock - Time and timer source injected into timer-driven classes
+ * SystemClock uses real time; VirtualClock only moves when advanced, so
+ * countdowns, snoozes and restarts can be tested in milliseconds
+ *
+ * Interface:
+ * {
+ *   now(),                          // current timestamp in milliseconds
+ *   setTimeout(handler, ms), clearTimeout(id),
+ *   setInterval(handler, ms), clearInterval(id)
+ * }
+ */
+class SystemClock {
+    /**
+     * Get current time
+     * @returns {number} Timestamp in milliseconds
+     */
+    now() {
+        return Date.now();
+    }
+
+    /**
+     * Schedule a one-off callback
+     * @param {Function} handler - Callback
+     * @param {number} ms - Delay in milliseconds
+     * @returns {*} Timer id
+     */
+    setTimeout(handler, ms) {
+        return setTimeout(handler, ms);
+    }
+
+    /**
+     * Cancel a one-off callback
+     * @param {*} id - Timer id
+     */
+    clearTimeout(id) {
+        clearTimeout(id);
+    }
+
+    /**
+     * Schedule a repeating callback
+     * @param {Function} handler - Callback
+     * @param {number} ms - Period in milliseconds
+     * @returns {*} Timer id
+     */
+    setInterval(handler, ms) {
+        return setInterval(handler, ms);
+    }
+
+    /**
+     * Cancel a repeating callback
+     * @param {*} id - Timer id
+     */
+    clearInterval(id) {
+        clearInterval(id);
+    }
+}
+
+/**
+ * Virtual Clock - Manually advanced clock for deterministic tests
+ */
+class VirtualClock {
+    /**
+     * Create virtual clock instance
+     * @param {number} startTime - Initial timestamp in milliseconds
+     */
+    constructor(startTime = 0) {
+        this.currentTime = startTime;
+        this.timers = new Map();
+        this.nextId = 1;
+    }
+
+    /**
+     * Get current virtual time
+     * @returns {number} Timestamp in milliseconds
+     */
+    now() {
+        return this.currentTime;
+    }
+
+    /**
+     * Schedule a one-off callback
+     * @param {Function} handler - Callback
+     * @param {number} ms - Delay in milliseconds
+     * @returns {number} Timer id
+     */
+    setTimeout(handler, ms = 0) {
+        return this.addTimer(handler, ms, false);
+    }
+
+    /**
+     * Cancel a one-off callback
+     * @param {number} id - Timer id
+     */
+    clearTimeout(id) {
+        this.timers.delete(id);
+    }
+
+    /**
+     * Schedule a repeating callback
+     * @param {Function} handler - Callback
+     * @param {number} ms - Period in milliseconds
+     * @returns {number} Timer id
+     */
+    setInterval(handler, ms = 0) {
+        return this.addTimer(handler, ms, true);
+    }
+
+    /**
+     * Cancel a repeating callback
+     * @param {number} id - Timer id
+     */
+    clearInterval(id) {
+        this.timers.delete(id);
+    }
+
+    /**
+     * Register a timer
+     * @param {Function} handler - Callback
+     * @param {number} ms - Delay or period in milliseconds
+     * @param {boolean} repeat - Whether the timer repeats
+     * @returns {number} Timer id
+     * @private
+     */
+    addTimer(handler, ms, repeat) {
+        const id = this.nextId++;
+        const delay = Math.max(0, Number(ms) || 0);
+
+        this.timers.set(id, {
+            handler,
+            delay,
+            repeat,
+            dueAt: this.currentTime + delay,
+            order: id
+        });
+
+        return id;
+    }
+
+    /**
+     * Move time forward, running every timer that comes due in order
+     * Timers scheduled by callbacks run too if they fall inside the window
+     * @param {number} ms - Milliseconds to advance
+     */
+    advance(ms) {
+        const target = this.currentTime + ms;
+
+        let next = this.getNextTimer(target);
+        while (next) {
+            const [id, timer] = next;
+            this.currentTime = timer.dueAt;
+
+            if (timer.repeat) {
+                // A zero period would never let time move on
+                timer.dueAt += Math.max(1, timer.delay);
+            } else {
+                this.timers.delete(id);
+            }
+
+            timer.handler();
+            next = this.getNextTimer(target);
+        }
+
+        this.currentTime = target;
+    }
+
+    /**
+     * Jump to an absolute time, running timers on the way
+     * @param {number} timestamp - Target timestamp in milliseconds
+     */
+    advanceTo(timestamp) {
+        this.advance(Math.max(0, timestamp - this.currentTime));
+    }
+
+    /**
+     * Find the earliest timer due at or before a time
+     * @param {number} limit - Latest due time to consider
+     * @returns {Array|null} [id, timer] or null
+     * @private
+     */
+    getNextTimer(limit) {
+        let next = null;
+
+        this.timers.forEach((timer, id) => {
+            if (timer.dueAt > limit) return;
+            if (!next || timer.dueAt < next[1].dueAt ||
+                (timer.dueAt === next[1].dueAt && timer.order < next[1].order)) {
+                next = [id, timer];
+            }
+        });
+
+        return next;
+    }
+
+    /**
+     * Number of scheduled timers
+     * @returns {number}
+     */
+    get pendingCount() {
+        return this.timers.size;
+    }
+}
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { SystemClock, VirtualClock };
+}
+
+// Export for browser use
+window.SystemClock = SystemClock;
+window.VirtualClock = VirtualClock;
+
+// Shared real-time clock used when none is injected
+window.systemClock = new SystemClock();
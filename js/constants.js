@@ -19,8 +19,32 @@ const REMINDER_CONSTANTS = {
     // Snooze duration in minutes
     SNOOZE_DURATION_MINUTES: 5,
     
-    // Auto-restart delay after reminder trigger (milliseconds)
-    AUTO_RESTART_DELAY_MS: 5000
+    // Minutes a fired reminder waits for an answer before the next countdown starts
+    RESPONSE_TIMEOUT_MINUTES: 20
+};
+
+/**
+ * Reminder State Constants - states of a reminder and the moves between them
+ */
+const REMINDER_STATE_CONSTANTS = {
+    STATES: {
+        IDLE: 'idle',             // not running
+        COUNTING: 'counting',     // counting down to the next reminder
+        DUE: 'due',               // fired, waiting for the user to answer
+        SNOOZED: 'snoozed',       // counting down a snooze
+        PAUSED: 'paused',         // countdown frozen (working hours, away)
+        ESCALATING: 'escalating'  // still unanswered, or snoozed as often as allowed
+    },
+    
+    // Allowed transitions: state -> states it can move to (staying put is always allowed)
+    TRANSITIONS: {
+        idle: ['counting'],
+        counting: ['due', 'snoozed', 'paused', 'escalating', 'idle'],
+        snoozed: ['due', 'counting', 'paused', 'escalating', 'idle'],
+        due: ['counting', 'snoozed', 'paused', 'escalating', 'idle'],
+        escalating: ['counting', 'snoozed', 'paused', 'idle'],
+        paused: ['counting', 'snoozed', 'idle']
+    }
 };
 
 /**
@@ -40,6 +64,33 @@ const UI_CONSTANTS = {
 const STORAGE_CONSTANTS = {
     // Storage keys
     SETTINGS_KEY: 'officeWellnessSettings',
+    APP_SETTINGS_KEY: 'appSettings',
+    CUSTOM_REMINDER_TYPES_KEY: 'customReminderTypes',
+    REMINDER_STATE_KEY_PREFIX: 'reminderState',
+    HISTORY_KEY: 'reminderHistory',
+    WATER_INTAKE_KEY: 'waterIntake',
+    CUSTOM_ROUTINES_KEY: 'customRoutines',
+    CUSTOM_MESSAGES_KEY: 'customMessages',
+    RECENT_MESSAGES_KEY: 'recentMessages',
+    CUSTOM_SOUND_KEY_PREFIX: 'customSound',
+    
+    // Prefix of the app's localStorage keys ('wellness-reminder.<key>')
+    PREFIX: 'wellness-reminder',
+    
+    // IndexedDB backend (preferred when the browser has it)
+    INDEXED_DB: {
+        NAME: 'wellness-reminder',
+        VERSION: 1,
+        STORE: 'keyval'
+    },
+    
+    // localStorage key set once its data has moved to IndexedDB
+    MIGRATED_FLAG_KEY: 'wellness-reminder:migratedToIndexedDB',
+    
+    // Other tabs hear which keys were written (BroadcastChannel name, and the
+    // localStorage key used where BroadcastChannel is missing)
+    CHANGE_CHANNEL_NAME: 'wellness-reminder-storage',
+    CHANGE_STORAGE_KEY: 'wellness-reminder:storageChange',
     
     // Session storage keys
     FORCE_REFRESH_FLAG: 'forceRefreshFlag'
@@ -53,14 +104,249 @@ const DEMO_CONSTANTS = {
     WATER_START_DELAY_MS: 0,        // Start water reminder immediately
     STANDUP_START_DELAY_MS: 10000,  // Start standup reminder after 10 seconds
     
-    // Demo status messages
+    // Demo status message keys
     STATUS_MESSAGES: {
-        READY: 'Click Demo to see how reminders work',
-        STARTING: 'Demo starting...',
-        WATER_STARTING: 'Starting water reminder (FOR DEMO PURPOSE - 30s interval)',
-        STANDUP_STARTING: 'Starting standup reminder (FOR DEMO PURPOSE - 30s interval)',
-        RUNNING: 'Demo running - watch for notifications!',
-        COMPLETED: 'Demo completed - reminders reset to normal'
+        READY: 'demo.status.ready',
+        STARTING: 'demo.status.starting',
+        WATER_STARTING: 'demo.status.waterStarting',
+        STANDUP_STARTING: 'demo.status.standupStarting',
+        RUNNING: 'demo.status.running',
+        COMPLETED: 'demo.status.completed'
+    }
+};
+
+/**
+ * Reminder History Constants
+ */
+const HISTORY_CONSTANTS = {
+    // Recorded reminder outcomes
+    OUTCOMES: {
+        DONE: 'done',
+        SNOOZED: 'snoozed',
+        IGNORED: 'ignored'
+    },
+    
+    // Days of per-day aggregates kept in storage
+    RETENTION_DAYS: 365,
+    
+    // Modal auto-dismiss delay; an unanswered reminder counts as ignored (milliseconds)
+    MODAL_AUTO_HIDE_MS: 30000
+};
+
+/**
+ * Snooze Constants
+ */
+const SNOOZE_CONSTANTS = {
+    // Choices offered in the snooze menu (minutes)
+    OPTIONS_MINUTES: [5, 10, 15],
+    
+    // "After my meeting" snoozes until the next half or full hour,
+    // skipping one that is less than MEETING_MIN_MINUTES away
+    MEETING_OPTION: 'meeting',
+    MEETING_ROUND_MINUTES: 30,
+    MEETING_MIN_MINUTES: 10,
+    
+    // Consecutive snoozes allowed before the reminder escalates (0 disables snoozing)
+    DEFAULT_MAX_SNOOZES: 3,
+    MAX_SNOOZES_RANGE: { MIN: 0, MAX: 10 }
+};
+
+/**
+ * Escalation Constants - what happens while a reminder goes unanswered
+ */
+const ESCALATION_CONSTANTS = {
+    // Escalation actions
+    ACTIONS: {
+        REALERT: 'realert',         // show the notification and play the sound again
+        LOUD_SOUND: 'loud-sound',   // louder sound, repeated
+        PERSISTENT: 'persistent',   // browser notification that stays until clicked
+        FLASH_TITLE: 'flash-title'  // flash the tab title
+    },
+    
+    // Default steps, in minutes after the reminder fired
+    DEFAULT_STEPS: [
+        { action: 'realert', afterMinutes: 2 },
+        { action: 'loud-sound', afterMinutes: 5 },
+        { action: 'persistent', afterMinutes: 10 },
+        { action: 'flash-title', afterMinutes: 15 }
+    ],
+    
+    // Loud sound: oscillator gain, audio file volume, number of plays and gap between them
+    LOUD_SOUND: { GAIN: 0.3, FILE_VOLUME: 1, REPEAT: 3, GAP_MS: 1500 },
+    
+    // Tab title flashing
+    TITLE_FLASH_MS: 1000,
+    TITLE_PREFIX: '⏰ '
+};
+
+/**
+ * Water Intake Tracking Constants
+ */
+const WATER_INTAKE_CONSTANTS = {
+    // Default daily hydration goal and cup size (millilitres)
+    DEFAULT_GOAL_ML: 2000,
+    DEFAULT_CUP_ML: 250,
+    
+    // Allowed ranges for user settings (millilitres)
+    GOAL_RANGE_ML: { MIN: 250, MAX: 10000 },
+    CUP_RANGE_ML: { MIN: 50, MAX: 2000 },
+    
+    // Quick-log amounts offered on the water card (millilitres)
+    QUICK_ADD_ML: [250, 500],
+    
+    // Interval once the goal is met (minutes); null keeps the normal interval
+    DEFAULT_GOAL_MET_INTERVAL_MINUTES: 60,
+    
+    // Adaptive interval from intake pace: bounds (minutes), how much the
+    // interval changes per cup ahead or behind, and the day used when
+    // working hours are not enabled
+    ADAPTIVE: {
+        DEFAULT_MIN_INTERVAL_MINUTES: 15,
+        DEFAULT_MAX_INTERVAL_MINUTES: 60,
+        PACE_STEP_PER_CUP: 0.25,
+        FALLBACK_DAY_START: '09:00',
+        FALLBACK_DAY_END: '18:00'
+    },
+    
+    // Where an intake entry came from
+    SOURCES: {
+        REMINDER: 'reminder',
+        QUICK_ADD: 'quick-add'
+    }
+};
+
+/**
+ * Guided Standup Routine Constants
+ */
+const ROUTINE_CONSTANTS = {
+    // Routine ids follow the same rules as reminder type ids
+    ID_PATTERN: /^[a-z][a-z0-9-]{0,31}$/,
+    
+    // Limits for user-defined routines
+    MAX_STEPS: 20,
+    STEP_DURATION_RANGE_SEC: { MIN: 5, MAX: 600 },
+    
+    // Step timer refresh (milliseconds)
+    TICK_MS: 250
+};
+
+/**
+ * Reminder Message Constants
+ */
+const MESSAGE_CONSTANTS = {
+    // Message ids follow the same rules as routine ids (unique per reminder type)
+    ID_PATTERN: /^[a-z][a-z0-9-]{0,31}$/,
+    
+    // Times of day a message can be written for (hours, local time; night wraps past midnight)
+    TIMES_OF_DAY: {
+        morning: { START_HOUR: 5, END_HOUR: 12 },
+        afternoon: { START_HOUR: 12, END_HOUR: 17 },
+        evening: { START_HOUR: 17, END_HOUR: 22 },
+        night: { START_HOUR: 22, END_HOUR: 5 }
+    },
+    
+    // Messages written for the current time of day are this many times more likely
+    TIME_OF_DAY_BOOST: 3,
+    
+    // A message is not shown again until this many others have been shown
+    RECENT_COUNT: 3,
+    
+    // Limits for user-written messages
+    MAX_LENGTH: 200,
+    WEIGHT_RANGE: { MIN: 1, MAX: 10 },
+    DEFAULT_WEIGHT: 1
+};
+
+/**
+ * Activity Monitor Constants
+ */
+const ACTIVITY_CONSTANTS = {
+    // No input for this long means the user is away (milliseconds)
+    DEFAULT_IDLE_THRESHOLD_MS: 5 * 60 * 1000,
+    
+    // Idle thresholds offered in settings (minutes)
+    IDLE_THRESHOLD_RANGE_MINUTES: { MIN: 1, MAX: 60 },
+    
+    // How often presence is re-evaluated (milliseconds)
+    CHECK_INTERVAL_MS: 15 * 1000,
+    
+    // A following tab passes input on to the leading tab at most this often (milliseconds)
+    REPORT_INTERVAL_MS: 10 * 1000,
+    
+    // Idle Detection API refuses thresholds below one minute (milliseconds)
+    MIN_IDLE_DETECTOR_THRESHOLD_MS: 60 * 1000,
+    
+    // Input events that count as activity
+    ACTIVITY_EVENTS: ['mousemove', 'mousedown', 'keydown', 'wheel', 'touchstart'],
+    
+    // Pause reason used on reminders while the user is away
+    PAUSE_REASON: 'away'
+};
+
+/**
+ * Statistics Dashboard Constants
+ */
+const STATS_CONSTANTS = {
+    // Selectable ranges (days)
+    RANGES: {
+        WEEK: 7,
+        MONTH: 30
+    },
+    
+    // Reminders an hour needs before it is ranked best/worst
+    MIN_HOUR_SAMPLES: 3,
+    
+    // SVG chart geometry (viewBox units)
+    CHART: {
+        WIDTH: 320,
+        HEIGHT: 140,
+        LABEL_HEIGHT: 18,
+        BAR_GAP: 4
+    }
+};
+
+/**
+ * Working Hours Schedule Constants
+ */
+const SCHEDULE_CONSTANTS = {
+    // Weekday keys indexed by Date.getDay()
+    DAY_KEYS: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'],
+    
+    // Pause reason used when outside working hours
+    PAUSE_REASON: 'schedule',
+    
+    // Default schedule: Mon-Fri 09:00-18:00 with a lunch break (off until enabled)
+    DEFAULT_SCHEDULE: {
+        enabled: false,
+        days: {
+            mon: { start: '09:00', end: '18:00', breaks: [{ start: '12:00', end: '13:00' }] },
+            tue: { start: '09:00', end: '18:00', breaks: [{ start: '12:00', end: '13:00' }] },
+            wed: { start: '09:00', end: '18:00', breaks: [{ start: '12:00', end: '13:00' }] },
+            thu: { start: '09:00', end: '18:00', breaks: [{ start: '12:00', end: '13:00' }] },
+            fri: { start: '09:00', end: '18:00', breaks: [{ start: '12:00', end: '13:00' }] },
+            sat: null,
+            sun: null
+        }
+    }
+};
+
+/**
+ * Reminder Type Registry Constants
+ */
+const REMINDER_TYPE_CONSTANTS = {
+    // Allowed reminder type ids (used in DOM ids and storage keys)
+    ID_PATTERN: /^[a-z][a-z0-9-]{0,31}$/,
+    
+    // Ids that collide with top-level settings keys
+    RESERVED_IDS: ['schedule', 'notifications', 'appearance', 'activity'],
+    
+    // Defaults applied to custom reminder type definitions
+    DEFAULTS: {
+        EMOJI: '⏰',
+        ICON: 'assets/default-icon.png',
+        COLOR: '#7f8c8d',
+        SOUND_FILE: 'assets/notification.mp3',
+        TONE: { wave: 'sine', frequencies: [700], stepMs: 200, decay: false }
     }
 };
 
@@ -74,16 +360,186 @@ const NOTIFICATION_CONSTANTS = {
         STANDUP: 'standup'
     },
     
-    // Notification messages
+    // Notification styles: title and message, title only, or message plus
+    // reminder details (interval, snoozes, progress)
+    STYLES: {
+        STANDARD: 'standard',
+        MINIMAL: 'minimal',
+        DETAILED: 'detailed'
+    }
+};
+
+/**
+ * Sound Constants
+ */
+const SOUND_CONSTANTS = {
+    // Sound themes a reminder type can use; DEFAULT plays the type's own tone
+    // and CUSTOM the file uploaded for it
+    THEMES: {
+        DEFAULT: 'default',
+        CHIME: 'chime',
+        SOFT_BELL: 'soft-bell',
+        MELODY: 'melody',
+        CUSTOM: 'custom'
+    },
+    
+    // Synthesized tones of the built-in themes (same shape as reminder type tones)
+    TONES: {
+        chime: { wave: 'sine', frequencies: [1319, 1568, 2093], stepMs: 160, decay: true },
+        'soft-bell': { wave: 'triangle', frequencies: [880], stepMs: 900, decay: true },
+        melody: { wave: 'triangle', frequencies: [523, 659, 784, 1047], stepMs: 160, decay: false }
+    },
+    
+    // Volume setting in percent, and the levels it scales
+    VOLUME_RANGE: { MIN: 0, MAX: 100 },
+    DEFAULT_VOLUME: 70,
+    GAIN: 0.15,       // Web Audio gain at full volume (escalation uses ESCALATION_CONSTANTS.LOUD_SOUND)
+    FILE_VOLUME: 0.7, // audio element volume at full volume
+    
+    // Uploaded sounds, one per reminder type (stored as data URLs)
+    MAX_UPLOAD_BYTES: 1024 * 1024
+};
+
+/**
+ * Backup (Export/Import) Constants
+ */
+const BACKUP_CONSTANTS = {
+    // Marks a file as a Hydrate Move export
+    FORMAT: 'hydrate-move-backup',
+    
+    // Version of the export file layout
+    VERSION: 1,
+    
+    // Downloaded file name, followed by the date
+    FILE_PREFIX: 'hydrate-move-backup',
+    
+    // How an import combines with the data already stored
+    MODES: {
+        MERGE: 'merge', // imported values win, everything else is kept
+        REPLACE: 'replace' // stored data is replaced by the file
+    },
+    
+    // Exported storage keys and the message keys of their labels in the import preview
+    // (customSounds gathers the customSound.<type> keys, by reminder type)
+    SECTIONS: {
+        appSettings: 'backup.section.appSettings',
+        customReminderTypes: 'backup.section.customReminderTypes',
+        customRoutines: 'backup.section.customRoutines',
+        customMessages: 'backup.section.customMessages',
+        reminderHistory: 'backup.section.reminderHistory',
+        waterIntake: 'backup.section.waterIntake',
+        customSounds: 'backup.section.customSounds'
+    }
+};
+
+/**
+ * Settings Panel Constants
+ */
+const SETTINGS_CONSTANTS = {
+    // Version of the persisted settings shape (see SETTINGS_MIGRATIONS in app-settings.js)
+    SCHEMA_VERSION: 2,
+    
+    // Reminder interval range in minutes
+    INTERVAL_RANGE_MINUTES: { MIN: 1, MAX: 120 },
+    
+    // Interface languages offered in the settings panel, each named in its own
+    // language; I18N_CONSTANTS.AUTO follows the browser instead
+    LANGUAGES: {
+        'en-US': 'English',
+        'zh-CN': '简体中文'
+    }
+};
+
+/**
+ * Internationalisation Constants
+ * Messages live in the js/locale-*.js catalogs
+ */
+const I18N_CONSTANTS = {
+    // Catalog used for missing translations and unsupported browser languages
+    DEFAULT_LOCALE: 'en-US',
+    
+    // Language setting that follows the browser's preferred languages
+    AUTO: 'auto',
+    
+    // Attributes translated by I18n#translatePage from data-i18n-<attribute>
+    PAGE_ATTRIBUTES: ['aria-label', 'title', 'placeholder']
+};
+
+/**
+ * Service Worker Constants - notifications shown through the service worker
+ * service-worker.js cannot load this file and repeats the message and action names
+ */
+const SERVICE_WORKER_CONSTANTS = {
+    SCRIPT_URL: './service-worker.js',
+    
+    // Message posted by the worker when a notification is clicked
+    ACTION_MESSAGE: 'notification-action',
+    
+    // Message posted to a waiting worker when the user accepts an update
+    SKIP_WAITING_MESSAGE: 'skip-waiting',
+    
+    // Notification actions ('open' is a click on the notification body)
+    ACTIONS: {
+        DONE: 'done',
+        SNOOZE: 'snooze',
+        OPEN: 'open'
+    },
+    
+    // One notification per reminder type
+    TAG_PREFIX: 'wellness-reminder-'
+};
+
+/**
+ * Multi-Tab Constants
+ * One open tab leads and runs the reminder timers; the others follow it
+ */
+const TAB_CONSTANTS = {
+    // BroadcastChannel name, and the localStorage key used where BroadcastChannel is missing
+    CHANNEL_NAME: 'wellness-reminder-tabs',
+    STORAGE_KEY: 'wellness-reminder:tabMessage',
+    
+    // The leader announces itself (with its reminder state) this often
+    HEARTBEAT_MS: 2000,
+    
+    // Followers take over when the leader has been silent this long
+    LEASE_MS: 6000,
+    
+    // A tab claiming the lead waits this long for an objection
+    CLAIM_TIMEOUT_MS: 300,
+    
+    ROLES: {
+        CANDIDATE: 'candidate',
+        LEADER: 'leader',
+        FOLLOWER: 'follower'
+    },
+    
     MESSAGES: {
-        WATER: {
-            TITLE: '💧 Time to Hydrate!',
-            BODY: 'Long work sessions can lead to dehydration, remember to drink water!'
-        },
-        STANDUP: {
-            TITLE: '🧘 Time to Stand Up!',
-            BODY: 'Sitting too long is bad for your health, get up and move around!'
-        }
+        CLAIM: 'claim',
+        HEARTBEAT: 'heartbeat',
+        RESIGN: 'resign',
+        COMMAND: 'command',
+        BROADCAST: 'broadcast'
+    },
+    
+    // Reminder commands a follower sends to the leader
+    COMMANDS: {
+        START: 'start',
+        STOP: 'stop',
+        ANSWER: 'answer', // Done or Snooze
+        LOG_INTAKE: 'log-intake',
+        SET_ROUTINE: 'set-routine',
+        ACTIVITY: 'activity' // Input seen in a following tab
+    },
+    
+    // Changes shared with every other tab
+    BROADCASTS: {
+        SETTINGS: 'settings',
+        REMINDER_TYPE_ADDED: 'reminder-type-added',
+        REMINDER_TYPE_REMOVED: 'reminder-type-removed',
+        MESSAGE_ADDED: 'message-added',
+        MESSAGE_REMOVED: 'message-removed',
+        SOUND_ADDED: 'sound-added',
+        SOUND_REMOVED: 'sound-removed'
     }
 };
 
@@ -94,7 +550,24 @@ if (typeof module !== 'undefined' && module.exports) {
         UI_CONSTANTS,
         STORAGE_CONSTANTS,
         DEMO_CONSTANTS,
-        NOTIFICATION_CONSTANTS
+        HISTORY_CONSTANTS,
+        REMINDER_STATE_CONSTANTS,
+        SNOOZE_CONSTANTS,
+        ESCALATION_CONSTANTS,
+        WATER_INTAKE_CONSTANTS,
+        ROUTINE_CONSTANTS,
+        MESSAGE_CONSTANTS,
+        ACTIVITY_CONSTANTS,
+        STATS_CONSTANTS,
+        SCHEDULE_CONSTANTS,
+        REMINDER_TYPE_CONSTANTS,
+        NOTIFICATION_CONSTANTS,
+        SOUND_CONSTANTS,
+        SETTINGS_CONSTANTS,
+        I18N_CONSTANTS,
+        BACKUP_CONSTANTS,
+        SERVICE_WORKER_CONSTANTS,
+        TAB_CONSTANTS
     };
 }
 
@@ -103,4 +576,21 @@ window.REMINDER_CONSTANTS = REMINDER_CONSTANTS;
 window.UI_CONSTANTS = UI_CONSTANTS;
 window.STORAGE_CONSTANTS = STORAGE_CONSTANTS;
 window.DEMO_CONSTANTS = DEMO_CONSTANTS;
-window.NOTIFICATION_CONSTANTS = NOTIFICATION_CONSTANTS;
\ No newline at end of file
+window.HISTORY_CONSTANTS = HISTORY_CONSTANTS;
+window.REMINDER_STATE_CONSTANTS = REMINDER_STATE_CONSTANTS;
+window.SNOOZE_CONSTANTS = SNOOZE_CONSTANTS;
+window.ESCALATION_CONSTANTS = ESCALATION_CONSTANTS;
+window.WATER_INTAKE_CONSTANTS = WATER_INTAKE_CONSTANTS;
+window.ROUTINE_CONSTANTS = ROUTINE_CONSTANTS;
+window.MESSAGE_CONSTANTS = MESSAGE_CONSTANTS;
+window.ACTIVITY_CONSTANTS = ACTIVITY_CONSTANTS;
+window.STATS_CONSTANTS = STATS_CONSTANTS;
+window.SCHEDULE_CONSTANTS = SCHEDULE_CONSTANTS;
+window.REMINDER_TYPE_CONSTANTS = REMINDER_TYPE_CONSTANTS;
+window.NOTIFICATION_CONSTANTS = NOTIFICATION_CONSTANTS;
+window.SOUND_CONSTANTS = SOUND_CONSTANTS;
+window.SETTINGS_CONSTANTS = SETTINGS_CONSTANTS;
+window.I18N_CONSTANTS = I18N_CONSTANTS;
+window.BACKUP_CONSTANTS = BACKUP_CONSTANTS;
+window.SERVICE_WORKER_CONSTANTS = SERVICE_WORKER_CONSTANTS;
+window.TAB_CONSTANTS = TAB_CONSTANTS;
\ No newline at end of file
@@ -15,8 +15,12 @@ class DemoController {
      * @param {WaterReminder} dependencies.waterReminder - Water reminder instance
      * @param {StandupReminder} dependencies.standupReminder - Standup reminder instance
      * @param {UIController} dependencies.uiController - UI controller instance
+     * @param {SystemClock|VirtualClock} dependencies.clock - Timer source (defaults to real time)
+     * @param {I18n} dependencies.i18n - Translations (defaults to shared instance)
      */
-    constructor({ waterReminder, standupReminder, uiController }) {
+    constructor({ waterReminder, standupReminder, uiController, clock, i18n }) {
+        this.clock = clock || window.systemClock || new SystemClock();
+        this.i18n = i18n || window.i18n;
         this.waterReminder = waterReminder;
         this.standupReminder = standupReminder;
         this.uiController = uiController;
@@ -24,9 +28,18 @@ class DemoController {
         // Demo state
         this.isRunning = false;
         this.timeouts = [];
+        this.status = 'READY'; // key of the status shown, re-rendered on language change
         
         // Store original intervals for restoration
         this.originalIntervals = {
+            water: null,
+            standup: null,
+            waterGoalMet: null, // longer interval after the daily water goal
+            waterAdaptive: null // intake-paced water interval
+        };
+        
+        // Working hours schedule detached while the demo runs
+        this.originalSchedules = {
             water: null,
             standup: null
         };
@@ -54,6 +67,9 @@ class DemoController {
             // Store original intervals
             this.storeOriginalIntervals();
             
+            // Demo must run regardless of working hours
+            this.detachSchedules();
+            
             // Stop any existing reminders
             this.stopAllReminders();
             
@@ -66,7 +82,7 @@ class DemoController {
         } catch (error) {
             console.error('Demo failed:', error);
             this.stopDemo();
-            this.showError('Demo failed to start. Please try again.');
+            this.showError(this.i18n.t('demo.failedToStart'));
         }
     }
 
@@ -90,6 +106,9 @@ class DemoController {
         // Restore original intervals
         this.restoreOriginalIntervals();
         
+        // Restore working hours schedule
+        this.restoreSchedules();
+        
         // Update UI
         this.updateDemoStatus('COMPLETED');
         
@@ -150,6 +169,8 @@ class DemoController {
     storeOriginalIntervals() {
         this.originalIntervals.water = this.waterReminder.settings.interval;
         this.originalIntervals.standup = this.standupReminder.settings.interval;
+        this.originalIntervals.waterGoalMet = this.waterReminder.settings.goalMetInterval ?? null;
+        this.originalIntervals.waterAdaptive = this.waterReminder.settings.adaptive ?? null;
         
         console.log('💾 Original intervals stored:', this.originalIntervals);
     }
@@ -163,6 +184,8 @@ class DemoController {
         const demoIntervalMinutes = REMINDER_CONSTANTS.DEMO_INTERVAL_SECONDS / 60;
         
         this.waterReminder.settings.interval = demoIntervalMinutes;
+        this.waterReminder.settings.goalMetInterval = null; // keep 30s cycle even when the goal is met
+        this.waterReminder.settings.adaptive = false;
         this.waterReminder.timeRemaining = REMINDER_CONSTANTS.DEMO_INTERVAL_SECONDS * 1000;
         
         this.standupReminder.settings.interval = demoIntervalMinutes;
@@ -179,6 +202,8 @@ class DemoController {
         if (this.originalIntervals.water !== null) {
             this.waterReminder.settings.interval = this.originalIntervals.water;
             this.waterReminder.timeRemaining = this.originalIntervals.water * 60 * 1000;
+            this.waterReminder.settings.goalMetInterval = this.originalIntervals.waterGoalMet;
+            this.waterReminder.settings.adaptive = this.originalIntervals.waterAdaptive;
         }
         
         if (this.originalIntervals.standup !== null) {
@@ -189,6 +214,30 @@ class DemoController {
         console.log('🔄 Original intervals restored:', this.originalIntervals);
     }
 
+    /**
+     * Detach working hours schedules so demo reminders are never paused
+     * @private
+     */
+    detachSchedules() {
+        this.originalSchedules.water = this.waterReminder.schedule;
+        this.originalSchedules.standup = this.standupReminder.schedule;
+        
+        this.waterReminder.schedule = null;
+        this.standupReminder.schedule = null;
+    }
+
+    /**
+     * Restore working hours schedules after demo
+     * @private
+     */
+    restoreSchedules() {
+        this.waterReminder.schedule = this.originalSchedules.water;
+        this.standupReminder.schedule = this.originalSchedules.standup;
+        
+        this.originalSchedules.water = null;
+        this.originalSchedules.standup = null;
+    }
+
     /**
      * Stop all active reminders
      * @private
@@ -208,7 +257,8 @@ class DemoController {
      * @private
      */
     updateDemoStatus(statusKey) {
-        const message = DEMO_CONSTANTS.STATUS_MESSAGES[statusKey] || statusKey;
+        this.status = statusKey;
+        const message = this.i18n.t(DEMO_CONSTANTS.STATUS_MESSAGES[statusKey] || statusKey);
         
         // Update demo status element if it exists
         const statusElement = document.getElementById('demo-status');
@@ -220,6 +270,22 @@ class DemoController {
         console.log('📢 Demo status:', message);
     }
 
+    /**
+     * Show the current status and button text in the current language
+     * @public
+     */
+    localize() {
+        const statusElement = document.getElementById('demo-status');
+        if (statusElement) {
+            statusElement.textContent = this.i18n.t(DEMO_CONSTANTS.STATUS_MESSAGES[this.status] || this.status);
+        }
+
+        const demoBtn = document.getElementById('demo-btn');
+        if (demoBtn) {
+            demoBtn.textContent = this.i18n.t(this.isRunning ? 'header.stopDemo' : 'header.demo');
+        }
+    }
+
     /**
      * Set timeout with tracking for cleanup
      * @param {Function} callback - Callback function
@@ -227,7 +293,7 @@ class DemoController {
      * @private
      */
     setTimeout(callback, delay) {
-        const timeoutId = setTimeout(() => {
+        const timeoutId = this.clock.setTimeout(() => {
             // Remove from tracking array
             const index = this.timeouts.indexOf(timeoutId);
             if (index > -1) {
@@ -246,7 +312,7 @@ class DemoController {
      */
     clearAllTimeouts() {
         this.timeouts.forEach(timeoutId => {
-            clearTimeout(timeoutId);
+            this.clock.clearTimeout(timeoutId);
         });
         this.timeouts = [];
     }
@@ -259,7 +325,7 @@ class DemoController {
     showError(message) {
         console.error('Demo error:', message);
         // Simple alert for MVP - could be enhanced with better UI
-        alert(`Demo Error: ${message}`);
+        alert(this.i18n.t('demo.error', { message }));
     }
 
     /**
@@ -278,7 +344,7 @@ class DemoController {
     resetDemoButton() {
         const demoBtn = document.getElementById('demo-btn');
         if (demoBtn) {
-            demoBtn.textContent = 'Demo';
+            demoBtn.textContent = this.i18n.t('header.demo');
             demoBtn.className = 'btn-demo';
         }
     }
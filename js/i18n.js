@@ -0,0 +1,234 @@
+/**
+ * I18n - Translated messages, plural forms and locale-aware formatting
+ * Messages come from the catalogs registered by js/locale-*.js in
+ * window.LOCALE_MESSAGES, keyed by locale. The language follows the
+ * browser's preferred languages unless the user picks one in the settings
+ * (appearance.language).
+ *
+ * Messages:
+ * - Placeholders in braces are filled from params: t('card.nextAt', {time: '14:20'})
+ * - Plural messages are objects keyed by Intl.PluralRules category
+ *   ({one, other}) and pick their form from params.count
+ * - Keys missing from the current catalog fall back to the default
+ *   locale, then to the key itself
+ *
+ * Static page text is marked with data-i18n="key" (text) and
+ * data-i18n-<attribute>="key" (see I18N_CONSTANTS.PAGE_ATTRIBUTES)
+ */
+class I18n {
+    /**
+     * Create i18n instance
+     * @param {Object} options - I18n options
+     * @param {Object} options.catalogs - Messages keyed by locale (defaults to window.LOCALE_MESSAGES)
+     * @param {Array<string>} options.languages - Preferred languages, most preferred first (defaults to the browser's)
+     */
+    constructor(options = {}) {
+        this.catalogs = options.catalogs || window.LOCALE_MESSAGES || {};
+        this.languages = options.languages || I18n.getBrowserLanguages();
+        this.preference = I18N_CONSTANTS.AUTO; // language setting, or AUTO
+        this.locale = I18n.matchLocale(this.languages, this.getSupportedLocales());
+        this.formatters = new Map(); // Intl formatters for the current locale
+    }
+
+    /**
+     * Get the browser's preferred languages
+     * @returns {Array<string>} Language tags, most preferred first
+     */
+    static getBrowserLanguages() {
+        if (typeof navigator === 'undefined' || !navigator) return [];
+
+        if (Array.isArray(navigator.languages) && navigator.languages.length > 0) {
+            return Array.from(navigator.languages);
+        }
+
+        return navigator.language ? [navigator.language] : [];
+    }
+
+    /**
+     * Pick the supported locale that best matches the preferred languages
+     * An exact match wins; otherwise the first supported locale of the same
+     * language (zh-TW and zh get zh-CN, en-GB gets en-US)
+     * @param {Array<string>} languages - Preferred language tags, most preferred first
+     * @param {Array<string>} supported - Available locales
+     * @returns {string} Matching locale, or the default locale
+     */
+    static matchLocale(languages, supported) {
+        const byTag = new Map(supported.map(locale => [locale.toLowerCase(), locale]));
+        const languageOf = tag => tag.toLowerCase().split('-')[0];
+
+        for (const tag of languages) {
+            if (typeof tag !== 'string' || !tag) continue;
+
+            const exact = byTag.get(tag.toLowerCase());
+            if (exact) return exact;
+
+            const sameLanguage = supported.find(locale => languageOf(locale) === languageOf(tag));
+            if (sameLanguage) return sameLanguage;
+        }
+
+        return I18N_CONSTANTS.DEFAULT_LOCALE;
+    }
+
+    /**
+     * Get locales with a message catalog
+     * @returns {Array<string>} Locales
+     */
+    getSupportedLocales() {
+        return Object.keys(this.catalogs);
+    }
+
+    /**
+     * Switch language
+     * @param {string} preference - Locale, or I18N_CONSTANTS.AUTO to follow the browser
+     * @returns {boolean} Whether the locale changed
+     */
+    setLanguage(preference) {
+        const supported = this.getSupportedLocales();
+        const locale = preference !== I18N_CONSTANTS.AUTO && supported.includes(preference)
+            ? preference
+            : I18n.matchLocale(this.languages, supported);
+
+        if (preference !== I18N_CONSTANTS.AUTO && locale !== preference) {
+            console.warn(`No messages for language ${preference} - using ${locale}`);
+        }
+
+        this.preference = preference;
+        if (locale === this.locale) return false;
+
+        this.locale = locale;
+        this.formatters.clear();
+        console.log(`🌐 Language: ${locale}`);
+        return true;
+    }
+
+    /**
+     * Translate a message
+     * @param {string} key - Message key
+     * @param {Object} params - Placeholder values; `count` also picks the plural form
+     * @returns {string} Translated text (the key itself when no catalog has it)
+     */
+    t(key, params = {}) {
+        let message = this.lookup(key);
+        if (message === undefined) {
+            console.warn(`Missing message: ${key}`);
+            return key;
+        }
+
+        if (message && typeof message === 'object') {
+            message = this.selectPlural(params.count, message);
+        }
+
+        return String(message).replace(/\{(\w+)\}/g, (placeholder, name) => (
+            params[name] !== undefined && params[name] !== null ? String(params[name]) : placeholder
+        ));
+    }
+
+    /**
+     * Check whether a message exists in the current or the default catalog
+     * @param {string} key - Message key
+     * @returns {boolean}
+     */
+    has(key) {
+        return this.lookup(key) !== undefined;
+    }
+
+    /**
+     * Find a message in the current catalog, then the default one
+     * @param {string} key - Message key
+     * @returns {string|Object|undefined} Message or plural forms
+     * @private
+     */
+    lookup(key) {
+        const current = this.catalogs[this.locale] || {};
+        if (Object.prototype.hasOwnProperty.call(current, key)) return current[key];
+
+        const fallback = this.catalogs[I18N_CONSTANTS.DEFAULT_LOCALE] || {};
+        return Object.prototype.hasOwnProperty.call(fallback, key) ? fallback[key] : undefined;
+    }
+
+    /**
+     * Pick the plural form for a count
+     * @param {number} count - Count deciding the form
+     * @param {Object} forms - Forms keyed by plural category, at least `other`
+     * @returns {string} Form for the current locale
+     */
+    selectPlural(count, forms) {
+        const category = this.getFormatter('plural', () => new Intl.PluralRules(this.locale)).select(Number(count) || 0);
+        return forms[category] ?? forms.other ?? forms.one ?? '';
+    }
+
+    /**
+     * Format a time of day, e.g. "14:20"
+     * @param {Date|number} date - Date or timestamp
+     * @returns {string} 24-hour time in the current locale
+     */
+    formatTime(date) {
+        return this.getFormatter('time', () => new Intl.DateTimeFormat(this.locale, {
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        })).format(date);
+    }
+
+    /**
+     * Format a short weekday name, e.g. "Mon" or "周一"
+     * @param {Date|number} date - Date or timestamp
+     * @returns {string} Weekday in the current locale
+     */
+    formatWeekday(date) {
+        return this.getFormatter('weekday', () => new Intl.DateTimeFormat(this.locale, { weekday: 'short' })).format(date);
+    }
+
+    /**
+     * Format a number with at least two digits and no grouping, as in clocks and countdowns
+     * @param {number} value - Whole number
+     * @returns {string} Padded number in the current locale
+     */
+    formatTwoDigits(value) {
+        return this.getFormatter('twoDigits', () => new Intl.NumberFormat(this.locale, {
+            minimumIntegerDigits: 2,
+            useGrouping: false
+        })).format(value);
+    }
+
+    /**
+     * Get a cached Intl formatter for the current locale
+     * @param {string} name - Formatter name
+     * @param {Function} create - Creates the formatter
+     * @returns {Object} Formatter
+     * @private
+     */
+    getFormatter(name, create) {
+        if (!this.formatters.has(name)) {
+            this.formatters.set(name, create());
+        }
+        return this.formatters.get(name);
+    }
+
+    /**
+     * Translate the static text marked in the page
+     * @param {ParentNode} root - Element or document to translate
+     */
+    translatePage(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+
+        I18N_CONSTANTS.PAGE_ATTRIBUTES.forEach(attribute => {
+            root.querySelectorAll(`[data-i18n-${attribute}]`).forEach(element => {
+                element.setAttribute(attribute, this.t(element.getAttribute(`data-i18n-${attribute}`)));
+            });
+        });
+    }
+}
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = I18n;
+}
+
+// Export for browser use
+window.I18n = I18n;
+
+// Shared instance used by all components
+window.i18n = new I18n();
@@ -0,0 +1,350 @@
+/**
+ * English (United States) messages - the default locale
+ * Every key must also exist in the other catalogs (test/i18n.test.js
+ * checks this). Plural messages list a form per Intl.PluralRules category;
+ * placeholders in braces are filled by I18n#t
+ */
+const LOCALE_EN_US = {
+    // Header and demo
+    'header.subtitle': 'Office Wellness Reminder - Maintain Healthy Work Habits',
+    'header.demo': 'Demo',
+    'header.stopDemo': 'Stop Demo',
+    'header.demoLabel': 'Start demo mode to see how reminders work',
+    'header.stats': 'Stats',
+    'header.statsLabel': 'Show weekly and monthly reminder statistics',
+    'header.settings': 'Settings',
+    'header.settingsLabel': 'Change reminder intervals, sounds and notifications',
+    'demo.status.ready': 'Click Demo to see how reminders work',
+    'demo.status.starting': 'Demo starting...',
+    'demo.status.waterStarting': 'Starting water reminder (FOR DEMO PURPOSE - 30s interval)',
+    'demo.status.standupStarting': 'Starting standup reminder (FOR DEMO PURPOSE - 30s interval)',
+    'demo.status.running': 'Demo running - watch for notifications!',
+    'demo.status.completed': 'Demo completed - reminders reset to normal',
+    'demo.error': 'Demo Error: {message}',
+    'demo.failedToStart': 'Demo failed to start. Please try again.',
+    'update.available': 'Update available',
+    'update.reload': 'Reload',
+
+    // Built-in reminder types
+    'type.water.label': 'Water Reminder',
+    'type.water.title': '💧 Time to Hydrate!',
+    'type.water.body': 'Long work sessions can lead to dehydration, remember to drink water!',
+    'type.water.unit.one': 'glass',
+    'type.water.unit.other': 'glasses',
+    'type.standup.label': 'Standup Reminder',
+    'type.standup.title': '🧘 Time to Stand Up!',
+    'type.standup.body': 'Sitting too long is bad for your health, get up and move around!',
+    'type.standup.unit.one': 'break',
+    'type.standup.unit.other': 'breaks',
+
+    // Built-in notification messages, picked in rotation
+    'message.water.classic': 'Long work sessions can lead to dehydration, remember to drink water!',
+    'message.water.focus': 'Even mild dehydration makes it harder to concentrate. A few sips keep you sharp.',
+    'message.water.headache': 'Headache creeping in? Water is the easiest thing to try first.',
+    'message.water.refill': 'Is your glass empty? Now is a good moment to refill it.',
+    'message.water.goal': 'Small sips, often: a glass now keeps you on track for today\'s goal.',
+    'message.water.morning': 'Good morning! Start the day with a glass of water.',
+    'message.water.afternoon': 'Afternoon slump? Grab some water before reaching for another coffee.',
+    'message.water.evening': 'Still working this evening? Keep a glass of water within reach.',
+    'message.water.night': 'Working late? Have some water, then think about calling it a day.',
+    'message.standup.classic': 'Sitting too long is bad for your health, get up and move around!',
+    'message.standup.stretch': 'Stand up and stretch, your back will thank you.',
+    'message.standup.walk': 'Take a short walk: to the window, the kitchen or around the office.',
+    'message.standup.eyes': 'Stand up and look at something far away to rest your eyes as well.',
+    'message.standup.circulation': 'A couple of minutes on your feet gets the blood flowing again.',
+    'message.standup.morning': 'Morning check: shoulders down, feet on the floor? Stand up and reset.',
+    'message.standup.afternoon': 'Afternoon slump? A quick walk wakes you up better than a snack.',
+    'message.standup.evening': 'Long day at the desk. Stand up and loosen up before the evening.',
+
+    // Reminder cards
+    'card.sectionLabel': 'Wellness Reminders',
+    'card.remindEvery': 'Remind every:',
+    'card.remindAfter': 'Remind after:',
+    'card.interval': { one: '{count} min', other: '{count} mins' },
+    'card.loading': 'Loading...',
+    'card.start': 'Start',
+    'card.stop': 'Stop',
+    'card.toggle': 'Start {label} timer',
+    'card.toggleWater': 'Start water reminder timer',
+    'card.toggleStandup': 'Start standup reminder timer',
+    'card.dueNow': 'Due now',
+    'card.paused': 'Paused',
+    'card.pausedAway': 'Paused while away',
+    'card.pausedUntil': 'Paused until {time}',
+    'card.pausedUntilDay': 'Paused until {weekday} {time}',
+    'card.progress': '{done} of {target} {unit} today',
+    'card.defaultUnit': { one: 'reminder', other: 'reminders' },
+    'card.nextAt': 'Next at {time} · {reason}',
+    'intake.log': 'Log {ml} ml of water',
+
+    // Adaptive water interval reasons
+    'water.reason.goalRelaxed': 'Goal reached, relaxing to every {minutes} min',
+    'water.reason.goalReached': 'Goal reached',
+    'water.reason.dayOff': 'No working hours today, every {minutes} min',
+    'water.reason.workdayOver': 'Workday over, every {minutes} min',
+    'water.reason.onPace': {
+        one: '{count} cup ({ml} ml) left before {end}, on pace: every {minutes} min',
+        other: '{count} cups ({ml} ml) left before {end}, on pace: every {minutes} min'
+    },
+    'water.reason.behindPace': {
+        one: '{count} cup ({ml} ml) left before {end}, behind pace: every {minutes} min',
+        other: '{count} cups ({ml} ml) left before {end}, behind pace: every {minutes} min'
+    },
+    'water.reason.aheadOfPace': {
+        one: '{count} cup ({ml} ml) left before {end}, ahead of pace: every {minutes} min',
+        other: '{count} cups ({ml} ml) left before {end}, ahead of pace: every {minutes} min'
+    },
+    'water.reason.snoozedForMeeting': 'Snoozed until after your meeting',
+    'water.reason.snoozed': 'Snoozed for {minutes} min',
+
+    // Notifications
+    'notification.done': 'Done',
+    'notification.startRoutine': 'Start Routine',
+    'notification.remindLater': 'Remind Later',
+    'notification.action.done': '✅ Done',
+    'notification.action.snooze': '⏰ Snooze',
+    'notification.snoozeLimitReached': {
+        one: 'Snoozed {count} time in a row - no more snoozing, time for a break',
+        other: 'Snoozed {count} times in a row - no more snoozing, time for a break'
+    },
+    'notification.snoozeOff': 'Snoozing is turned off for this reminder',
+    'notification.snoozeCount': { one: 'Snoozed {snoozed} of {count} time', other: 'Snoozed {snoozed} of {count} times' },
+    'notification.details.interval': 'Every {count} min',
+    'notification.details.snoozed': 'Snoozed {snoozed} of {count}',
+    'notification.details.intake': '{totalMl} of {goalMl} ml today',
+    'notification.missed.title': 'Missed: {title}',
+    'notification.missed.message': 'This reminder came due at {time} while the app was closed.',
+    'snooze.menuLabel': 'Remind me in',
+    'snooze.afterMeeting': 'After my meeting ({time})',
+    'permission.title': 'Enable Notifications',
+    'permission.message': 'To better remind you to drink water and take breaks, please allow browser notifications.',
+    'permission.allow': 'Allow Notifications',
+    'permission.later': 'Maybe Later',
+    'duration.minutes': '{count} min',
+    'duration.seconds': '{count}s',
+
+    // Guided routines
+    'routine.picker': 'Guided routine:',
+    'routine.none': 'None',
+    'routine.option': '{name} ({duration})',
+    'routine.custom': 'Add your own routine (JSON)',
+    'routine.jsonLabel': 'Routine JSON',
+    'routine.save': 'Save Routine',
+    'routine.saved': 'Saved "{name}"',
+    'routine.skip': 'Skip Step',
+    'routine.finish': 'Finish Early',
+    'routine.progress': 'Step {step} of {count}',
+    'routine.steps': { one: '{count} step', other: '{count} steps' },
+    'routine.summary': '🤸 {name} · {steps} · {duration}',
+
+    // Built-in routines (routine.<id>.<step number>.*)
+    'routine.desk-stretch.name': 'Desk Stretch',
+    'routine.desk-stretch.1.name': 'Neck Rolls',
+    'routine.desk-stretch.1.instruction': 'Slowly roll your head in a full circle, then switch direction.',
+    'routine.desk-stretch.2.name': 'Shoulder Shrugs',
+    'routine.desk-stretch.2.instruction': 'Lift your shoulders to your ears, hold for a second, then drop them.',
+    'routine.desk-stretch.3.name': 'Chest Opener',
+    'routine.desk-stretch.3.instruction': 'Clasp your hands behind your back and gently lift your arms.',
+    'routine.desk-stretch.4.name': 'Wrist Circles',
+    'routine.desk-stretch.4.instruction': 'Circle both wrists slowly in each direction.',
+    'routine.desk-stretch.5.name': 'Spinal Twist',
+    'routine.desk-stretch.5.instruction': 'Sit tall and twist to one side, hold, then twist to the other.',
+    'routine.posture-reset.name': 'Posture Reset',
+    'routine.posture-reset.1.name': 'Wall Stand',
+    'routine.posture-reset.1.instruction': 'Stand with heels, back and head against a wall. Breathe deeply.',
+    'routine.posture-reset.2.name': 'Chin Tucks',
+    'routine.posture-reset.2.instruction': 'Pull your chin straight back, hold for two seconds, release.',
+    'routine.posture-reset.3.name': 'Hip Flexor Stretch',
+    'routine.posture-reset.3.instruction': 'Step one foot forward into a lunge and hold. Switch legs halfway.',
+    'routine.posture-reset.4.name': 'Calf Raises',
+    'routine.posture-reset.4.instruction': 'Rise onto your toes, pause, and lower slowly.',
+    'routine.energy-boost.name': 'Energy Boost',
+    'routine.energy-boost.1.name': 'March in Place',
+    'routine.energy-boost.1.instruction': 'Lift your knees high and swing your arms.',
+    'routine.energy-boost.2.name': 'Arm Circles',
+    'routine.energy-boost.2.instruction': 'Make big circles with both arms, forward then backward.',
+    'routine.energy-boost.3.name': 'Squats',
+    'routine.energy-boost.3.instruction': 'Feet shoulder-width apart, sit back as if into a chair, and stand up.',
+    'routine.energy-boost.4.name': 'Side Bends',
+    'routine.energy-boost.4.instruction': 'Reach one arm overhead and lean to the opposite side. Alternate.',
+    'routine.quick-walk.name': 'Quick Walk',
+    'routine.quick-walk.1.name': 'Stand Up',
+    'routine.quick-walk.1.instruction': 'Stand up and stretch your arms overhead.',
+    'routine.quick-walk.2.name': 'Walk',
+    'routine.quick-walk.2.instruction': 'Walk around the office or refill your water.',
+    'routine.quick-walk.3.name': 'Deep Breaths',
+    'routine.quick-walk.3.instruction': 'Stand still and take five slow, deep breaths.',
+
+    // Statistics
+    'stats.heading': 'Your Stats',
+    'stats.close': 'Close statistics',
+    'stats.rangeLabel': 'Time range',
+    'stats.week': 'Week',
+    'stats.month': 'Month',
+    'stats.typeLabel': 'Reminder type',
+    'stats.allReminders': 'All reminders',
+    'stats.byWeekday': 'Completion by weekday',
+    'stats.byHour': 'Completion by hour',
+    'stats.currentStreak': 'Current streak',
+    'stats.bestStreak': 'Best streak',
+    'stats.completionRate': 'Completion rate',
+    'stats.avgResponse': 'Avg response',
+    'stats.days': { one: '{count} day', other: '{count} days' },
+    'stats.responseSeconds': '{seconds}s',
+    'stats.responseMinutes': '{minutes}m {seconds}s',
+    'stats.completedTitle': '{label}: {done} of {count} completed',
+    'stats.bestHour': 'Best hour: {hour} ({rate})',
+    'stats.worstHour': 'Worst hour: {hour} ({rate})',
+    'stats.notEnoughHours': 'Not enough reminders yet to rank hours.',
+    'stats.noData': 'No reminders in this period yet.',
+
+    // Settings
+    'settings.heading': 'Settings',
+    'settings.close': 'Close settings',
+    'settings.remindEvery': 'Remind every',
+    'settings.intervalRange': '{min}–{max} minutes',
+    'settings.minutesUnit': 'min',
+    'settings.sound': 'Sound',
+    'settings.soundTheme': 'Sound theme',
+    'settings.soundTheme.default': 'Classic beep',
+    'settings.soundTheme.chime': 'Chime',
+    'settings.soundTheme.soft-bell': 'Soft bell',
+    'settings.soundTheme.melody': 'Melody',
+    'settings.soundTheme.custom': 'Uploaded sound',
+    'settings.previewSound': 'Preview',
+    'settings.soundFile': 'Your sound',
+    'settings.soundFileHint': 'Upload a short audio file (up to {max} KB)',
+    'settings.soundFileName': 'Uploaded: {name}',
+    'settings.removeSound': 'Remove',
+    'settings.maxSnoozes': 'Snooze limit',
+    'settings.maxSnoozesHint': 'Snoozes in a row before it escalates; 0 turns snoozing off',
+    'settings.escalation': 'If unanswered',
+    'settings.escalationHint': 'Steps run this many minutes after the reminder',
+    'settings.escalationAfter': 'Minutes after the reminder',
+    'settings.escalation.realert': 'Remind again',
+    'settings.escalation.loud-sound': 'Louder sound',
+    'settings.escalation.persistent': 'Notification that stays',
+    'settings.escalation.flash-title': 'Flash the tab title',
+    'settings.messages': 'Your messages',
+    'settings.messagesHint': 'Shown in rotation with the built-in ones',
+    'settings.messageText': 'New message',
+    'settings.messagePlaceholder': 'e.g. Afternoon slump? Grab some water',
+    'settings.messageTime': 'When to show it',
+    'settings.messageTime.any': 'Any time',
+    'settings.messageTime.morning': 'Morning',
+    'settings.messageTime.afternoon': 'Afternoon',
+    'settings.messageTime.evening': 'Evening',
+    'settings.messageTime.night': 'Night',
+    'settings.addMessage': 'Add',
+    'settings.removeMessage': 'Remove "{text}"',
+    'settings.messageRequired': 'Type a message first',
+    'settings.schedule': 'Working Hours',
+    'settings.scheduleEnabled': 'Only remind during working hours',
+    'settings.scheduleHint': 'Reminders pause outside these times and during the break',
+    'settings.scheduleStart': 'Start of the working day',
+    'settings.scheduleEnd': 'End of the working day',
+    'settings.scheduleBreak': 'Break',
+    'settings.scheduleBreakStart': 'Start of the break',
+    'settings.scheduleBreakEnd': 'End of the break',
+    'settings.activity': 'Away Detection',
+    'settings.activityEnabled': "Pause standup while I'm away",
+    'settings.activityHint': 'Starts over if you were away for a whole interval',
+    'settings.idleThreshold': 'Away after',
+    'settings.hiddenCountsAsIdle': 'Count time in other apps',
+    'settings.hiddenCountsAsIdleHint': 'A background tab cannot see your typing elsewhere',
+    'settings.idleDetection': 'Detect away system-wide',
+    'settings.idleDetectionHint': 'Sees input in other apps and a locked screen; the browser asks first',
+    'settings.idleDetectionButton': 'Allow',
+    'settings.idleDetectionOn': 'On: input in other apps and a locked screen count',
+    'settings.idleDetectionDenied': 'Not allowed by the browser; only input on this page counts',
+    'settings.notifications': 'Notifications',
+    'settings.browserNotifications': 'Browser notifications',
+    'settings.browserNotificationsHint': 'Also notify outside the page',
+    'settings.sounds': 'Sounds',
+    'settings.soundsHint': 'Turns all reminder sounds off',
+    'settings.volume': 'Volume',
+    'settings.volumeHint': 'Loudness of all reminder sounds',
+    'settings.styleLabel': 'Style',
+    'settings.styleHint': 'Minimal shows the title only; detailed adds progress',
+    'settings.style.standard': 'Standard',
+    'settings.style.minimal': 'Minimal',
+    'settings.style.detailed': 'Detailed',
+    'settings.appearance': 'Appearance',
+    'settings.languageLabel': 'Language',
+    'settings.language.auto': 'Browser language',
+    'settings.data': 'Your Data',
+    'settings.export': 'Export',
+    'settings.exportHint': 'Settings, history and custom reminders as a JSON file',
+    'settings.exportButton': 'Export',
+    'settings.import': 'Import',
+    'settings.importHint': 'Shows what will change before anything is saved',
+    'settings.save': 'Save',
+
+    // Import and export
+    'import.modeLabel': 'Import mode',
+    'import.merge': 'Merge with my data',
+    'import.replace': 'Replace my data',
+    'import.confirm': 'Import',
+    'import.cancel': 'Cancel',
+    'import.noChanges': 'Nothing would change',
+    'import.unreadable': 'The file could not be read',
+    'import.notSaved': 'The import could not be saved',
+    'backup.section.appSettings': 'Settings',
+    'backup.section.customReminderTypes': 'Custom reminder types',
+    'backup.section.customRoutines': 'Custom routines',
+    'backup.section.customMessages': 'Custom messages',
+    'backup.section.reminderHistory': 'Reminder history',
+    'backup.section.waterIntake': 'Water intake',
+    'backup.section.customSounds': 'Uploaded sounds',
+    'backup.error.notJson': 'The file is not valid JSON',
+    'backup.error.notExport': 'The file is not a Hydrate Move export',
+    'backup.error.newerExport': 'The file was exported by a newer version of the app',
+    'backup.error.noData': 'The file has no data',
+    'backup.error.notObject': 'must be an object',
+    'backup.error.newerSettings': 'saved by a newer version of the app',
+    'backup.error.notList': 'must be a list',
+    'backup.error.history': 'must have a list of events and daily totals',
+    'backup.error.intake': 'must have today\'s entries and daily totals',
+    'sound.error.notAudio': 'Choose an audio file',
+    'sound.error.tooLarge': 'The sound is too large, the limit is {max} KB',
+    'sound.error.unreadable': 'The file could not be read',
+    'sound.error.notSaved': 'The sound could not be saved on this device',
+    'backup.change.added': 'Added: {names}',
+    'backup.change.updated': 'Updated: {names}',
+    'backup.change.removedItems': 'Removed: {names}',
+    'backup.change.removed': 'Removed',
+    'backup.change.changed': 'Changed',
+    'backup.change.daysAdded': { one: '{count} day added', other: '{count} days added' },
+    'backup.change.daysUpdated': { one: '{count} day updated', other: '{count} days updated' },
+    'backup.change.daysRemoved': { one: '{count} day removed', other: '{count} days removed' },
+    'backup.change.eventsAdded': { one: '{count} event added', other: '{count} events added' },
+    'backup.change.eventsRemoved': { one: '{count} event removed', other: '{count} events removed' },
+
+    // Feedback and errors
+    'feedback.label': 'Provide feedback or report issues',
+    'feedback.title': 'Feedback requires GitHub account',
+    'feedback.tooltip': 'Requires GitHub account to submit feedback',
+    'error.updateDisplay': 'Could not update {type} display',
+    'error.toggle': 'Could not {type} reminder',
+    'error.demo': 'Demo Error',
+    'error.demoUnavailable': 'Demo not available',
+    'error.statsUnavailable': 'Stats not available',
+    'error.settingsUnavailable': 'Settings not available',
+    'error.demoNotInitialized': 'Demo functionality is not initialized',
+    'error.statsNotInitialized': 'Statistics are not initialized',
+    'error.settingsNotInitialized': 'Settings are not initialized',
+    'app.error.startFailed': 'Application failed to start',
+    'app.error.unexpected': 'An unexpected error occurred',
+    'app.error.generic': 'Office Wellness App Error:\n{message}',
+    'app.error.refreshToRetry': 'Office Wellness App Error:\n{message}\n\nPlease refresh the page to try again.',
+    'app.error.refreshToContinue': 'Office Wellness App Error:\n{message}\n\nPlease refresh the page to continue.'
+};
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LOCALE_EN_US;
+}
+
+// Register for browser use
+window.LOCALE_MESSAGES = window.LOCALE_MESSAGES || {};
+window.LOCALE_MESSAGES['en-US'] = LOCALE_EN_US;
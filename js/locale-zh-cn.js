@@ -0,0 +1,336 @@
+/**
+ * Simplified Chinese messages
+ * Chinese has a single plural form, so plural messages only list `other`
+ */
+const LOCALE_ZH_CN = {
+    // Header and demo
+    'header.subtitle': '办公健康提醒 - 养成健康的工作习惯',
+    'header.demo': '演示',
+    'header.stopDemo': '停止演示',
+    'header.demoLabel': '开始演示模式，看看提醒如何工作',
+    'header.stats': '统计',
+    'header.statsLabel': '查看每周和每月的提醒统计',
+    'header.settings': '设置',
+    'header.settingsLabel': '修改提醒间隔、声音和通知',
+    'demo.status.ready': '点击“演示”看看提醒如何工作',
+    'demo.status.starting': '演示即将开始...',
+    'demo.status.waterStarting': '正在启动喝水提醒（仅供演示 - 30 秒间隔）',
+    'demo.status.standupStarting': '正在启动站立提醒（仅供演示 - 30 秒间隔）',
+    'demo.status.running': '演示进行中 - 请留意通知！',
+    'demo.status.completed': '演示结束 - 提醒已恢复正常',
+    'demo.error': '演示出错：{message}',
+    'demo.failedToStart': '演示无法启动，请重试。',
+    'update.available': '有新版本可用',
+    'update.reload': '重新加载',
+
+    // Built-in reminder types
+    'type.water.label': '喝水提醒',
+    'type.water.title': '💧 该喝水了！',
+    'type.water.body': '长时间工作容易缺水，记得喝水！',
+    'type.water.unit.one': '杯',
+    'type.water.unit.other': '杯',
+    'type.standup.label': '站立提醒',
+    'type.standup.title': '🧘 该站起来了！',
+    'type.standup.body': '久坐有害健康，起来活动一下吧！',
+    'type.standup.unit.one': '次',
+    'type.standup.unit.other': '次',
+
+    // Built-in notification messages, picked in rotation
+    'message.water.classic': '长时间工作容易缺水，记得喝水！',
+    'message.water.focus': '即使轻微缺水也会让人难以集中注意力，喝几口水保持清醒。',
+    'message.water.headache': '有点头疼？先喝杯水试试，这是最简单的办法。',
+    'message.water.refill': '杯子空了吗？现在正是续杯的好时候。',
+    'message.water.goal': '少量多次：现在喝一杯，离今天的目标更近一步。',
+    'message.water.morning': '早上好！用一杯水开启新的一天。',
+    'message.water.afternoon': '下午犯困？先喝点水，再考虑下一杯咖啡。',
+    'message.water.evening': '晚上还在工作？把水杯放在手边吧。',
+    'message.water.night': '这么晚还在忙？喝点水，也该考虑收工了。',
+    'message.standup.classic': '久坐有害健康，起来活动一下吧！',
+    'message.standup.stretch': '站起来伸展一下，你的背会感谢你的。',
+    'message.standup.walk': '走一小圈：到窗边、茶水间或者办公室里转转。',
+    'message.standup.eyes': '站起来望望远处，也让眼睛休息一下。',
+    'message.standup.circulation': '站几分钟，让血液重新流动起来。',
+    'message.standup.morning': '早间检查：肩膀放松、双脚着地了吗？站起来调整一下。',
+    'message.standup.afternoon': '下午犯困？快走一圈比吃零食更提神。',
+    'message.standup.evening': '在桌前坐了一整天，晚上之前站起来放松一下吧。',
+
+    // Reminder cards
+    'card.sectionLabel': '健康提醒',
+    'card.remindEvery': '提醒间隔：',
+    'card.remindAfter': '下次提醒：',
+    'card.interval': { other: '{count} 分钟' },
+    'card.loading': '加载中...',
+    'card.start': '开始',
+    'card.stop': '停止',
+    'card.toggle': '开始{label}计时',
+    'card.toggleWater': '开始喝水提醒计时',
+    'card.toggleStandup': '开始站立提醒计时',
+    'card.dueNow': '现在到点',
+    'card.paused': '已暂停',
+    'card.pausedAway': '离开期间已暂停',
+    'card.pausedUntil': '暂停至 {time}',
+    'card.pausedUntilDay': '暂停至{weekday} {time}',
+    'card.progress': '今天已完成 {done}/{target} {unit}',
+    'card.defaultUnit': { other: '次' },
+    'card.nextAt': '下次 {time} · {reason}',
+    'intake.log': '记录喝水 {ml} 毫升',
+
+    // Adaptive water interval reasons
+    'water.reason.goalRelaxed': '已达成目标，放宽为每 {minutes} 分钟',
+    'water.reason.goalReached': '已达成目标',
+    'water.reason.dayOff': '今天不是工作日，每 {minutes} 分钟',
+    'water.reason.workdayOver': '已下班，每 {minutes} 分钟',
+    'water.reason.onPace': { other: '{end} 前还差 {count} 杯（{ml} 毫升），进度正常：每 {minutes} 分钟' },
+    'water.reason.behindPace': { other: '{end} 前还差 {count} 杯（{ml} 毫升），进度落后：每 {minutes} 分钟' },
+    'water.reason.aheadOfPace': { other: '{end} 前还差 {count} 杯（{ml} 毫升），进度超前：每 {minutes} 分钟' },
+    'water.reason.snoozedForMeeting': '已推迟到会议结束后',
+    'water.reason.snoozed': '已推迟 {minutes} 分钟',
+
+    // Notifications
+    'notification.done': '完成',
+    'notification.startRoutine': '开始练习',
+    'notification.remindLater': '稍后提醒',
+    'notification.action.done': '✅ 完成',
+    'notification.action.snooze': '⏰ 稍后',
+    'notification.snoozeLimitReached': { other: '已连续推迟 {count} 次 - 不能再推迟了，休息一下吧' },
+    'notification.snoozeOff': '此提醒已关闭推迟',
+    'notification.snoozeCount': { other: '已推迟 {snoozed}/{count} 次' },
+    'notification.details.interval': '每 {count} 分钟',
+    'notification.details.snoozed': '已推迟 {snoozed}/{count}',
+    'notification.details.intake': '今天 {totalMl}/{goalMl} 毫升',
+    'notification.missed.title': '错过：{title}',
+    'notification.missed.message': '此提醒在 {time} 到点时应用未打开。',
+    'snooze.menuLabel': '多久后提醒我',
+    'snooze.afterMeeting': '会议结束后（{time}）',
+    'permission.title': '开启通知',
+    'permission.message': '为了更好地提醒你喝水和休息，请允许浏览器通知。',
+    'permission.allow': '允许通知',
+    'permission.later': '以后再说',
+    'duration.minutes': '{count} 分钟',
+    'duration.seconds': '{count} 秒',
+
+    // Guided routines
+    'routine.picker': '引导练习：',
+    'routine.none': '无',
+    'routine.option': '{name}（{duration}）',
+    'routine.custom': '添加自己的练习（JSON）',
+    'routine.jsonLabel': '练习 JSON',
+    'routine.save': '保存练习',
+    'routine.saved': '已保存“{name}”',
+    'routine.skip': '跳过此步',
+    'routine.finish': '提前结束',
+    'routine.progress': '第 {step}/{count} 步',
+    'routine.steps': { other: '{count} 步' },
+    'routine.summary': '🤸 {name} · {steps} · {duration}',
+
+    // Built-in routines (routine.<id>.<step number>.*)
+    'routine.desk-stretch.name': '桌前伸展',
+    'routine.desk-stretch.1.name': '转动颈部',
+    'routine.desk-stretch.1.instruction': '慢慢把头转一整圈，然后换个方向。',
+    'routine.desk-stretch.2.name': '耸肩',
+    'routine.desk-stretch.2.instruction': '把肩膀向耳朵抬起，停一秒，然后放下。',
+    'routine.desk-stretch.3.name': '扩胸',
+    'routine.desk-stretch.3.instruction': '双手在背后交握，轻轻向上抬起手臂。',
+    'routine.desk-stretch.4.name': '转动手腕',
+    'routine.desk-stretch.4.instruction': '双手手腕朝两个方向慢慢画圈。',
+    'routine.desk-stretch.5.name': '脊柱扭转',
+    'routine.desk-stretch.5.instruction': '坐直后向一侧扭转并保持，再扭向另一侧。',
+    'routine.posture-reset.name': '姿势调整',
+    'routine.posture-reset.1.name': '靠墙站立',
+    'routine.posture-reset.1.instruction': '脚跟、背部和头部贴墙站立，深呼吸。',
+    'routine.posture-reset.2.name': '收下巴',
+    'routine.posture-reset.2.instruction': '下巴向后平收，保持两秒后放松。',
+    'routine.posture-reset.3.name': '髋屈肌拉伸',
+    'routine.posture-reset.3.instruction': '一只脚向前跨成弓步并保持，中途换腿。',
+    'routine.posture-reset.4.name': '提踵',
+    'routine.posture-reset.4.instruction': '踮起脚尖，停顿一下，再慢慢放下。',
+    'routine.energy-boost.name': '活力提升',
+    'routine.energy-boost.1.name': '原地踏步',
+    'routine.energy-boost.1.instruction': '高抬膝盖，摆动双臂。',
+    'routine.energy-boost.2.name': '手臂绕环',
+    'routine.energy-boost.2.instruction': '双臂大幅度画圈，先向前再向后。',
+    'routine.energy-boost.3.name': '深蹲',
+    'routine.energy-boost.3.instruction': '双脚与肩同宽，像坐椅子一样向后坐，再站起来。',
+    'routine.energy-boost.4.name': '侧弯',
+    'routine.energy-boost.4.instruction': '一只手臂举过头顶，向另一侧弯腰，左右交替。',
+    'routine.quick-walk.name': '快走一圈',
+    'routine.quick-walk.1.name': '站起来',
+    'routine.quick-walk.1.instruction': '站起来，双臂向上伸展。',
+    'routine.quick-walk.2.name': '走一走',
+    'routine.quick-walk.2.instruction': '在办公室里走一圈，或者去接杯水。',
+    'routine.quick-walk.3.name': '深呼吸',
+    'routine.quick-walk.3.instruction': '站定，缓慢地深呼吸五次。',
+
+    // Statistics
+    'stats.heading': '我的统计',
+    'stats.close': '关闭统计',
+    'stats.rangeLabel': '时间范围',
+    'stats.week': '周',
+    'stats.month': '月',
+    'stats.typeLabel': '提醒类型',
+    'stats.allReminders': '全部提醒',
+    'stats.byWeekday': '按星期的完成率',
+    'stats.byHour': '按小时的完成率',
+    'stats.currentStreak': '当前连续',
+    'stats.bestStreak': '最长连续',
+    'stats.completionRate': '完成率',
+    'stats.avgResponse': '平均响应',
+    'stats.days': { other: '{count} 天' },
+    'stats.responseSeconds': '{seconds} 秒',
+    'stats.responseMinutes': '{minutes} 分 {seconds} 秒',
+    'stats.completedTitle': '{label}：完成 {done}/{count}',
+    'stats.bestHour': '最佳时段：{hour}（{rate}）',
+    'stats.worstHour': '最差时段：{hour}（{rate}）',
+    'stats.notEnoughHours': '提醒还太少，无法排列时段。',
+    'stats.noData': '这段时间还没有提醒。',
+
+    // Settings
+    'settings.heading': '设置',
+    'settings.close': '关闭设置',
+    'settings.remindEvery': '提醒间隔',
+    'settings.intervalRange': '{min}–{max} 分钟',
+    'settings.minutesUnit': '分钟',
+    'settings.sound': '声音',
+    'settings.soundTheme': '提示音',
+    'settings.soundTheme.default': '经典蜂鸣',
+    'settings.soundTheme.chime': '风铃',
+    'settings.soundTheme.soft-bell': '柔和铃声',
+    'settings.soundTheme.melody': '旋律',
+    'settings.soundTheme.custom': '上传的声音',
+    'settings.previewSound': '试听',
+    'settings.soundFile': '我的声音',
+    'settings.soundFileHint': '上传一段简短的音频文件（最大 {max} KB）',
+    'settings.soundFileName': '已上传：{name}',
+    'settings.removeSound': '删除',
+    'settings.maxSnoozes': '推迟次数上限',
+    'settings.maxSnoozesHint': '连续推迟这么多次后开始升级提醒；0 表示不能推迟',
+    'settings.escalation': '无人响应时',
+    'settings.escalationHint': '在提醒后这么多分钟执行',
+    'settings.escalationAfter': '提醒后的分钟数',
+    'settings.escalation.realert': '再次提醒',
+    'settings.escalation.loud-sound': '更大的声音',
+    'settings.escalation.persistent': '常驻通知',
+    'settings.escalation.flash-title': '闪烁标签页标题',
+    'settings.messages': '我的提醒语',
+    'settings.messagesHint': '与内置提醒语轮流显示',
+    'settings.messageText': '新提醒语',
+    'settings.messagePlaceholder': '例如：下午犯困？喝点水吧',
+    'settings.messageTime': '显示时段',
+    'settings.messageTime.any': '任何时候',
+    'settings.messageTime.morning': '上午',
+    'settings.messageTime.afternoon': '下午',
+    'settings.messageTime.evening': '傍晚',
+    'settings.messageTime.night': '夜间',
+    'settings.addMessage': '添加',
+    'settings.removeMessage': '删除“{text}”',
+    'settings.messageRequired': '请先输入提醒语',
+    'settings.schedule': '工作时间',
+    'settings.scheduleEnabled': '只在工作时间提醒',
+    'settings.scheduleHint': '这些时间之外和休息期间提醒会暂停',
+    'settings.scheduleStart': '上班时间',
+    'settings.scheduleEnd': '下班时间',
+    'settings.scheduleBreak': '休息',
+    'settings.scheduleBreakStart': '休息开始',
+    'settings.scheduleBreakEnd': '休息结束',
+    'settings.activity': '离开检测',
+    'settings.activityEnabled': '离开时暂停站立提醒',
+    'settings.activityHint': '离开超过一个完整间隔时重新计时',
+    'settings.idleThreshold': '多久无操作算离开',
+    'settings.hiddenCountsAsIdle': '计入在其他应用中的时间',
+    'settings.hiddenCountsAsIdleHint': '后台标签页看不到你在别处的输入',
+    'settings.idleDetection': '系统级离开检测',
+    'settings.idleDetectionHint': '可感知其他应用中的输入和锁屏；浏览器会先询问',
+    'settings.idleDetectionButton': '允许',
+    'settings.idleDetectionOn': '已开启：其他应用中的输入和锁屏都会计入',
+    'settings.idleDetectionDenied': '浏览器未允许；只计入本页面的输入',
+    'settings.notifications': '通知',
+    'settings.browserNotifications': '浏览器通知',
+    'settings.browserNotificationsHint': '在页面之外也发出通知',
+    'settings.sounds': '声音',
+    'settings.soundsHint': '关闭所有提醒声音',
+    'settings.volume': '音量',
+    'settings.volumeHint': '所有提醒声音的响度',
+    'settings.styleLabel': '样式',
+    'settings.styleHint': '简洁只显示标题；详细会加上进度',
+    'settings.style.standard': '标准',
+    'settings.style.minimal': '简洁',
+    'settings.style.detailed': '详细',
+    'settings.appearance': '外观',
+    'settings.languageLabel': '语言',
+    'settings.language.auto': '跟随浏览器',
+    'settings.data': '我的数据',
+    'settings.export': '导出',
+    'settings.exportHint': '将设置、历史记录和自定义提醒导出为 JSON 文件',
+    'settings.exportButton': '导出',
+    'settings.import': '导入',
+    'settings.importHint': '保存前会先显示将要更改的内容',
+    'settings.save': '保存',
+
+    // Import and export
+    'import.modeLabel': '导入方式',
+    'import.merge': '与我的数据合并',
+    'import.replace': '替换我的数据',
+    'import.confirm': '导入',
+    'import.cancel': '取消',
+    'import.noChanges': '没有任何更改',
+    'import.unreadable': '无法读取该文件',
+    'import.notSaved': '无法保存导入的数据',
+    'backup.section.appSettings': '设置',
+    'backup.section.customReminderTypes': '自定义提醒类型',
+    'backup.section.customRoutines': '自定义练习',
+    'backup.section.customMessages': '自定义提醒语',
+    'backup.section.reminderHistory': '提醒历史',
+    'backup.section.waterIntake': '喝水记录',
+    'backup.section.customSounds': '上传的声音',
+    'backup.error.notJson': '该文件不是有效的 JSON',
+    'backup.error.notExport': '该文件不是 Hydrate Move 的导出文件',
+    'backup.error.newerExport': '该文件由更新版本的应用导出',
+    'backup.error.noData': '该文件没有数据',
+    'backup.error.notObject': '必须是对象',
+    'backup.error.newerSettings': '由更新版本的应用保存',
+    'backup.error.notList': '必须是列表',
+    'backup.error.history': '必须包含事件列表和每日汇总',
+    'backup.error.intake': '必须包含今天的记录和每日汇总',
+    'sound.error.notAudio': '请选择音频文件',
+    'sound.error.tooLarge': '声音文件太大，上限为 {max} KB',
+    'sound.error.unreadable': '无法读取该文件',
+    'sound.error.notSaved': '无法在此设备上保存该声音',
+    'backup.change.added': '新增：{names}',
+    'backup.change.updated': '更新：{names}',
+    'backup.change.removedItems': '删除：{names}',
+    'backup.change.removed': '已删除',
+    'backup.change.changed': '已更改',
+    'backup.change.daysAdded': { other: '新增 {count} 天' },
+    'backup.change.daysUpdated': { other: '更新 {count} 天' },
+    'backup.change.daysRemoved': { other: '删除 {count} 天' },
+    'backup.change.eventsAdded': { other: '新增 {count} 条事件' },
+    'backup.change.eventsRemoved': { other: '删除 {count} 条事件' },
+
+    // Feedback and errors
+    'feedback.label': '提供反馈或报告问题',
+    'feedback.title': '反馈需要 GitHub 账号',
+    'feedback.tooltip': '提交反馈需要 GitHub 账号',
+    'error.updateDisplay': '无法更新{type}的显示',
+    'error.toggle': '无法切换{type}提醒',
+    'error.demo': '演示出错',
+    'error.demoUnavailable': '演示不可用',
+    'error.statsUnavailable': '统计不可用',
+    'error.settingsUnavailable': '设置不可用',
+    'error.demoNotInitialized': '演示功能尚未初始化',
+    'error.statsNotInitialized': '统计尚未初始化',
+    'error.settingsNotInitialized': '设置尚未初始化',
+    'app.error.startFailed': '应用启动失败',
+    'app.error.unexpected': '发生了意外错误',
+    'app.error.generic': 'Office Wellness 应用出错：\n{message}',
+    'app.error.refreshToRetry': 'Office Wellness 应用出错：\n{message}\n\n请刷新页面重试。',
+    'app.error.refreshToContinue': 'Office Wellness 应用出错：\n{message}\n\n请刷新页面继续。'
+};
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LOCALE_ZH_CN;
+}
+
+// Register for browser use
+window.LOCALE_MESSAGES = window.LOCALE_MESSAGES || {};
+window.LOCALE_MESSAGES['zh-CN'] = LOCALE_ZH_CN;
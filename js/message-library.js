@@ -0,0 +1,335 @@
+/**
+ * Message Library - Rotating notification messages for each reminder type
+ * Built-in messages ship with the app in every language; user messages are
+ * written in the settings and saved to local storage. Each reminder picks
+ * one at random, weighted, skipping the ones shown most recently and
+ * preferring messages written for the current time of day.
+ *
+ * Message shape:
+ * {
+ *   id: 'custom-lx2a9k',
+ *   type: 'water',           // reminder type id
+ *   text: 'Afternoon slump? Grab some water',
+ *   timeOfDay: 'afternoon',  // optional, see MESSAGE_CONSTANTS.TIMES_OF_DAY; null for any time
+ *   weight: 1                // optional, relative chance of being picked
+ * }
+ */
+class MessageLibrary {
+    /**
+     * Create message library instance
+     * @param {StorageManager} storage - Storage for user messages and recently shown ones (optional)
+     * @param {Object} options - Library options
+     * @param {I18n} options.i18n - Translations of the built-in messages (defaults to shared instance)
+     * @param {Function} options.random - Random number source in [0, 1) (defaults to Math.random)
+     */
+    constructor(storage = null, options = {}) {
+        this.storage = storage;
+        this.i18n = options.i18n || window.i18n;
+        this.random = options.random || Math.random;
+        this.messages = new Map(); // type -> Map(id -> message)
+        this.recent = this.loadRecent(); // type -> ids, oldest first
+
+        // Built-in messages are always available
+        this.registerBuiltInMessages();
+        this.loadCustomMessages();
+    }
+
+    /**
+     * Register messages that ship with the app
+     * Their text comes from the message catalogs (message.<type>.<id>)
+     * @private
+     */
+    registerBuiltInMessages() {
+        // Message ids and the time of day they are written for (null for any time)
+        const builtIn = {
+            water: {
+                classic: null,
+                focus: null,
+                headache: null,
+                refill: null,
+                goal: null,
+                morning: 'morning',
+                afternoon: 'afternoon',
+                evening: 'evening',
+                night: 'night'
+            },
+            standup: {
+                classic: null,
+                stretch: null,
+                walk: null,
+                eyes: null,
+                circulation: null,
+                morning: 'morning',
+                afternoon: 'afternoon',
+                evening: 'evening'
+            }
+        };
+
+        Object.entries(builtIn).forEach(([type, messages]) => {
+            Object.entries(messages).forEach(([id, timeOfDay]) => {
+                this.register({ id, type, text: this.i18n.t(`message.${type}.${id}`), timeOfDay }, { builtIn: true });
+            });
+        });
+    }
+
+    /**
+     * Switch built-in message text to the current language
+     */
+    localizeBuiltInMessages() {
+        this.messages.forEach((messages, type) => {
+            messages.forEach(message => {
+                if (message.builtIn) message.text = this.i18n.t(`message.${type}.${message.id}`);
+            });
+        });
+    }
+
+    /**
+     * Load user messages from storage
+     * @private
+     */
+    loadCustomMessages() {
+        const saved = this.storage ? this.storage.getItem(STORAGE_CONSTANTS.CUSTOM_MESSAGES_KEY) : null;
+        if (!Array.isArray(saved)) return;
+
+        saved.forEach(message => {
+            try {
+                this.register(message);
+            } catch (error) {
+                console.warn('Skipping invalid custom message:', error);
+            }
+        });
+    }
+
+    /**
+     * Persist user messages
+     * @private
+     */
+    saveCustomMessages() {
+        if (!this.storage) return;
+
+        this.storage.setItem(STORAGE_CONSTANTS.CUSTOM_MESSAGES_KEY, this.getCustomMessages());
+    }
+
+    /**
+     * Load the ids of recently shown messages
+     * @returns {Object} Ids by reminder type
+     * @private
+     */
+    loadRecent() {
+        const saved = this.storage ? this.storage.getItem(STORAGE_CONSTANTS.RECENT_MESSAGES_KEY) : null;
+        return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+    }
+
+    /**
+     * Validate and store a message
+     * @param {Object} message - Message definition
+     * @param {Object} options - Registration options
+     * @param {boolean} options.builtIn - Whether this is a built-in message
+     * @returns {Object} Normalized message
+     * @private
+     */
+    register(message, { builtIn = false } = {}) {
+        const normalized = MessageLibrary.validate(message);
+
+        if (!this.messages.has(normalized.type)) {
+            this.messages.set(normalized.type, new Map());
+        }
+
+        const messages = this.messages.get(normalized.type);
+        const existing = messages.get(normalized.id);
+        if (existing && existing.builtIn && !builtIn) {
+            throw new Error(`Message ${normalized.id} is built-in and cannot be replaced`);
+        }
+
+        normalized.builtIn = builtIn;
+        messages.set(normalized.id, normalized);
+        return normalized;
+    }
+
+    /**
+     * Add a user message
+     * @param {Object} message - Message definition; an id is generated when missing
+     * @returns {Object} Normalized message
+     */
+    addCustomMessage(message) {
+        const definition = message && typeof message === 'object' && message.id === undefined
+            ? { ...message, id: this.createId(message.type) }
+            : message;
+
+        const registered = this.register(definition);
+        this.saveCustomMessages();
+
+        console.log(`Message added: ${registered.type}/${registered.id}`);
+        return registered;
+    }
+
+    /**
+     * Remove a user message
+     * @param {string} type - Reminder type id
+     * @param {string} id - Message id
+     * @returns {boolean} Whether the message was removed
+     */
+    removeCustomMessage(type, id) {
+        const messages = this.messages.get(type);
+        const message = messages?.get(id);
+        if (!message || message.builtIn) {
+            return false;
+        }
+
+        messages.delete(id);
+        this.saveCustomMessages();
+        return true;
+    }
+
+    /**
+     * Create an unused id for a user message
+     * @param {string} type - Reminder type id
+     * @returns {string} Message id
+     * @private
+     */
+    createId(type) {
+        const base = `custom-${Date.now().toString(36)}`;
+        const taken = this.messages.get(type) || new Map();
+
+        let id = base;
+        for (let suffix = 2; taken.has(id); suffix++) {
+            id = `${base}-${suffix}`;
+        }
+        return id;
+    }
+
+    /**
+     * Get the messages of a reminder type, built-in first
+     * @param {string} type - Reminder type id
+     * @returns {Array<Object>} Messages
+     */
+    getMessages(type) {
+        return Array.from(this.messages.get(type)?.values() || []);
+    }
+
+    /**
+     * Get the current text of a message
+     * @param {string} type - Reminder type id
+     * @param {string} id - Message id
+     * @returns {string|null} Text in the current language, or null if unknown
+     */
+    getText(type, id) {
+        return this.messages.get(type)?.get(id)?.text ?? null;
+    }
+
+    /**
+     * Get user messages for persistence
+     * @param {string} type - Only messages of this reminder type (optional)
+     * @returns {Array<Object>} Custom messages
+     */
+    getCustomMessages(type = null) {
+        const types = type ? [type] : Array.from(this.messages.keys());
+
+        return types.flatMap(messageType => this.getMessages(messageType))
+            .filter(message => !message.builtIn)
+            .map(({ builtIn, ...message }) => message);
+    }
+
+    /**
+     * Pick the message for a reminder
+     * Messages for another time of day are left out and messages for the
+     * current one are more likely. The most recently shown messages are
+     * skipped as long as there are others to choose from.
+     * @param {string} type - Reminder type id
+     * @param {Date|number} date - Time of the reminder (defaults to now)
+     * @returns {Object|null} {id, text}, or null when the type has no messages
+     */
+    pick(type, date = new Date()) {
+        const timeOfDay = MessageLibrary.getTimeOfDay(date);
+        const eligible = this.getMessages(type).filter(message => !message.timeOfDay || message.timeOfDay === timeOfDay);
+        if (eligible.length === 0) return null;
+
+        const skipped = Math.min(MESSAGE_CONSTANTS.RECENT_COUNT, eligible.length - 1);
+        const recent = skipped > 0 ? (this.recent[type] || []).slice(-skipped) : [];
+        const candidates = eligible.filter(message => !recent.includes(message.id));
+
+        const weights = candidates.map(message => message.weight * (message.timeOfDay ? MESSAGE_CONSTANTS.TIME_OF_DAY_BOOST : 1));
+        let roll = this.random() * weights.reduce((total, weight) => total + weight, 0);
+        const chosen = candidates.find((message, index) => (roll -= weights[index]) < 0) || candidates[candidates.length - 1];
+
+        this.remember(type, chosen.id);
+        return { id: chosen.id, text: chosen.text };
+    }
+
+    /**
+     * Record a shown message so it is not repeated soon
+     * @param {string} type - Reminder type id
+     * @param {string} id - Message id
+     * @private
+     */
+    remember(type, id) {
+        const recent = (this.recent[type] || []).filter(recentId => recentId !== id);
+        recent.push(id);
+        this.recent[type] = recent.slice(-MESSAGE_CONSTANTS.RECENT_COUNT);
+
+        if (this.storage) {
+            this.storage.setItem(STORAGE_CONSTANTS.RECENT_MESSAGES_KEY, this.recent);
+        }
+    }
+
+    /**
+     * Get the time of day of a moment
+     * @param {Date|number} date - Date or timestamp
+     * @returns {string} Key of MESSAGE_CONSTANTS.TIMES_OF_DAY
+     */
+    static getTimeOfDay(date) {
+        const hour = new Date(date).getHours();
+
+        return Object.keys(MESSAGE_CONSTANTS.TIMES_OF_DAY).find(key => {
+            const { START_HOUR, END_HOUR } = MESSAGE_CONSTANTS.TIMES_OF_DAY[key];
+            return START_HOUR < END_HOUR
+                ? hour >= START_HOUR && hour < END_HOUR
+                : hour >= START_HOUR || hour < END_HOUR;
+        });
+    }
+
+    /**
+     * Validate a message definition
+     * @param {Object} message - Message definition
+     * @returns {Object} Normalized copy
+     * @throws {Error} When the definition is invalid
+     */
+    static validate(message) {
+        if (!message || typeof message !== 'object') {
+            throw new Error('Message must be an object');
+        }
+
+        const { id, type, text, timeOfDay = null, weight = MESSAGE_CONSTANTS.DEFAULT_WEIGHT } = message;
+        if (typeof id !== 'string' || !MESSAGE_CONSTANTS.ID_PATTERN.test(id)) {
+            throw new Error(`Invalid message id: ${id}`);
+        }
+
+        if (typeof type !== 'string' || !REMINDER_TYPE_CONSTANTS.ID_PATTERN.test(type)) {
+            throw new Error(`Message ${id}: invalid reminder type ${type}`);
+        }
+
+        if (typeof text !== 'string' || !text.trim() || text.trim().length > MESSAGE_CONSTANTS.MAX_LENGTH) {
+            throw new Error(`Message ${id}: text must be 1-${MESSAGE_CONSTANTS.MAX_LENGTH} characters`);
+        }
+
+        const timesOfDay = Object.keys(MESSAGE_CONSTANTS.TIMES_OF_DAY);
+        if (timeOfDay !== null && !timesOfDay.includes(timeOfDay)) {
+            throw new Error(`Message ${id}: time of day must be one of ${timesOfDay.join(', ')}`);
+        }
+
+        const { MIN, MAX } = MESSAGE_CONSTANTS.WEIGHT_RANGE;
+        if (!Number.isInteger(weight) || weight < MIN || weight > MAX) {
+            throw new Error(`Message ${id}: weight must be a whole number from ${MIN} to ${MAX}`);
+        }
+
+        return { id, type, text: text.trim(), timeOfDay, weight };
+    }
+}
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MessageLibrary;
+}
+
+// Export for browser use
+window.MessageLibrary = MessageLibrary;
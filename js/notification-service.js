@@ -2,17 +2,39 @@
  * Notification Service - Manages browser notifications and in-page alerts
  */
 class NotificationService {
-    constructor() {
+    /**
+     * Create notification service instance
+     * @param {Object} options - Optional dependencies
+     * @param {ReminderTypeRegistry} options.registry - Reminder type registry (defaults to shared instance)
+     * @param {ReminderHistory} options.history - History store for reminder outcomes (optional)
+     * @param {ServiceWorkerBridge} options.serviceWorker - Shows notifications through the service worker (optional)
+     * @param {SoundLibrary} options.sounds - Sounds uploaded for the custom sound theme (optional)
+     * @param {I18n} options.i18n - Translations (defaults to shared instance)
+     */
+    constructor(options = {}) {
+        this.registry = options.registry || window.reminderTypeRegistry;
+        this.i18n = options.i18n || window.i18n;
+        this.history = options.history || null;
+        this.serviceWorker = options.serviceWorker || null;
+        this.sounds = options.sounds || null;
         this.hasPermission = false;
         this.isSupported = 'Notification' in window;
         this.soundEnabled = true;
+        this.volume = SOUND_CONSTANTS.DEFAULT_VOLUME; // percent
+        this.browserNotificationsEnabled = true;
+        this.style = NOTIFICATION_CONSTANTS.STYLES.STANDARD;
         this.audioContext = null;
-        this.audioFiles = {
-            water: null,
-            standup: null,
-            default: null
-        };
+        this.audioFiles = {};
         this.currentCallbacks = null;
+        
+        // Guided routine playback in the modal (created on first use)
+        this.routinePlayer = null;
+        this.pendingNotification = null; // reminder that fired while a routine was playing
+        
+        // Escalation effects for an unanswered reminder
+        this.persistentNotification = null;
+        this.titleFlashId = null;
+        this.originalTitle = null;
 
         // Check if permission already granted
         if (this.isSupported && Notification.permission === 'granted') {
@@ -100,33 +122,106 @@ class NotificationService {
         this.permissionChangeCallback = callback;
     }
 
+    /**
+     * Get registered definition for a reminder type
+     * @param {string} type - Reminder type id
+     * @returns {Object|null} Reminder type definition
+     * @private
+     */
+    getTypeDefinition(type) {
+        return this.registry ? this.registry.get(type) : null;
+    }
+
     /**
      * Show notification - unified for MVP
-     * @param {string} type - Notification type ('water' | 'standup')
+     * @param {string} type - Reminder type id
      * @param {string} title - Notification title
      * @param {string} message - Notification content
      * @param {Function} onDone - Callback when user clicks Done
      * @param {Function} onSnooze - Callback when user clicks Snooze
+     * @param {Object} options - Optional notification extras
+     * @param {Object} options.routine - Guided routine offered in the modal (from RoutineLibrary)
+     * @param {Object} options.snooze - Snooze menu {count, limit, choices: [{value, label}]}; onSnooze receives the chosen value
+     * @param {boolean} options.escalated - Reminder has been snoozed as often as allowed
+     * @param {boolean} options.awaitResponse - Keep the modal open until answered (escalation steps will follow)
+     * @param {Function} options.onIgnored - Called when the reminder closes unanswered (auto-hide or replaced)
+     * @param {boolean} options.sound - Play this reminder's sound (default true; the service-wide switch still applies)
+     * @param {string} options.soundTheme - Sound theme (see SOUND_CONSTANTS.THEMES; defaults to the type's own tone)
+     * @param {string} options.details - Reminder details shown in the detailed style
+     * @param {boolean} options.mirrored - Reminder fired in another tab: show the modal only; that tab
+     *   shows the OS notification, plays the sound and records the answer
      * @returns {boolean} Whether successfully displayed
      */
-    showNotification(type, title, message, onDone, onSnooze) {
+    showNotification(type, title, message, onDone, onSnooze, options = {}) {
+        // Don't interrupt a routine in progress - show this reminder once it ends
+        if (this.isRoutinePlaying()) {
+            this.pendingNotification = [type, title, message, onDone, onSnooze, options];
+            console.log(`${type} reminder deferred until the routine ends`);
+            return false;
+        }
+        
+        // A reminder still waiting for an answer is being replaced
+        if (this.currentCallbacks) {
+            const { onIgnored } = this.currentCallbacks;
+            this.recordOutcome(HISTORY_CONSTANTS.OUTCOMES.IGNORED);
+            this.stopEscalationEffects();
+            this.currentCallbacks = null;
+
+            if (onIgnored) {
+                onIgnored();
+            }
+        }
+        
+        message = this.formatMessage(message, options.details);
+        
         // Store callbacks for modal handling
-        this.currentCallbacks = { onDone, onSnooze, type };
+        this.currentCallbacks = {
+            onDone,
+            onSnooze,
+            onIgnored: options.onIgnored || null,
+            type,
+            title,
+            message,
+            firedAt: Date.now(),
+            routine: options.routine || null,
+            snooze: options.snooze || null,
+            escalated: Boolean(options.escalated),
+            awaitResponse: Boolean(options.awaitResponse),
+            sound: options.sound !== false,
+            soundTheme: options.soundTheme || SOUND_CONSTANTS.THEMES.DEFAULT,
+            mirrored: Boolean(options.mirrored),
+            escalations: [] // escalation steps run while unanswered
+        };
         
         // Unified notification strategy
-        const notificationShown = this.showUnifiedNotification(type, title, message);
+        const notificationShown = options.mirrored || this.showUnifiedNotification(type, title, message);
 
         // Show modal notification with action buttons
         this.showModalNotification(type, title, message);
 
         // Play sound (synchronous)
-        if (this.soundEnabled) {
-            this.playSound(type);
+        if (this.soundEnabled && this.currentCallbacks.sound && !options.mirrored) {
+            this.playSound(type, { theme: this.currentCallbacks.soundTheme });
         }
 
         return notificationShown;
     }
 
+    /**
+     * Shape the reminder text for the chosen notification style
+     * @param {string} message - Reminder message
+     * @param {string} details - Reminder details (interval, snoozes, progress)
+     * @returns {string} Text to show under the title
+     * @private
+     */
+    formatMessage(message, details) {
+        const { MINIMAL, DETAILED } = NOTIFICATION_CONSTANTS.STYLES;
+
+        if (this.style === MINIMAL) return '';
+        if (this.style === DETAILED && details) return `${message}\n${details}`;
+        return message;
+    }
+
     /**
      * Unified notification display
      * @private
@@ -134,8 +229,8 @@ class NotificationService {
     showUnifiedNotification(type, title, message) {
         let shown = false;
 
-        // Try browser notification first if supported
-        if (this.hasPermission) {
+        // Try browser notification first if supported and wanted
+        if (this.hasPermission && this.browserNotificationsEnabled) {
             shown = this.showBrowserNotification(type, title, message);
         }
 
@@ -147,12 +242,14 @@ class NotificationService {
 
     /**
      * Show browser notification
-     * @param {string} type - Notification type ('water' | 'standup')
+     * @param {string} type - Reminder type id
      * @param {string} title - Notification title
      * @param {string} message - Notification content
+     * @param {Object} options - Display options
+     * @param {boolean} options.persistent - Stay on screen until clicked (escalation)
      * @returns {boolean} Whether successfully displayed
      */
-    showBrowserNotification(type, title, message) {
+    showBrowserNotification(type, title, message, { persistent = false } = {}) {
         if (!this.isSupported) {
             console.warn('Browser does not support notifications, using in-page alerts');
             return false;
@@ -169,11 +266,18 @@ class NotificationService {
                 icon: this.getNotificationIcon(type),
                 badge: this.getNotificationIcon(type),
                 tag: `wellness-reminder-${type}`,
-                requireInteraction: false, // No user interaction required
+                requireInteraction: persistent, // Escalated reminders stay until clicked
                 silent: !this.soundEnabled,
                 vibrate: [200, 100, 200] // Vibration pattern (mobile devices)
             };
 
+            // Worker notifications survive a throttled background tab and carry
+            // Done/Snooze actions; they stay until answered and are closed with the modal.
+            // Page notifications cannot have actions - clicking them focuses the page
+            if (this.serviceWorker && this.serviceWorker.isAvailable()) {
+                return this.serviceWorker.showNotification(type, title, options, this.getNotificationActions(type));
+            }
+
             const notification = new Notification(title, options);
 
             // Set click event - simple window focus
@@ -182,10 +286,14 @@ class NotificationService {
                 notification.close();
             };
 
-            // Auto-close notification (after 5 seconds)
-            setTimeout(() => {
-                notification.close();
-            }, 5000);
+            if (persistent) {
+                this.persistentNotification = notification;
+            } else {
+                // Auto-close notification (after 5 seconds)
+                setTimeout(() => {
+                    notification.close();
+                }, 5000);
+            }
 
             return true;
         } catch (error) {
@@ -196,11 +304,13 @@ class NotificationService {
 
     /**
      * Show in-page alert - simplified for MVP
-     * @param {string} type - Reminder type ('water' | 'standup')
+     * @param {string} type - Reminder type id
      * @param {string} title - Reminder title
      * @param {string} message - Reminder content
+     * @param {Object} options - Display options
+     * @param {boolean} options.persistent - Stay until closed (escalation)
      */
-    showInPageAlert(type, title, message) {
+    showInPageAlert(type, title, message, { persistent = false } = {}) {
         // Remove existing notification
         this.hideInPageAlert();
 
@@ -212,17 +322,25 @@ class NotificationService {
         // Simplified layout without buttons
         alertContainer.innerHTML = `
             <div class="notification-content">
-                <div class="notification-icon">
-                    ${this.getNotificationEmoji(type)}
-                </div>
+                <div class="notification-icon"></div>
                 <div class="notification-text">
-                    <h3 class="notification-title">${title}</h3>
-                    <p class="notification-message">${message}</p>
+                    <h3 class="notification-title"></h3>
+                    <p class="notification-message"></p>
                 </div>
                 <button class="btn btn-close" id="close-btn">×</button>
             </div>
         `;
 
+        // Text content may come from user-defined reminder types
+        alertContainer.querySelector('.notification-icon').textContent = this.getNotificationEmoji(type);
+        alertContainer.querySelector('.notification-title').textContent = title;
+        alertContainer.querySelector('.notification-message').textContent = message;
+
+        const definition = this.getTypeDefinition(type);
+        if (definition && !definition.builtIn) {
+            alertContainer.style.borderTop = `3px solid ${definition.color}`;
+        }
+
         // Add to page
         document.body.appendChild(alertContainer);
 
@@ -237,9 +355,11 @@ class NotificationService {
         // Show with animation
         setTimeout(() => alertContainer.classList.add('show'), 100);
 
+        if (persistent) return;
+
         // Auto-hide after 5 seconds
         setTimeout(() => {
-            if (document.getElementById('wellness-notification')) {
+            if (document.getElementById('wellness-notification') === alertContainer) {
                 this.hideInPageAlert();
             }
         }, 5000);
@@ -248,23 +368,77 @@ class NotificationService {
     /**
      * Play reminder sound
      * @param {string} type - Sound type
+     * @param {Object} options - Sound options
+     * @param {boolean} options.loud - Louder and repeated (escalation)
+     * @param {string} options.theme - Sound theme (see SOUND_CONSTANTS.THEMES)
      */
-    playSound(type) {
+    playSound(type, { loud = false, theme = SOUND_CONSTANTS.THEMES.DEFAULT } = {}) {
         if (!this.soundEnabled) return;
 
         try {
-            // Create audio context (if supported)
-            if (this.audioContext) {
-                this.playBeepSound(type);
-            } else {
-                // Fallback: use HTML5 Audio
-                this.playAudioFile(type);
+            this.playThemeSound(type, { loud, theme, volume: this.volume });
+
+            if (loud) {
+                // Repeats keep the escalation gain
+                const { REPEAT, GAP_MS } = ESCALATION_CONSTANTS.LOUD_SOUND;
+                for (let play = 1; play < REPEAT; play++) {
+                    setTimeout(() => this.playRepeat(type, { loud, theme }), play * GAP_MS);
+                }
             }
         } catch (error) {
             console.warn('Failed to play sound:', error);
         }
     }
 
+    /**
+     * Play one repeat of an escalated sound, unless sounds were turned off since
+     * @param {string} type - Sound type
+     * @param {Object} sound - Sound {loud, theme}
+     * @private
+     */
+    playRepeat(type, { loud, theme }) {
+        if (!this.soundEnabled) return;
+
+        try {
+            this.playThemeSound(type, { loud, theme, volume: this.volume });
+        } catch (error) {
+            console.warn('Failed to play sound:', error);
+        }
+    }
+
+    /**
+     * Play a sound from the settings, before it is saved
+     * Plays even when sounds are turned off, so the user can hear the choice
+     * @param {string} type - Reminder type id
+     * @param {Object} options - Sound options
+     * @param {string} options.theme - Sound theme (see SOUND_CONSTANTS.THEMES)
+     * @param {number} options.volume - Volume in percent (defaults to the current one)
+     */
+    previewSound(type, { theme = SOUND_CONSTANTS.THEMES.DEFAULT, volume = this.volume } = {}) {
+        try {
+            this.playThemeSound(type, { theme, volume });
+        } catch (error) {
+            console.warn('Failed to preview sound:', error);
+        }
+    }
+
+    /**
+     * Play one sound of a theme
+     * Uploaded sounds play through HTML5 Audio, synthesized ones through the
+     * Web Audio API where available
+     * @param {string} type - Reminder type id
+     * @param {Object} sound - Sound {loud, theme, volume}
+     * @private
+     */
+    playThemeSound(type, sound) {
+        if (this.audioContext && !this.getUploadedSound(type, sound.theme)) {
+            this.playBeepSound(type, sound);
+        } else {
+            // Fallback: use HTML5 Audio
+            this.playAudioFile(type, sound);
+        }
+    }
+
     /**
      * Check if browser supports notifications
      * @returns {boolean}
@@ -281,33 +455,56 @@ class NotificationService {
         this.soundEnabled = enabled;
     }
 
+    /**
+     * Set the volume of reminder sounds
+     * @param {number} volume - Volume in percent (see SOUND_CONSTANTS.VOLUME_RANGE)
+     */
+    setVolume(volume) {
+        const { MIN, MAX } = SOUND_CONSTANTS.VOLUME_RANGE;
+        this.volume = Number.isFinite(volume) ? Math.min(MAX, Math.max(MIN, volume)) : SOUND_CONSTANTS.DEFAULT_VOLUME;
+    }
+
+    /**
+     * Turn OS notifications on or off (in-page alerts and the modal always show)
+     * @param {boolean} enabled
+     */
+    setBrowserNotificationsEnabled(enabled) {
+        this.browserNotificationsEnabled = enabled;
+    }
+
+    /**
+     * Set notification style
+     * @param {string} style - One of NOTIFICATION_CONSTANTS.STYLES
+     * @returns {boolean} Whether the style was applied
+     */
+    setStyle(style) {
+        if (!Object.values(NOTIFICATION_CONSTANTS.STYLES).includes(style)) {
+            console.warn(`Unknown notification style: ${style}`);
+            return false;
+        }
+
+        this.style = style;
+        return true;
+    }
+
     /**
      * Get notification icon URL
-     * @param {string} type - Notification type ('water' | 'standup')
+     * @param {string} type - Reminder type id
      * @returns {string} Icon URL
      */
     getNotificationIcon(type) {
-        // Return different icon URLs based on type
-        if (type === 'water') {
-            return 'assets/water-icon.png';
-        } else if (type === 'standup') {
-            return 'assets/standup-icon.png';
-        }
-        return 'assets/default-icon.png';
+        const definition = this.getTypeDefinition(type);
+        return definition ? definition.icon : REMINDER_TYPE_CONSTANTS.DEFAULTS.ICON;
     }
 
     /**
      * Get notification emoji
-     * @param {string} type - Notification type ('water' | 'standup')
-     * @returns {string} Emoji HTML
+     * @param {string} type - Reminder type id
+     * @returns {string} Emoji
      */
     getNotificationEmoji(type) {
-        if (type === 'water') {
-            return '💧';
-        } else if (type === 'standup') {
-            return '🧘';
-        }
-        return '⏰';
+        const definition = this.getTypeDefinition(type);
+        return definition ? definition.emoji : REMINDER_TYPE_CONSTANTS.DEFAULTS.EMOJI;
     }
 
     /**
@@ -333,8 +530,28 @@ class NotificationService {
         titleElement.textContent = title;
         messageElement.textContent = message;
         
-        // Update icon class
-        iconElement.className = `notification-icon ${type}-icon`;
+        // Offer the guided routine, if any, in place of a plain Done
+        const routine = this.currentCallbacks ? this.currentCallbacks.routine : null;
+        this.showRoutineSummary(routine);
+        confirmBtn.textContent = this.i18n.t(routine ? 'notification.startRoutine' : 'notification.done');
+        
+        // Snooze choices, or a note once the snooze limit is reached
+        const snooze = this.currentCallbacks ? this.currentCallbacks.snooze : null;
+        const canSnooze = !snooze || snooze.choices.length > 0;
+        this.renderSnoozeMenu(snooze);
+        overlay.classList.toggle('escalated', Boolean(this.currentCallbacks && this.currentCallbacks.escalated));
+        
+        // Built-in types have CSS artwork, custom types show their emoji
+        const definition = this.getTypeDefinition(type);
+        if (definition && definition.builtIn) {
+            iconElement.className = `notification-icon ${type}-icon`;
+            iconElement.textContent = '';
+            iconElement.style.backgroundColor = '';
+        } else {
+            iconElement.className = 'notification-icon custom-icon';
+            iconElement.textContent = this.getNotificationEmoji(type);
+            iconElement.style.backgroundColor = definition ? definition.color : REMINDER_TYPE_CONSTANTS.DEFAULTS.COLOR;
+        }
         
         // Show overlay
         overlay.style.display = 'flex';
@@ -345,31 +562,56 @@ class NotificationService {
         const newSnoozeBtn = snoozeBtn.cloneNode(true);
         confirmBtn.parentNode.replaceChild(newConfirmBtn, confirmBtn);
         snoozeBtn.parentNode.replaceChild(newSnoozeBtn, snoozeBtn);
+        newSnoozeBtn.disabled = !canSnooze;
+        newSnoozeBtn.setAttribute('aria-expanded', 'false');
 
         // Add event listeners
         newConfirmBtn.addEventListener('click', () => {
-            this.handleDoneClick();
+            if (routine) {
+                this.startRoutine(routine);
+            } else {
+                this.handleDoneClick();
+            }
         });
 
         newSnoozeBtn.addEventListener('click', () => {
-            this.handleSnoozeClick();
+            if (snooze) {
+                this.toggleSnoozeMenu();
+            } else {
+                this.handleSnoozeClick();
+            }
         });
 
-        // Auto-hide after 30 seconds
+        // Auto-hide after 30 seconds - an unanswered reminder counts as ignored.
+        // Reminders that escalate stay open until answered
+        const callbacks = this.currentCallbacks;
+        if (callbacks && callbacks.awaitResponse) return;
+
         setTimeout(() => {
-            if (overlay.classList.contains('show')) {
+            if (overlay.classList.contains('show') && this.currentCallbacks === callbacks && !this.isRoutinePlaying()) {
+                this.recordOutcome(HISTORY_CONSTANTS.OUTCOMES.IGNORED);
                 this.hideModalNotification();
+
+                if (callbacks.onIgnored) {
+                    callbacks.onIgnored();
+                }
             }
-        }, 30000);
+        }, HISTORY_CONSTANTS.MODAL_AUTO_HIDE_MS);
     }
 
     /**
      * Handle Done button click with analytics tracking
+     * @param {Object} details - Extra outcome details
+     * @param {Object} details.routine - Routine result when a guided routine was played
      */
-    handleDoneClick() {
+    handleDoneClick({ routine = null } = {}) {
+        this.recordOutcome(HISTORY_CONSTANTS.OUTCOMES.DONE, { routine });
+        
         if (this.currentCallbacks && this.currentCallbacks.onDone) {
-            // Track analytics event
-            this.trackReminderCompletion(this.currentCallbacks.type);
+            // Track analytics event (the tab that fired the reminder tracks mirrored ones)
+            if (!this.currentCallbacks.mirrored) {
+                this.trackReminderCompletion(this.currentCallbacks.type);
+            }
             
             // Execute callback
             this.currentCallbacks.onDone();
@@ -379,14 +621,118 @@ class NotificationService {
     }
 
     /**
-     * Handle Snooze button click
+     * Handle Snooze button or snooze menu click
+     * @param {number|string} choice - Snooze menu value (minutes or 'meeting'), undefined for the default
      */
-    handleSnoozeClick() {
-        if (this.currentCallbacks && this.currentCallbacks.onSnooze) {
-            this.currentCallbacks.onSnooze();
+    handleSnoozeClick(choice) {
+        const callbacks = this.currentCallbacks;
+        this.recordOutcome(HISTORY_CONSTANTS.OUTCOMES.SNOOZED);
+        
+        if (callbacks && callbacks.onSnooze) {
+            callbacks.onSnooze(choice);
         }
         
+        // A reminder out of snoozes shows itself again instead - keep that one open
+        if (this.currentCallbacks === callbacks) {
+            this.hideModalNotification();
+        }
+    }
+
+    /**
+     * Get the actions offered on the OS notification
+     * @param {string} type - Reminder type
+     * @returns {Array<string>} Action ids from SERVICE_WORKER_CONSTANTS.ACTIONS
+     * @private
+     */
+    getNotificationActions(type) {
+        const { DONE, SNOOZE } = SERVICE_WORKER_CONSTANTS.ACTIONS;
+        const callbacks = this.currentCallbacks;
+        if (!callbacks || callbacks.type !== type) return [];
+
+        // Out of snoozes - only Done is left
+        const canSnooze = !callbacks.snooze || callbacks.snooze.choices.length > 0;
+        return canSnooze ? [DONE, SNOOZE] : [DONE];
+    }
+
+    /**
+     * Answer the reminder from an OS notification action
+     * Goes through the modal's Done/Snooze handlers so history and analytics
+     * record it like a click in the page
+     * @param {string} type - Reminder type
+     * @param {string} action - SERVICE_WORKER_CONSTANTS.ACTIONS.DONE or SNOOZE
+     * @param {number|string} choice - Snooze menu value, undefined for the default
+     * @returns {boolean} Whether the action was applied
+     */
+    handleNotificationAction(type, action, choice) {
+        const { DONE, SNOOZE } = SERVICE_WORKER_CONSTANTS.ACTIONS;
+        if (!this.currentCallbacks || this.currentCallbacks.type !== type || this.isRoutinePlaying()) {
+            return false;
+        }
+
+        if (action === DONE) {
+            this.handleDoneClick();
+            return true;
+        }
+
+        if (action === SNOOZE && this.getNotificationActions(type).includes(SNOOZE)) {
+            this.handleSnoozeClick(choice);
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Close a reminder that got no answer in time, recording it as ignored
+     * The reminder asking for this has already moved on, so onIgnored is not called
+     * @param {string} type - Reminder type
+     * @returns {boolean} Whether a notification of this type was closed
+     */
+    dismissNotification(type) {
+        if (!this.currentCallbacks || this.currentCallbacks.type !== type || this.isRoutinePlaying()) {
+            return false;
+        }
+
+        this.recordOutcome(HISTORY_CONSTANTS.OUTCOMES.IGNORED);
         this.hideModalNotification();
+        return true;
+    }
+
+    /**
+     * Record the outcome of the current reminder in history
+     * @param {string} outcome - One of HISTORY_CONSTANTS.OUTCOMES
+     * @param {Object} details - Extra outcome details
+     * @param {Object} details.routine - Routine result {routineId, routineName, completedSteps, totalSteps, completed}
+     * @private
+     */
+    recordOutcome(outcome, { routine = null } = {}) {
+        if (!this.history || !this.currentCallbacks || this.currentCallbacks.mirrored) return;
+
+        const { type, firedAt, snooze, escalations } = this.currentCallbacks;
+        const ignored = outcome === HISTORY_CONSTANTS.OUTCOMES.IGNORED;
+        
+        // Snoozes in a row, counting this one when the user snoozed again
+        const snoozeCount = (snooze ? snooze.count : 0) + (outcome === HISTORY_CONSTANTS.OUTCOMES.SNOOZED ? 1 : 0);
+
+        try {
+            this.history.record({
+                type,
+                firedAt,
+                outcome,
+                respondedAt: ignored ? null : Date.now(),
+                snoozeCount,
+                escalations,
+                routine: routine ? {
+                    id: routine.routineId,
+                    name: routine.routineName,
+                    completedSteps: routine.completedSteps,
+                    totalSteps: routine.totalSteps,
+                    completed: routine.completed
+                } : null
+            });
+        } catch (error) {
+            console.warn('Failed to record reminder outcome:', error);
+        }
     }
 
     /**
@@ -397,11 +743,7 @@ class NotificationService {
         try {
             // Get global analytics instance
             if (window.app && window.app.analytics) {
-                if (type === 'water') {
-                    window.app.analytics.trackWaterCompleted();
-                } else if (type === 'standup') {
-                    window.app.analytics.trackStandupCompleted();
-                }
+                window.app.analytics.trackReminderCompleted(type);
             } else {
                 console.warn('Analytics not available for tracking');
             }
@@ -422,8 +764,261 @@ class NotificationService {
             }, 300);
         }
         
+        if (this.routinePlayer) {
+            this.routinePlayer.stop();
+        }
+        this.setModalActionsVisible(true);
+        this.stopEscalationEffects();
+        
+        if (this.serviceWorker && this.currentCallbacks) {
+            this.serviceWorker.closeNotifications(this.currentCallbacks.type);
+        }
+        
         // Clear callbacks
         this.currentCallbacks = null;
+        
+        // Show a reminder that fired during a routine once the modal has closed
+        if (this.pendingNotification) {
+            const pending = this.pendingNotification;
+            this.pendingNotification = null;
+            setTimeout(() => this.showNotification(...pending), 350);
+        }
+    }
+
+    /**
+     * Run one escalation step for the unanswered reminder
+     * @param {string} type - Reminder type
+     * @param {string} action - One of ESCALATION_CONSTANTS.ACTIONS
+     * @returns {boolean} Whether the step ran (false once answered or replaced)
+     */
+    runEscalationStep(type, action) {
+        const callbacks = this.currentCallbacks;
+        if (!callbacks || callbacks.type !== type || this.isRoutinePlaying()) {
+            return false;
+        }
+
+        const { ACTIONS } = ESCALATION_CONSTANTS;
+        const { title, message } = callbacks;
+
+        switch (action) {
+            case ACTIONS.REALERT:
+                this.showUnifiedNotification(type, title, message);
+                if (callbacks.sound) {
+                    this.playSound(type, { theme: callbacks.soundTheme });
+                }
+                break;
+            case ACTIONS.LOUD_SOUND:
+                // A type with its sound off stays silent; the step still counts as run
+                if (callbacks.sound) {
+                    this.playSound(type, { loud: true, theme: callbacks.soundTheme });
+                }
+                break;
+            case ACTIONS.PERSISTENT:
+                if (!this.browserNotificationsEnabled ||
+                    !this.showBrowserNotification(type, title, message, { persistent: true })) {
+                    this.showInPageAlert(type, title, message, { persistent: true });
+                }
+                break;
+            case ACTIONS.FLASH_TITLE:
+                this.startTitleFlash(title);
+                break;
+            default:
+                console.warn(`Unknown escalation action: ${action}`);
+                return false;
+        }
+
+        callbacks.escalations.push({ action, at: Date.now() });
+        return true;
+    }
+
+    /**
+     * Alternate the tab title with the reminder title
+     * @param {string} title - Reminder title
+     * @private
+     */
+    startTitleFlash(title) {
+        if (this.titleFlashId) return;
+
+        this.originalTitle = document.title;
+        const flashTitle = `${ESCALATION_CONSTANTS.TITLE_PREFIX}${title}`;
+
+        this.titleFlashId = setInterval(() => {
+            document.title = document.title === flashTitle ? this.originalTitle : flashTitle;
+        }, ESCALATION_CONSTANTS.TITLE_FLASH_MS);
+        document.title = flashTitle;
+    }
+
+    /**
+     * Undo escalation effects once the reminder is answered
+     * @private
+     */
+    stopEscalationEffects() {
+        if (this.titleFlashId) {
+            clearInterval(this.titleFlashId);
+            this.titleFlashId = null;
+            document.title = this.originalTitle;
+        }
+
+        if (this.persistentNotification) {
+            this.persistentNotification.close();
+            this.persistentNotification = null;
+        }
+
+        // A persistent in-page alert has no timer of its own
+        if (this.currentCallbacks && this.currentCallbacks.escalations.length > 0) {
+            this.hideInPageAlert();
+        }
+    }
+
+    /**
+     * Fill the snooze menu and the snooze count note
+     * @param {Object|null} snooze - Snooze info {count, limit, choices}, or null to clear both
+     * @private
+     */
+    renderSnoozeMenu(snooze) {
+        const menu = document.getElementById('notification-snooze-menu');
+        const note = document.getElementById('notification-snooze-note');
+
+        if (menu) {
+            menu.hidden = true;
+            menu.textContent = '';
+
+            (snooze ? snooze.choices : []).forEach(choice => {
+                const option = document.createElement('button');
+                option.type = 'button';
+                option.className = 'snooze-option';
+                option.setAttribute('role', 'menuitem');
+                option.textContent = choice.label;
+                option.addEventListener('click', () => this.handleSnoozeClick(choice.value));
+                menu.appendChild(option);
+            });
+        }
+
+        if (note) {
+            if (snooze && snooze.choices.length === 0) {
+                note.textContent = snooze.limit > 0
+                    ? this.i18n.t('notification.snoozeLimitReached', { count: snooze.count })
+                    : this.i18n.t('notification.snoozeOff');
+            } else if (snooze && snooze.count > 0) {
+                note.textContent = this.i18n.t('notification.snoozeCount', { snoozed: snooze.count, count: snooze.limit });
+            } else {
+                note.textContent = '';
+            }
+            note.hidden = !note.textContent;
+        }
+    }
+
+    /**
+     * Show or hide the snooze menu
+     * @private
+     */
+    toggleSnoozeMenu() {
+        const menu = document.getElementById('notification-snooze-menu');
+        const snoozeBtn = document.getElementById('notification-snooze');
+        if (!menu) return;
+
+        menu.hidden = !menu.hidden;
+        if (snoozeBtn) {
+            snoozeBtn.setAttribute('aria-expanded', String(!menu.hidden));
+        }
+
+        if (!menu.hidden && menu.firstElementChild) {
+            menu.firstElementChild.focus();
+        }
+    }
+
+    /**
+     * Show routine name, step count and duration under the message
+     * @param {Object|null} routine - Routine, or null to hide the summary
+     * @private
+     */
+    showRoutineSummary(routine) {
+        const summaryElement = document.getElementById('notification-routine-summary');
+        if (!summaryElement) return;
+
+        if (!routine) {
+            summaryElement.hidden = true;
+            summaryElement.textContent = '';
+            return;
+        }
+
+        const seconds = RoutineLibrary.getDuration(routine);
+        const duration = seconds >= 60
+            ? this.i18n.t('duration.minutes', { count: Math.round(seconds / 60) })
+            : this.i18n.t('duration.seconds', { count: seconds });
+
+        summaryElement.textContent = this.i18n.t('routine.summary', {
+            name: routine.name,
+            steps: this.i18n.t('routine.steps', { count: routine.steps.length }),
+            duration
+        });
+        summaryElement.hidden = false;
+    }
+
+    /**
+     * Play a guided routine in the modal; finishing it counts as Done
+     * @param {Object} routine - Routine from RoutineLibrary
+     * @private
+     */
+    startRoutine(routine) {
+        const player = this.getRoutinePlayer();
+        if (!player) {
+            // No player markup - fall back to a plain Done
+            this.handleDoneClick();
+            return;
+        }
+
+        this.setModalActionsVisible(false);
+        this.showRoutineSummary(null);
+        this.renderSnoozeMenu(null);
+
+        player.play(routine, result => {
+            this.handleDoneClick({ routine: result });
+        });
+    }
+
+    /**
+     * Get routine player bound to the modal, creating it on first use
+     * @returns {RoutinePlayer|null} Player, null if the modal has no player markup
+     * @private
+     */
+    getRoutinePlayer() {
+        if (this.routinePlayer) return this.routinePlayer;
+
+        const container = document.getElementById('notification-routine');
+        if (!container || typeof RoutinePlayer === 'undefined') return null;
+
+        this.routinePlayer = new RoutinePlayer({
+            container,
+            stepName: document.getElementById('routine-step-name'),
+            instruction: document.getElementById('routine-step-instruction'),
+            timer: document.getElementById('routine-step-timer'),
+            progress: document.getElementById('routine-progress'),
+            skipBtn: document.getElementById('routine-skip'),
+            finishBtn: document.getElementById('routine-finish')
+        }, this.i18n);
+
+        return this.routinePlayer;
+    }
+
+    /**
+     * Check whether a guided routine is playing in the modal
+     * @returns {boolean}
+     */
+    isRoutinePlaying() {
+        return Boolean(this.routinePlayer && this.routinePlayer.isRunning);
+    }
+
+    /**
+     * Show or hide the modal Done/Remind Later buttons
+     * @param {boolean} visible - Whether the buttons are visible
+     * @private
+     */
+    setModalActionsVisible(visible) {
+        const actions = document.querySelector('#notification-overlay .notification-actions');
+        if (actions) {
+            actions.hidden = !visible;
+        }
     }
 
     /**
@@ -432,6 +1027,8 @@ class NotificationService {
     hideInPageAlert() {
         const existingAlert = document.getElementById('wellness-notification');
         if (existingAlert) {
+            // Free the id so an alert shown during the fade out is found by the next lookup
+            existingAlert.removeAttribute('id');
             existingAlert.classList.remove('show');
             setTimeout(() => {
                 if (existingAlert.parentNode) {
@@ -444,8 +1041,12 @@ class NotificationService {
     /**
      * Play beep sound using Web Audio API
      * @param {string} type - Sound type
+     * @param {Object} options - Sound options
+     * @param {boolean} options.loud - Use the escalation gain
+     * @param {string} options.theme - Sound theme (see SOUND_CONSTANTS.THEMES)
+     * @param {number} options.volume - Volume in percent
      */
-    playBeepSound(type) {
+    playBeepSound(type, { loud = false, theme = SOUND_CONSTANTS.THEMES.DEFAULT, volume = this.volume } = {}) {
         try {
             if (!this.audioContext) {
                 this.initAudioContext();
@@ -466,83 +1067,107 @@ class NotificationService {
             oscillator.connect(gainNode);
             gainNode.connect(this.audioContext.destination);
 
-            // Set different tones based on reminder type
-            if (type === 'water') {
-                oscillator.type = 'sine';
-                oscillator.frequency.value = 800; // Higher tone
-                gainNode.gain.value = 0.1;
+            // Tone comes from the sound theme, or the reminder type definition
+            const tone = this.getTone(type, theme);
+            const totalMs = tone.frequencies.length * tone.stepMs;
 
-                // Create water drop sound effect
-                oscillator.start();
-                gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + 0.3);
+            oscillator.type = tone.wave;
+            oscillator.frequency.value = tone.frequencies[0];
+            gainNode.gain.value = (loud ? ESCALATION_CONSTANTS.LOUD_SOUND.GAIN : SOUND_CONSTANTS.GAIN) * volume / 100;
 
-                // Stop after 0.3 seconds
-                setTimeout(() => {
-                    oscillator.stop();
-                }, 300);
-            } else if (type === 'standup') {
-                oscillator.type = 'triangle';
-                oscillator.frequency.value = 600; // Lower tone
-                gainNode.gain.value = 0.1;
+            oscillator.start();
 
-                // Create double-tone reminder sound
-                oscillator.start();
-
-                // First tone
-                setTimeout(() => {
-                    oscillator.frequency.value = 700;
-                }, 200);
+            // Fade out for a water drop style effect
+            if (tone.decay) {
+                gainNode.gain.exponentialRampToValueAtTime(0.01, this.audioContext.currentTime + totalMs / 1000);
+            }
 
-                // Stop after 0.4 seconds
+            // Step through remaining frequencies
+            tone.frequencies.slice(1).forEach((frequency, index) => {
                 setTimeout(() => {
-                    oscillator.stop();
-                }, 400);
-            } else {
-                // Default reminder sound
-                oscillator.type = 'sine';
-                oscillator.frequency.value = 700;
-                gainNode.gain.value = 0.1;
-
-                oscillator.start();
+                    oscillator.frequency.value = frequency;
+                }, (index + 1) * tone.stepMs);
+            });
 
-                // Stop after 0.2 seconds
-                setTimeout(() => {
-                    oscillator.stop();
-                }, 200);
-            }
+            // Stop after all steps played
+            setTimeout(() => {
+                oscillator.stop();
+            }, totalMs);
         } catch (error) {
             console.warn('Web Audio API not available:', error);
             // Fallback to HTML5 Audio
-            this.playAudioFile(type);
+            this.playAudioFile(type, { loud, theme, volume });
         }
     }
 
+    /**
+     * Get synthesized tone for a reminder type
+     * @param {string} type - Reminder type id
+     * @param {string} theme - Sound theme (see SOUND_CONSTANTS.THEMES)
+     * @returns {Object} Tone {wave, frequencies, stepMs, decay}
+     * @private
+     */
+    getTone(type, theme = SOUND_CONSTANTS.THEMES.DEFAULT) {
+        if (SOUND_CONSTANTS.TONES[theme]) return SOUND_CONSTANTS.TONES[theme];
+
+        const definition = this.getTypeDefinition(type);
+        return definition ? definition.sound.tone : REMINDER_TYPE_CONSTANTS.DEFAULTS.TONE;
+    }
+
+    /**
+     * Get the sound uploaded for a reminder type, when its theme uses it
+     * @param {string} type - Reminder type id
+     * @param {string} theme - Sound theme (see SOUND_CONSTANTS.THEMES)
+     * @returns {Object|null} Sound {name, size, dataUrl} (see SoundLibrary)
+     * @private
+     */
+    getUploadedSound(type, theme) {
+        return theme === SOUND_CONSTANTS.THEMES.CUSTOM && this.sounds ? this.sounds.get(type) : null;
+    }
+
+    /**
+     * Get audio file path for a reminder type
+     * The custom theme plays the uploaded sound; without one, and for the
+     * synthesized themes, the type's own file is used
+     * @param {string} type - Reminder type id
+     * @param {string} theme - Sound theme (see SOUND_CONSTANTS.THEMES)
+     * @returns {string} Audio file path or data URL
+     * @private
+     */
+    getSoundFile(type, theme = SOUND_CONSTANTS.THEMES.DEFAULT) {
+        const uploaded = this.getUploadedSound(type, theme);
+        if (uploaded) return uploaded.dataUrl;
+
+        const definition = this.getTypeDefinition(type);
+        return definition ? definition.sound.file : REMINDER_TYPE_CONSTANTS.DEFAULTS.SOUND_FILE;
+    }
+
     /**
      * Play audio file
      * @param {string} type - Sound type
+     * @param {Object} options - Sound options
+     * @param {boolean} options.loud - Use the escalation volume
+     * @param {string} options.theme - Sound theme (see SOUND_CONSTANTS.THEMES)
+     * @param {number} options.volume - Volume in percent
      */
-    playAudioFile(type) {
+    playAudioFile(type, { loud = false, theme = SOUND_CONSTANTS.THEMES.DEFAULT, volume: level = this.volume } = {}) {
+        const volume = (loud ? ESCALATION_CONSTANTS.LOUD_SOUND.FILE_VOLUME : SOUND_CONSTANTS.FILE_VOLUME) * level / 100;
+        const file = this.getSoundFile(type, theme);
+
         try {
-            // Check if cached audio object exists
-            if (!this.audioFiles[type]) {
+            // Check if cached audio object exists (one per file, so a new upload replaces the old sound)
+            if (!this.audioFiles[file]) {
                 const audio = new Audio();
-                audio.volume = 0.5;
-
-                // Set different sound effects based on type
-                if (type === 'water') {
-                    audio.src = 'assets/water-reminder.mp3';
-                } else if (type === 'standup') {
-                    audio.src = 'assets/standup-reminder.mp3';
-                } else {
-                    audio.src = 'assets/notification.mp3';
-                }
+                audio.volume = volume;
+                audio.src = file;
 
                 // Cache audio object
-                this.audioFiles[type] = audio;
+                this.audioFiles[file] = audio;
             }
 
             // Reset audio and play
-            const audio = this.audioFiles[type];
+            const audio = this.audioFiles[file];
+            audio.volume = volume;
             audio.currentTime = 0;
 
             audio.play().catch(error => {
@@ -552,15 +1177,8 @@ class NotificationService {
                 if (error.name === 'NotAllowedError') {
                     // Create new audio object, might bypass some browser autoplay restrictions
                     const newAudio = new Audio();
-                    newAudio.volume = 0.5;
-
-                    if (type === 'water') {
-                        newAudio.src = 'assets/water-reminder.mp3';
-                    } else if (type === 'standup') {
-                        newAudio.src = 'assets/standup-reminder.mp3';
-                    } else {
-                        newAudio.src = 'assets/notification.mp3';
-                    }
+                    newAudio.volume = volume;
+                    newAudio.src = file;
 
                     // Try playing newly created audio
                     newAudio.play().catch(e => {
@@ -599,16 +1217,21 @@ class NotificationService {
             <div class="prompt-content">
                 <div class="prompt-icon">🔔</div>
                 <div class="prompt-text">
-                    <h3>Enable Notifications</h3>
-                    <p>To better remind you to drink water and take breaks, please allow browser notifications.</p>
+                    <h3></h3>
+                    <p></p>
                 </div>
                 <div class="prompt-actions">
-                    <button class="btn btn-primary" id="request-permission-btn">Allow Notifications</button>
-                    <button class="btn btn-secondary" id="dismiss-prompt-btn">Maybe Later</button>
+                    <button class="btn btn-primary" id="request-permission-btn"></button>
+                    <button class="btn btn-secondary" id="dismiss-prompt-btn"></button>
                 </div>
             </div>
         `;
 
+        promptContainer.querySelector('h3').textContent = this.i18n.t('permission.title');
+        promptContainer.querySelector('p').textContent = this.i18n.t('permission.message');
+        promptContainer.querySelector('#request-permission-btn').textContent = this.i18n.t('permission.allow');
+        promptContainer.querySelector('#dismiss-prompt-btn').textContent = this.i18n.t('permission.later');
+
         // Add to page
         document.body.appendChild(promptContainer);
 
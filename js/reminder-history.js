@@ -0,0 +1,360 @@
+/**
+ * Reminder History - Persisted log of reminder outcomes
+ * Today's events are kept individually; earlier days are rolled up into
+ * per-day aggregates so storage stays small
+ *
+ * Stored shape:
+ * {
+ *   events: [{ type, firedAt, outcome, respondedAt, latencyMs, routine, snoozeCount, escalations }],
+ *   daily: {
+ *     '2024-05-01': {
+ *       water: { fired, done, snoozed, ignored, respondedCount, totalLatencyMs, hours: { '9': { fired, done } }, routines: {}, maxSnoozeStreak, escalated },
+ *       standup: { ..., routines: { 'desk-stretch': 2 } }
+ *     }
+ *   }
+ * }
+ */
+class ReminderHistory {
+    /**
+     * Create reminder history instance
+     * @param {StorageManager} storage - Storage manager for persistence
+     */
+    constructor(storage) {
+        this.storage = storage;
+        this.data = this.load();
+
+        // Fold events from previous days into aggregates on startup
+        if (this.rollUp()) {
+            this.save();
+        }
+    }
+
+    /**
+     * Load history from storage
+     * @returns {Object} History data
+     * @private
+     */
+    load() {
+        const saved = this.storage ? this.storage.getItem(STORAGE_CONSTANTS.HISTORY_KEY) : null;
+
+        return {
+            events: Array.isArray(saved?.events) ? saved.events : [],
+            daily: saved?.daily && typeof saved.daily === 'object' ? saved.daily : {}
+        };
+    }
+
+    /**
+     * Pick up history another tab saved
+     */
+    reload() {
+        this.data = this.load();
+    }
+
+    /**
+     * Show today's events from the leading tab, which records and saves them
+     * @param {Array<Object>} events - Events from getTodayEvents() in the leading tab
+     * @returns {boolean} Whether anything changed
+     */
+    mirrorToday(events) {
+        if (!Array.isArray(events)) return false;
+
+        // Earlier days stay in this tab's aggregates
+        this.rollUp();
+        if (JSON.stringify(events) === JSON.stringify(this.data.events)) return false;
+
+        this.data.events = events;
+        return true;
+    }
+
+    /**
+     * Persist history to storage
+     * @private
+     */
+    save() {
+        if (!this.storage) return;
+
+        this.storage.setItem(STORAGE_CONSTANTS.HISTORY_KEY, this.data);
+    }
+
+    /**
+     * Record a reminder outcome
+     * @param {Object} event - Outcome event
+     * @param {string} event.type - Reminder type id
+     * @param {number} event.firedAt - Timestamp the reminder fired
+     * @param {string} event.outcome - One of HISTORY_CONSTANTS.OUTCOMES
+     * @param {number|null} event.respondedAt - Timestamp the user responded (null when ignored)
+     * @param {Object|null} event.routine - Guided routine performed {id, name, completedSteps, totalSteps, completed}
+     * @param {number} event.snoozeCount - Snoozes in a row, including this one for a snoozed outcome
+     * @param {Array<Object>} event.escalations - Escalation steps run before the outcome [{action, at}]
+     * @returns {Object|null} Stored event, null if invalid
+     */
+    record({ type, firedAt, outcome, respondedAt = null, routine = null, snoozeCount = 0, escalations = [] }) {
+        if (!type || !firedAt || !Object.values(HISTORY_CONSTANTS.OUTCOMES).includes(outcome)) {
+            console.warn('Invalid history event ignored:', { type, firedAt, outcome });
+            return null;
+        }
+
+        const event = {
+            type,
+            firedAt,
+            outcome,
+            respondedAt,
+            latencyMs: respondedAt ? Math.max(0, respondedAt - firedAt) : null
+        };
+
+        if (routine) {
+            event.routine = routine;
+        }
+
+        if (snoozeCount > 0) {
+            event.snoozeCount = snoozeCount;
+        }
+
+        if (escalations.length > 0) {
+            event.escalations = escalations.map(step => ({ action: step.action, at: step.at }));
+        }
+
+        this.data.events.push(event);
+        this.rollUp();
+        this.save();
+
+        console.log(`📝 History: ${type} reminder ${outcome}`);
+        return event;
+    }
+
+    /**
+     * Move events from previous days into per-day aggregates
+     * @param {Date} now - Current time
+     * @returns {boolean} Whether anything changed
+     * @private
+     */
+    rollUp(now = new Date()) {
+        const todayKey = ReminderHistory.getDayKey(now);
+        const remaining = [];
+        let changed = false;
+
+        this.data.events.forEach(event => {
+            const dayKey = ReminderHistory.getDayKey(new Date(event.firedAt));
+            if (dayKey === todayKey) {
+                remaining.push(event);
+                return;
+            }
+
+            const day = this.data.daily[dayKey] || (this.data.daily[dayKey] = {});
+            day[event.type] = ReminderHistory.addToAggregate(day[event.type], event);
+            changed = true;
+        });
+
+        this.data.events = remaining;
+
+        // Drop aggregates beyond the retention window
+        const cutoff = new Date(now.getFullYear(), now.getMonth(), now.getDate() - HISTORY_CONSTANTS.RETENTION_DAYS);
+        const cutoffKey = ReminderHistory.getDayKey(cutoff);
+        Object.keys(this.data.daily).forEach(dayKey => {
+            if (dayKey < cutoffKey) {
+                delete this.data.daily[dayKey];
+                changed = true;
+            }
+        });
+
+        return changed;
+    }
+
+    /**
+     * Get aggregated counts for a reminder type on a given day
+     * @param {string} type - Reminder type id
+     * @param {Date} date - Day to summarize
+     * @returns {Object} Aggregate {fired, done, snoozed, ignored, respondedCount, totalLatencyMs, hours, routines, maxSnoozeStreak, escalated}
+     */
+    getDailyCounts(type, date = new Date()) {
+        const dayKey = ReminderHistory.getDayKey(date);
+
+        if (dayKey !== ReminderHistory.getDayKey(new Date())) {
+            const stored = this.data.daily[dayKey]?.[type];
+            return stored ? { ...stored } : ReminderHistory.createAggregate();
+        }
+
+        // Today is computed from raw events
+        return this.data.events
+            .filter(event => event.type === type)
+            .reduce((aggregate, event) => ReminderHistory.addToAggregate(aggregate, event), ReminderHistory.createAggregate());
+    }
+
+    /**
+     * Get per-day counts for the last N days, oldest first
+     * @param {string|null} type - Reminder type id, or null for all types combined
+     * @param {number} days - Number of days including today
+     * @param {Date} now - Current time
+     * @returns {Array<Object>} Entries {dayKey, date, counts}
+     */
+    getDailyRange(type, days, now = new Date()) {
+        const range = [];
+
+        for (let offset = days - 1; offset >= 0; offset--) {
+            const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() - offset);
+            range.push({
+                dayKey: ReminderHistory.getDayKey(date),
+                date,
+                counts: type ? this.getDailyCounts(type, date) : this.getCombinedCounts(date)
+            });
+        }
+
+        return range;
+    }
+
+    /**
+     * Get counts for all reminder types combined on a given day
+     * @param {Date} date - Day to summarize
+     * @returns {Object} Aggregate
+     */
+    getCombinedCounts(date = new Date()) {
+        const types = new Set(this.data.events.map(event => event.type));
+        const stored = this.data.daily[ReminderHistory.getDayKey(date)] || {};
+        Object.keys(stored).forEach(type => types.add(type));
+
+        return Array.from(types).reduce(
+            (combined, type) => ReminderHistory.mergeAggregates(combined, this.getDailyCounts(type, date)),
+            ReminderHistory.createAggregate()
+        );
+    }
+
+    /**
+     * Get the earliest day with recorded history
+     * @returns {Date|null} Earliest day, null when history is empty
+     */
+    getFirstDay() {
+        const dayKeys = Object.keys(this.data.daily).sort();
+        const firstEvent = this.data.events[0];
+
+        if (dayKeys.length > 0) {
+            const [year, month, day] = dayKeys[0].split('-').map(Number);
+            return new Date(year, month - 1, day);
+        }
+
+        return firstEvent ? new Date(firstEvent.firedAt) : null;
+    }
+
+    /**
+     * Get today's raw events
+     * @param {string} type - Optional reminder type filter
+     * @returns {Array<Object>} Events
+     */
+    getTodayEvents(type = null) {
+        return this.data.events.filter(event => !type || event.type === type);
+    }
+
+    /**
+     * Clear all history
+     */
+    clear() {
+        this.data = { events: [], daily: {} };
+        this.save();
+    }
+
+    /**
+     * Create empty aggregate
+     * @returns {Object} Aggregate
+     */
+    static createAggregate() {
+        return {
+            fired: 0,
+            done: 0,
+            snoozed: 0,
+            ignored: 0,
+            respondedCount: 0,
+            totalLatencyMs: 0,
+            hours: {},
+            routines: {}, // routine id -> times performed
+            maxSnoozeStreak: 0, // most snoozes in a row
+            escalated: 0 // reminders that escalated before an outcome
+        };
+    }
+
+    /**
+     * Add an event to an aggregate
+     * @param {Object|undefined} aggregate - Existing aggregate
+     * @param {Object} event - History event
+     * @returns {Object} Updated aggregate
+     */
+    static addToAggregate(aggregate, event) {
+        const result = aggregate || ReminderHistory.createAggregate();
+        const hour = String(new Date(event.firedAt).getHours());
+        const hourBucket = result.hours[hour] || (result.hours[hour] = { fired: 0, done: 0 });
+
+        result.fired++;
+        hourBucket.fired++;
+
+        if (event.outcome in result) {
+            result[event.outcome]++;
+        }
+
+        if (event.outcome === HISTORY_CONSTANTS.OUTCOMES.DONE) {
+            hourBucket.done++;
+
+            if (event.routine) {
+                result.routines = result.routines || {};
+                result.routines[event.routine.id] = (result.routines[event.routine.id] || 0) + 1;
+            }
+        }
+
+        if (event.snoozeCount > (result.maxSnoozeStreak || 0)) {
+            result.maxSnoozeStreak = event.snoozeCount;
+        }
+
+        if (event.escalations && event.escalations.length > 0) {
+            result.escalated = (result.escalated || 0) + 1;
+        }
+
+        if (typeof event.latencyMs === 'number') {
+            result.respondedCount++;
+            result.totalLatencyMs += event.latencyMs;
+        }
+
+        return result;
+    }
+
+    /**
+     * Combine two aggregates
+     * @param {Object} target - Aggregate to add into
+     * @param {Object} source - Aggregate to add
+     * @returns {Object} Combined aggregate
+     */
+    static mergeAggregates(target, source) {
+        ['fired', 'done', 'snoozed', 'ignored', 'respondedCount', 'totalLatencyMs', 'escalated'].forEach(key => {
+            target[key] = (target[key] || 0) + (source[key] || 0);
+        });
+
+        Object.entries(source.hours || {}).forEach(([hour, bucket]) => {
+            const targetBucket = target.hours[hour] || (target.hours[hour] = { fired: 0, done: 0 });
+            targetBucket.fired += bucket.fired;
+            targetBucket.done += bucket.done;
+        });
+
+        Object.entries(source.routines || {}).forEach(([routineId, count]) => {
+            target.routines[routineId] = (target.routines[routineId] || 0) + count;
+        });
+
+        target.maxSnoozeStreak = Math.max(target.maxSnoozeStreak || 0, source.maxSnoozeStreak || 0);
+
+        return target;
+    }
+
+    /**
+     * Get local calendar day key
+     * @param {Date} date - Date
+     * @returns {string} Day key 'YYYY-MM-DD'
+     */
+    static getDayKey(date) {
+        const month = (date.getMonth() + 1).toString().padStart(2, '0');
+        const day = date.getDate().toString().padStart(2, '0');
+        return `${date.getFullYear()}-${month}-${day}`;
+    }
+}
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReminderHistory;
+}
+
+// Export for browser use
+window.ReminderHistory = ReminderHistory;
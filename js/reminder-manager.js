@@ -4,34 +4,87 @@
  * 
  * Architecture:
  * - Unified time handling (milliseconds internally, minutes in UI)
+ * - Explicit state machine (REMINDER_STATE_CONSTANTS):
+ *     idle -> counting -> due -> counting   (Done, no answer or response timeout)
+ *                             -> snoozed -> due
+ *                             -> escalating (still unanswered, or out of snoozes)
+ *     counting/snoozed <-> paused           (working hours, away)
+ *   The next countdown only starts once a fired reminder is answered or times out
+ * - With several tabs open only the leading tab runs timers (see TabCoordinator);
+ *   in the others the reminder follows: it mirrors the leader's state and sends
+ *   Start, Stop, Done and Snooze to the leader
  * - Comprehensive error handling and recovery
  */
 class ReminderManager {
     /**
      * Create reminder manager instance
-     * @param {string} type - Reminder type ('water' or 'standup')
+     * @param {string} type - Reminder type id registered in ReminderTypeRegistry
      * @param {Object} settings - Initial settings
      * @param {NotificationService} notificationService - Notification service
+     * @param {Object} options - Optional dependencies
+     * @param {ReminderTypeRegistry} options.registry - Reminder type registry (defaults to shared instance)
+     * @param {WorkSchedule} options.schedule - Working hours schedule (optional)
+     * @param {MessageLibrary} options.messages - Rotating notification messages (optional, the type's body otherwise)
+     * @param {StorageManager} options.storage - Storage for timer state across reloads (optional)
+     * @param {SystemClock|VirtualClock} options.clock - Time and timer source (defaults to real time)
+     * @param {Function} options.onChange - Called with the reminder after its state changes
+     * @param {I18n} options.i18n - Translations (defaults to shared instance)
      */
-    constructor(type, settings, notificationService) {
-        if (!type || !['water', 'standup'].includes(type)) {
+    constructor(type, settings, notificationService, options = {}) {
+        this.clock = options.clock || window.systemClock || new SystemClock();
+        this.registry = options.registry || window.reminderTypeRegistry;
+        this.i18n = options.i18n || window.i18n;
+        this.schedule = options.schedule || null;
+        this.messages = options.messages || null;
+        this.storage = options.storage || null;
+        this.onChange = options.onChange || null;
+
+        if (!type || !this.registry || !this.registry.has(type)) {
             throw new Error('Invalid reminder type');
         }
 
         this.type = type;
-        this.settings = { ...settings };
+        this.definition = this.registry.get(type);
+        this.settings = {
+            interval: this.definition.defaultInterval,
+            maxSnoozes: SNOOZE_CONSTANTS.DEFAULT_MAX_SNOOZES,
+            escalation: ESCALATION_CONSTANTS.DEFAULT_STEPS.map(step => ({ ...step })),
+            responseTimeout: REMINDER_CONSTANTS.RESPONSE_TIMEOUT_MINUTES,
+            ...settings
+        };
         this.notificationService = notificationService;
         
+        // Current state - one of REMINDER_STATE_CONSTANTS.STATES
+        this.state = REMINDER_STATE_CONSTANTS.STATES.IDLE;
+        
         // Timer management
         this.timerId = null;
         this.updateTimerId = null;
+        this.responseTimerId = null;
         this.updateInterval = REMINDER_CONSTANTS.UPDATE_INTERVAL_MS; // 1 second update frequency
         
         // Time tracking (all in milliseconds)
         this.startTime = null;
         this.nextReminderTime = null;
         this.timeRemaining = 0;
-        this.isActive = false;
+        
+        // Pause tracking - countdown is frozen while any reason is present
+        this.pauseReasons = new Set();
+        this.pausedUntil = null;
+        this.resumeState = null; // state to return to once the pause ends
+        
+        // Snoozes since the reminder was last acknowledged
+        this.snoozeCount = 0;
+        
+        // Pending escalation steps for an unanswered reminder
+        this.escalationTimerIds = [];
+        
+        // Incremented on every firing so callbacks from an older notification are ignored
+        this.firingId = 0;
+        this.messageId = null; // message shown with the current firing
+        
+        // Sends commands to the leading tab while another tab runs the timers
+        this.remote = null;
         
         // Initialize with default state
         this.initializeDefaults();
@@ -44,11 +97,70 @@ class ReminderManager {
      * @public
      */
     initializeDefaults() {
-        this.isActive = false;
+        this.state = REMINDER_STATE_CONSTANTS.STATES.IDLE;
         this.timeRemaining = this.settings.interval * 60 * 1000;
         this.nextReminderTime = 0;
     }
 
+    /**
+     * Whether the reminder is running (any state but idle)
+     * @returns {boolean}
+     */
+    get isActive() {
+        return this.state !== REMINDER_STATE_CONSTANTS.STATES.IDLE;
+    }
+
+    /**
+     * Whether the countdown is frozen
+     * @returns {boolean}
+     */
+    get isPaused() {
+        return this.state === REMINDER_STATE_CONSTANTS.STATES.PAUSED;
+    }
+
+    /**
+     * Whether a countdown (regular or snooze) is running
+     * @returns {boolean}
+     */
+    isCountingDown() {
+        const { COUNTING, SNOOZED } = REMINDER_STATE_CONSTANTS.STATES;
+        return this.state === COUNTING || this.state === SNOOZED;
+    }
+
+    /**
+     * Whether the reminder has fired and waits for an answer
+     * @returns {boolean}
+     */
+    isWaitingForResponse() {
+        const { DUE, ESCALATING } = REMINDER_STATE_CONSTANTS.STATES;
+        return this.state === DUE || this.state === ESCALATING;
+    }
+
+    /**
+     * Check whether the state machine allows a move
+     * @param {string} next - Target state
+     * @returns {boolean}
+     */
+    canTransition(next) {
+        return next === this.state || REMINDER_STATE_CONSTANTS.TRANSITIONS[this.state].includes(next);
+    }
+
+    /**
+     * Move to another state
+     * @param {string} next - One of REMINDER_STATE_CONSTANTS.STATES
+     * @returns {boolean} Whether the move was allowed
+     * @private
+     */
+    transition(next) {
+        if (!this.canTransition(next)) {
+            console.warn(`${this.type} reminder cannot go from ${this.state} to ${next}`);
+            return false;
+        }
+
+        this.state = next;
+        return true;
+    }
+
     /**
      * Get remaining time in milliseconds
      * @returns {number} Time remaining in milliseconds
@@ -65,6 +177,39 @@ class ReminderManager {
         return this.settings.interval || REMINDER_CONSTANTS.DEFAULT_INTERVAL_MINUTES;
     }
 
+    /**
+     * Get interval for the next countdown in minutes
+     * Subclasses override this to vary the interval (e.g. once a daily goal is met)
+     * @returns {number} Interval in minutes
+     * @protected
+     */
+    getIntervalMinutes() {
+        return this.settings.interval;
+    }
+
+    /**
+     * Change settings while the reminder may be running
+     * A new interval restarts a running countdown so it applies at once; a
+     * snooze, pause or reminder waiting for an answer finishes first and the
+     * countdown after it uses the new interval
+     * @param {Object} changes - Settings to change (interval, sound, ...)
+     */
+    updateSettings(changes) {
+        const intervalChanged = changes.interval !== undefined && changes.interval !== this.settings.interval;
+        this.settings = { ...this.settings, ...changes };
+
+        // A following tab's countdown restarts when the leader applies the same change
+        if (!intervalChanged || this.remote) return;
+
+        if (this.state === REMINDER_STATE_CONSTANTS.STATES.COUNTING) {
+            this.resetAndRestart();
+        } else if (!this.isActive) {
+            this.timeRemaining = this.getIntervalMinutes() * 60 * 1000;
+        }
+
+        console.log(`${this.type} reminder interval set to ${this.settings.interval} minutes`);
+    }
+
     /**
      * Start reminder timer
      */
@@ -74,18 +219,16 @@ class ReminderManager {
             return false;
         }
         
+        if (this.remote) {
+            return this.remote({ command: TAB_CONSTANTS.COMMANDS.START });
+        }
+        
         try {
-            const intervalMs = this.settings.interval * 60 * 1000;
-            this.startTime = Date.now();
-            this.nextReminderTime = this.startTime + intervalMs;
-            this.timeRemaining = intervalMs;
-            this.isActive = true;
-            
-            this.startTimer();
-            this.startUpdateTimer();
+            const interval = this.getIntervalMinutes();
+            this.startCountdown(interval * 60 * 1000);
             
             console.log(`${this.type} reminder started:`, {
-                interval: this.settings.interval,
+                interval,
                 timeRemaining: this.timeRemaining,
                 nextReminderTime: this.nextReminderTime
             });
@@ -98,16 +241,55 @@ class ReminderManager {
         }
     }
 
+    /**
+     * Activate countdown for a given duration
+     * Ends any wait for an answer; starts frozen while a pause reason is held
+     * @param {number} durationMs - Time until the reminder fires
+     * @param {string} state - REMINDER_STATE_CONSTANTS.STATES.COUNTING or SNOOZED
+     * @private
+     */
+    startCountdown(durationMs, state = REMINDER_STATE_CONSTANTS.STATES.COUNTING) {
+        this.clearAllTimers();
+        
+        this.startTime = this.clock.now();
+        this.nextReminderTime = this.startTime + durationMs;
+        this.timeRemaining = durationMs;
+        
+        if (this.pauseReasons.size > 0) {
+            this.resumeState = state;
+            this.transition(REMINDER_STATE_CONSTANTS.STATES.PAUSED);
+        } else {
+            this.transition(state);
+        }
+        
+        this.startTimer();
+        this.startUpdateTimer();
+        
+        // Start suspended when outside working hours
+        this.checkSchedule();
+        this.saveState();
+    }
+
     /**
      * Stop reminder timer
+     * @param {Object} options - Stop options
+     * @param {boolean} options.persist - Whether to save the stopped state (false on teardown)
      */
-    stop() {
+    stop({ persist = true } = {}) {
+        if (this.remote && persist) {
+            return this.remote({ command: TAB_CONSTANTS.COMMANDS.STOP });
+        }
+        
         try {
             this.clearAllTimers();
             
-            this.isActive = false;
+            this.transition(REMINDER_STATE_CONSTANTS.STATES.IDLE);
             this.resetState();
             
+            if (persist) {
+                this.saveState();
+            }
+            
             console.log(`${this.type} reminder stopped`);
             return true;
             
@@ -122,11 +304,11 @@ class ReminderManager {
      * @private
      */
     startTimer() {
-        if (!this.isActive || this.timerId) return;
+        if (!this.isCountingDown() || this.timerId) return;
         
-        this.timerId = setTimeout(() => {
+        this.timerId = this.clock.setTimeout(() => {
             this.timerId = null;
-            if (this.isActive) {
+            if (this.isCountingDown()) {
                 this.triggerReminder();
             }
         }, this.timeRemaining);
@@ -139,12 +321,16 @@ class ReminderManager {
     startUpdateTimer() {
         if (!this.isActive || this.updateTimerId) return;
         
-        this.updateTimerId = setInterval(() => {
+        this.updateTimerId = this.clock.setInterval(() => {
             if (!this.isActive) {
                 this.clearUpdateTimer();
                 return;
             }
             
+            // Working hours are checked by the leading tab
+            if (!this.remote) {
+                this.checkSchedule();
+            }
             this.updateTimeRemaining();
         }, this.updateInterval);
     }
@@ -159,39 +345,173 @@ class ReminderManager {
             return;
         }
         
-        const now = Date.now();
+        // Remaining time is frozen while paused and zero once due
+        if (!this.isCountingDown()) return;
+        
+        const now = this.clock.now();
         this.timeRemaining = Math.max(0, this.nextReminderTime - now);
     }
 
     /**
-     * Clear all timers (unified cleanup)
+     * Attach or replace the working hours schedule
+     * @param {WorkSchedule|null} schedule - Schedule, or null to ignore working hours
+     */
+    setSchedule(schedule) {
+        this.schedule = schedule || null;
+        this.checkSchedule();
+    }
+
+    /**
+     * Suspend or resume the countdown based on working hours
      * @private
      */
-    clearAllTimers() {
+    checkSchedule() {
+        if (!this.isActive) return;
+
+        const reason = SCHEDULE_CONSTANTS.PAUSE_REASON;
+        const pausedBySchedule = this.pauseReasons.has(reason);
+
+        if (!this.schedule || !this.schedule.isEnabled()) {
+            if (pausedBySchedule) this.resume(reason);
+            return;
+        }
+
+        const now = new Date(this.clock.now());
+        const working = this.schedule.isWorkingTime(now);
+
+        if (!working && !pausedBySchedule) {
+            const next = this.schedule.getNextWorkingTime(now);
+            this.pause(reason, next ? next.getTime() : null);
+        } else if (working && pausedBySchedule) {
+            this.resume(reason);
+        }
+    }
+
+    /**
+     * Pause countdown, keeping the remaining time
+     * Multiple reasons can hold a pause; the countdown resumes once all are released
+     * @param {string} reason - Pause reason (e.g. 'schedule')
+     * @param {number|null} until - Expected resume timestamp, if known
+     * @returns {boolean} Whether the reminder is paused
+     */
+    pause(reason = 'manual', until = null) {
+        if (!this.isActive || this.remote) return false;
+
+        const hadReasons = this.pauseReasons.size > 0;
+        this.pauseReasons.add(reason);
+        
+        // An open-ended pause (e.g. away) keeps a known resume time from another reason
+        if (until !== null || !hadReasons) {
+            this.pausedUntil = until;
+        }
+
+        if (this.isPaused) return true;
+
+        // A reminder waiting for an answer stays due; the next countdown starts paused
+        if (!this.isCountingDown()) return false;
+
+        // Capture remaining time before freezing the countdown
+        this.updateTimeRemaining();
+        this.resumeState = this.state;
+        this.transition(REMINDER_STATE_CONSTANTS.STATES.PAUSED);
+        this.clearTimer();
+
+        this.saveState();
+        
+        console.log(`${this.type} reminder paused (${reason}) with ${Math.round(this.timeRemaining / 1000)}s remaining`);
+        return true;
+    }
+
+    /**
+     * Release a pause reason and resume countdown when none remain
+     * @param {string} reason - Pause reason to release
+     * @returns {boolean} Whether the countdown resumed
+     */
+    resume(reason = 'manual') {
+        if (this.remote) return false;
+
+        this.pauseReasons.delete(reason);
+
+        if (this.pauseReasons.size > 0) return false;
+
+        this.pausedUntil = null;
+        if (!this.isPaused) return false;
+
+        this.startTime = this.clock.now();
+        this.nextReminderTime = this.startTime + this.timeRemaining;
+        this.transition(this.resumeState || REMINDER_STATE_CONSTANTS.STATES.COUNTING);
+        this.resumeState = null;
+        this.startTimer();
+        this.saveState();
+
+        console.log(`${this.type} reminder resumed (${reason})`);
+        return true;
+    }
+
+    /**
+     * Clear main reminder timer
+     * @private
+     */
+    clearTimer() {
         if (this.timerId) {
-            clearTimeout(this.timerId);
+            this.clock.clearTimeout(this.timerId);
             this.timerId = null;
         }
-        
+    }
+
+    /**
+     * Clear UI update timer
+     * @private
+     */
+    clearUpdateTimer() {
         if (this.updateTimerId) {
-            clearInterval(this.updateTimerId);
+            this.clock.clearInterval(this.updateTimerId);
             this.updateTimerId = null;
         }
     }
 
+    /**
+     * Clear response wait timer
+     * @private
+     */
+    clearResponseTimer() {
+        if (this.responseTimerId) {
+            this.clock.clearTimeout(this.responseTimerId);
+            this.responseTimerId = null;
+        }
+    }
+
+    /**
+     * Clear all timers (unified cleanup)
+     * @private
+     */
+    clearAllTimers() {
+        this.clearTimer();
+        this.clearUpdateTimer();
+        this.clearResponseTimer();
+        this.stopEscalation();
+    }
+
     /**
      * Trigger reminder
+     * The reminder stays due until the user answers, the notification is
+     * dismissed unanswered, or the response timeout passes
      * @private
      */
     triggerReminder() {
-        if (!this.isActive) return;
+        const { DUE, ESCALATING } = REMINDER_STATE_CONSTANTS.STATES;
+        const next = this.canSnooze() ? DUE : ESCALATING;
+        if (!this.isActive || !this.canTransition(next)) return;
         
-        const notificationConfig = this.type === 'water' 
-            ? NOTIFICATION_CONSTANTS.MESSAGES.WATER 
-            : NOTIFICATION_CONSTANTS.MESSAGES.STANDUP;
+        const { title } = this.definition;
+        const message = this.pickMessage();
+        const escalationSteps = this.getEscalationSteps();
+        const firingId = ++this.firingId;
         
-        const title = notificationConfig.TITLE;
-        const message = notificationConfig.BODY;
+        this.clearTimer();
+        this.clearResponseTimer();
+        this.timeRemaining = 0;
+        this.transition(next);
         
         // Show notification
         this.notificationService.showNotification(
@@ -199,17 +519,85 @@ class ReminderManager {
             title,
             message,
             () => this.acknowledge(),
-            () => this.snooze()
+            choice => this.snooze(choice),
+            {
+                ...this.getNotificationOptions(),
+                sound: this.settings.sound !== false,
+                soundTheme: this.settings.soundTheme,
+                details: this.getNotificationDetails().join(' · '),
+                snooze: this.getSnoozeInfo(),
+                escalated: next === ESCALATING,
+                awaitResponse: escalationSteps.length > 0,
+                onIgnored: () => {
+                    if (firingId === this.firingId) this.handleNoResponse();
+                }
+            }
         );
         
-        // Auto-restart mechanism
-        setTimeout(() => {
-            if (this.isActive) {
-                this.resetAndRestart();
+        // Escalate step by step until the user answers
+        this.startEscalation(escalationSteps);
+        
+        // Give up waiting after the response timeout
+        this.responseTimerId = this.clock.setTimeout(() => {
+            this.responseTimerId = null;
+            if (this.handleNoResponse()) {
+                this.notificationService.dismissNotification(this.type);
             }
-        }, REMINDER_CONSTANTS.AUTO_RESTART_DELAY_MS);
+        }, this.getResponseTimeoutMs());
         
-        console.log(`${this.type} reminder triggered - will auto-restart`);
+        this.notifyChange();
+        console.log(`${this.type} reminder triggered - waiting for an answer`);
+    }
+
+    /**
+     * Get how long a fired reminder waits for an answer
+     * @returns {number} Timeout in milliseconds
+     */
+    getResponseTimeoutMs() {
+        const minutes = this.settings.responseTimeout;
+        return (minutes > 0 ? minutes : REMINDER_CONSTANTS.RESPONSE_TIMEOUT_MINUTES) * 60 * 1000;
+    }
+
+    /**
+     * Start the next countdown for a reminder nobody answered
+     * @returns {boolean} Whether the reminder was still waiting
+     * @private
+     */
+    handleNoResponse() {
+        if (!this.isWaitingForResponse()) return false;
+
+        console.log(`${this.type} reminder got no answer - starting the next countdown`);
+        this.resetAndRestart();
+        return true;
+    }
+
+    /**
+     * Get extras passed along with the notification
+     * Subclasses override this to attach type-specific content (e.g. a guided routine)
+     * @returns {Object} Notification options
+     * @protected
+     */
+    getNotificationOptions() {
+        return {};
+    }
+
+    /**
+     * Get reminder details shown in the detailed notification style
+     * Subclasses add type-specific progress (e.g. water intake)
+     * @returns {Array<string>} Detail parts
+     * @protected
+     */
+    getNotificationDetails() {
+        const details = [this.i18n.t('notification.details.interval', { count: this.settings.interval })];
+
+        if (this.snoozeCount > 0) {
+            details.push(this.i18n.t('notification.details.snoozed', {
+                snoozed: this.snoozeCount,
+                count: this.getSnoozeLimit()
+            }));
+        }
+
+        return details;
     }
 
     /**
@@ -218,25 +606,183 @@ class ReminderManager {
     acknowledge() {
         if (!this.isActive) return;
         
+        if (this.remote) {
+            this.remote({ command: TAB_CONSTANTS.COMMANDS.ANSWER, action: SERVICE_WORKER_CONSTANTS.ACTIONS.DONE });
+            return;
+        }
+        
+        this.snoozeCount = 0;
         this.resetAndRestart();
         console.log(`${this.type} reminder acknowledged`);
     }
 
     /**
-     * Snooze reminder (delay 5 minutes)
+     * Snooze reminder
+     * Once the consecutive snooze limit is reached the reminder escalates instead
+     * @param {number|string} choice - Minutes, or SNOOZE_CONSTANTS.MEETING_OPTION (defaults to 5 minutes)
+     * @returns {boolean} Whether the reminder was snoozed
      */
-    snooze() {
-        if (!this.isActive) return;
+    snooze(choice = REMINDER_CONSTANTS.SNOOZE_DURATION_MINUTES) {
+        if (!this.isActive) return false;
         
-        const snoozeTime = REMINDER_CONSTANTS.SNOOZE_DURATION_MINUTES * 60 * 1000; // 5 minutes in milliseconds
-        this.timeRemaining = snoozeTime;
-        this.startTime = Date.now();
-        this.nextReminderTime = this.startTime + snoozeTime;
+        if (this.remote) {
+            return this.remote({ command: TAB_CONSTANTS.COMMANDS.ANSWER, action: SERVICE_WORKER_CONSTANTS.ACTIONS.SNOOZE, choice });
+        }
         
-        this.clearTimer();
-        this.startTimer();
+        if (!this.canSnooze()) {
+            this.escalate();
+            return false;
+        }
         
-        console.log(`${this.type} reminder snoozed for 5 minutes`);
+        const snoozeTime = this.getSnoozeDelayMs(choice);
+        this.snoozeCount++;
+        this.startCountdown(snoozeTime, REMINDER_STATE_CONSTANTS.STATES.SNOOZED);
+        
+        console.log(`${this.type} reminder snoozed for ${Math.round(snoozeTime / 60000)} minutes (${this.snoozeCount}/${this.getSnoozeLimit()})`);
+        return true;
+    }
+
+    /**
+     * Answer the reminder from a notification action outside the page
+     * @param {string} action - SERVICE_WORKER_CONSTANTS.ACTIONS.DONE or SNOOZE
+     * @param {number|string} choice - Snooze menu value (defaults to the standard snooze)
+     * @returns {boolean} Whether the action was applied
+     */
+    handleNotificationAction(action, choice) {
+        if (!this.isWaitingForResponse()) return false;
+
+        const { DONE, SNOOZE } = SERVICE_WORKER_CONSTANTS.ACTIONS;
+        if (action === DONE) {
+            this.acknowledge();
+            return true;
+        }
+
+        return action === SNOOZE ? this.snooze(choice) : false;
+    }
+
+    /**
+     * Get the number of consecutive snoozes allowed
+     * @returns {number} Snooze limit
+     */
+    getSnoozeLimit() {
+        const limit = this.settings.maxSnoozes;
+        return Number.isInteger(limit) && limit >= 0 ? limit : SNOOZE_CONSTANTS.DEFAULT_MAX_SNOOZES;
+    }
+
+    /**
+     * Check whether another snooze is allowed
+     * @returns {boolean}
+     */
+    canSnooze() {
+        return this.snoozeCount < this.getSnoozeLimit();
+    }
+
+    /**
+     * Convert a snooze menu choice to a delay
+     * @param {number|string} choice - Minutes, or SNOOZE_CONSTANTS.MEETING_OPTION
+     * @returns {number} Delay in milliseconds
+     * @private
+     */
+    getSnoozeDelayMs(choice) {
+        const now = this.clock.now();
+
+        if (choice === SNOOZE_CONSTANTS.MEETING_OPTION) {
+            return ReminderManager.getMeetingEnd(now) - now;
+        }
+
+        const minutes = Number(choice) > 0 ? Number(choice) : REMINDER_CONSTANTS.SNOOZE_DURATION_MINUTES;
+        return minutes * 60 * 1000;
+    }
+
+    /**
+     * Describe the snooze menu for the notification
+     * @returns {Object} Snooze info {count, limit, choices: [{value, label}]} - no choices once the limit is reached
+     * @protected
+     */
+    getSnoozeInfo() {
+        const choices = [];
+
+        if (this.canSnooze()) {
+            SNOOZE_CONSTANTS.OPTIONS_MINUTES.forEach(minutes => {
+                choices.push({ value: minutes, label: this.i18n.t('duration.minutes', { count: minutes }) });
+            });
+
+            const time = this.i18n.formatTime(ReminderManager.getMeetingEnd(this.clock.now()));
+            choices.push({ value: SNOOZE_CONSTANTS.MEETING_OPTION, label: this.i18n.t('snooze.afterMeeting', { time }) });
+        }
+
+        return {
+            count: this.snoozeCount,
+            limit: this.getSnoozeLimit(),
+            choices
+        };
+    }
+
+    /**
+     * Get the configured escalation steps, earliest first
+     * @returns {Array<Object>} Steps {action, afterMinutes}; empty when escalation is off
+     */
+    getEscalationSteps() {
+        const steps = Array.isArray(this.settings.escalation) ? this.settings.escalation : [];
+        const actions = Object.values(ESCALATION_CONSTANTS.ACTIONS);
+
+        return steps
+            .filter(step => step && actions.includes(step.action) && step.afterMinutes > 0)
+            .sort((a, b) => a.afterMinutes - b.afterMinutes);
+    }
+
+    /**
+     * Schedule escalation steps for the reminder that just fired
+     * @param {Array<Object>} steps - Steps {action, afterMinutes}
+     * @private
+     */
+    startEscalation(steps) {
+        this.stopEscalation();
+
+        steps.forEach(step => {
+            const timerId = this.clock.setTimeout(() => this.runEscalationStep(step), step.afterMinutes * 60 * 1000);
+            this.escalationTimerIds.push(timerId);
+        });
+    }
+
+    /**
+     * Run one escalation step
+     * @param {Object} step - Step {action, afterMinutes}
+     * @private
+     */
+    runEscalationStep(step) {
+        const escalated = this.notificationService.runEscalationStep(this.type, step.action);
+
+        // The notification was answered or replaced - nothing left to escalate
+        if (!escalated) {
+            this.stopEscalation();
+            return;
+        }
+
+        this.transition(REMINDER_STATE_CONSTANTS.STATES.ESCALATING);
+        this.notifyChange();
+
+        console.log(`${this.type} reminder unanswered for ${step.afterMinutes} min - escalating (${step.action})`);
+    }
+
+    /**
+     * Cancel pending escalation steps
+     * @private
+     */
+    stopEscalation() {
+        this.escalationTimerIds.forEach(timerId => this.clock.clearTimeout(timerId));
+        this.escalationTimerIds = [];
+    }
+
+    /**
+     * Re-alert a reminder that was snoozed too many times
+     * @protected
+     */
+    escalate() {
+        if (!this.isActive) return;
+
+        console.log(`${this.type} reminder reached its snooze limit (${this.getSnoozeLimit()}) - escalating`);
+        this.triggerReminder();
     }
 
     /**
@@ -244,15 +790,9 @@ class ReminderManager {
      * @private
      */
     resetAndRestart() {
-        if (!this.isActive) return;
-        
-        const intervalMs = this.settings.interval * 60 * 1000;
-        this.startTime = Date.now();
-        this.nextReminderTime = this.startTime + intervalMs;
-        this.timeRemaining = intervalMs;
+        if (!this.isActive || this.remote) return;
         
-        this.clearAllTimers();
-        this.startTimer();
+        this.startCountdown(this.getIntervalMinutes() * 60 * 1000);
     }
 
     /**
@@ -263,10 +803,284 @@ class ReminderManager {
         this.startTime = null;
         this.nextReminderTime = null;
         this.timeRemaining = 0;
+        this.pauseReasons.clear();
+        this.pausedUntil = null;
+        this.resumeState = null;
+        this.snoozeCount = 0;
     }
 
 
 
+    /**
+     * Get storage key for this reminder's timer state
+     * @returns {string} Storage key
+     * @private
+     */
+    getStateKey() {
+        return `${STORAGE_CONSTANTS.REMINDER_STATE_KEY_PREFIX}.${this.type}`;
+    }
+
+    /**
+     * Get the timer state kept across reloads
+     * @returns {Object} State {isActive, isPaused, snoozed, nextReminderTime, timeRemaining, snoozeCount, savedAt}
+     * @private
+     */
+    getSavedState() {
+        const { SNOOZED } = REMINDER_STATE_CONSTANTS.STATES;
+
+        return {
+            isActive: this.isActive,
+            isPaused: this.isPaused,
+            // Whether the countdown (running or paused) is a snooze
+            snoozed: (this.isPaused ? this.resumeState : this.state) === SNOOZED,
+            nextReminderTime: this.nextReminderTime,
+            timeRemaining: this.timeRemaining,
+            snoozeCount: this.snoozeCount,
+            savedAt: this.clock.now()
+        };
+    }
+
+    /**
+     * Persist absolute next reminder time and active flag
+     * @private
+     */
+    saveState() {
+        if (this.storage) {
+            this.storage.setItem(this.getStateKey(), this.getSavedState());
+        }
+
+        this.notifyChange();
+    }
+
+    /**
+     * Tell the owner the state changed (the leading tab shares it with the others)
+     * @private
+     */
+    notifyChange() {
+        if (this.remote || !this.onChange) return;
+
+        try {
+            this.onChange(this);
+        } catch (error) {
+            console.warn(`Failed to report ${this.type} reminder change:`, error);
+        }
+    }
+
+    /**
+     * Remove persisted timer state
+     */
+    clearSavedState() {
+        if (!this.storage) return;
+
+        this.storage.removeItem(this.getStateKey());
+    }
+
+    /**
+     * Restore timer state saved before a reload or browser restart
+     * A reminder that came due while the page was closed fires immediately
+     * if it is less than one interval late, otherwise it is reported as missed
+     * and a fresh interval starts. It is also reported as missed when it
+     * cannot fire now (outside working hours). A snooze continues as a
+     * snooze; pause reasons are not saved, the schedule and away detection
+     * set them again
+     * @param {Object} saved - State to continue from (defaults to the stored state)
+     * @returns {boolean} Whether a running timer was restored
+     */
+    restoreState(saved = this.storage ? this.storage.getItem(this.getStateKey()) : null) {
+        if (!saved || !saved.isActive || !this.settings.enabled) {
+            return false;
+        }
+
+        try {
+            const { COUNTING, SNOOZED } = REMINDER_STATE_CONSTANTS.STATES;
+            this.snoozeCount = saved.snoozeCount || 0;
+
+            // Paused countdowns kept their remaining time; running ones continue in absolute time
+            const remaining = saved.isPaused
+                ? saved.timeRemaining
+                : saved.nextReminderTime - this.clock.now();
+
+            if (remaining > 0) {
+                // A snooze is only reached from a running countdown (see TRANSITIONS)
+                if (saved.snoozed) this.transition(COUNTING);
+                this.startCountdown(remaining, saved.snoozed ? SNOOZED : COUNTING);
+                console.log(`${this.type} reminder restored with ${Math.round(remaining / 1000)}s remaining`);
+                return true;
+            }
+
+            const intervalMs = this.getIntervalMinutes() * 60 * 1000;
+            const overdueMs = -remaining;
+
+            if (overdueMs <= intervalMs && !saved.isPaused) {
+                // Came due while closed - fire now, unless the countdown starts suspended
+                this.startCountdown(intervalMs);
+                if (this.isPaused) {
+                    this.reportMissedReminder(saved.nextReminderTime);
+                } else {
+                    this.triggerReminder();
+                }
+            } else {
+                // Too late to be useful - report and start over
+                this.startCountdown(intervalMs);
+                this.reportMissedReminder(saved.nextReminderTime);
+            }
+
+            return true;
+
+        } catch (error) {
+            console.error(`Failed to restore ${this.type} reminder:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Let another tab run this reminder
+     * Timers stop here; the state shown comes from the leader through mirror()
+     * @param {Function} send - Sends a command {command, action, choice} to the leading tab
+     */
+    follow(send) {
+        this.remote = send;
+        this.clearAllTimers();
+    }
+
+    /**
+     * Run this reminder in this tab
+     * A tab that followed continues from the leader's last shared state, so
+     * the schedule survives the leading tab closing; otherwise the stored
+     * state is restored as after a reload
+     * @returns {boolean} Whether a running timer was restored
+     */
+    lead() {
+        if (!this.remote) {
+            return this.isActive ? false : this.restoreState();
+        }
+
+        const saved = this.getSavedState();
+        this.remote = null;
+        this.clearAllTimers();
+        this.transition(REMINDER_STATE_CONSTANTS.STATES.IDLE);
+        this.resetState();
+
+        return this.restoreState(saved);
+    }
+
+    /**
+     * Get the state shared with following tabs
+     * @returns {Object} Saved state plus {state, pauseReasons, pausedUntil, firingId, messageId}
+     */
+    getSnapshot() {
+        return {
+            ...this.getSavedState(),
+            state: this.state,
+            pauseReasons: Array.from(this.pauseReasons),
+            pausedUntil: this.pausedUntil,
+            firingId: this.firingId,
+            messageId: this.messageId
+        };
+    }
+
+    /**
+     * Show the leading tab's state in a following tab
+     * A reminder that fired there opens the modal here too (silently, the
+     * leader plays the sound), and closes it once it was answered anywhere
+     * @param {Object} snapshot - State from getSnapshot() in the leading tab
+     */
+    mirror(snapshot) {
+        if (!this.remote || !snapshot || !REMINDER_STATE_CONSTANTS.TRANSITIONS[snapshot.state]) return;
+
+        const { STATES } = REMINDER_STATE_CONSTANTS;
+        const wasWaiting = this.isWaitingForResponse();
+        const previousFiringId = this.firingId;
+
+        this.state = snapshot.state;
+        this.startTime = this.clock.now();
+        this.nextReminderTime = snapshot.nextReminderTime;
+        this.timeRemaining = snapshot.timeRemaining;
+        this.snoozeCount = snapshot.snoozeCount || 0;
+        this.pauseReasons = new Set(snapshot.pauseReasons || []);
+        this.pausedUntil = snapshot.pausedUntil ?? null;
+        this.resumeState = this.isPaused ? (snapshot.snoozed ? STATES.SNOOZED : STATES.COUNTING) : null;
+        this.firingId = snapshot.firingId || 0;
+        this.messageId = snapshot.messageId ?? null;
+        this.updateTimeRemaining();
+        this.startUpdateTimer();
+
+        const waiting = this.isWaitingForResponse();
+        if (waiting && (!wasWaiting || this.firingId !== previousFiringId)) {
+            this.showMirroredNotification();
+        } else if (!waiting && wasWaiting && this.notificationService) {
+            this.notificationService.dismissNotification(this.type);
+        }
+    }
+
+    /**
+     * Pick the message for a new firing from the message library
+     * @returns {string} Message text (the type's body when the library has none)
+     * @private
+     */
+    pickMessage() {
+        const picked = this.messages ? this.messages.pick(this.type, this.clock.now()) : null;
+        this.messageId = picked ? picked.id : null;
+        return picked ? picked.text : this.definition.body;
+    }
+
+    /**
+     * Get the text of the current firing's message in the current language
+     * Following tabs look it up by the id the leading tab picked
+     * @returns {string} Message text
+     * @private
+     */
+    getMessageText() {
+        const text = this.messageId && this.messages ? this.messages.getText(this.type, this.messageId) : null;
+        return text ?? this.definition.body;
+    }
+
+    /**
+     * Open the modal for a reminder that fired in the leading tab
+     * Done and Snooze go to the leader, which records the answer
+     * @private
+     */
+    showMirroredNotification() {
+        if (!this.notificationService) return;
+
+        const { title } = this.definition;
+        const message = this.getMessageText();
+        this.notificationService.showNotification(
+            this.type,
+            title,
+            message,
+            () => this.acknowledge(),
+            choice => this.snooze(choice),
+            {
+                ...this.getNotificationOptions(),
+                details: this.getNotificationDetails().join(' · '),
+                snooze: this.getSnoozeInfo(),
+                escalated: this.state === REMINDER_STATE_CONSTANTS.STATES.ESCALATING,
+                awaitResponse: true, // closed when the leader moves on
+                mirrored: true
+            }
+        );
+    }
+
+    /**
+     * Let the user know a reminder came due while the page was closed
+     * @param {number} dueAt - Timestamp the reminder was due
+     * @private
+     */
+    reportMissedReminder(dueAt) {
+        const dueTime = this.i18n.formatTime(dueAt);
+
+        console.log(`${this.type} reminder missed (due at ${dueTime})`);
+
+        if (this.notificationService) {
+            this.notificationService.showInPageAlert(
+                this.type,
+                this.i18n.t('notification.missed.title', { title: this.definition.title }),
+                this.i18n.t('notification.missed.message', { time: dueTime })
+            );
+        }
+    }
+
     /**
      * Get current status
      * @returns {Object} Current reminder status
@@ -274,11 +1088,17 @@ class ReminderManager {
     getStatus() {
         return {
             type: this.type,
+            state: this.state,
             isActive: this.isActive,
+            isPaused: this.isPaused,
+            pausedUntil: this.pausedUntil,
+            pauseReasons: Array.from(this.pauseReasons),
             timeRemaining: this.timeRemaining,
             nextReminderAt: this.nextReminderTime,
             interval: this.settings.interval,
-            enabled: this.settings.enabled
+            enabled: this.settings.enabled,
+            snoozeCount: this.snoozeCount,
+            snoozeLimit: this.getSnoozeLimit()
         };
     }
 
@@ -289,7 +1109,9 @@ class ReminderManager {
      */
     destroy() {
         try {
-            this.stop();
+            // Teardown keeps the saved state so a reload can pick it up
+            this.remote = null;
+            this.stop({ persist: false });
             
             console.log(`${this.type} reminder manager destroyed with cleanup`);
             
@@ -297,6 +1119,26 @@ class ReminderManager {
             console.error(`Error during ${this.type} reminder cleanup:`, error);
         }
     }
+
+    /**
+     * End of the meeting a user is in: the next half or full hour
+     * that is at least SNOOZE_CONSTANTS.MEETING_MIN_MINUTES away
+     * @param {number} now - Current timestamp
+     * @returns {number} Timestamp
+     */
+    static getMeetingEnd(now) {
+        const { MEETING_ROUND_MINUTES, MEETING_MIN_MINUTES } = SNOOZE_CONSTANTS;
+        const end = new Date(now);
+
+        end.setSeconds(0, 0);
+        end.setMinutes(Math.floor(end.getMinutes() / MEETING_ROUND_MINUTES + 1) * MEETING_ROUND_MINUTES);
+
+        if (end.getTime() - now < MEETING_MIN_MINUTES * 60 * 1000) {
+            end.setMinutes(end.getMinutes() + MEETING_ROUND_MINUTES);
+        }
+
+        return end.getTime();
+    }
 }
 
 // Export for use by other modules
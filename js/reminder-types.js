@@ -0,0 +1,228 @@
+/**
+ * Reminder Type Registry - Single source of truth for reminder type definitions
+ * ReminderManager, NotificationService, UIController and Analytics look up
+ * titles, icons, sounds and default intervals here instead of branching on
+ * hard-coded type strings, so new reminder types can be added at runtime.
+ * Built-in types take their text from the message catalogs (type.<id>.*)
+ *
+ * Definition shape:
+ * {
+ *   id: 'eye-rest',                  // lowercase, used in DOM ids and storage keys
+ *   label: 'Eye Rest Reminder',      // card heading
+ *   title: '👀 Rest Your Eyes!',     // notification title
+ *   body: 'Look 20 feet away...',    // notification message
+ *   emoji: '👀',                     // icon for cards and modals without CSS artwork
+ *   icon: 'assets/default-icon.png', // browser notification icon
+ *   color: '#8e44ad',                // accent color for custom cards and alerts
+ *   defaultInterval: 20,             // minutes
+ *   dailyTarget: 24,                 // completions per day shown on the card (optional)
+ *   unit: { one: 'break', other: 'breaks' }, // what one completion is called (optional)
+ *   sound: { file, tone: { wave, frequencies, stepMs, decay } },
+ *   analyticsEvent: 'eye-rest_done'
+ * }
+ */
+class ReminderTypeRegistry {
+    constructor() {
+        this.types = new Map();
+
+        // Built-in types are always available
+        this.registerBuiltInTypes();
+    }
+
+    /**
+     * Register water and standup reminder types
+     * @private
+     */
+    registerBuiltInTypes() {
+        this.register({
+            id: NOTIFICATION_CONSTANTS.TYPES.WATER,
+            ...this.getBuiltInText(NOTIFICATION_CONSTANTS.TYPES.WATER),
+            emoji: '💧',
+            icon: 'assets/water-icon.png',
+            color: '#3498db',
+            dailyTarget: 8,
+            sound: {
+                file: 'assets/water-reminder.mp3',
+                tone: { wave: 'sine', frequencies: [800], stepMs: 300, decay: true }
+            },
+            analyticsEvent: 'water_done'
+        }, { builtIn: true });
+
+        this.register({
+            id: NOTIFICATION_CONSTANTS.TYPES.STANDUP,
+            ...this.getBuiltInText(NOTIFICATION_CONSTANTS.TYPES.STANDUP),
+            emoji: '🧘',
+            icon: 'assets/standup-icon.png',
+            color: '#34495e',
+            dailyTarget: 8,
+            sound: {
+                file: 'assets/standup-reminder.mp3',
+                tone: { wave: 'triangle', frequencies: [600, 700], stepMs: 200, decay: false }
+            },
+            analyticsEvent: 'standup_done'
+        }, { builtIn: true });
+    }
+
+    /**
+     * Get the translated text of a built-in type
+     * @param {string} id - Built-in type id
+     * @returns {Object} Text fields {label, title, body, unit}
+     * @private
+     */
+    getBuiltInText(id) {
+        const t = key => window.i18n.t(`type.${id}.${key}`);
+
+        return {
+            label: t('label'),
+            title: t('title'),
+            body: t('body'),
+            unit: { one: t('unit.one'), other: t('unit.other') }
+        };
+    }
+
+    /**
+     * Translate built-in types into the current language
+     * Definitions are updated in place, so reminders holding them follow along
+     */
+    localizeBuiltInTypes() {
+        this.getAll()
+            .filter(definition => definition.builtIn)
+            .forEach(definition => Object.assign(definition, this.getBuiltInText(definition.id)));
+    }
+
+    /**
+     * Register a reminder type (replaces an existing custom type with the same id)
+     * @param {Object} definition - Reminder type definition
+     * @param {Object} options - Registration options
+     * @param {boolean} options.builtIn - Whether this is a built-in type
+     * @returns {Object} Normalized definition
+     */
+    register(definition, { builtIn = false } = {}) {
+        if (!definition || typeof definition !== 'object') {
+            throw new Error('Reminder type definition must be an object');
+        }
+
+        const { id, title } = definition;
+        if (typeof id !== 'string' || !REMINDER_TYPE_CONSTANTS.ID_PATTERN.test(id) ||
+            REMINDER_TYPE_CONSTANTS.RESERVED_IDS.includes(id)) {
+            throw new Error(`Invalid reminder type id: ${id}`);
+        }
+
+        if (typeof title !== 'string' || !title.trim()) {
+            throw new Error(`Reminder type ${id}: title is required`);
+        }
+
+        const existing = this.types.get(id);
+        if (existing && existing.builtIn && !builtIn) {
+            throw new Error(`Reminder type ${id} is built-in and cannot be replaced`);
+        }
+
+        const normalized = this.normalize(definition, builtIn);
+        this.types.set(id, normalized);
+
+        console.log(`Reminder type registered: ${id}`);
+        return normalized;
+    }
+
+    /**
+     * Fill optional definition fields with defaults
+     * @param {Object} definition - Raw definition
+     * @param {boolean} builtIn - Whether this is a built-in type
+     * @returns {Object} Normalized definition
+     * @private
+     */
+    normalize(definition, builtIn) {
+        const defaults = REMINDER_TYPE_CONSTANTS.DEFAULTS;
+        const interval = Number(definition.defaultInterval);
+        const dailyTarget = Number(definition.dailyTarget);
+        const sound = definition.sound || {};
+
+        return {
+            id: definition.id,
+            label: definition.label || definition.title,
+            title: definition.title,
+            body: definition.body || '',
+            emoji: definition.emoji || defaults.EMOJI,
+            icon: definition.icon || defaults.ICON,
+            color: definition.color || defaults.COLOR,
+            defaultInterval: interval > 0 ? interval : REMINDER_CONSTANTS.DEFAULT_INTERVAL_MINUTES,
+            dailyTarget: dailyTarget > 0 ? Math.round(dailyTarget) : null,
+            unit: definition.unit ? { ...definition.unit } : null,
+            sound: {
+                file: sound.file || defaults.SOUND_FILE,
+                tone: { ...defaults.TONE, ...(sound.tone || {}) }
+            },
+            analyticsEvent: definition.analyticsEvent || `${definition.id}_done`,
+            builtIn
+        };
+    }
+
+    /**
+     * Remove a custom reminder type
+     * @param {string} id - Reminder type id
+     * @returns {boolean} Whether the type was removed
+     */
+    unregister(id) {
+        const definition = this.types.get(id);
+        if (!definition || definition.builtIn) {
+            return false;
+        }
+
+        return this.types.delete(id);
+    }
+
+    /**
+     * Check whether a reminder type is registered
+     * @param {string} id - Reminder type id
+     * @returns {boolean}
+     */
+    has(id) {
+        return this.types.has(id);
+    }
+
+    /**
+     * Get a reminder type definition
+     * @param {string} id - Reminder type id
+     * @returns {Object|null} Definition or null if unknown
+     */
+    get(id) {
+        return this.types.get(id) || null;
+    }
+
+    /**
+     * Get all registered definitions in registration order
+     * @returns {Array<Object>} Definitions
+     */
+    getAll() {
+        return Array.from(this.types.values());
+    }
+
+    /**
+     * Get all registered type ids in registration order
+     * @returns {Array<string>} Type ids
+     */
+    getIds() {
+        return Array.from(this.types.keys());
+    }
+
+    /**
+     * Get user-registered definitions for persistence
+     * @returns {Array<Object>} Custom definitions
+     */
+    getCustomDefinitions() {
+        return this.getAll()
+            .filter(definition => !definition.builtIn)
+            .map(({ builtIn, ...definition }) => definition);
+    }
+}
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReminderTypeRegistry;
+}
+
+// Export for browser use
+window.ReminderTypeRegistry = ReminderTypeRegistry;
+
+// Shared registry instance used by all components
+window.reminderTypeRegistry = new ReminderTypeRegistry();
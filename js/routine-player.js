@@ -0,0 +1,187 @@
+/**
+ * Routine Player - Plays a guided routine step by step inside the reminder modal
+ * Each step shows its name, instruction and a countdown; the player moves on
+ * automatically when a step's time is up
+ *
+ * Time comes from an injectable clock (SystemClock or VirtualClock) so
+ * playback can be driven by a virtual clock in tests
+ */
+class RoutinePlayer {
+    /**
+     * Create routine player instance
+     * @param {Object} elements - Player DOM elements
+     * @param {Element} elements.container - Player container (hidden while idle)
+     * @param {Element} elements.stepName - Current step name
+     * @param {Element} elements.instruction - Current step instruction
+     * @param {Element} elements.timer - Step countdown
+     * @param {Element} elements.progress - "Step 2 of 5" text
+     * @param {Element} elements.skipBtn - Skip step button
+     * @param {Element} elements.finishBtn - Finish early button
+     * @param {I18n} i18n - Translations (defaults to shared instance)
+     * @param {SystemClock|VirtualClock} clock - Time and timer source (defaults to real time)
+     */
+    constructor(elements, i18n = window.i18n, clock = window.systemClock || new SystemClock()) {
+        this.elements = elements;
+        this.i18n = i18n;
+        this.clock = clock;
+        this.routine = null;
+        this.stepIndex = 0;
+        this.stepEndsAt = null;
+        this.tickId = null;
+        this.onFinish = null;
+
+        this.elements.skipBtn?.addEventListener('click', () => this.skip());
+        this.elements.finishBtn?.addEventListener('click', () => this.finish());
+    }
+
+    /**
+     * Whether a routine is currently playing
+     * @returns {boolean}
+     */
+    get isRunning() {
+        return this.routine !== null;
+    }
+
+    /**
+     * Start playing a routine
+     * @param {Object} routine - Routine from RoutineLibrary
+     * @param {Function} onFinish - Called with the result {routineId, routineName, completedSteps, totalSteps, completed}
+     */
+    play(routine, onFinish) {
+        this.stop();
+
+        this.routine = routine;
+        this.onFinish = onFinish;
+        this.elements.container.hidden = false;
+
+        console.log(`🤸 Routine started: ${routine.name}`);
+        this.startStep(0);
+    }
+
+    /**
+     * Begin a step
+     * @param {number} index - Step index
+     * @private
+     */
+    startStep(index) {
+        const step = this.routine.steps[index];
+        this.stepIndex = index;
+        this.stepEndsAt = this.clock.now() + step.duration * 1000;
+
+        this.elements.stepName.textContent = step.name;
+        this.elements.instruction.textContent = step.instruction;
+        this.elements.progress.textContent = this.i18n.t('routine.progress', {
+            step: index + 1,
+            count: this.routine.steps.length
+        });
+
+        this.clearTick();
+        this.tickId = this.clock.setInterval(() => this.tick(), ROUTINE_CONSTANTS.TICK_MS);
+        this.tick();
+    }
+
+    /**
+     * Update step countdown and advance when time is up
+     * @private
+     */
+    tick() {
+        if (!this.routine) return;
+
+        const remaining = Math.max(0, this.stepEndsAt - this.clock.now());
+        const seconds = Math.ceil(remaining / 1000);
+        this.elements.timer.textContent = `${Math.floor(seconds / 60)}:${this.i18n.formatTwoDigits(seconds % 60)}`;
+
+        if (remaining === 0) {
+            this.nextStep();
+        }
+    }
+
+    /**
+     * Advance to the next step, finishing after the last one
+     * @private
+     */
+    nextStep() {
+        if (this.stepIndex + 1 < this.routine.steps.length) {
+            this.startStep(this.stepIndex + 1);
+        } else {
+            this.complete(this.routine.steps.length);
+        }
+    }
+
+    /**
+     * Skip the current step
+     */
+    skip() {
+        if (!this.routine) return;
+
+        this.nextStep();
+    }
+
+    /**
+     * End the routine early, counting the steps already finished
+     */
+    finish() {
+        if (!this.routine) return;
+
+        this.complete(this.stepIndex);
+    }
+
+    /**
+     * Stop playback and report the result
+     * @param {number} completedSteps - Number of steps finished
+     * @private
+     */
+    complete(completedSteps) {
+        const routine = this.routine;
+        const onFinish = this.onFinish;
+        const totalSteps = routine.steps.length;
+
+        this.stop();
+
+        console.log(`🤸 Routine finished: ${routine.name} (${completedSteps}/${totalSteps} steps)`);
+
+        if (onFinish) {
+            onFinish({
+                routineId: routine.id,
+                routineName: routine.name,
+                completedSteps,
+                totalSteps,
+                completed: completedSteps === totalSteps
+            });
+        }
+    }
+
+    /**
+     * Stop playback without reporting a result
+     */
+    stop() {
+        this.clearTick();
+        this.routine = null;
+        this.onFinish = null;
+        this.stepIndex = 0;
+        this.stepEndsAt = null;
+
+        if (this.elements.container) {
+            this.elements.container.hidden = true;
+        }
+    }
+
+    /**
+     * Clear step timer
+     * @private
+     */
+    clearTick() {
+        if (this.tickId) {
+            this.clock.clearInterval(this.tickId);
+            this.tickId = null;
+        }
+    }
+}
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RoutinePlayer;
+}
+
+// Export for browser use
+window.RoutinePlayer = RoutinePlayer;
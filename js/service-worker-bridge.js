@@ -0,0 +1,229 @@
+/**
+ * Service Worker Bridge - Page side of service worker notifications
+ * Notifications shown through the worker registration keep working while
+ * the tab is throttled in the background and carry Done/Snooze actions
+ * where the platform supports notification actions (elsewhere a click
+ * focuses the page). The worker posts clicked actions back to the page,
+ * where they are handed to the onAction callback. The bridge also watches
+ * for a new app version waiting to take over and reports it through onUpdate
+ */
+class ServiceWorkerBridge {
+    /**
+     * Create service worker bridge instance
+     * @param {Object} options - Bridge options
+     * @param {ServiceWorkerContainer|null} options.container - Service worker container (defaults to navigator.serviceWorker)
+     * @param {Function} options.onAction - Called with (type, action) when a notification action is clicked
+     * @param {Function} options.onUpdate - Called when a new version is installed and waiting
+     * @param {Function} options.reload - Reloads the page once the new version has taken over
+     * @param {I18n} options.i18n - Translations for the action buttons (defaults to shared instance)
+     */
+    constructor(options = {}) {
+        this.container = options.container !== undefined
+            ? options.container
+            : (navigator.serviceWorker || null);
+        this.onAction = options.onAction || null;
+        this.onUpdate = options.onUpdate || null;
+        this.reload = options.reload || (() => window.location.reload());
+        this.i18n = options.i18n || window.i18n;
+        this.registration = null;
+        this.waitingWorker = null;
+        this.reloading = false;
+
+        this.handleMessage = event => this.receiveMessage(event.data);
+        this.handleControllerChange = () => {
+            // Reload once; devtools "update on reload" can fire this repeatedly
+            if (this.reloading) return;
+            this.reloading = true;
+            this.reload();
+        };
+    }
+
+    /**
+     * Listen for worker messages and wait for the active registration
+     * Resolves once the worker is active; never resolves if no worker registers
+     * @returns {Promise<boolean>} Whether worker notifications are available
+     */
+    async init() {
+        if (!this.container) {
+            console.warn('Service workers not supported, using page notifications');
+            return false;
+        }
+
+        this.container.addEventListener('message', this.handleMessage);
+
+        try {
+            this.registration = await this.container.ready;
+            console.log('🔔 Service worker notifications available');
+            this.watchForUpdates();
+            return true;
+        } catch (error) {
+            console.warn('Service worker not ready:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Check whether notifications can be shown through the worker
+     * @returns {boolean}
+     */
+    isAvailable() {
+        return Boolean(this.registration && typeof this.registration.showNotification === 'function');
+    }
+
+    /**
+     * Check whether the platform shows notification action buttons
+     * @returns {boolean}
+     */
+    supportsActions() {
+        return typeof Notification !== 'undefined' && Notification.maxActions > 0;
+    }
+
+    /**
+     * Get notification tag for a reminder type
+     * @param {string} type - Reminder type id
+     * @returns {string} Tag
+     * @private
+     */
+    getTag(type) {
+        return `${SERVICE_WORKER_CONSTANTS.TAG_PREFIX}${type}`;
+    }
+
+    /**
+     * Show a reminder notification with action buttons
+     * @param {string} type - Reminder type id
+     * @param {string} title - Notification title
+     * @param {Object} options - Notification options (body, icon, requireInteraction, ...)
+     * @param {Array<string>} actions - Action ids from SERVICE_WORKER_CONSTANTS.ACTIONS
+     *   (dropped where the platform has no action buttons)
+     * @returns {boolean} Whether the notification was handed to the worker
+     */
+    showNotification(type, title, options = {}, actions = []) {
+        if (!this.isAvailable()) return false;
+
+        const buttons = this.supportsActions()
+            ? actions.slice(0, Notification.maxActions).map(action => ({
+                action,
+                title: this.i18n.t(`notification.action.${action}`)
+            }))
+            : [];
+
+        this.registration.showNotification(title, {
+            ...options,
+            tag: this.getTag(type),
+            data: { type },
+            actions: buttons
+        }).catch(error => {
+            console.warn('Failed to show service worker notification:', error);
+        });
+
+        return true;
+    }
+
+    /**
+     * Close worker notifications for a reminder type
+     * @param {string} type - Reminder type id
+     */
+    closeNotifications(type) {
+        if (!this.isAvailable() || typeof this.registration.getNotifications !== 'function') return;
+
+        this.registration.getNotifications({ tag: this.getTag(type) })
+            .then(notifications => notifications.forEach(notification => notification.close()))
+            .catch(error => {
+                console.warn('Failed to close service worker notifications:', error);
+            });
+    }
+
+    /**
+     * Handle a message posted by the worker
+     * @param {Object} message - Message {type: 'notification-action', reminderType, action}
+     * @private
+     */
+    receiveMessage(message) {
+        if (!message || message.type !== SERVICE_WORKER_CONSTANTS.ACTION_MESSAGE) return;
+
+        console.log(`🔔 Notification action: ${message.reminderType} ${message.action}`);
+
+        if (this.onAction) {
+            this.onAction(message.reminderType, message.action);
+        }
+    }
+
+    /**
+     * Report a new version that is installed and waiting, now or later
+     * @private
+     */
+    watchForUpdates() {
+        const registration = this.registration;
+        if (!registration || typeof registration.addEventListener !== 'function') return;
+
+        if (registration.waiting) {
+            this.handleWaitingWorker(registration.waiting);
+        }
+
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            if (!worker) return;
+
+            worker.addEventListener('statechange', () => {
+                if (worker.state === 'installed') {
+                    this.handleWaitingWorker(worker);
+                }
+            });
+        });
+    }
+
+    /**
+     * Offer a waiting worker as an update
+     * The first install has no controlling worker and nothing stale to replace
+     * @param {ServiceWorker} worker - Installed worker waiting to activate
+     * @private
+     */
+    handleWaitingWorker(worker) {
+        if (!this.container.controller) return;
+
+        this.waitingWorker = worker;
+        console.log('🆕 New app version waiting');
+
+        if (this.onUpdate) {
+            this.onUpdate();
+        }
+    }
+
+    /**
+     * Check whether a new version is waiting to take over
+     * @returns {boolean}
+     */
+    hasUpdate() {
+        return this.waitingWorker !== null;
+    }
+
+    /**
+     * Activate the waiting version; the page reloads once it takes control
+     * @returns {boolean} Whether an update was waiting
+     */
+    applyUpdate() {
+        if (!this.waitingWorker) return false;
+
+        this.container.addEventListener('controllerchange', this.handleControllerChange);
+        this.waitingWorker.postMessage({ type: SERVICE_WORKER_CONSTANTS.SKIP_WAITING_MESSAGE });
+        return true;
+    }
+
+    /**
+     * Stop listening for worker messages
+     */
+    destroy() {
+        if (this.container) {
+            this.container.removeEventListener('message', this.handleMessage);
+            this.container.removeEventListener('controllerchange', this.handleControllerChange);
+        }
+    }
+}
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ServiceWorkerBridge;
+}
+
+// Export for browser use
+window.ServiceWorkerBridge = ServiceWorkerBridge;
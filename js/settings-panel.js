@@ -0,0 +1,943 @@
+/**
+ * Settings Panel - Edit reminder intervals, sounds, snoozing, escalation and notification style
+ * Shows one section per registered reminder type plus working hours, away
+ * detection, notification and appearance options. Saving hands the changes to onSave, which validates
+ * and applies them; validation errors are shown in the panel.
+ * Each reminder section also lists the user's own notification messages
+ * and uploaded sound, which are added and removed right away (without Save).
+ * The data section exports all user data and previews imports before
+ * handing them to onImport
+ */
+class SettingsPanel {
+    /**
+     * Create settings panel instance
+     * @param {Object} dependencies - Required dependencies
+     * @param {Function} dependencies.getSettings - Returns the current settings (see OfficeWellnessApp.getSettings)
+     * @param {Function} dependencies.onSave - Called with the changed settings; returns {isValid, errors}
+     * @param {ReminderTypeRegistry} dependencies.registry - Reminder type registry (defaults to shared instance)
+     * @param {BackupManager} dependencies.backup - Export and import of user data (optional, hides the data section)
+     * @param {Function} dependencies.onImport - Called with a validated export and the import mode; returns (a promise of) whether it was applied
+     * @param {MessageLibrary} dependencies.messages - Reminder messages (optional, hides the message lists)
+     * @param {Function} dependencies.onAddMessage - Called with a new message; returns it normalized, throws when invalid (defaults to adding it to the library)
+     * @param {Function} dependencies.onRemoveMessage - Called with a reminder type and message id (defaults to removing it from the library)
+     * @param {SoundLibrary} dependencies.sounds - Uploaded sounds (optional, hides uploads and the custom sound theme)
+     * @param {Function} dependencies.onAddSound - Called with a reminder type and audio file; returns a promise of the stored sound, rejects when refused (defaults to adding it to the library)
+     * @param {Function} dependencies.onRemoveSound - Called with a reminder type (defaults to removing it from the library)
+     * @param {Function} dependencies.onPreviewSound - Called with a reminder type and {theme, volume} from the form (optional, hides the preview buttons)
+     * @param {Function} dependencies.onEnableIdleDetection - Asks for Idle Detection permission from the click; returns a promise of whether it runs (optional, hides the button)
+     * @param {Function} dependencies.isIdleDetectionOn - Returns whether Idle Detection already runs (optional)
+     * @param {I18n} dependencies.i18n - Translations (defaults to shared instance)
+     */
+    constructor({
+        getSettings, onSave, registry, backup = null, onImport = null,
+        messages = null, onAddMessage, onRemoveMessage,
+        sounds = null, onAddSound, onRemoveSound, onPreviewSound = null,
+        onEnableIdleDetection = null, isIdleDetectionOn = null,
+        i18n
+    }) {
+        this.getSettings = getSettings;
+        this.onSave = onSave;
+        this.registry = registry || window.reminderTypeRegistry;
+        this.i18n = i18n || window.i18n;
+        this.backup = backup;
+        this.onImport = onImport;
+        this.messages = messages;
+        this.onAddMessage = onAddMessage || (message => this.messages.addCustomMessage(message));
+        this.onRemoveMessage = onRemoveMessage || ((type, id) => this.messages.removeCustomMessage(type, id));
+        this.sounds = sounds;
+        this.onAddSound = onAddSound || ((type, file) => this.sounds.add(type, file));
+        this.onRemoveSound = onRemoveSound || (type => this.sounds.remove(type));
+        this.onPreviewSound = onPreviewSound;
+        this.onEnableIdleDetection = onEnableIdleDetection;
+        this.isIdleDetectionOn = isIdleDetectionOn || (() => false);
+
+        this.elements = {};
+        this.isOpen = false;
+        this.shownSchedule = null; // schedule in the form, keeps breaks the form has no fields for
+        this.pendingImport = null; // validated export waiting for confirmation
+        this.handleKeydown = (event) => {
+            if (event.key === 'Escape') this.close();
+        };
+
+        this.bindElements();
+    }
+
+    /**
+     * Bind panel DOM elements and controls
+     * @private
+     */
+    bindElements() {
+        this.elements = {
+            panel: document.getElementById('settings-panel'),
+            form: document.getElementById('settings-form'),
+            closeBtn: document.getElementById('settings-close'),
+            reminders: document.getElementById('settings-reminders'),
+            browserNotifications: document.getElementById('setting-browser-notifications'),
+            soundEnabled: document.getElementById('setting-sound-enabled'),
+            volume: document.getElementById('setting-volume'),
+            volumeValue: document.getElementById('setting-volume-value'),
+            style: document.getElementById('setting-notification-style'),
+            language: document.getElementById('setting-language'),
+            scheduleEnabled: document.getElementById('setting-schedule-enabled'),
+            scheduleDays: document.getElementById('setting-schedule-days'),
+            activityEnabled: document.getElementById('setting-activity-enabled'),
+            idleThreshold: document.getElementById('setting-idle-threshold'),
+            hiddenIdle: document.getElementById('setting-hidden-idle'),
+            idleDetectionItem: document.getElementById('setting-idle-detection-item'),
+            idleDetectionBtn: document.getElementById('setting-idle-detection'),
+            idleDetectionStatus: document.getElementById('setting-idle-detection-status'),
+            errors: document.getElementById('settings-errors'),
+            dataSection: document.getElementById('settings-data'),
+            exportBtn: document.getElementById('settings-export'),
+            importFile: document.getElementById('settings-import-file'),
+            importErrors: document.getElementById('import-errors'),
+            importPreview: document.getElementById('import-preview'),
+            importChanges: document.getElementById('import-changes'),
+            importModes: document.querySelectorAll('#import-preview [name="import-mode"]'),
+            importConfirm: document.getElementById('import-confirm'),
+            importCancel: document.getElementById('import-cancel')
+        };
+
+        if (!this.elements.panel || !this.elements.form) {
+            console.warn('Settings panel elements not found');
+            return;
+        }
+
+        this.elements.closeBtn?.addEventListener('click', () => this.close());
+        // The permission prompt must come straight from the click
+        this.elements.idleDetectionBtn?.addEventListener('click', () => this.enableIdleDetection());
+        this.elements.volume?.addEventListener('input', () => this.showVolume());
+        this.elements.form.addEventListener('submit', (event) => {
+            event.preventDefault();
+            this.save();
+        });
+
+        this.bindDataControls();
+    }
+
+    /**
+     * Bind export and import controls
+     * @private
+     */
+    bindDataControls() {
+        const { dataSection, exportBtn, importFile, importModes, importConfirm, importCancel } = this.elements;
+
+        if (!this.backup) {
+            if (dataSection) dataSection.hidden = true;
+            return;
+        }
+
+        exportBtn?.addEventListener('click', () => this.backup.downloadExport());
+        importFile?.addEventListener('change', () => {
+            const file = importFile.files[0];
+            if (file) this.readImportFile(file);
+        });
+        importModes.forEach(radio => radio.addEventListener('change', () => this.renderImportPreview()));
+        importConfirm?.addEventListener('click', () => this.confirmImport());
+        importCancel?.addEventListener('click', () => this.clearImport());
+    }
+
+    /**
+     * Fill a select with options
+     * @param {HTMLSelectElement} select - Select element
+     * @param {Object} labels - Option labels keyed by value
+     * @private
+     */
+    populateSelect(select, labels) {
+        if (!select) return;
+
+        select.innerHTML = '';
+        Object.entries(labels).forEach(([value, label]) => {
+            select.appendChild(new Option(label, value));
+        });
+    }
+
+    /**
+     * Open panel with the current settings
+     */
+    open() {
+        if (!this.elements.panel) return;
+
+        this.render(this.getSettings());
+        this.showErrors([]);
+        this.clearImport();
+
+        this.elements.panel.classList.add('show');
+        this.elements.panel.removeAttribute('inert');
+        document.addEventListener('keydown', this.handleKeydown);
+        this.isOpen = true;
+    }
+
+    /**
+     * Close panel without saving
+     */
+    close() {
+        if (!this.elements.panel) return;
+
+        this.elements.panel.classList.remove('show');
+        this.elements.panel.setAttribute('inert', '');
+        document.removeEventListener('keydown', this.handleKeydown);
+        this.isOpen = false;
+    }
+
+    /**
+     * Show settings in the form
+     * @param {Object} settings - Current settings
+     * @private
+     */
+    render(settings) {
+        this.populateOptions();
+        this.renderReminderSections(settings);
+        this.renderSchedule(settings.schedule || SCHEDULE_CONSTANTS.DEFAULT_SCHEDULE);
+        this.renderActivity(settings.activity || {});
+
+        const notifications = settings.notifications || {};
+        const { browserNotifications, soundEnabled, volume, style, language } = this.elements;
+
+        if (browserNotifications) browserNotifications.checked = notifications.browserNotifications !== false;
+        if (soundEnabled) soundEnabled.checked = notifications.soundEnabled !== false;
+        if (volume) volume.value = notifications.volume ?? SOUND_CONSTANTS.DEFAULT_VOLUME;
+        this.showVolume();
+        if (style) style.value = notifications.style || NOTIFICATION_CONSTANTS.STYLES.STANDARD;
+        if (language) language.value = settings.appearance?.language || I18N_CONSTANTS.AUTO;
+    }
+
+    /**
+     * Show the working hours: one row per weekday, Monday first, with its window and first break
+     * Days off keep the default times so switching them on needs no typing
+     * @param {Object} schedule - Current schedule {enabled, days} (see WorkSchedule)
+     * @private
+     */
+    renderSchedule(schedule) {
+        const { scheduleEnabled, scheduleDays } = this.elements;
+        const defaults = SCHEDULE_CONSTANTS.DEFAULT_SCHEDULE.days;
+
+        this.shownSchedule = schedule;
+        if (scheduleEnabled) scheduleEnabled.checked = schedule.enabled === true;
+        if (!scheduleDays) return;
+
+        scheduleDays.innerHTML = '';
+        [1, 2, 3, 4, 5, 6, 0].forEach(dayIndex => {
+            const key = SCHEDULE_CONSTANTS.DAY_KEYS[dayIndex];
+            const day = schedule.days?.[key] || null;
+            const shown = day || defaults[key] || defaults.mon;
+            const lunch = Array.isArray(shown.breaks) ? shown.breaks[0] : null;
+
+            const row = document.createElement('div');
+            row.className = 'setting-item schedule-day';
+            row.dataset.day = key;
+            row.innerHTML = `
+                <label for="setting-schedule-${key}">
+                    <input type="checkbox" id="setting-schedule-${key}" data-field="works">
+                    <span></span>
+                </label>
+                <div class="setting-control">
+                    <input type="time" data-field="start" data-i18n-aria-label="settings.scheduleStart">
+                    <span>–</span>
+                    <input type="time" data-field="end" data-i18n-aria-label="settings.scheduleEnd">
+                </div>
+                <div class="setting-control">
+                    <small data-i18n="settings.scheduleBreak"></small>
+                    <input type="time" data-field="break-start" data-i18n-aria-label="settings.scheduleBreakStart">
+                    <span>–</span>
+                    <input type="time" data-field="break-end" data-i18n-aria-label="settings.scheduleBreakEnd">
+                </div>
+            `;
+
+            this.i18n.translatePage(row);
+            // A Sunday in January 2026 plus the weekday index gives that weekday's name
+            row.querySelector('label span').textContent = this.i18n.formatWeekday(new Date(2026, 0, 4 + dayIndex));
+            row.querySelector('[data-field="works"]').checked = Boolean(day);
+            row.querySelector('[data-field="start"]').value = shown.start || '';
+            row.querySelector('[data-field="end"]').value = shown.end || '';
+            row.querySelector('[data-field="break-start"]').value = lunch?.start || '';
+            row.querySelector('[data-field="break-end"]').value = lunch?.end || '';
+            scheduleDays.appendChild(row);
+        });
+    }
+
+    /**
+     * Read the working hours from the form
+     * An empty break means none; breaks after the first (set from code) are kept as they were
+     * @returns {Object} Schedule {enabled, days}
+     * @private
+     */
+    readSchedule() {
+        const days = {};
+
+        this.elements.scheduleDays?.querySelectorAll('[data-day]').forEach(row => {
+            const key = row.dataset.day;
+            const value = field => row.querySelector(`[data-field="${field}"]`).value;
+
+            if (!row.querySelector('[data-field="works"]').checked) {
+                days[key] = null;
+                return;
+            }
+
+            const current = this.shownSchedule?.days?.[key];
+            const laterBreaks = Array.isArray(current?.breaks) ? current.breaks.slice(1) : [];
+            const lunch = value('break-start') || value('break-end')
+                ? [{ start: value('break-start'), end: value('break-end') }]
+                : [];
+
+            days[key] = { start: value('start'), end: value('end'), breaks: [...lunch, ...laterBreaks] };
+        });
+
+        return { enabled: Boolean(this.elements.scheduleEnabled?.checked), days };
+    }
+
+    /**
+     * Show the away detection options and whether Idle Detection runs
+     * @param {Object} activity - Current activity settings {enabled, idleThresholdMinutes, hiddenCountsAsIdle}
+     * @private
+     */
+    renderActivity(activity) {
+        const { activityEnabled, idleThreshold, hiddenIdle, idleDetectionItem, idleDetectionBtn } = this.elements;
+        const { MIN, MAX } = ACTIVITY_CONSTANTS.IDLE_THRESHOLD_RANGE_MINUTES;
+
+        if (activityEnabled) activityEnabled.checked = activity.enabled !== false;
+        if (hiddenIdle) hiddenIdle.checked = activity.hiddenCountsAsIdle === true;
+        if (idleThreshold) {
+            idleThreshold.min = MIN;
+            idleThreshold.max = MAX;
+            idleThreshold.value = activity.idleThresholdMinutes ?? ACTIVITY_CONSTANTS.DEFAULT_IDLE_THRESHOLD_MS / 60000;
+            idleThreshold.closest('.setting-item').querySelector('small').textContent = this.i18n.t('settings.intervalRange', { min: MIN, max: MAX });
+        }
+
+        if (idleDetectionItem) idleDetectionItem.hidden = !this.onEnableIdleDetection;
+        if (idleDetectionBtn) idleDetectionBtn.hidden = false;
+        this.showIdleDetection(this.isIdleDetectionOn() ? true : null);
+    }
+
+    /**
+     * Ask for Idle Detection permission
+     * @returns {Promise<boolean>} Whether Idle Detection runs
+     * @private
+     */
+    async enableIdleDetection() {
+        if (!this.onEnableIdleDetection) return false;
+
+        const enabled = Boolean(await this.onEnableIdleDetection());
+        this.showIdleDetection(enabled);
+        return enabled;
+    }
+
+    /**
+     * Show whether Idle Detection runs
+     * @param {boolean|null} enabled - Whether it runs, null when not asked yet
+     * @private
+     */
+    showIdleDetection(enabled) {
+        const { idleDetectionBtn, idleDetectionStatus } = this.elements;
+        const key = enabled === null
+            ? 'settings.idleDetectionHint'
+            : (enabled ? 'settings.idleDetectionOn' : 'settings.idleDetectionDenied');
+
+        if (idleDetectionStatus) idleDetectionStatus.textContent = this.i18n.t(key);
+        if (idleDetectionBtn && enabled) idleDetectionBtn.hidden = true;
+    }
+
+    /**
+     * Show the volume next to its slider
+     * @private
+     */
+    showVolume() {
+        const { volume, volumeValue } = this.elements;
+        if (volume && volumeValue) volumeValue.textContent = `${volume.value}%`;
+    }
+
+    /**
+     * Get the volume set in the form
+     * @returns {number} Volume in percent
+     * @private
+     */
+    getFormVolume() {
+        const volume = this.elements.volume;
+        return volume ? Number(volume.value) : SOUND_CONSTANTS.DEFAULT_VOLUME;
+    }
+
+    /**
+     * Fill the notification style and language selects in the current language
+     * Language names stay in their own language so they can be found in any of them
+     * @private
+     */
+    populateOptions() {
+        const styles = {};
+        Object.values(NOTIFICATION_CONSTANTS.STYLES).forEach(style => {
+            styles[style] = this.i18n.t(`settings.style.${style}`);
+        });
+
+        this.populateSelect(this.elements.style, styles);
+        this.populateSelect(this.elements.language, {
+            [I18N_CONSTANTS.AUTO]: this.i18n.t('settings.language.auto'),
+            ...SETTINGS_CONSTANTS.LANGUAGES
+        });
+    }
+
+    /**
+     * Render interval and sound fields for each reminder type
+     * @param {Object} settings - Current settings
+     * @private
+     */
+    renderReminderSections(settings) {
+        const container = this.elements.reminders;
+        if (!container || !this.registry) return;
+
+        const { MIN, MAX } = SETTINGS_CONSTANTS.INTERVAL_RANGE_MINUTES;
+        const snoozeRange = SNOOZE_CONSTANTS.MAX_SNOOZES_RANGE;
+        container.innerHTML = '';
+
+        this.registry.getAll().forEach(definition => {
+            const type = definition.id;
+            const reminder = settings[type] || {};
+
+            const section = document.createElement('section');
+            section.className = 'settings-section';
+            section.dataset.type = type;
+            section.innerHTML = `
+                <h3></h3>
+                <div class="setting-item">
+                    <label class="setting-label" for="setting-${type}-interval">
+                        <span data-i18n="settings.remindEvery"></span>
+                        <small></small>
+                    </label>
+                    <div class="setting-control">
+                        <input type="number" id="setting-${type}-interval" data-field="interval" min="${MIN}" max="${MAX}" step="1">
+                        <span data-i18n="settings.minutesUnit"></span>
+                    </div>
+                </div>
+                <div class="setting-item">
+                    <label class="setting-label" for="setting-${type}-sound">
+                        <span data-i18n="settings.sound"></span>
+                    </label>
+                    <label class="switch">
+                        <input type="checkbox" id="setting-${type}-sound" data-field="sound">
+                        <span class="slider"></span>
+                    </label>
+                </div>
+                <div class="setting-item">
+                    <label class="setting-label" for="setting-${type}-theme">
+                        <span data-i18n="settings.soundTheme"></span>
+                    </label>
+                    <div class="setting-control">
+                        <select id="setting-${type}-theme" data-field="soundTheme"></select>
+                        <button type="button" class="btn-secondary" data-action="preview-sound" data-i18n="settings.previewSound"></button>
+                    </div>
+                </div>
+                <div class="setting-item setting-sound-file">
+                    <div class="setting-label">
+                        <span data-i18n="settings.soundFile"></span>
+                        <small></small>
+                    </div>
+                    <div class="setting-control">
+                        <input type="file" accept="audio/*" data-field="sound-file" data-i18n-aria-label="settings.soundFile">
+                        <button type="button" class="btn-secondary" data-action="remove-sound" data-i18n="settings.removeSound"></button>
+                    </div>
+                </div>
+                <ul class="settings-errors sound-errors" role="alert" hidden></ul>
+                <div class="setting-item">
+                    <label class="setting-label" for="setting-${type}-max-snoozes">
+                        <span data-i18n="settings.maxSnoozes"></span>
+                        <small data-i18n="settings.maxSnoozesHint"></small>
+                    </label>
+                    <div class="setting-control">
+                        <input type="number" id="setting-${type}-max-snoozes" data-field="maxSnoozes"
+                            min="${snoozeRange.MIN}" max="${snoozeRange.MAX}" step="1">
+                    </div>
+                </div>
+                <div class="setting-escalation">
+                    <div class="setting-label">
+                        <span data-i18n="settings.escalation"></span>
+                        <small data-i18n="settings.escalationHint"></small>
+                    </div>
+                </div>
+                <div class="setting-messages">
+                    <div class="setting-label">
+                        <span data-i18n="settings.messages"></span>
+                        <small data-i18n="settings.messagesHint"></small>
+                    </div>
+                    <ul class="custom-messages"></ul>
+                    <ul class="settings-errors" role="alert" hidden></ul>
+                    <div class="message-form">
+                        <input type="text" data-field="message-text" maxlength="${MESSAGE_CONSTANTS.MAX_LENGTH}"
+                            data-i18n-placeholder="settings.messagePlaceholder" data-i18n-aria-label="settings.messageText">
+                        <select data-field="message-time" data-i18n-aria-label="settings.messageTime"></select>
+                        <button type="button" class="btn-secondary" data-i18n="settings.addMessage"></button>
+                    </div>
+                </div>
+            `;
+
+            this.i18n.translatePage(section);
+            section.querySelector('small').textContent = this.i18n.t('settings.intervalRange', { min: MIN, max: MAX });
+
+            // Labels of custom types are user-defined, never parse them as HTML
+            section.querySelector('h3').textContent = `${definition.emoji} ${definition.label}`;
+            section.querySelector('[data-field="interval"]').value = reminder.interval ?? definition.defaultInterval;
+            section.querySelector('[data-field="sound"]').checked = reminder.sound !== false;
+            section.querySelector('[data-field="maxSnoozes"]').value = reminder.maxSnoozes ?? SNOOZE_CONSTANTS.DEFAULT_MAX_SNOOZES;
+            this.renderEscalation(section, type, reminder.escalation);
+            this.renderSound(section, type, reminder.soundTheme);
+            this.renderMessages(section, type);
+
+            container.appendChild(section);
+        });
+    }
+
+    /**
+     * Show one row per escalation action: whether it runs, and how long after the reminder
+     * Actions that are off keep their default delay so switching them on needs no typing
+     * @param {HTMLElement} section - Reminder section
+     * @param {string} type - Reminder type id
+     * @param {Array<Object>} escalation - Current steps {action, afterMinutes} (defaults when missing)
+     * @private
+     */
+    renderEscalation(section, type, escalation) {
+        const container = section.querySelector('.setting-escalation');
+        const steps = Array.isArray(escalation) ? escalation : ESCALATION_CONSTANTS.DEFAULT_STEPS;
+
+        Object.values(ESCALATION_CONSTANTS.ACTIONS).forEach(action => {
+            const step = steps.find(candidate => candidate?.action === action);
+            const fallback = ESCALATION_CONSTANTS.DEFAULT_STEPS.find(candidate => candidate.action === action);
+
+            const row = document.createElement('div');
+            row.className = 'setting-item';
+            row.dataset.escalation = action;
+            row.innerHTML = `
+                <label for="setting-${type}-escalation-${action}">
+                    <input type="checkbox" id="setting-${type}-escalation-${action}" data-field="escalation-enabled">
+                    <span data-i18n="settings.escalation.${action}"></span>
+                </label>
+                <div class="setting-control">
+                    <input type="number" data-field="escalation-minutes" min="1" step="1"
+                        data-i18n-aria-label="settings.escalationAfter">
+                    <span data-i18n="settings.minutesUnit"></span>
+                </div>
+            `;
+
+            this.i18n.translatePage(row);
+            row.querySelector('[data-field="escalation-enabled"]').checked = Boolean(step);
+            row.querySelector('[data-field="escalation-minutes"]').value = (step || fallback)?.afterMinutes ?? '';
+            container.appendChild(row);
+        });
+    }
+
+    /**
+     * Read a reminder section's escalation rows into steps, earliest first
+     * Delays are passed on as typed (NaN when empty) so validation reports them
+     * @param {HTMLElement} section - Reminder section
+     * @returns {Array<Object>} Steps {action, afterMinutes}
+     * @private
+     */
+    readEscalation(section) {
+        return Array.from(section.querySelectorAll('[data-escalation]'))
+            .filter(row => row.querySelector('[data-field="escalation-enabled"]').checked)
+            .map(row => {
+                const minutes = row.querySelector('[data-field="escalation-minutes"]').value;
+                return { action: row.dataset.escalation, afterMinutes: minutes === '' ? NaN : Number(minutes) };
+            })
+            .sort((a, b) => a.afterMinutes - b.afterMinutes);
+    }
+
+    /**
+     * Show a reminder type's sound theme, preview and uploaded sound
+     * @param {HTMLElement} section - Reminder section
+     * @param {string} type - Reminder type id
+     * @param {string} soundTheme - Current sound theme
+     * @private
+     */
+    renderSound(section, type, soundTheme) {
+        const { THEMES } = SOUND_CONSTANTS;
+        const theme = section.querySelector('[data-field="soundTheme"]');
+        const preview = section.querySelector('[data-action="preview-sound"]');
+
+        // The custom theme needs somewhere to keep the upload
+        const themes = {};
+        Object.values(THEMES).filter(value => value !== THEMES.CUSTOM || this.sounds).forEach(value => {
+            themes[value] = this.i18n.t(`settings.soundTheme.${value}`);
+        });
+        this.populateSelect(theme, themes);
+        theme.value = soundTheme in themes ? soundTheme : THEMES.DEFAULT;
+
+        if (this.onPreviewSound) {
+            preview.addEventListener('click', () => this.onPreviewSound(type, { theme: theme.value, volume: this.getFormVolume() }));
+        } else {
+            preview.remove();
+        }
+
+        const upload = section.querySelector('.setting-sound-file');
+        if (!this.sounds) {
+            upload.remove();
+            return;
+        }
+
+        const file = upload.querySelector('[data-field="sound-file"]');
+        file.addEventListener('change', () => {
+            if (file.files[0]) this.uploadSound(section, type, file.files[0]);
+        });
+        upload.querySelector('[data-action="remove-sound"]').addEventListener('click', () => {
+            this.onRemoveSound(type);
+            if (theme.value === THEMES.CUSTOM) theme.value = THEMES.DEFAULT;
+            this.renderSoundFile(section, type);
+        });
+
+        this.renderSoundFile(section, type);
+    }
+
+    /**
+     * Show the name of the uploaded sound, or the upload limit when there is none
+     * @param {HTMLElement} section - Reminder section
+     * @param {string} type - Reminder type id
+     * @private
+     */
+    renderSoundFile(section, type) {
+        const sound = this.sounds.get(type);
+        const upload = section.querySelector('.setting-sound-file');
+
+        // File names are user-defined, never parse them as HTML
+        upload.querySelector('small').textContent = sound
+            ? this.i18n.t('settings.soundFileName', { name: sound.name })
+            : this.i18n.t('settings.soundFileHint', { max: Math.round(SOUND_CONSTANTS.MAX_UPLOAD_BYTES / 1024) });
+        upload.querySelector('[data-action="remove-sound"]').hidden = !sound;
+    }
+
+    /**
+     * Upload a sound chosen in a reminder section and switch the section to it
+     * The theme is saved with the rest of the form
+     * @param {HTMLElement} section - Reminder section
+     * @param {string} type - Reminder type id
+     * @param {File} file - Audio file
+     * @returns {Promise<boolean>} Whether the sound was stored
+     */
+    async uploadSound(section, type, file) {
+        const errors = section.querySelector('.sound-errors');
+
+        try {
+            await this.onAddSound(type, file);
+        } catch (error) {
+            this.showErrors([error.message], errors);
+            return false;
+        } finally {
+            section.querySelector('[data-field="sound-file"]').value = '';
+        }
+
+        this.showErrors([], errors);
+        section.querySelector('[data-field="soundTheme"]').value = SOUND_CONSTANTS.THEMES.CUSTOM;
+        this.renderSoundFile(section, type);
+        return true;
+    }
+
+    /**
+     * Show a reminder type's own messages and the form to add one
+     * @param {HTMLElement} section - Reminder section
+     * @param {string} type - Reminder type id
+     * @private
+     */
+    renderMessages(section, type) {
+        const block = section.querySelector('.setting-messages');
+        if (!this.messages) {
+            block.remove();
+            return;
+        }
+
+        const text = block.querySelector('[data-field="message-text"]');
+        const timeOfDay = block.querySelector('[data-field="message-time"]');
+        const add = () => this.addMessage(section, type);
+
+        const times = { '': this.i18n.t('settings.messageTime.any') };
+        Object.keys(MESSAGE_CONSTANTS.TIMES_OF_DAY).forEach(time => {
+            times[time] = this.i18n.t(`settings.messageTime.${time}`);
+        });
+        this.populateSelect(timeOfDay, times);
+
+        block.querySelector('button').addEventListener('click', add);
+        text.addEventListener('keydown', (event) => {
+            // Enter adds the message instead of saving the whole form
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                add();
+            }
+        });
+
+        this.renderMessageList(section, type);
+    }
+
+    /**
+     * List a reminder type's own messages with remove buttons
+     * @param {HTMLElement} section - Reminder section
+     * @param {string} type - Reminder type id
+     * @private
+     */
+    renderMessageList(section, type) {
+        const list = section.querySelector('.custom-messages');
+        list.innerHTML = '';
+
+        this.messages.getCustomMessages(type).forEach(message => {
+            const item = document.createElement('li');
+            const text = document.createElement('span');
+            const remove = document.createElement('button');
+
+            // Messages are user-written, never parse them as HTML
+            text.textContent = message.timeOfDay
+                ? `${message.text} (${this.i18n.t(`settings.messageTime.${message.timeOfDay}`)})`
+                : message.text;
+
+            remove.type = 'button';
+            remove.className = 'message-remove';
+            remove.textContent = '×';
+            remove.setAttribute('aria-label', this.i18n.t('settings.removeMessage', { text: message.text }));
+            remove.addEventListener('click', () => {
+                this.onRemoveMessage(type, message.id);
+                this.renderMessageList(section, type);
+            });
+
+            item.append(text, remove);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Add the message typed in a reminder section
+     * @param {HTMLElement} section - Reminder section
+     * @param {string} type - Reminder type id
+     * @returns {boolean} Whether the message was added
+     * @private
+     */
+    addMessage(section, type) {
+        const text = section.querySelector('[data-field="message-text"]');
+        const timeOfDay = section.querySelector('[data-field="message-time"]');
+        const errors = section.querySelector('.setting-messages .settings-errors');
+
+        if (!text.value.trim()) {
+            this.showErrors([this.i18n.t('settings.messageRequired')], errors);
+            return false;
+        }
+
+        try {
+            this.onAddMessage({ type, text: text.value, timeOfDay: timeOfDay.value || null });
+        } catch (error) {
+            this.showErrors([error.message], errors);
+            return false;
+        }
+
+        text.value = '';
+        this.showErrors([], errors);
+        this.renderMessageList(section, type);
+        return true;
+    }
+
+    /**
+     * Read the form into settings changes
+     * Numbers are passed on as typed (NaN when empty) so validation reports them
+     * @returns {Object} Changes keyed by reminder type, plus notifications, appearance, schedule and activity
+     */
+    readForm() {
+        const changes = {};
+
+        this.elements.reminders?.querySelectorAll('[data-type]').forEach(section => {
+            const interval = section.querySelector('[data-field="interval"]').value;
+            const maxSnoozes = section.querySelector('[data-field="maxSnoozes"]').value;
+            changes[section.dataset.type] = {
+                interval: interval === '' ? NaN : Number(interval),
+                sound: section.querySelector('[data-field="sound"]').checked,
+                soundTheme: section.querySelector('[data-field="soundTheme"]').value,
+                maxSnoozes: maxSnoozes === '' ? NaN : Number(maxSnoozes),
+                escalation: this.readEscalation(section)
+            };
+        });
+
+        const { browserNotifications, soundEnabled, style, language } = this.elements;
+        changes.notifications = {
+            browserNotifications: Boolean(browserNotifications?.checked),
+            soundEnabled: Boolean(soundEnabled?.checked),
+            volume: this.getFormVolume(),
+            style: style?.value || NOTIFICATION_CONSTANTS.STYLES.STANDARD
+        };
+        changes.appearance = {
+            language: language?.value || I18N_CONSTANTS.AUTO
+        };
+        changes.schedule = this.readSchedule();
+
+        const { activityEnabled, idleThreshold, hiddenIdle } = this.elements;
+        const threshold = idleThreshold?.value ?? '';
+        changes.activity = {
+            enabled: Boolean(activityEnabled?.checked),
+            idleThresholdMinutes: threshold === '' ? NaN : Number(threshold),
+            hiddenCountsAsIdle: Boolean(hiddenIdle?.checked)
+        };
+
+        return changes;
+    }
+
+    /**
+     * Save the form; closes the panel once the settings are applied
+     * @returns {boolean} Whether the settings were valid and applied
+     */
+    save() {
+        const result = this.onSave(this.readForm());
+
+        if (!result.isValid) {
+            this.showErrors(result.errors);
+            return false;
+        }
+
+        this.close();
+        return true;
+    }
+
+    /**
+     * Show validation errors
+     * @param {Array<string>} errors - Error messages (empty clears them)
+     * @param {HTMLElement} container - List to show them in (defaults to the settings errors)
+     * @private
+     */
+    showErrors(errors, container = this.elements.errors) {
+        if (!container) return;
+
+        container.innerHTML = '';
+        errors.forEach(error => {
+            const item = document.createElement('li');
+            item.textContent = error;
+            container.appendChild(item);
+        });
+        container.hidden = errors.length === 0;
+    }
+
+    /**
+     * Read an export file and preview it
+     * @param {File} file - Selected file
+     * @returns {Promise<boolean>} Whether the file is a valid export
+     */
+    async readImportFile(file) {
+        try {
+            return this.previewImport(await file.text());
+        } catch (error) {
+            console.warn('Failed to read import file:', error);
+            this.showImportErrors([this.i18n.t('import.unreadable')]);
+            return false;
+        }
+    }
+
+    /**
+     * Validate export text and show what importing it would change
+     * @param {string} text - Export file contents
+     * @returns {boolean} Whether the text is a valid export
+     */
+    previewImport(text) {
+        const result = this.backup.parseImport(text);
+
+        if (!result.isValid) {
+            this.clearImport();
+            this.showImportErrors(result.errors);
+            return false;
+        }
+
+        this.pendingImport = result.backup;
+        this.showImportErrors([]);
+        this.renderImportPreview();
+        return true;
+    }
+
+    /**
+     * Get selected import mode
+     * @returns {string} One of BACKUP_CONSTANTS.MODES
+     * @private
+     */
+    getImportMode() {
+        const selected = Array.from(this.elements.importModes).find(radio => radio.checked);
+        return selected ? selected.value : BACKUP_CONSTANTS.MODES.MERGE;
+    }
+
+    /**
+     * List the changes of the pending import for the selected mode
+     * @private
+     */
+    renderImportPreview() {
+        const { importPreview, importChanges, importConfirm } = this.elements;
+        if (!this.pendingImport || !importPreview || !importChanges) return;
+
+        const preview = this.backup.previewImport(this.pendingImport, this.getImportMode());
+        importChanges.innerHTML = '';
+
+        preview.forEach(({ label, changes }) => {
+            const item = document.createElement('li');
+            const heading = document.createElement('strong');
+            heading.textContent = label;
+            const list = document.createElement('ul');
+            changes.forEach(change => {
+                const entry = document.createElement('li');
+                entry.textContent = change;
+                list.appendChild(entry);
+            });
+            item.append(heading, list);
+            importChanges.appendChild(item);
+        });
+
+        if (preview.length === 0) {
+            const item = document.createElement('li');
+            item.textContent = this.i18n.t('import.noChanges');
+            importChanges.appendChild(item);
+        }
+
+        if (importConfirm) importConfirm.disabled = preview.length === 0;
+        importPreview.hidden = false;
+    }
+
+    /**
+     * Apply the pending import
+     * @returns {Promise<boolean>} Whether the import was applied
+     */
+    async confirmImport() {
+        if (!this.pendingImport || !this.onImport) return false;
+
+        const { importConfirm } = this.elements;
+        if (importConfirm) importConfirm.disabled = true;
+
+        const imported = await this.onImport(this.pendingImport, this.getImportMode());
+        if (importConfirm) importConfirm.disabled = false;
+
+        if (!imported) {
+            this.showImportErrors([this.i18n.t('import.notSaved')]);
+            return false;
+        }
+
+        this.clearImport();
+        return true;
+    }
+
+    /**
+     * Drop the pending import and reset the import controls
+     */
+    clearImport() {
+        const { importFile, importPreview, importChanges } = this.elements;
+
+        this.pendingImport = null;
+        if (importFile) importFile.value = '';
+        if (importChanges) importChanges.innerHTML = '';
+        if (importPreview) importPreview.hidden = true;
+        this.showImportErrors([]);
+    }
+
+    /**
+     * Show import errors
+     * @param {Array<string>} errors - Error messages (empty clears them)
+     * @private
+     */
+    showImportErrors(errors) {
+        this.showErrors(errors, this.elements.importErrors);
+    }
+
+    /**
+     * Clean up resources
+     */
+    destroy() {
+        this.close();
+    }
+}
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SettingsPanel;
+}
+
+// Export for browser use
+window.SettingsPanel = SettingsPanel;
@@ -0,0 +1,172 @@
+/**
+ * Sound Library - Alert sounds uploaded by the user, one per reminder type
+ * Files are read into data URLs and kept in app storage (IndexedDB where
+ * available) under customSound.<type>. A reminder plays its upload when its
+ * sound theme is SOUND_CONSTANTS.THEMES.CUSTOM
+ *
+ * Sound shape:
+ * {
+ *   name: 'gong.mp3',          // file name, shown in the settings
+ *   size: 48213,               // bytes
+ *   dataUrl: 'data:audio/mpeg;base64,...'
+ * }
+ */
+class SoundLibrary {
+    /**
+     * Create sound library instance
+     * @param {StorageManager} storage - Storage for uploaded sounds (optional, nothing is kept without it)
+     * @param {I18n} i18n - Translations of upload errors (defaults to shared instance)
+     */
+    constructor(storage = null, i18n = window.i18n) {
+        this.storage = storage;
+        this.i18n = i18n;
+    }
+
+    /**
+     * Get the storage key of a reminder type's sound
+     * @param {string} type - Reminder type id
+     * @returns {string} Storage key
+     * @private
+     */
+    getStorageKey(type) {
+        return `${STORAGE_CONSTANTS.CUSTOM_SOUND_KEY_PREFIX}.${type}`;
+    }
+
+    /**
+     * Get the sound uploaded for a reminder type
+     * @param {string} type - Reminder type id
+     * @returns {Object|null} Sound {name, size, dataUrl}, or null when none is stored
+     */
+    get(type) {
+        const sound = this.storage ? this.storage.getItem(this.getStorageKey(type)) : null;
+
+        try {
+            return sound ? SoundLibrary.validate(sound) : null;
+        } catch (error) {
+            console.warn(`Ignoring invalid sound for ${type}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Read an audio file and store it as a reminder type's sound
+     * @param {string} type - Reminder type id
+     * @param {File} file - Audio file chosen by the user
+     * @returns {Promise<Object>} Stored sound
+     * @throws {Error} When the file is not audio, too large, unreadable or cannot be saved
+     */
+    async add(type, file) {
+        if (!file || typeof file.type !== 'string' || !file.type.startsWith('audio/')) {
+            throw new Error(this.i18n.t('sound.error.notAudio'));
+        }
+
+        if (file.size > SOUND_CONSTANTS.MAX_UPLOAD_BYTES) {
+            throw new Error(this.i18n.t('sound.error.tooLarge', { max: Math.round(SOUND_CONSTANTS.MAX_UPLOAD_BYTES / 1024) }));
+        }
+
+        let dataUrl;
+        try {
+            dataUrl = await SoundLibrary.readAsDataUrl(file);
+        } catch (error) {
+            console.warn('Failed to read sound file:', error);
+            throw new Error(this.i18n.t('sound.error.unreadable'));
+        }
+
+        const sound = this.set(type, { name: file.name, size: file.size, dataUrl });
+
+        // Wait for the backend: a large file may not fit (e.g. the localStorage quota)
+        if (typeof this.storage.flush === 'function' && !(await this.storage.flush())) {
+            this.storage.removeItem(this.getStorageKey(type));
+            throw new Error(this.i18n.t('sound.error.notSaved'));
+        }
+
+        return sound;
+    }
+
+    /**
+     * Store a sound that was already read (e.g. one added in another tab)
+     * @param {string} type - Reminder type id
+     * @param {Object} sound - Sound {name, size, dataUrl}
+     * @returns {Object} Stored sound
+     * @throws {Error} When the sound is invalid or cannot be saved
+     */
+    set(type, sound) {
+        const normalized = SoundLibrary.validate(sound);
+
+        if (!this.storage || this.storage.setItem(this.getStorageKey(type), normalized) === false) {
+            throw new Error(this.i18n.t('sound.error.notSaved'));
+        }
+
+        console.log(`Sound added for ${type}: ${normalized.name}`);
+        return normalized;
+    }
+
+    /**
+     * Remove the sound uploaded for a reminder type
+     * @param {string} type - Reminder type id
+     * @returns {boolean} Whether a sound was removed
+     */
+    remove(type) {
+        if (!this.get(type)) return false;
+
+        this.storage.removeItem(this.getStorageKey(type));
+        return true;
+    }
+
+    /**
+     * Pick up a sound another tab saved
+     * @param {string} type - Reminder type id
+     * @returns {Promise<boolean>} Whether this tab's copy changed
+     */
+    async reload(type) {
+        if (!this.storage) return false;
+
+        const changed = await this.storage.reload([this.getStorageKey(type)]);
+        return changed.length > 0;
+    }
+
+    /**
+     * Read a file into a data URL
+     * @param {Blob} file - File to read
+     * @returns {Promise<string>} Data URL
+     */
+    static readAsDataUrl(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error);
+            reader.readAsDataURL(file);
+        });
+    }
+
+    /**
+     * Validate a stored sound
+     * @param {Object} sound - Sound {name, size, dataUrl}
+     * @returns {Object} Normalized copy
+     * @throws {Error} When the sound is invalid
+     */
+    static validate(sound) {
+        if (!sound || typeof sound !== 'object') {
+            throw new Error('Sound must be an object');
+        }
+
+        const { name, size, dataUrl } = sound;
+        if (typeof dataUrl !== 'string' || !dataUrl.startsWith('data:audio/')) {
+            throw new Error('Sound dataUrl must be an audio data URL');
+        }
+
+        if (!(Number.isInteger(size) && size > 0 && size <= SOUND_CONSTANTS.MAX_UPLOAD_BYTES)) {
+            throw new Error(`Sound size must be 1-${SOUND_CONSTANTS.MAX_UPLOAD_BYTES} bytes`);
+        }
+
+        return { name: typeof name === 'string' && name.trim() ? name.trim() : 'sound', size, dataUrl };
+    }
+}
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SoundLibrary;
+}
+
+// Export for browser use
+window.SoundLibrary = SoundLibrary;
@@ -1,20 +1,120 @@
 /**
  * Standup Reminder Class - Handles standup reminder logic
- * Extends ReminderManager, adds standup-specific functionality with time-based reminders
+ * Extends ReminderManager with optional guided movement routines
  */
 class StandupReminder extends ReminderManager {
     /**
      * Create standup reminder instance
      * @param {string} type - Reminder type ('standup')
      * @param {Object} settings - Standup reminder settings
+     * @param {string|null} settings.routineId - Guided routine played when the reminder fires (null for none)
      * @param {NotificationService} notificationService - Notification service instance
+     * @param {Object} options - Optional dependencies forwarded to ReminderManager
+     * @param {RoutineLibrary} options.routines - Routine library (optional)
      */
-    constructor(type, settings, notificationService) {
-        super(type, settings, notificationService);
-        
+    constructor(type, settings, notificationService, options = {}) {
+        super(type, settings, notificationService, options);
+
+        this.routines = options.routines || null;
+        this.settings = {
+            routineId: null,
+            ...this.settings
+        };
+
         console.log('Standup reminder created');
     }
 
+    /**
+     * Select the guided routine for future reminders
+     * In a following tab the choice is sent to the leading tab, which saves it
+     * and shares it back with its state
+     * @param {string|null} routineId - Routine id, or null for a plain reminder
+     * @returns {boolean} Whether the routine was selected in this tab
+     */
+    setRoutine(routineId) {
+        if (routineId && (!this.routines || !this.routines.get(routineId))) {
+            console.warn(`Unknown routine: ${routineId}`);
+            return false;
+        }
+
+        if (this.remote) {
+            // A routine saved in this tab may not be loaded in the leading tab yet
+            const routine = routineId
+                ? this.routines.getCustomRoutines().find(custom => custom.id === routineId) || null
+                : null;
+            this.remote({ command: TAB_CONSTANTS.COMMANDS.SET_ROUTINE, routineId: routineId || null, routine });
+            return false;
+        }
+
+        this.settings.routineId = routineId || null;
+        console.log(`Standup routine set to ${this.settings.routineId || 'none'}`);
+        return true;
+    }
+
+    /**
+     * Get the selected routine
+     * @returns {Object|null} Routine, null when none is selected or it no longer exists
+     */
+    getRoutine() {
+        const { routineId } = this.settings;
+        if (!routineId || !this.routines) return null;
+
+        return this.routines.get(routineId);
+    }
+
+    /**
+     * Get the state shared with following tabs, with the selected routine
+     * @returns {Object} Snapshot from ReminderManager plus {routineId}
+     */
+    getSnapshot() {
+        return { ...super.getSnapshot(), routineId: this.settings.routineId };
+    }
+
+    /**
+     * Show the leading tab's state and routine choice in a following tab
+     * @param {Object} snapshot - State from getSnapshot() in the leading tab
+     */
+    mirror(snapshot) {
+        super.mirror(snapshot);
+
+        if (this.remote && snapshot && snapshot.routineId !== undefined) {
+            this.settings.routineId = snapshot.routineId;
+        }
+    }
+
+    /**
+     * Attach the selected routine to the notification
+     * @returns {Object} Notification options
+     * @protected
+     */
+    getNotificationOptions() {
+        return { routine: this.getRoutine() };
+    }
+
+    /**
+     * Pause the countdown while the user is away from the desk
+     * @returns {boolean} Whether the reminder is paused
+     */
+    handleAway() {
+        return this.pause(ACTIVITY_CONSTANTS.PAUSE_REASON);
+    }
+
+    /**
+     * Resume after the user comes back
+     * Someone who was away for a whole interval clearly got up already,
+     * so the countdown starts over instead of continuing. A reminder that is
+     * due, snoozed or escalating is left for the user to answer
+     * @param {number} awayMs - How long the user was away
+     */
+    handleReturn(awayMs) {
+        this.resume(ACTIVITY_CONSTANTS.PAUSE_REASON);
+
+        if (this.state === REMINDER_STATE_CONSTANTS.STATES.COUNTING && awayMs >= this.settings.interval * 60 * 1000) {
+            this.resetAndRestart();
+            console.log(`Standup timer reset - away for ${Math.round(awayMs / 60000)} min`);
+        }
+    }
+
     /**
      * Trigger standup reminder - use parent implementation
      * @private
@@ -30,10 +130,10 @@ class StandupReminder extends ReminderManager {
     destroy() {
         // Call parent destroy method
         super.destroy();
-        
+
         console.log('Standup reminder destroyed');
     }
 }
 
 // Export for browser use
-window.StandupReminder = StandupReminder;
\ No newline at end of file
+window.StandupReminder = StandupReminder;
@@ -0,0 +1,256 @@
+/**
+ * Routine Library - Guided movement routines for standup breaks
+ * Built-in routines ship with the app in every language; user routines
+ * are defined as JSON and saved to local storage
+ *
+ * Routine shape:
+ * {
+ *   id: 'desk-stretch',
+ *   name: 'Desk Stretch',
+ *   steps: [
+ *     { name: 'Neck Rolls', duration: 30, instruction: 'Slowly roll your head...' } // duration in seconds
+ *   ]
+ * }
+ */
+class RoutineLibrary {
+    /**
+     * Create routine library instance
+     * @param {StorageManager} storage - Storage for user-defined routines (optional)
+     * @param {I18n} i18n - Translations of the built-in routines (defaults to shared instance)
+     */
+    constructor(storage = null, i18n = window.i18n) {
+        this.storage = storage;
+        this.i18n = i18n;
+        this.routines = new Map();
+
+        // Built-in routines are always available
+        this.registerBuiltInRoutines();
+        this.loadCustomRoutines();
+    }
+
+    /**
+     * Register routines that ship with the app
+     * Their names and instructions come from the message catalogs
+     * (routine.<id>.name, routine.<id>.<step>.name/instruction)
+     * @private
+     */
+    registerBuiltInRoutines() {
+        // Step durations in seconds, in step order
+        const builtIn = {
+            'desk-stretch': [30, 20, 30, 20, 30],
+            'posture-reset': [30, 20, 40, 30],
+            'energy-boost': [30, 20, 30, 20],
+            'quick-walk': [10, 120, 20]
+        };
+
+        Object.entries(builtIn).forEach(([id, durations]) => {
+            this.register({
+                id,
+                name: this.i18n.t(`routine.${id}.name`),
+                steps: durations.map((duration, index) => ({ duration, ...this.getBuiltInStepText(id, index) }))
+            }, { builtIn: true });
+        });
+    }
+
+    /**
+     * Get the name and instruction of a built-in routine step
+     * @param {string} id - Routine id
+     * @param {number} index - Step index
+     * @returns {Object} {name, instruction} in the current language
+     * @private
+     */
+    getBuiltInStepText(id, index) {
+        return {
+            name: this.i18n.t(`routine.${id}.${index + 1}.name`),
+            instruction: this.i18n.t(`routine.${id}.${index + 1}.instruction`)
+        };
+    }
+
+    /**
+     * Switch built-in routine text to the current language
+     * Routines are updated in place, so a routine being played follows along
+     */
+    localizeBuiltInRoutines() {
+        this.getAll().filter(routine => routine.builtIn).forEach(routine => {
+            routine.name = this.i18n.t(`routine.${routine.id}.name`);
+            routine.steps.forEach((step, index) => Object.assign(step, this.getBuiltInStepText(routine.id, index)));
+        });
+    }
+
+    /**
+     * Load user-defined routines from storage
+     * @private
+     */
+    loadCustomRoutines() {
+        const saved = this.storage ? this.storage.getItem(STORAGE_CONSTANTS.CUSTOM_ROUTINES_KEY) : null;
+        if (!Array.isArray(saved)) return;
+
+        saved.forEach(routine => {
+            try {
+                this.register(routine);
+            } catch (error) {
+                console.warn('Skipping invalid custom routine:', error);
+            }
+        });
+    }
+
+    /**
+     * Persist user-defined routines
+     * @private
+     */
+    saveCustomRoutines() {
+        if (!this.storage) return;
+
+        this.storage.setItem(STORAGE_CONSTANTS.CUSTOM_ROUTINES_KEY, this.getCustomRoutines());
+    }
+
+    /**
+     * Validate and store a routine
+     * @param {Object} routine - Routine definition
+     * @param {Object} options - Registration options
+     * @param {boolean} options.builtIn - Whether this is a built-in routine
+     * @returns {Object} Normalized routine
+     * @private
+     */
+    register(routine, { builtIn = false } = {}) {
+        const normalized = RoutineLibrary.validate(routine);
+
+        const existing = this.routines.get(normalized.id);
+        if (existing && existing.builtIn && !builtIn) {
+            throw new Error(`Routine ${normalized.id} is built-in and cannot be replaced`);
+        }
+
+        normalized.builtIn = builtIn;
+        this.routines.set(normalized.id, normalized);
+        return normalized;
+    }
+
+    /**
+     * Add a user-defined routine
+     * @param {Object|string} routine - Routine definition or its JSON text
+     * @returns {Object} Normalized routine
+     */
+    addCustomRoutine(routine) {
+        let definition = routine;
+
+        if (typeof routine === 'string') {
+            try {
+                definition = JSON.parse(routine);
+            } catch (error) {
+                throw new Error(`Routine JSON could not be parsed: ${error.message}`);
+            }
+        }
+
+        const registered = this.register(definition);
+        this.saveCustomRoutines();
+
+        console.log(`Routine added: ${registered.id}`);
+        return registered;
+    }
+
+    /**
+     * Remove a user-defined routine
+     * @param {string} id - Routine id
+     * @returns {boolean} Whether the routine was removed
+     */
+    removeCustomRoutine(id) {
+        const routine = this.routines.get(id);
+        if (!routine || routine.builtIn) {
+            return false;
+        }
+
+        this.routines.delete(id);
+        this.saveCustomRoutines();
+        return true;
+    }
+
+    /**
+     * Get a routine
+     * @param {string} id - Routine id
+     * @returns {Object|null} Routine or null if unknown
+     */
+    get(id) {
+        return this.routines.get(id) || null;
+    }
+
+    /**
+     * Get all routines, built-in first
+     * @returns {Array<Object>} Routines
+     */
+    getAll() {
+        return Array.from(this.routines.values());
+    }
+
+    /**
+     * Get user-defined routines for persistence
+     * @returns {Array<Object>} Custom routines
+     */
+    getCustomRoutines() {
+        return this.getAll()
+            .filter(routine => !routine.builtIn)
+            .map(({ builtIn, ...routine }) => routine);
+    }
+
+    /**
+     * Get total routine duration
+     * @param {Object} routine - Routine
+     * @returns {number} Duration in seconds
+     */
+    static getDuration(routine) {
+        return routine.steps.reduce((total, step) => total + step.duration, 0);
+    }
+
+    /**
+     * Validate a routine definition
+     * @param {Object} routine - Routine definition
+     * @returns {Object} Normalized copy
+     * @throws {Error} When the definition is invalid
+     */
+    static validate(routine) {
+        if (!routine || typeof routine !== 'object') {
+            throw new Error('Routine must be an object');
+        }
+
+        const { id, name, steps } = routine;
+        if (typeof id !== 'string' || !ROUTINE_CONSTANTS.ID_PATTERN.test(id)) {
+            throw new Error(`Invalid routine id: ${id}`);
+        }
+
+        if (typeof name !== 'string' || !name.trim()) {
+            throw new Error(`Routine ${id}: name is required`);
+        }
+
+        if (!Array.isArray(steps) || steps.length === 0 || steps.length > ROUTINE_CONSTANTS.MAX_STEPS) {
+            throw new Error(`Routine ${id}: steps must list 1 to ${ROUTINE_CONSTANTS.MAX_STEPS} steps`);
+        }
+
+        const { MIN, MAX } = ROUTINE_CONSTANTS.STEP_DURATION_RANGE_SEC;
+        const normalizedSteps = steps.map((step, index) => {
+            const duration = Number(step?.duration);
+
+            if (typeof step?.name !== 'string' || !step.name.trim()) {
+                throw new Error(`Routine ${id}: step ${index + 1} needs a name`);
+            }
+
+            if (!(duration >= MIN && duration <= MAX)) {
+                throw new Error(`Routine ${id}: step ${index + 1} duration must be ${MIN}-${MAX} seconds`);
+            }
+
+            return {
+                name: step.name.trim(),
+                duration: Math.round(duration),
+                instruction: typeof step.instruction === 'string' ? step.instruction.trim() : ''
+            };
+        });
+
+        return { id, name: name.trim(), steps: normalizedSteps };
+    }
+}
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RoutineLibrary;
+}
+
+// Export for browser use
+window.RoutineLibrary = RoutineLibrary;
@@ -0,0 +1,446 @@
+/**
+ * Stats Dashboard - Weekly and monthly trends from reminder history
+ * Shows streaks, completion rate per weekday, average response time and
+ * best/worst hours. Charts are plain SVG so the dashboard works offline
+ */
+class StatsDashboard {
+    /**
+     * Create stats dashboard instance
+     * @param {Object} dependencies - Required dependencies
+     * @param {ReminderHistory} dependencies.history - Reminder history store
+     * @param {ReminderTypeRegistry} dependencies.registry - Reminder type registry (defaults to shared instance)
+     * @param {I18n} dependencies.i18n - Translations (defaults to shared instance)
+     */
+    constructor({ history, registry, i18n }) {
+        this.history = history;
+        this.registry = registry || window.reminderTypeRegistry;
+        this.i18n = i18n || window.i18n;
+
+        // Current view selection
+        this.rangeDays = STATS_CONSTANTS.RANGES.WEEK;
+        this.selectedType = null; // null = all reminder types
+
+        this.elements = {};
+        this.isOpen = false;
+        this.handleKeydown = (event) => {
+            if (event.key === 'Escape') this.close();
+        };
+
+        this.bindElements();
+    }
+
+    /**
+     * Bind dashboard DOM elements and controls
+     * @private
+     */
+    bindElements() {
+        this.elements = {
+            overlay: document.getElementById('stats-overlay'),
+            closeBtn: document.getElementById('stats-close'),
+            rangeButtons: document.querySelectorAll('#stats-overlay [data-range]'),
+            typeSelect: document.getElementById('stats-type'),
+            summary: document.getElementById('stats-summary'),
+            weekdayChart: document.getElementById('stats-weekday-chart'),
+            hourChart: document.getElementById('stats-hour-chart'),
+            hourSummary: document.getElementById('stats-hour-summary')
+        };
+
+        if (!this.elements.overlay) {
+            console.warn('Stats dashboard elements not found');
+            return;
+        }
+
+        this.elements.closeBtn?.addEventListener('click', () => this.close());
+
+        // Close when clicking the backdrop
+        this.elements.overlay.addEventListener('click', (event) => {
+            if (event.target === this.elements.overlay) this.close();
+        });
+
+        this.elements.rangeButtons.forEach(button => {
+            button.addEventListener('click', () => {
+                this.rangeDays = parseInt(button.dataset.range, 10);
+                this.render();
+            });
+        });
+
+        this.elements.typeSelect?.addEventListener('change', () => {
+            this.selectedType = this.elements.typeSelect.value || null;
+            this.render();
+        });
+    }
+
+    /**
+     * Open dashboard
+     */
+    open() {
+        if (!this.elements.overlay) return;
+
+        this.populateTypeSelect();
+        this.render();
+
+        this.elements.overlay.classList.add('show');
+        this.elements.overlay.removeAttribute('inert');
+        document.addEventListener('keydown', this.handleKeydown);
+        this.isOpen = true;
+    }
+
+    /**
+     * Close dashboard
+     */
+    close() {
+        if (!this.elements.overlay) return;
+
+        this.elements.overlay.classList.remove('show');
+        this.elements.overlay.setAttribute('inert', '');
+        document.removeEventListener('keydown', this.handleKeydown);
+        this.isOpen = false;
+    }
+
+    /**
+     * Re-render an open dashboard after a language change
+     */
+    localize() {
+        if (!this.isOpen) return;
+
+        this.populateTypeSelect();
+        this.render();
+    }
+
+    /**
+     * Fill reminder type selector from the registry
+     * @private
+     */
+    populateTypeSelect() {
+        const select = this.elements.typeSelect;
+        if (!select || !this.registry) return;
+
+        select.innerHTML = '';
+        select.appendChild(new Option(this.i18n.t('stats.allReminders'), ''));
+        this.registry.getAll().forEach(definition => {
+            select.appendChild(new Option(definition.label, definition.id));
+        });
+
+        select.value = this.selectedType || '';
+    }
+
+    /**
+     * Get daily completion target for the current selection
+     * @param {string|null} type - Reminder type id, or null for all
+     * @returns {number} Target completions per day (0 when none defined)
+     * @private
+     */
+    getDailyTarget(type) {
+        if (!this.registry) return 0;
+
+        const definitions = type ? [this.registry.get(type)].filter(Boolean) : this.registry.getAll();
+        return definitions.reduce((total, definition) => total + (definition.dailyTarget || 0), 0);
+    }
+
+    /**
+     * Compute statistics for a reminder type over a date range
+     * @param {string|null} type - Reminder type id, or null for all types combined
+     * @param {number} days - Range length in days (including today)
+     * @param {Date} now - Current time
+     * @returns {Object} Statistics
+     */
+    computeStats(type, days, now = new Date()) {
+        const range = this.history.getDailyRange(type, days, now);
+        const totals = range.reduce(
+            (combined, entry) => ReminderHistory.mergeAggregates(combined, entry.counts),
+            ReminderHistory.createAggregate()
+        );
+
+        // Completion rate per weekday (0 = Sunday; 4 Jan 2026 was a Sunday)
+        const weekdays = Array.from({ length: 7 }, (_, day) => ({
+            day,
+            label: this.i18n.formatWeekday(new Date(2026, 0, 4 + day)),
+            fired: 0,
+            done: 0,
+            rate: null
+        }));
+        range.forEach(entry => {
+            const weekday = weekdays[entry.date.getDay()];
+            weekday.fired += entry.counts.fired;
+            weekday.done += entry.counts.done;
+        });
+        weekdays.forEach(weekday => {
+            weekday.rate = weekday.fired > 0 ? weekday.done / weekday.fired : null;
+        });
+
+        // Completion rate per hour of day
+        const hours = Object.entries(totals.hours)
+            .map(([hour, bucket]) => ({
+                hour: parseInt(hour, 10),
+                fired: bucket.fired,
+                done: bucket.done,
+                rate: bucket.fired > 0 ? bucket.done / bucket.fired : null
+            }))
+            .sort((a, b) => a.hour - b.hour);
+
+        const rankedHours = hours
+            .filter(bucket => bucket.fired >= STATS_CONSTANTS.MIN_HOUR_SAMPLES)
+            .sort((a, b) => b.rate - a.rate || b.fired - a.fired);
+
+        const streaks = this.computeStreaks(type, now);
+
+        return {
+            days,
+            totals,
+            completionRate: totals.fired > 0 ? totals.done / totals.fired : null,
+            averageResponseMs: totals.respondedCount > 0 ? totals.totalLatencyMs / totals.respondedCount : null,
+            currentStreak: streaks.current,
+            bestStreak: streaks.best,
+            weekdays,
+            hours,
+            bestHour: rankedHours[0] || null,
+            worstHour: rankedHours.length > 1 ? rankedHours[rankedHours.length - 1] : null
+        };
+    }
+
+    /**
+     * Compute current and best streak of days meeting the daily target
+     * Days without any reminders (weekends, days off) neither extend nor break a streak
+     * @param {string|null} type - Reminder type id, or null for all
+     * @param {Date} now - Current time
+     * @returns {Object} Streaks {current, best}
+     * @private
+     */
+    computeStreaks(type, now) {
+        const firstDay = this.history.getFirstDay();
+        if (!firstDay) return { current: 0, best: 0 };
+
+        const dayMs = 24 * 60 * 60 * 1000;
+        const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+        const start = new Date(firstDay.getFullYear(), firstDay.getMonth(), firstDay.getDate());
+        const totalDays = Math.round((today - start) / dayMs) + 1;
+        const target = this.getDailyTarget(type);
+
+        let best = 0;
+        let running = 0;
+
+        const range = this.history.getDailyRange(type, totalDays, now);
+        range.forEach((entry, index) => {
+            const { fired, done } = entry.counts;
+            const isToday = index === range.length - 1;
+            if (fired === 0) return;
+
+            const met = target > 0 ? done >= target : done > 0;
+            if (met) {
+                running++;
+                best = Math.max(best, running);
+            } else if (!isToday) {
+                // Today can still be completed, so it does not break the streak yet
+                running = 0;
+            }
+        });
+
+        return { current: running, best };
+    }
+
+    /**
+     * Render dashboard for current selection
+     * @private
+     */
+    render() {
+        if (!this.elements.overlay || !this.history) return;
+
+        const stats = this.computeStats(this.selectedType, this.rangeDays);
+
+        this.elements.rangeButtons.forEach(button => {
+            button.classList.toggle('active', parseInt(button.dataset.range, 10) === this.rangeDays);
+        });
+
+        this.renderSummary(stats);
+        this.renderBarChart(this.elements.weekdayChart, stats.weekdays.map(weekday => ({
+            label: weekday.label,
+            value: weekday.rate,
+            title: this.i18n.t('stats.completedTitle', { label: weekday.label, done: weekday.done, count: weekday.fired })
+        })));
+        this.renderBarChart(this.elements.hourChart, stats.hours.map(bucket => ({
+            label: String(bucket.hour),
+            value: bucket.rate,
+            title: this.i18n.t('stats.completedTitle', { label: this.formatHour(bucket.hour), done: bucket.done, count: bucket.fired })
+        })));
+        this.renderHourSummary(stats);
+    }
+
+    /**
+     * Render summary tiles
+     * @param {Object} stats - Computed statistics
+     * @private
+     */
+    renderSummary(stats) {
+        const container = this.elements.summary;
+        if (!container) return;
+
+        const tiles = [
+            { label: this.i18n.t('stats.currentStreak'), value: this.formatDays(stats.currentStreak) },
+            { label: this.i18n.t('stats.bestStreak'), value: this.formatDays(stats.bestStreak) },
+            { label: this.i18n.t('stats.completionRate'), value: this.formatPercent(stats.completionRate) },
+            { label: this.i18n.t('stats.avgResponse'), value: this.formatDuration(stats.averageResponseMs) }
+        ];
+
+        container.innerHTML = '';
+        tiles.forEach(tile => {
+            const item = document.createElement('div');
+            item.className = 'summary-item';
+
+            const value = document.createElement('span');
+            value.className = 'summary-value';
+            value.textContent = tile.value;
+
+            const label = document.createElement('span');
+            label.className = 'summary-label';
+            label.textContent = tile.label;
+
+            item.append(value, label);
+            container.appendChild(item);
+        });
+    }
+
+    /**
+     * Render best and worst hour text
+     * @param {Object} stats - Computed statistics
+     * @private
+     */
+    renderHourSummary(stats) {
+        const container = this.elements.hourSummary;
+        if (!container) return;
+
+        if (!stats.bestHour) {
+            container.textContent = this.i18n.t('stats.notEnoughHours');
+            return;
+        }
+
+        const best = this.i18n.t('stats.bestHour', {
+            hour: this.formatHour(stats.bestHour.hour),
+            rate: this.formatPercent(stats.bestHour.rate)
+        });
+        const worst = stats.worstHour
+            ? this.i18n.t('stats.worstHour', {
+                hour: this.formatHour(stats.worstHour.hour),
+                rate: this.formatPercent(stats.worstHour.rate)
+            })
+            : '';
+
+        container.textContent = worst ? `${best} · ${worst}` : best;
+    }
+
+    /**
+     * Render a bar chart of rates (0..1) as inline SVG
+     * @param {Element} container - Chart container
+     * @param {Array<Object>} bars - Bars {label, value, title}; value null = no data
+     * @private
+     */
+    renderBarChart(container, bars) {
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        if (bars.length === 0) {
+            container.textContent = this.i18n.t('stats.noData');
+            return;
+        }
+
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const { WIDTH, HEIGHT, LABEL_HEIGHT, BAR_GAP } = STATS_CONSTANTS.CHART;
+        const plotHeight = HEIGHT - LABEL_HEIGHT;
+        const slotWidth = WIDTH / bars.length;
+        const barWidth = Math.max(2, slotWidth - BAR_GAP);
+
+        const svg = document.createElementNS(svgNS, 'svg');
+        svg.setAttribute('viewBox', `0 0 ${WIDTH} ${HEIGHT}`);
+        svg.setAttribute('class', 'stats-chart-svg');
+        svg.setAttribute('role', 'img');
+
+        bars.forEach((bar, index) => {
+            const x = index * slotWidth + (slotWidth - barWidth) / 2;
+            const value = bar.value === null ? 0 : bar.value;
+            const barHeight = Math.max(bar.value === null ? 0 : 2, value * plotHeight);
+
+            const rect = document.createElementNS(svgNS, 'rect');
+            rect.setAttribute('x', x.toFixed(1));
+            rect.setAttribute('y', (plotHeight - barHeight).toFixed(1));
+            rect.setAttribute('width', barWidth.toFixed(1));
+            rect.setAttribute('height', barHeight.toFixed(1));
+            rect.setAttribute('rx', '2');
+            rect.setAttribute('class', bar.value === null ? 'stats-bar empty' : 'stats-bar');
+
+            const title = document.createElementNS(svgNS, 'title');
+            title.textContent = bar.title;
+            rect.appendChild(title);
+
+            const label = document.createElementNS(svgNS, 'text');
+            label.setAttribute('x', (index * slotWidth + slotWidth / 2).toFixed(1));
+            label.setAttribute('y', HEIGHT - 4);
+            label.setAttribute('text-anchor', 'middle');
+            label.setAttribute('class', 'stats-bar-label');
+            label.textContent = bar.label;
+
+            svg.append(rect, label);
+        });
+
+        container.appendChild(svg);
+    }
+
+    /**
+     * Format rate as percentage
+     * @param {number|null} rate - Rate between 0 and 1
+     * @returns {string} Percentage or dash when no data
+     * @private
+     */
+    formatPercent(rate) {
+        return rate === null ? '–' : `${Math.round(rate * 100)}%`;
+    }
+
+    /**
+     * Format streak length
+     * @param {number} days - Number of days
+     * @returns {string} Formatted days
+     * @private
+     */
+    formatDays(days) {
+        return this.i18n.t('stats.days', { count: days });
+    }
+
+    /**
+     * Format response time
+     * @param {number|null} milliseconds - Duration
+     * @returns {string} Formatted duration
+     * @private
+     */
+    formatDuration(milliseconds) {
+        if (milliseconds === null) return '–';
+
+        const seconds = Math.round(milliseconds / 1000);
+        if (seconds < 60) return this.i18n.t('stats.responseSeconds', { seconds });
+
+        return this.i18n.t('stats.responseMinutes', { minutes: Math.floor(seconds / 60), seconds: seconds % 60 });
+    }
+
+    /**
+     * Format hour of day
+     * @param {number} hour - Hour 0-23
+     * @returns {string} Formatted hour like "14:00"
+     * @private
+     */
+    formatHour(hour) {
+        return `${this.i18n.formatTwoDigits(hour)}:${this.i18n.formatTwoDigits(0)}`;
+    }
+
+    /**
+     * Clean up dashboard
+     */
+    destroy() {
+        this.close();
+    }
+}
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StatsDashboard;
+}
+
+// Export for browser use
+window.StatsDashboard = StatsDashboard;
@@ -0,0 +1,271 @@
+/**
+ * Storage Adapters - Backends used by StorageManager
+ * Every adapter has the same async interface; values are plain JSON data
+ * stored under the app's own keys (e.g. 'appSettings'):
+ *
+ *   name                  // 'indexedDB', 'localStorage' or 'memory'
+ *   persistent            // whether data survives a reload
+ *   isSupported()         // whether the browser offers the backend
+ *   open()                // Promise<void>, rejects when the backend is unusable
+ *   getItem(key)          // Promise<any|null>
+ *   setItem(key, value)   // Promise<void>
+ *   removeItem(key)       // Promise<void>
+ *   getAll()              // Promise<Object> of every key and value
+ *   clear()               // Promise<void>, removes the app's data only
+ */
+
+/**
+ * IndexedDB adapter - One object store of key/value pairs
+ * Asynchronous and without localStorage's size limit, for months of history
+ */
+class IndexedDBAdapter {
+    /**
+     * Create IndexedDB adapter
+     * @param {Object} options - Adapter options
+     * @param {IDBFactory} options.factory - IndexedDB factory (defaults to window.indexedDB)
+     */
+    constructor({ factory } = {}) {
+        this.name = 'indexedDB';
+        this.persistent = true;
+        this.factory = factory !== undefined ? factory : window.indexedDB;
+        this.storeName = STORAGE_CONSTANTS.INDEXED_DB.STORE;
+        this.db = null;
+    }
+
+    /**
+     * Check if IndexedDB is available
+     * @returns {boolean} Whether IndexedDB is available
+     */
+    isSupported() {
+        return Boolean(this.factory && typeof this.factory.open === 'function');
+    }
+
+    /**
+     * Open the database, creating the object store on first use
+     * @returns {Promise<void>} Resolves once the database is open
+     */
+    open() {
+        const { NAME, VERSION } = STORAGE_CONSTANTS.INDEXED_DB;
+
+        return new Promise((resolve, reject) => {
+            const request = this.factory.open(NAME, VERSION);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(this.storeName)) {
+                    db.createObjectStore(this.storeName);
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve();
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB is blocked by another tab'));
+        });
+    }
+
+    /**
+     * Run requests in one transaction
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} run - Called with the object store; returns a request, or an array of requests
+     * @returns {Promise<*>} Result(s) of the request(s) once the transaction completes
+     * @private
+     */
+    transaction(mode, run) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(this.storeName, mode);
+            const requests = run(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => {
+                resolve(Array.isArray(requests) ? requests.map(request => request.result) : requests.result);
+            };
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        });
+    }
+
+    async getItem(key) {
+        const value = await this.transaction('readonly', store => store.get(key));
+        return value === undefined ? null : value;
+    }
+
+    async setItem(key, value) {
+        await this.transaction('readwrite', store => store.put(value, key));
+    }
+
+    async removeItem(key) {
+        await this.transaction('readwrite', store => store.delete(key));
+    }
+
+    async getAll() {
+        const [keys, values] = await this.transaction('readonly', store => [store.getAllKeys(), store.getAll()]);
+        return Object.fromEntries(keys.map((key, index) => [key, values[index]]));
+    }
+
+    async clear() {
+        await this.transaction('readwrite', store => store.clear());
+    }
+}
+
+/**
+ * localStorage adapter - Keys stored as JSON under 'wellness-reminder.<key>'
+ * Used when IndexedDB is not available
+ */
+class LocalStorageAdapter {
+    /**
+     * Create localStorage adapter
+     * @param {Object} options - Adapter options
+     * @param {string} options.prefix - Key prefix (defaults to STORAGE_CONSTANTS.PREFIX)
+     */
+    constructor({ prefix = STORAGE_CONSTANTS.PREFIX } = {}) {
+        this.name = 'localStorage';
+        this.persistent = true;
+        this.prefix = prefix;
+    }
+
+    /**
+     * Check if localStorage can be written (it throws in some private modes)
+     * @returns {boolean} Whether localStorage is available
+     */
+    isSupported() {
+        try {
+            const testKey = this.prefix + '.test';
+            localStorage.setItem(testKey, 'test');
+            localStorage.removeItem(testKey);
+            return true;
+        } catch (error) {
+            console.warn('localStorage unavailable:', error);
+            return false;
+        }
+    }
+
+    async open() {
+        if (!this.isSupported()) {
+            throw new Error('localStorage is not available');
+        }
+    }
+
+    /**
+     * Generate storage key with unified naming convention
+     * @param {string} key - App key
+     * @returns {string} localStorage key
+     * @private
+     */
+    generateStorageKey(key) {
+        return `${this.prefix}.${String(key || '')}`;
+    }
+
+    /**
+     * Read the app's keys and values
+     * Corrupt entries are skipped
+     * @returns {Object} Values by app key
+     */
+    readAll() {
+        const entries = {};
+        const keyPrefix = this.prefix + '.';
+
+        for (let i = 0; i < localStorage.length; i++) {
+            const fullKey = localStorage.key(i);
+            if (!fullKey || !fullKey.startsWith(keyPrefix)) continue;
+
+            try {
+                entries[fullKey.slice(keyPrefix.length)] = JSON.parse(localStorage.getItem(fullKey));
+            } catch (error) {
+                console.warn(`Skipping corrupt storage entry ${fullKey}:`, error);
+            }
+        }
+
+        return entries;
+    }
+
+    /**
+     * Remove the app's keys, leaving other sites' data alone
+     */
+    removeAll() {
+        const keysToRemove = [];
+        const keyPrefix = this.prefix + '.';
+
+        // Only '<prefix>.<key>' entries: flags such as '<prefix>:migratedToIndexedDB' stay
+        for (let i = 0; i < localStorage.length; i++) {
+            const key = localStorage.key(i);
+            if (key && key.startsWith(keyPrefix)) {
+                keysToRemove.push(key);
+            }
+        }
+        keysToRemove.forEach(key => localStorage.removeItem(key));
+    }
+
+    async getItem(key) {
+        try {
+            const data = localStorage.getItem(this.generateStorageKey(key));
+            return data ? JSON.parse(data) : null;
+        } catch (error) {
+            console.warn(`Failed to read storage entry ${key}:`, error);
+            return null;
+        }
+    }
+
+    async setItem(key, value) {
+        localStorage.setItem(this.generateStorageKey(key), JSON.stringify(value));
+    }
+
+    async removeItem(key) {
+        localStorage.removeItem(this.generateStorageKey(key));
+    }
+
+    async getAll() {
+        return this.readAll();
+    }
+
+    async clear() {
+        this.removeAll();
+    }
+}
+
+/**
+ * Memory adapter - Last resort when nothing persists; data is lost on reload
+ */
+class MemoryAdapter {
+    constructor() {
+        this.name = 'memory';
+        this.persistent = false;
+        this.data = new Map();
+    }
+
+    isSupported() {
+        return true;
+    }
+
+    async open() {}
+
+    async getItem(key) {
+        return this.data.has(key) ? JSON.parse(this.data.get(key)) : null;
+    }
+
+    async setItem(key, value) {
+        this.data.set(key, JSON.stringify(value));
+    }
+
+    async removeItem(key) {
+        this.data.delete(key);
+    }
+
+    async getAll() {
+        return Object.fromEntries(Array.from(this.data, ([key, json]) => [key, JSON.parse(json)]));
+    }
+
+    async clear() {
+        this.data.clear();
+    }
+}
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { IndexedDBAdapter, LocalStorageAdapter, MemoryAdapter };
+}
+
+// Export for browser use
+window.IndexedDBAdapter = IndexedDBAdapter;
+window.LocalStorageAdapter = LocalStorageAdapter;
+window.MemoryAdapter = MemoryAdapter;
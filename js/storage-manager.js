@@ -1,28 +1,142 @@
 /**
- * Storage Manager - Simple localStorage wrapper
- * Basic read/write operations for app settings
+ * Storage Manager - Persistence on top of a storage adapter
+ * Picks the best available backend (IndexedDB, then localStorage, then
+ * memory), moves existing localStorage data into IndexedDB once, and keeps
+ * a copy of everything in memory so getItem/setItem stay synchronous for
+ * the app's modules. Writes go to the backend in the background, in order;
+ * flush() waits for them. Call init() before use; writes made earlier are
+ * held until a backend is open.
+ *
+ * Every open tab keeps its own copy, so each write is announced to the
+ * other tabs, which read the written keys again from the shared backend
+ * (keys with changes of their own still on the way are left alone)
  */
 class StorageManager {
-    constructor() {
-        this.STORAGE_PREFIX = 'wellness-reminder';
+    /**
+     * Create storage manager instance
+     * @param {Object} options - Storage options
+     * @param {Array<Object>} options.adapters - Backends to try, in order of preference (see storage-adapters.js)
+     * @param {Object|null} options.channel - Channel to other tabs with postMessage(), onmessage and close()
+     *   (defaults to StorageManager.createChannel())
+     */
+    constructor({ adapters, channel } = {}) {
+        this.STORAGE_PREFIX = STORAGE_CONSTANTS.PREFIX;
         this.SETTINGS_KEY = STORAGE_CONSTANTS.SETTINGS_KEY;
-        this.isStorageAvailable = this.checkStorageAvailability();
-        this.memoryStorage = new Map(); // Fallback memory storage
+        this.adapters = adapters || [
+            new IndexedDBAdapter(),
+            new LocalStorageAdapter({ prefix: this.STORAGE_PREFIX }),
+            new MemoryAdapter()
+        ];
+
+        this.adapter = null;
+        this.cache = new Map(); // key -> JSON text, like localStorage
+        this.pendingKeys = new Set();
+        this.writeQueue = new Promise(resolve => {
+            this.startWrites = resolve;
+        });
+        this.writeFailed = false;
+        this.sequence = 0; // counts local changes, so reload() can tell which came in meanwhile
+        this.changedAt = new Map(); // key -> sequence of its last local change
+        this.clearedAt = 0;
+        this.writingKeys = new Set(); // keys whose write has started but not finished
+
+        this.changeListeners = new Set();
+        this.channel = channel !== undefined ? channel : StorageManager.createChannel();
+        if (this.channel) {
+            this.channel.onmessage = event => this.handleChange(event.data);
+        }
     }
 
     /**
-     * Check if localStorage is available
-     * @returns {boolean} Whether storage is available
+     * Open the channel that tells other tabs about writes
+     * @returns {Object|null} BroadcastChannel, LocalStorageChannel, or null when tabs cannot talk
      */
-    checkStorageAvailability() {
+    static createChannel() {
+        if (typeof BroadcastChannel === 'function') {
+            return new BroadcastChannel(STORAGE_CONSTANTS.CHANGE_CHANNEL_NAME);
+        }
+
+        if (typeof LocalStorageChannel === 'function' && LocalStorageChannel.isSupported()) {
+            return new LocalStorageChannel(STORAGE_CONSTANTS.CHANGE_STORAGE_KEY);
+        }
+
+        return null;
+    }
+
+    /**
+     * Open the first backend that works and load its data
+     * @returns {Promise<string>} Name of the backend in use
+     */
+    async init() {
+        for (const adapter of this.adapters) {
+            if (!adapter.isSupported()) continue;
+
+            try {
+                await adapter.open();
+                this.adapter = adapter;
+                break;
+            } catch (error) {
+                console.warn(`Storage backend ${adapter.name} unavailable:`, error);
+            }
+        }
+
+        if (!this.adapter) {
+            this.adapter = new MemoryAdapter();
+        }
+
+        await this.migrateFromLocalStorage();
+
         try {
-            const testKey = this.STORAGE_PREFIX + '.test';
-            localStorage.setItem(testKey, 'test');
-            localStorage.removeItem(testKey);
-            return true;
+            const entries = await this.adapter.getAll();
+            Object.entries(entries).forEach(([key, value]) => {
+                // Keep values changed before init() finished
+                if (!this.pendingKeys.has(key)) {
+                    this.cache.set(key, JSON.stringify(value));
+                }
+            });
         } catch (error) {
-            console.warn('localStorage unavailable, will use memory storage:', error);
-            return false;
+            console.error('Failed to load from storage:', error);
+        }
+
+        if (!this.adapter.persistent) {
+            console.warn('No persistent storage available, data will be lost on reload');
+        }
+
+        this.startWrites();
+        return this.adapter.name;
+    }
+
+    /**
+     * Move 'wellness-reminder.*' localStorage keys into the backend once
+     * Runs only for persistent backends other than localStorage itself.
+     * The keys are removed afterwards and a flag stops later runs
+     * @returns {Promise<number>} Number of keys moved
+     * @private
+     */
+    async migrateFromLocalStorage() {
+        if (!this.adapter.persistent || this.adapter.name === 'localStorage') return 0;
+
+        const source = new LocalStorageAdapter({ prefix: this.STORAGE_PREFIX });
+        if (!source.isSupported() || localStorage.getItem(STORAGE_CONSTANTS.MIGRATED_FLAG_KEY)) return 0;
+
+        try {
+            const entries = source.readAll();
+            for (const [key, value] of Object.entries(entries)) {
+                await this.adapter.setItem(key, value);
+            }
+
+            source.removeAll();
+            localStorage.setItem(STORAGE_CONSTANTS.MIGRATED_FLAG_KEY, new Date().toISOString());
+
+            const count = Object.keys(entries).length;
+            if (count > 0) {
+                console.log(`📦 Moved ${count} stored items from localStorage to ${this.adapter.name}`);
+            }
+            return count;
+        } catch (error) {
+            // localStorage is left untouched, so the next start tries again
+            console.error('Failed to move data from localStorage:', error);
+            return 0;
         }
     }
 
@@ -46,109 +160,60 @@ class StorageManager {
     }
 
     /**
-     * Clear all application data
-     * @returns {boolean} Whether clearing was successful
+     * Check if data survives a reload
+     * @returns {boolean} Storage availability status
      */
-    clearAllData() {
-        try {
-            if (this.isStorageAvailable) {
-                // Clear all localStorage items that start with the app prefix
-                const keysToRemove = [];
-                for (let i = 0; i < localStorage.length; i++) {
-                    const key = localStorage.key(i);
-                    if (key && key.startsWith(this.STORAGE_PREFIX)) {
-                        keysToRemove.push(key);
-                    }
-                }
-                keysToRemove.forEach(key => localStorage.removeItem(key));
-            }
-            
-            // Clear memory storage
-            this.memoryStorage.clear();
-            
-            return true;
-        } catch (error) {
-            console.error('Failed to clear data:', error);
-            return false;
-        }
+    isAvailable() {
+        return Boolean(this.adapter && this.adapter.persistent);
     }
 
     /**
-     * Check if storage is available
-     * @returns {boolean} Storage availability status
+     * Get name of the backend in use
+     * @returns {string|null} 'indexedDB', 'localStorage' or 'memory'; null before init()
      */
-    isAvailable() {
-        return this.isStorageAvailable;
+    getBackend() {
+        return this.adapter ? this.adapter.name : null;
     }
 
     /**
-     * Get storage usage information (localStorage only)
-     * @returns {object} Storage usage information
+     * Get storage usage information
+     * Quota and usage come from navigator.storage.estimate() where supported
+     * @returns {Promise<Object>} Storage information {available, type, appUsed, usage, quota}
      */
-    getStorageInfo() {
-        if (!this.isStorageAvailable) {
-            return {
-                available: false,
-                used: this.memoryStorage.size,
-                type: 'memory'
-            };
-        }
+    async getStorageInfo() {
+        const info = {
+            available: this.isAvailable(),
+            type: this.getBackend(),
+            appUsed: Array.from(this.cache.values()).reduce((total, json) => total + json.length, 0),
+            usage: null,
+            quota: null
+        };
 
         try {
-            let totalSize = 0;
-            let appSize = 0;
-            
-            for (let key in localStorage) {
-                if (localStorage.hasOwnProperty(key)) {
-                    const size = localStorage[key].length;
-                    totalSize += size;
-                    
-                    if (key.startsWith(this.STORAGE_PREFIX)) {
-                        appSize += size;
-                    }
-                }
+            if (typeof navigator !== 'undefined' && navigator.storage && navigator.storage.estimate) {
+                const { usage, quota } = await navigator.storage.estimate();
+                info.usage = usage ?? null;
+                info.quota = quota ?? null;
             }
-            
-            return {
-                available: true,
-                totalUsed: totalSize,
-                appUsed: appSize,
-                type: 'localStorage'
-            };
         } catch (error) {
-            console.error('Failed to get storage information:', error);
-            return {
-                available: false,
-                error: error.message,
-                type: 'localStorage'
-            };
+            console.warn('Failed to estimate storage quota:', error);
         }
-    }
 
-    /**
-     * Generate storage key with unified naming convention
-     * @private
-     */
-    generateStorageKey(key) {
-        const keyStr = String(key || '');
-        return `${this.STORAGE_PREFIX}.${keyStr}`;
+        return info;
     }
 
     /**
      * Save data to storage (setItem API)
+     * Stored at once for getItem; written to the backend in the background
      * @param {string} key - Storage key name
      * @param {any} data - Data to save
      * @returns {boolean} Whether save was successful
      */
     setItem(key, data) {
         try {
-            if (this.isStorageAvailable) {
-                const fullKey = this.generateStorageKey(key);
-                localStorage.setItem(fullKey, JSON.stringify(data));
-            } else {
-                // Use memory storage as fallback
-                this.memoryStorage.set(key, data);
-            }
+            this.cache.set(key, JSON.stringify(data));
+            this.changedAt.set(key, ++this.sequence);
+            this.persist(key);
             return true;
         } catch (error) {
             console.error('Failed to save to storage:', error);
@@ -159,22 +224,11 @@ class StorageManager {
     /**
      * Load data from storage (getItem API)
      * @param {string} key - Storage key name
-     * @returns {any|null} Loaded data, returns null on failure
+     * @returns {any|null} Loaded data (a fresh copy), returns null when missing
      */
     getItem(key) {
-        try {
-            if (this.isStorageAvailable) {
-                const fullKey = this.generateStorageKey(key);
-                const data = localStorage.getItem(fullKey);
-                return data ? JSON.parse(data) : null;
-            } else {
-                // Use memory storage as fallback
-                return this.memoryStorage.get(key) || null;
-            }
-        } catch (error) {
-            console.error('Failed to load from storage:', error);
-            return null;
-        }
+        const json = this.cache.get(key);
+        return json === undefined ? null : JSON.parse(json);
     }
 
     /**
@@ -183,18 +237,10 @@ class StorageManager {
      * @returns {boolean} Whether removal was successful
      */
     removeItem(key) {
-        try {
-            if (this.isStorageAvailable) {
-                const fullKey = this.generateStorageKey(key);
-                localStorage.removeItem(fullKey);
-            } else {
-                this.memoryStorage.delete(key);
-            }
-            return true;
-        } catch (error) {
-            console.error('Failed to remove from storage:', error);
-            return false;
-        }
+        this.cache.delete(key);
+        this.changedAt.set(key, ++this.sequence);
+        this.persist(key);
+        return true;
     }
 
     /**
@@ -202,29 +248,215 @@ class StorageManager {
      * @returns {boolean} Whether clearing was successful
      */
     clearAllData() {
+        this.cache.clear();
+        this.pendingKeys.clear();
+        this.clearedAt = ++this.sequence;
+        this.enqueue(() => this.adapter.clear().then(() => this.announce(null)));
+        return true;
+    }
+
+    /**
+     * Read keys again from the backend (e.g. after another tab wrote them)
+     * Keys changed here while reading, or not yet written, keep their local value
+     * @param {Array<string>|null} keys - Keys to read, or null for all of them
+     * @returns {Promise<Array<string>>} Keys whose value changed
+     */
+    async reload(keys = null) {
+        if (!this.adapter) return [];
+
+        const startedAt = this.sequence;
+        const unsaved = new Set([...this.pendingKeys, ...this.writingKeys]);
+        let entries;
         try {
-            if (this.isStorageAvailable) {
-                // Clear all localStorage items that start with the app prefix
-                const keysToRemove = [];
-                for (let i = 0; i < localStorage.length; i++) {
-                    const key = localStorage.key(i);
-                    if (key && key.startsWith(this.STORAGE_PREFIX)) {
-                        keysToRemove.push(key);
-                    }
-                }
-                keysToRemove.forEach(key => localStorage.removeItem(key));
+            entries = keys
+                ? Object.fromEntries(await Promise.all(keys.map(async key => [key, await this.adapter.getItem(key)])))
+                : await this.adapter.getAll();
+        } catch (error) {
+            console.warn('Failed to reload from storage:', error);
+            return [];
+        }
+
+        const names = keys || Array.from(new Set([...this.cache.keys(), ...Object.keys(entries)]));
+        const changedHere = key => unsaved.has(key) || this.pendingKeys.has(key) ||
+            this.writingKeys.has(key) || this.clearedAt > startedAt || (this.changedAt.get(key) || 0) > startedAt;
+
+        return names.filter(key => {
+            if (changedHere(key)) return false;
+
+            const value = entries[key];
+            const json = value === null || value === undefined ? undefined : JSON.stringify(value);
+            if (json === this.cache.get(key)) return false;
+
+            if (json === undefined) {
+                this.cache.delete(key);
+            } else {
+                this.cache.set(key, json);
             }
-            
-            // Clear memory storage
-            this.memoryStorage.clear();
-            
             return true;
+        });
+    }
+
+    /**
+     * Get told when another tab changes stored data
+     * @param {Function} listener - Called with the changed keys once they are reloaded
+     */
+    addChangeListener(listener) {
+        this.changeListeners.add(listener);
+    }
+
+    /**
+     * Stop being told about changes from other tabs
+     * @param {Function} listener - Listener passed to addChangeListener
+     */
+    removeChangeListener(listener) {
+        this.changeListeners.delete(listener);
+    }
+
+    /**
+     * Reload the keys another tab wrote and tell the listeners
+     * Only tabs sharing the same persistent backend see each other's writes
+     * @param {Object} message - Change {backend, keys}; keys is null when everything was cleared
+     * @private
+     */
+    async handleChange(message) {
+        if (!message || !this.adapter || !this.adapter.persistent || message.backend !== this.adapter.name) return;
+
+        const changed = await this.reload(Array.isArray(message.keys) ? message.keys : null);
+        if (changed.length === 0) return;
+
+        this.changeListeners.forEach(listener => {
+            try {
+                listener(changed);
+            } catch (error) {
+                console.warn('Storage change listener failed:', error);
+            }
+        });
+    }
+
+    /**
+     * Tell other tabs which keys were written
+     * @param {Array<string>|null} keys - Written keys, or null when everything was cleared
+     * @private
+     */
+    announce(keys) {
+        if (!this.channel || !this.adapter.persistent) return;
+
+        try {
+            this.channel.postMessage({ backend: this.adapter.name, keys });
         } catch (error) {
-            console.error('Failed to clear data:', error);
-            return false;
+            console.warn('Failed to tell other tabs about a storage change:', error);
+        }
+    }
+
+    /**
+     * Stop listening to other tabs
+     */
+    destroy() {
+        this.changeListeners.clear();
+
+        if (this.channel) {
+            this.channel.onmessage = null;
+            this.channel.close();
+            this.channel = null;
         }
     }
+
+    /**
+     * Load data, waiting for pending writes (async API)
+     * @param {string} key - Storage key name
+     * @returns {Promise<any|null>} Loaded data
+     */
+    async get(key) {
+        await this.flush();
+        return this.getItem(key);
+    }
+
+    /**
+     * Save data and wait until the backend has it (async API)
+     * @param {string} key - Storage key name
+     * @param {any} data - Data to save
+     * @returns {Promise<boolean>} Whether save was successful
+     */
+    async set(key, data) {
+        return this.setItem(key, data) && this.flush();
+    }
+
+    /**
+     * Remove data and wait until the backend has removed it (async API)
+     * @param {string} key - Storage key name
+     * @returns {Promise<boolean>} Whether removal was successful
+     */
+    async remove(key) {
+        this.removeItem(key);
+        return this.flush();
+    }
+
+    /**
+     * Clear all application data and wait for the backend (async API)
+     * @returns {Promise<boolean>} Whether clearing was successful
+     */
+    async clear() {
+        this.clearAllData();
+        return this.flush();
+    }
+
+    /**
+     * Wait for all background writes
+     * @returns {Promise<boolean>} Whether every write since the last flush succeeded
+     */
+    async flush() {
+        if (!this.adapter) return false;
+
+        await this.writeQueue;
+
+        const succeeded = !this.writeFailed;
+        this.writeFailed = false;
+        return succeeded;
+    }
+
+    /**
+     * Queue a write of one key's current value
+     * Several changes to a key before the write runs are written once
+     * @param {string} key - Storage key name
+     * @private
+     */
+    persist(key) {
+        if (this.pendingKeys.has(key)) return;
+
+        this.pendingKeys.add(key);
+        this.enqueue(() => {
+            if (!this.pendingKeys.delete(key)) return undefined;
+
+            const json = this.cache.get(key);
+            this.writingKeys.add(key);
+            const write = json === undefined
+                ? this.adapter.removeItem(key)
+                : this.adapter.setItem(key, JSON.parse(json));
+            return write
+                .finally(() => this.writingKeys.delete(key))
+                .then(() => this.announce([key]));
+        });
+    }
+
+    /**
+     * Run a backend operation after the ones before it
+     * @param {Function} operation - Returns a promise
+     * @private
+     */
+    enqueue(operation) {
+        this.writeQueue = this.writeQueue
+            .then(operation)
+            .catch(error => {
+                this.writeFailed = true;
+                console.error('Failed to save to storage:', error);
+            });
+    }
+}
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StorageManager;
 }
 
 // Export for browser use
-window.StorageManager = StorageManager;
\ No newline at end of file
+window.StorageManager = StorageManager;
@@ -0,0 +1,436 @@
+/**
+ * Tab Coordinator - Leader election between open tabs of the app
+ * Only the leading tab runs reminder timers; the others follow it, showing
+ * the state it shares with every heartbeat and sending their Done/Snooze,
+ * Start and Stop clicks to it as commands.
+ *
+ * Election:
+ * - A starting tab claims the lead and takes it unless a leader or an
+ *   older claimant objects within CLAIM_TIMEOUT_MS
+ * - The leader sends a heartbeat every HEARTBEAT_MS
+ * - Followers claim the lead when the leader resigns (its tab closes) or
+ *   has been silent for LEASE_MS (it crashed or was frozen)
+ * - Two leaders (e.g. after a frozen tab wakes up) settle on the older tab
+ *
+ * Messages travel over a BroadcastChannel, or over localStorage 'storage'
+ * events where BroadcastChannel is missing. Without either the tab simply
+ * leads on its own
+ */
+class TabCoordinator {
+    /**
+     * Create tab coordinator instance
+     * @param {Object} options - Coordinator options
+     * @param {Object|null} options.channel - Channel with postMessage(), onmessage and close()
+     *   (defaults to TabCoordinator.createChannel())
+     * @param {SystemClock|VirtualClock} options.clock - Time and timer source (defaults to real time)
+     * @param {string} options.id - Tab id; older tabs sort first (generated by default)
+     * @param {Function} options.onLeaderChange - Called with true when this tab takes the lead, false when it follows
+     * @param {Function} options.getState - Returns the state the leader shares with its heartbeats
+     * @param {Function} options.onState - Called with the leader's state in following tabs
+     * @param {Function} options.onCommand - Called with a command sent to the leader
+     * @param {Function} options.onMessage - Called with a message broadcast by another tab
+     */
+    constructor(options = {}) {
+        this.clock = options.clock || window.systemClock || new SystemClock();
+        this.channel = options.channel !== undefined ? options.channel : TabCoordinator.createChannel();
+        this.id = options.id || `${this.clock.now()}-${Math.random().toString(36).slice(2, 10)}`;
+        this.onLeaderChange = options.onLeaderChange || null;
+        this.getState = options.getState || (() => null);
+        this.onState = options.onState || null;
+        this.onCommand = options.onCommand || null;
+        this.onMessage = options.onMessage || null;
+
+        this.role = null; // one of TAB_CONSTANTS.ROLES while running
+        this.leaderId = null;
+        this.lastHeartbeatAt = 0;
+        this.announcedLeader = null; // last value passed to onLeaderChange
+        this.tickTimerId = null;
+        this.claimTimerId = null;
+
+        this.handleChannelMessage = event => this.receiveMessage(event.data);
+        this.handlePageHide = () => this.stop();
+        this.handlePageShow = event => {
+            // Back from the back/forward cache - join the other tabs again
+            if (event.persisted) this.start();
+        };
+    }
+
+    /**
+     * Open the tab messaging channel
+     * @returns {Object|null} BroadcastChannel, LocalStorageChannel, or null when tabs cannot talk
+     */
+    static createChannel() {
+        if (typeof BroadcastChannel === 'function') {
+            return new BroadcastChannel(TAB_CONSTANTS.CHANNEL_NAME);
+        }
+
+        if (LocalStorageChannel.isSupported()) {
+            return new LocalStorageChannel(TAB_CONSTANTS.STORAGE_KEY);
+        }
+
+        console.warn('Tabs cannot talk to each other - every tab runs its own reminders');
+        return null;
+    }
+
+    /**
+     * Whether this tab runs the reminders
+     * @returns {boolean}
+     */
+    get isLeader() {
+        return this.role === TAB_CONSTANTS.ROLES.LEADER;
+    }
+
+    /**
+     * Join the other tabs and claim the lead
+     */
+    start() {
+        if (this.role) return;
+
+        if (!this.channel) {
+            this.role = TAB_CONSTANTS.ROLES.LEADER;
+            this.announce();
+            return;
+        }
+
+        this.channel.onmessage = this.handleChannelMessage;
+        window.addEventListener('pagehide', this.handlePageHide);
+        window.addEventListener('pageshow', this.handlePageShow);
+
+        this.tickTimerId = this.clock.setInterval(() => this.tick(), TAB_CONSTANTS.HEARTBEAT_MS);
+        this.claim();
+    }
+
+    /**
+     * Leave the other tabs, handing the lead over if this tab has it
+     */
+    stop() {
+        if (!this.role) return;
+
+        this.clearTimers();
+
+        if (this.channel) {
+            if (this.isLeader) {
+                this.post({ kind: TAB_CONSTANTS.MESSAGES.RESIGN });
+            }
+
+            this.channel.onmessage = null;
+            window.removeEventListener('pagehide', this.handlePageHide);
+        }
+
+        this.role = null;
+        this.leaderId = null;
+    }
+
+    /**
+     * Stop for good and close the channel
+     */
+    destroy() {
+        this.stop();
+        window.removeEventListener('pageshow', this.handlePageShow);
+
+        if (this.channel) {
+            this.channel.close();
+            this.channel = null;
+        }
+    }
+
+    /**
+     * Send the current state to the following tabs now rather than with the next heartbeat
+     */
+    shareState() {
+        if (this.isLeader && this.channel) {
+            this.heartbeat();
+        }
+    }
+
+    /**
+     * Send a command to the leading tab (run here when this tab leads)
+     * @param {Object} command - Command for the leader's onCommand
+     * @returns {boolean} Whether the command was run or sent
+     */
+    sendCommand(command) {
+        if (this.isLeader || !this.channel) {
+            if (this.onCommand) this.onCommand(command);
+            return true;
+        }
+
+        if (!this.leaderId) {
+            console.warn('No leading tab to send the command to yet:', command);
+            return false;
+        }
+
+        this.post({ kind: TAB_CONSTANTS.MESSAGES.COMMAND, to: this.leaderId, command });
+        return true;
+    }
+
+    /**
+     * Send a message to every other tab
+     * @param {Object} message - Message for the other tabs' onMessage
+     */
+    broadcast(message) {
+        if (!this.role || !this.channel) return;
+
+        this.post({ kind: TAB_CONSTANTS.MESSAGES.BROADCAST, message });
+    }
+
+    /**
+     * Claim the lead; it is taken unless someone objects in time
+     * @private
+     */
+    claim() {
+        this.role = TAB_CONSTANTS.ROLES.CANDIDATE;
+        this.leaderId = null;
+        this.post({ kind: TAB_CONSTANTS.MESSAGES.CLAIM });
+
+        this.clearClaimTimer();
+        this.claimTimerId = this.clock.setTimeout(() => {
+            this.claimTimerId = null;
+            if (this.role === TAB_CONSTANTS.ROLES.CANDIDATE) {
+                this.lead();
+            }
+        }, TAB_CONSTANTS.CLAIM_TIMEOUT_MS);
+    }
+
+    /**
+     * Take the lead
+     * @private
+     */
+    lead() {
+        this.clearClaimTimer();
+        this.role = TAB_CONSTANTS.ROLES.LEADER;
+        this.leaderId = this.id;
+        console.log('👑 This tab runs the reminders');
+
+        this.heartbeat();
+        this.announce();
+    }
+
+    /**
+     * Follow another tab
+     * @param {string|null} leaderId - Leading tab, or null while an older claimant takes the lead
+     * @private
+     */
+    follow(leaderId) {
+        this.clearClaimTimer();
+
+        if (this.role !== TAB_CONSTANTS.ROLES.FOLLOWER && leaderId) {
+            console.log('👥 Another tab runs the reminders - following it');
+        }
+
+        this.role = TAB_CONSTANTS.ROLES.FOLLOWER;
+        this.leaderId = leaderId;
+        this.lastHeartbeatAt = this.clock.now();
+        this.announce();
+    }
+
+    /**
+     * Tell the app when this tab starts or stops leading
+     * @private
+     */
+    announce() {
+        const isLeader = this.isLeader;
+        if (isLeader === this.announcedLeader) return;
+
+        this.announcedLeader = isLeader;
+        if (this.onLeaderChange) {
+            this.onLeaderChange(isLeader);
+        }
+    }
+
+    /**
+     * Heartbeat (leader) or lease check (followers)
+     * @private
+     */
+    tick() {
+        if (this.isLeader) {
+            this.heartbeat();
+        } else if (this.role === TAB_CONSTANTS.ROLES.FOLLOWER &&
+            this.clock.now() - this.lastHeartbeatAt > TAB_CONSTANTS.LEASE_MS) {
+            console.log('👑 Leading tab went silent - claiming the lead');
+            this.claim();
+        }
+    }
+
+    /**
+     * Announce the lead along with the shared state
+     * @private
+     */
+    heartbeat() {
+        let state = null;
+        try {
+            state = this.getState();
+        } catch (error) {
+            console.warn('Failed to collect the state to share with other tabs:', error);
+        }
+
+        this.post({ kind: TAB_CONSTANTS.MESSAGES.HEARTBEAT, state });
+    }
+
+    /**
+     * Handle a message from another tab
+     * @param {Object} message - Message {kind, from, ...}
+     * @private
+     */
+    receiveMessage(message) {
+        if (!message || !message.from || message.from === this.id || !this.role) return;
+
+        const { MESSAGES, ROLES } = TAB_CONSTANTS;
+
+        switch (message.kind) {
+            case MESSAGES.CLAIM:
+                if (this.isLeader) {
+                    this.heartbeat(); // the claimant follows
+                } else if (this.role === ROLES.CANDIDATE) {
+                    if (message.from < this.id) {
+                        this.follow(null);
+                    } else {
+                        this.post({ kind: MESSAGES.CLAIM }); // the newer claimant follows
+                    }
+                }
+                break;
+
+            case MESSAGES.HEARTBEAT:
+                if (this.isLeader) {
+                    // Two leaders - the older tab keeps the lead
+                    if (message.from < this.id) {
+                        console.log('👥 Another tab also leads - handing the lead over');
+                        this.follow(message.from);
+                    } else {
+                        this.heartbeat();
+                        break;
+                    }
+                } else {
+                    this.follow(message.from);
+                }
+
+                if (this.onState && message.state) {
+                    this.onState(message.state);
+                }
+                break;
+
+            case MESSAGES.RESIGN:
+                if (this.role === ROLES.FOLLOWER && message.from === this.leaderId) {
+                    this.claim();
+                }
+                break;
+
+            case MESSAGES.COMMAND:
+                if (this.isLeader && message.to === this.id && this.onCommand) {
+                    this.onCommand(message.command);
+                }
+                break;
+
+            case MESSAGES.BROADCAST:
+                if (this.onMessage) {
+                    this.onMessage(message.message);
+                }
+                break;
+
+            default:
+                break;
+        }
+    }
+
+    /**
+     * Send a message to the other tabs
+     * @param {Object} message - Message without sender
+     * @private
+     */
+    post(message) {
+        try {
+            this.channel.postMessage({ ...message, from: this.id });
+        } catch (error) {
+            console.warn('Failed to message other tabs:', error);
+        }
+    }
+
+    /**
+     * Clear pending claim timeout
+     * @private
+     */
+    clearClaimTimer() {
+        if (this.claimTimerId) {
+            this.clock.clearTimeout(this.claimTimerId);
+            this.claimTimerId = null;
+        }
+    }
+
+    /**
+     * Clear all timers
+     * @private
+     */
+    clearTimers() {
+        this.clearClaimTimer();
+
+        if (this.tickTimerId) {
+            this.clock.clearInterval(this.tickTimerId);
+            this.tickTimerId = null;
+        }
+    }
+}
+
+/**
+ * localStorage Channel - BroadcastChannel stand-in for older browsers
+ * Each message is written to one key; other tabs of the same origin get
+ * a 'storage' event for it (the writing tab does not)
+ */
+class LocalStorageChannel {
+    /**
+     * Check if localStorage can be written
+     * @returns {boolean}
+     */
+    static isSupported() {
+        try {
+            return typeof localStorage !== 'undefined' && localStorage !== null;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Create channel
+     * @param {string} key - localStorage key carrying the messages
+     */
+    constructor(key) {
+        this.key = key;
+        this.onmessage = null;
+        this.counter = 0;
+
+        this.handleStorage = event => {
+            if (event.key !== this.key || !event.newValue || !this.onmessage) return;
+
+            try {
+                this.onmessage({ data: JSON.parse(event.newValue).message });
+            } catch (error) {
+                console.warn('Ignoring unreadable tab message:', error);
+            }
+        };
+        window.addEventListener('storage', this.handleStorage);
+    }
+
+    /**
+     * Send a message to the other tabs
+     * @param {Object} message - JSON-serializable message
+     */
+    postMessage(message) {
+        // The counter makes every write a change, so repeated messages still arrive
+        localStorage.setItem(this.key, JSON.stringify({ message, sequence: ++this.counter }));
+    }
+
+    /**
+     * Stop listening
+     */
+    close() {
+        window.removeEventListener('storage', this.handleStorage);
+        this.onmessage = null;
+    }
+}
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { TabCoordinator, LocalStorageChannel };
+}
+
+// Export for browser use
+window.TabCoordinator = TabCoordinator;
+window.LocalStorageChannel = LocalStorageChannel;
@@ -12,6 +12,8 @@ class UIController {
     /**
      * Create UI controller instance
      * @param {Object} config - UI configuration
+     * @param {SystemClock|VirtualClock} config.clock - Time and timer source (defaults to real time)
+     * @param {I18n} config.i18n - Translations (defaults to shared instance)
      */
     constructor(config = {}) {
         this.config = {
@@ -27,7 +29,9 @@ class UIController {
             standupCountdown: null,
             standupBtn: null,
             demoBtn: null,
-            demoStatus: null
+            demoStatus: null,
+            statsBtn: null,
+            settingsBtn: null
         };
 
         // Event listeners registry for cleanup
@@ -38,7 +42,15 @@ class UIController {
         // Direct reminder references (will be set by app)
         this.waterReminder = null;
         this.standupReminder = null;
+        this.reminders = new Map(); // All linked reminders keyed by type
         this.demoController = null;
+        this.statsDashboard = null;
+        this.settingsPanel = null;
+        this.registry = config.registry || window.reminderTypeRegistry;
+        this.history = config.history || null;
+        this.routines = config.routines || null;
+        this.clock = config.clock || window.systemClock || new SystemClock();
+        this.i18n = config.i18n || window.i18n;
         
         // Mobile state tracking
         this.isMobile = false;
@@ -99,13 +111,133 @@ class UIController {
         
         this.waterReminder = waterReminder;
         this.standupReminder = standupReminder;
+        this.reminders.set(waterReminder.type, waterReminder);
+        this.reminders.set(standupReminder.type, standupReminder);
         
         console.log('✅ Reminders successfully linked to UI controller');
         
+        // Show the standup's selected routine
+        this.renderRoutineOptions();
+        
         // Update UI immediately with proper initialization state
         this.updateAllUI();
     }
 
+    /**
+     * Link an additional reminder, rendering a card if the page has none
+     * @param {ReminderManager} reminder - Reminder instance of any registered type
+     */
+    addReminder(reminder) {
+        if (!reminder || !reminder.type) {
+            console.error('Invalid reminder instance provided');
+            return;
+        }
+
+        const type = reminder.type;
+        this.ensureReminderCard(type);
+        this.bindReminderElements(type);
+        this.addEventListener(`${type}Btn`, 'click', () => this.toggleReminder(type));
+        this.reminders.set(type, reminder);
+
+        console.log(`✅ ${type} reminder linked to UI controller`);
+        this.updateReminderUI(type);
+    }
+
+    /**
+     * Unlink a reminder and remove its generated card
+     * @param {string} type - Reminder type
+     */
+    removeReminder(type) {
+        this.removeEventListener(`${type}Btn`, 'click');
+        this.reminders.delete(type);
+        delete this.elements[`${type}Countdown`];
+        delete this.elements[`${type}Btn`];
+        delete this.elements[`${type}Progress`];
+
+        const card = document.getElementById(`${type}-card`);
+        if (card && card.dataset.generated === 'true') {
+            card.remove();
+        }
+    }
+
+    /**
+     * Get linked reminder by type
+     * @param {string} type - Reminder type
+     * @returns {ReminderManager|null} Reminder instance
+     */
+    getReminder(type) {
+        return this.reminders.get(type) || null;
+    }
+
+    /**
+     * Render a reminder card for a registered type without markup in index.html
+     * @param {string} type - Reminder type
+     * @private
+     */
+    ensureReminderCard(type) {
+        if (document.getElementById(`${type}-card`)) return;
+
+        const section = document.querySelector('.status-section');
+        const definition = this.registry ? this.registry.get(type) : null;
+        if (!section || !definition) {
+            console.warn(`Cannot render card for ${type} reminder`);
+            return;
+        }
+
+        const card = document.createElement('article');
+        card.className = 'reminder-card custom-reminder-card';
+        card.id = `${type}-card`;
+        card.dataset.generated = 'true';
+        card.setAttribute('aria-labelledby', `${type}-title`);
+        card.style.setProperty('--reminder-color', definition.color);
+        card.innerHTML = `
+            <div class="card-header">
+                <div class="card-icon custom-icon" aria-hidden="true"></div>
+                <h3 id="${type}-title"></h3>
+            </div>
+            <div class="card-content">
+                <div class="status-info">
+                    <span class="next-reminder-label" data-i18n="card.remindEvery"></span>
+                    <div class="time-remaining" id="${type}-time">
+                        <time datetime="PT${definition.defaultInterval}M" class="interval-display"></time>
+                    </div>
+                </div>
+                <div class="daily-stats" id="${type}-stats">
+                    <div class="countdown-info">
+                        <span class="stats-text" data-i18n="card.remindAfter"></span>
+                        <span class="countdown-time" id="${type}-countdown"></span>
+                    </div>
+                    <div class="stats-progress" id="${type}-progress" aria-live="polite"></div>
+                </div>
+            </div>
+            <div class="card-controls">
+                <button class="btn-primary" id="${type}-toggle"></button>
+            </div>
+        `;
+
+        // Label and emoji are user-defined, never parse them as HTML
+        this.i18n.translatePage(card);
+        card.querySelector('.card-icon').textContent = definition.emoji;
+        card.querySelector('h3').textContent = definition.label;
+        card.querySelector('.interval-display').textContent = this.i18n.t('card.interval', { count: definition.defaultInterval });
+        card.querySelector('.countdown-time').textContent = this.i18n.t('card.loading');
+        card.querySelector('button').textContent = this.i18n.t('card.start');
+        card.querySelector('button').setAttribute('aria-label', this.i18n.t('card.toggle', { label: definition.label }));
+
+        section.appendChild(card);
+    }
+
+    /**
+     * Bind countdown and toggle elements for a reminder type
+     * @param {string} type - Reminder type
+     * @private
+     */
+    bindReminderElements(type) {
+        this.elements[`${type}Countdown`] = document.getElementById(`${type}-countdown`);
+        this.elements[`${type}Btn`] = document.getElementById(`${type}-toggle`);
+        this.elements[`${type}Progress`] = document.getElementById(`${type}-progress`);
+    }
+
     /**
      * Set demo controller instance for demo functionality
      * @param {DemoController} demoController - Demo controller instance
@@ -120,6 +252,34 @@ class UIController {
         console.log('✅ Demo controller successfully linked to UI controller');
     }
 
+    /**
+     * Set stats dashboard instance opened by the Stats button
+     * @param {StatsDashboard} statsDashboard - Stats dashboard instance
+     */
+    setStatsDashboard(statsDashboard) {
+        if (!statsDashboard) {
+            console.warn('Invalid stats dashboard instance provided');
+            return;
+        }
+        
+        this.statsDashboard = statsDashboard;
+        console.log('✅ Stats dashboard successfully linked to UI controller');
+    }
+
+    /**
+     * Set settings panel instance opened by the Settings button
+     * @param {SettingsPanel} settingsPanel - Settings panel instance
+     */
+    setSettingsPanel(settingsPanel) {
+        if (!settingsPanel) {
+            console.warn('Invalid settings panel instance provided');
+            return;
+        }
+        
+        this.settingsPanel = settingsPanel;
+        console.log('✅ Settings panel successfully linked to UI controller');
+    }
+
     /**
      * Bind DOM elements with null safety
      * @private
@@ -128,10 +288,24 @@ class UIController {
         const selectors = {
             waterCountdown: '#water-countdown',
             waterBtn: '#water-toggle',
+            waterProgress: '#water-progress',
             standupCountdown: '#standup-countdown',
             standupBtn: '#standup-toggle',
+            standupProgress: '#standup-progress',
             demoBtn: '#demo-btn',
-            demoStatus: '#demo-status'
+            demoStatus: '#demo-status',
+            statsBtn: '#stats-btn',
+            settingsBtn: '#settings-btn',
+            waterIntervalReason: '#water-interval-reason',
+            waterIntakeRing: '#water-intake-ring',
+            waterIntakeText: '#water-intake-text',
+            waterIntakeActions: '#water-intake-actions',
+            routineSelect: '#standup-routine',
+            routineJson: '#routine-json',
+            routineJsonSave: '#routine-json-save',
+            routineJsonStatus: '#routine-json-status',
+            updateBanner: '#update-banner',
+            updateReloadBtn: '#update-reload-btn'
         };
 
         Object.keys(selectors).forEach(key => {
@@ -173,6 +347,25 @@ class UIController {
         
         // Demo button event listener
         this.addEventListener('demoBtn', 'click', () => this.handleDemoClick());
+        
+        // Stats button event listener
+        this.addEventListener('statsBtn', 'click', () => this.handleStatsClick());
+        
+        // Settings button event listener
+        this.addEventListener('settingsBtn', 'click', () => this.handleSettingsClick());
+        
+        // Quick water intake logging (+250 ml / +500 ml)
+        this.renderIntakeButtons();
+        this.addEventListener('waterIntakeActions', 'click', (event) => {
+            const button = event.target.closest('[data-intake-ml]');
+            if (button) {
+                this.handleIntakeClick(parseInt(button.dataset.intakeMl, 10));
+            }
+        });
+
+        // Guided standup routine selection and JSON import
+        this.addEventListener('routineSelect', 'change', () => this.handleRoutineChange());
+        this.addEventListener('routineJsonSave', 'click', () => this.handleRoutineJsonSave());
 
         // Window resize for mobile detection
         this.addEventListener(window, 'resize', this.throttle(() => {
@@ -230,7 +423,7 @@ class UIController {
      */
     updateReminderUI(type) {
         try {
-            const reminder = type === 'water' ? this.waterReminder : this.standupReminder;
+            const reminder = this.getReminder(type);
             const countdownElement = this.elements[`${type}Countdown`];
             const btnElement = this.elements[`${type}Btn`];
 
@@ -242,7 +435,7 @@ class UIController {
             if (!reminder) {
                 // Show initializing state
                 countdownElement.textContent = '...';
-                btnElement.textContent = 'Loading...';
+                btnElement.textContent = this.i18n.t('card.loading');
                 btnElement.className = 'btn-secondary';
                 btnElement.disabled = true;
                 return;
@@ -250,17 +443,41 @@ class UIController {
 
             // Enable button once reminder is ready
             btnElement.disabled = false;
+            
+            this.updateDailyProgress(type);
+            
+            if (typeof reminder.getIntakeProgress === 'function') {
+                this.updateIntakeProgress(reminder);
+            }
+            
+            this.updateIntervalReason(reminder);
+            this.updateIntervalDisplay(type, reminder);
 
             const isActive = reminder.isActive;
 
-            if (isActive) {
+            if (isActive && reminder.isPaused) {
+                // Show when the countdown picks up again instead of a frozen timer
+                const away = reminder.pauseReasons.has(ACTIVITY_CONSTANTS.PAUSE_REASON);
+                countdownElement.textContent = away && !reminder.pausedUntil
+                    ? this.i18n.t('card.pausedAway')
+                    : this.formatPausedUntil(reminder.pausedUntil);
+                
+                btnElement.textContent = this.i18n.t('card.stop');
+                btnElement.className = 'btn-warning';
+            } else if (isActive && reminder.isWaitingForResponse?.()) {
+                // Fired and waiting for Done or Snooze - the next countdown starts after the answer
+                countdownElement.textContent = this.i18n.t('card.dueNow');
+                
+                btnElement.textContent = this.i18n.t('card.stop');
+                btnElement.className = 'btn-warning';
+            } else if (isActive) {
                 // Show countdown time when active
                 const timeRemaining = Math.max(0, reminder.getTimeRemaining?.() || 0);
                 const formattedTime = this.formatTime(timeRemaining);
                 countdownElement.textContent = formattedTime;
                 
                 // Update button to Stop with warning style
-                btnElement.textContent = 'Stop';
+                btnElement.textContent = this.i18n.t('card.stop');
                 btnElement.className = 'btn-warning';
             } else {
                 // Show time remaining (which should match interval when inactive)
@@ -269,13 +486,207 @@ class UIController {
                 countdownElement.textContent = formattedTime;
                 
                 // Update button to Start with primary style
-                btnElement.textContent = 'Start';
+                btnElement.textContent = this.i18n.t('card.start');
                 btnElement.className = 'btn-primary';
             }
 
         } catch (error) {
             console.error(`Error updating ${type} reminder UI:`, error);
-            this.showUserError(`Could not update ${type} display`, error.message);
+            this.showUserError(this.i18n.t('error.updateDisplay', { type }), error.message);
+        }
+    }
+
+    /**
+     * Show the configured interval on the card ("Remind every: 30 mins")
+     * @param {string} type - Reminder type
+     * @param {ReminderManager} reminder - Reminder instance
+     * @private
+     */
+    updateIntervalDisplay(type, reminder) {
+        const display = document.querySelector(`#${type}-time .interval-display`);
+        const minutes = reminder.settings?.interval;
+        if (!display || !minutes) return;
+
+        const text = this.i18n.t('card.interval', { count: minutes });
+        if (display.textContent !== text) {
+            display.textContent = text;
+            display.setAttribute('datetime', `PT${minutes}M`);
+        }
+    }
+
+    /**
+     * Update today's completion count, e.g. "6 of 8 glasses today"
+     * @param {string} type - Reminder type
+     * @private
+     */
+    updateDailyProgress(type) {
+        const progressElement = this.elements[`${type}Progress`];
+        const definition = this.registry ? this.registry.get(type) : null;
+        if (!progressElement || !this.history || !definition) return;
+
+        const counts = this.history.getDailyCounts(type);
+        const target = definition.dailyTarget || counts.fired;
+        const unit = definition.unit
+            ? this.i18n.selectPlural(target, definition.unit)
+            : this.i18n.t('card.defaultUnit', { count: target });
+
+        progressElement.textContent = this.i18n.t('card.progress', { done: counts.done, target, unit });
+        progressElement.classList.toggle('goal-met', target > 0 && counts.done >= target);
+    }
+
+    /**
+     * Render quick intake buttons for the water card
+     * @private
+     */
+    renderIntakeButtons() {
+        const container = this.elements.waterIntakeActions;
+        if (!container) return;
+
+        container.innerHTML = '';
+        WATER_INTAKE_CONSTANTS.QUICK_ADD_ML.forEach(ml => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'btn-intake';
+            button.dataset.intakeMl = String(ml);
+            button.textContent = `+${ml} ml`;
+            button.setAttribute('aria-label', this.i18n.t('intake.log', { ml }));
+            container.appendChild(button);
+        });
+    }
+
+    /**
+     * Update water intake ring and text, e.g. "750 / 2000 ml"
+     * @param {WaterReminder} reminder - Water reminder instance
+     * @private
+     */
+    updateIntakeProgress(reminder) {
+        const ring = this.elements[`${reminder.type}IntakeRing`];
+        const text = this.elements[`${reminder.type}IntakeText`];
+        if (!ring || !text) return;
+
+        const progress = reminder.getIntakeProgress();
+        const circumference = 2 * Math.PI * parseFloat(ring.getAttribute('r'));
+
+        ring.style.strokeDasharray = `${circumference}`;
+        ring.style.strokeDashoffset = `${circumference * (1 - progress.ratio)}`;
+        ring.classList.toggle('goal-met', progress.goalMet);
+
+        text.textContent = `${progress.totalMl} / ${progress.goalMl} ml`;
+        text.classList.toggle('goal-met', progress.goalMet);
+    }
+
+    /**
+     * Explain when the next reminder comes, e.g.
+     * "Next at 14:20 · 5 cups (1250 ml) left before 18:00, behind pace: every 20 min"
+     * @param {ReminderManager} reminder - Reminder instance
+     * @private
+     */
+    updateIntervalReason(reminder) {
+        const element = this.elements[`${reminder.type}IntervalReason`];
+        if (!element) return;
+
+        if (!reminder.isActive || reminder.isPaused || !reminder.intervalReason || !reminder.nextReminderTime) {
+            element.textContent = '';
+            return;
+        }
+
+        const { key, params } = reminder.intervalReason;
+        element.textContent = this.i18n.t('card.nextAt', {
+            time: this.i18n.formatTime(reminder.nextReminderTime),
+            reason: this.i18n.t(key, params)
+        });
+    }
+
+    /**
+     * Handle quick intake button click
+     * @param {number} ml - Volume to log in millilitres
+     * @private
+     */
+    handleIntakeClick(ml) {
+        if (!this.waterReminder) {
+            console.error('Water reminder not available');
+            return;
+        }
+
+        if (this.waterReminder.logIntake(ml, WATER_INTAKE_CONSTANTS.SOURCES.QUICK_ADD)) {
+            this.updateReminderUI(this.waterReminder.type);
+        }
+    }
+
+    /**
+     * Fill the guided routine selector from the routine library
+     */
+    renderRoutineOptions() {
+        const select = this.elements.routineSelect;
+        if (!select) return;
+
+        select.innerHTML = '';
+        select.appendChild(new Option(this.i18n.t('routine.none'), ''));
+
+        if (this.routines) {
+            this.routines.getAll().forEach(routine => {
+                const minutes = Math.max(1, Math.round(RoutineLibrary.getDuration(routine) / 60));
+                const duration = this.i18n.t('duration.minutes', { count: minutes });
+                select.appendChild(new Option(this.i18n.t('routine.option', { name: routine.name, duration }), routine.id));
+            });
+        }
+
+        select.value = this.standupReminder?.settings.routineId || '';
+        select.disabled = !this.routines;
+    }
+
+    /**
+     * Handle guided routine selection
+     * @private
+     */
+    handleRoutineChange() {
+        if (!this.standupReminder) {
+            console.error('Standup reminder not available');
+            return;
+        }
+
+        if (this.standupReminder.setRoutine(this.elements.routineSelect.value || null)) {
+            this.notifySettingsChange();
+        }
+    }
+
+    /**
+     * Save a routine pasted as JSON and select it
+     * @private
+     */
+    handleRoutineJsonSave() {
+        const input = this.elements.routineJson;
+        const status = this.elements.routineJsonStatus;
+        if (!input || !this.routines) return;
+
+        try {
+            const routine = this.routines.addCustomRoutine(input.value);
+
+            this.renderRoutineOptions();
+            this.elements.routineSelect.value = routine.id;
+            this.handleRoutineChange();
+
+            input.value = '';
+            if (status) {
+                status.textContent = this.i18n.t('routine.saved', { name: routine.name });
+                status.classList.remove('error');
+            }
+        } catch (error) {
+            console.warn('Routine not saved:', error);
+            if (status) {
+                status.textContent = error.message;
+                status.classList.add('error');
+            }
+        }
+    }
+
+    /**
+     * Let the app persist settings changed from the UI
+     * @private
+     */
+    notifySettingsChange() {
+        if (typeof this.config.onSettingsChange === 'function') {
+            this.config.onSettingsChange();
         }
     }
 
@@ -294,13 +705,13 @@ class UIController {
         }
 
         // Get actual interval from reminder settings
-        const reminder = type === 'water' ? this.waterReminder : this.standupReminder;
+        const reminder = this.getReminder(type);
         const interval = reminder?.settings?.interval || REMINDER_CONSTANTS.DEFAULT_INTERVAL_MINUTES;
         const intervalTime = interval * 60 * 1000; // Convert to milliseconds
         const formattedTime = this.formatTime(intervalTime);
 
         countdownElement.textContent = formattedTime;
-        btnElement.textContent = 'Start';
+        btnElement.textContent = this.i18n.t('card.start');
         btnElement.className = 'btn-primary';
     }
 
@@ -313,17 +724,17 @@ class UIController {
      */
     toggleReminder(type) {
         try {
-            const reminder = type === 'water' ? this.waterReminder : this.standupReminder;
+            const reminder = this.getReminder(type);
             
             if (!reminder) {
                 console.error(`${type} reminder not available - still initializing`);
                 // Show user-friendly message
                 const btn = this.elements[`${type}Btn`];
                 if (btn) {
-                    btn.textContent = 'Loading...';
+                    btn.textContent = this.i18n.t('card.loading');
                     btn.disabled = true;
-                    setTimeout(() => {
-                        btn.textContent = 'Start';
+                    this.clock.setTimeout(() => {
+                        btn.textContent = this.i18n.t('card.start');
                         btn.disabled = false;
                     }, 2000);
                 }
@@ -342,7 +753,7 @@ class UIController {
             
         } catch (error) {
             console.error(`Failed to toggle ${type} reminder:`, error);
-            this.showUserError(`Could not ${type} reminder`, error.message);
+            this.showUserError(this.i18n.t('error.toggle', { type }), error.message);
         }
     }
 
@@ -354,7 +765,7 @@ class UIController {
         try {
             if (!this.demoController) {
                 console.error('Demo controller not available');
-                this.showUserError('Demo not available', 'Demo functionality is not initialized');
+                this.showUserError(this.i18n.t('error.demoUnavailable'), this.i18n.t('error.demoNotInitialized'));
                 return;
             }
 
@@ -367,21 +778,64 @@ class UIController {
             if (this.demoController.isDemoRunning) {
                 // Stop demo if running
                 this.demoController.stopDemo();
-                demoBtn.textContent = 'Demo';
+                demoBtn.textContent = this.i18n.t('header.demo');
                 demoBtn.className = 'btn-demo';
             } else {
                 // Start demo
                 this.demoController.startDemo();
-                demoBtn.textContent = 'Stop Demo';
+                demoBtn.textContent = this.i18n.t('header.stopDemo');
                 demoBtn.className = 'btn-demo active';
             }
             
         } catch (error) {
             console.error('Failed to handle demo click:', error);
-            this.showUserError('Demo Error', error.message);
+            this.showUserError(this.i18n.t('error.demo'), error.message);
         }
     }
 
+    /**
+     * Handle stats button click
+     * @private
+     */
+    handleStatsClick() {
+        if (!this.statsDashboard) {
+            console.error('Stats dashboard not available');
+            this.showUserError(this.i18n.t('error.statsUnavailable'), this.i18n.t('error.statsNotInitialized'));
+            return;
+        }
+
+        this.statsDashboard.open();
+    }
+
+    /**
+     * Handle settings button click
+     * @private
+     */
+    handleSettingsClick() {
+        if (!this.settingsPanel) {
+            console.error('Settings panel not available');
+            this.showUserError(this.i18n.t('error.settingsUnavailable'), this.i18n.t('error.settingsNotInitialized'));
+            return;
+        }
+
+        this.settingsPanel.open();
+    }
+
+    /**
+     * Show the "Update available" banner
+     * @param {Function} onReload - Called when the user chooses to reload
+     * @public
+     */
+    showUpdateBanner(onReload) {
+        if (!this.elements.updateBanner) return;
+
+        this.addEventListener('updateReloadBtn', 'click', () => {
+            this.elements.updateReloadBtn.disabled = true;
+            onReload();
+        });
+        this.elements.updateBanner.hidden = false;
+    }
+
     /**
      * Check if device is mobile
      * @private
@@ -420,17 +874,45 @@ class UIController {
      * @private
      */
     startUpdateLoop() {
-        this.updateInterval = setInterval(() => {
+        this.updateInterval = this.clock.setInterval(() => {
             this.updateAllUI();
         }, this.config.updateInterval);
     }
 
+    /**
+     * Re-render generated text after a language change
+     * Static page text is translated by I18n#translatePage
+     * @public
+     */
+    localize() {
+        this.renderIntakeButtons();
+        this.renderRoutineOptions();
+
+        this.reminders.forEach((reminder, type) => {
+            const card = document.getElementById(`${type}-card`);
+            if (!card || card.dataset.generated !== 'true') return;
+
+            // Cards created for custom types
+            const definition = this.registry.get(type);
+            this.i18n.translatePage(card);
+            card.querySelector('h3').textContent = definition.label;
+            card.querySelector(`#${type}-toggle`).setAttribute('aria-label', this.i18n.t('card.toggle', { label: definition.label }));
+        });
+
+        this.updateAllUI();
+    }
+
     /**
      * Update all UI elements
      * @private
      */
     updateAllUI() {
-        ['water', 'standup'].forEach(type => {
+        // Show built-in cards in loading state until reminders are linked
+        const types = this.reminders.size > 0
+            ? Array.from(this.reminders.keys())
+            : ['water', 'standup'];
+
+        types.forEach(type => {
             this.updateReminderUI(type);
         });
     }
@@ -438,7 +920,7 @@ class UIController {
     /**
      * Format time remaining for display
      * @param {number} milliseconds - Time in milliseconds
-     * @returns {string} Formatted time string
+     * @returns {string} Formatted time string (MM:SS in the current locale's digits)
      * @private
      */
     formatTime(milliseconds) {
@@ -446,7 +928,27 @@ class UIController {
         const minutes = Math.floor(totalSeconds / 60);
         const seconds = totalSeconds % 60;
         
-        return `${minutes.toString().padStart(2, '0')}:${seconds.toString().padStart(2, '0')}`;
+        return `${this.i18n.formatTwoDigits(minutes)}:${this.i18n.formatTwoDigits(seconds)}`;
+    }
+
+    /**
+     * Format paused state label
+     * @param {number|null} until - Resume timestamp in milliseconds
+     * @returns {string} Label like "Paused until 13:00" or "Paused until Mon 09:00"
+     * @private
+     */
+    formatPausedUntil(until) {
+        if (!until) return this.i18n.t('card.paused');
+
+        const date = new Date(until);
+        const now = new Date(this.clock.now());
+        const time = this.i18n.formatTime(date);
+
+        if (date.toDateString() === now.toDateString()) {
+            return this.i18n.t('card.pausedUntil', { time });
+        }
+
+        return this.i18n.t('card.pausedUntilDay', { weekday: this.i18n.formatWeekday(date), time });
     }
 
     /**
@@ -457,20 +959,21 @@ class UIController {
      * @private
      */
     throttle(func, delay) {
+        const clock = this.clock;
         let timeoutId;
         let lastExecTime = 0;
         
         return function (...args) {
-            const currentTime = Date.now();
+            const currentTime = clock.now();
             
             if (currentTime - lastExecTime > delay) {
                 func.apply(this, args);
                 lastExecTime = currentTime;
             } else {
-                clearTimeout(timeoutId);
-                timeoutId = setTimeout(() => {
+                clock.clearTimeout(timeoutId);
+                timeoutId = clock.setTimeout(() => {
                     func.apply(this, args);
-                    lastExecTime = Date.now();
+                    lastExecTime = clock.now();
                 }, delay - (currentTime - lastExecTime));
             }
         };
@@ -496,7 +999,7 @@ class UIController {
         try {
             // Clear update interval
             if (this.updateInterval) {
-                clearInterval(this.updateInterval);
+                this.clock.clearInterval(this.updateInterval);
                 this.updateInterval = null;
             }
 
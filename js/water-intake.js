@@ -0,0 +1,199 @@
+/**
+ * Water Intake Tracker - Persisted log of water volume per day
+ * Today's entries are kept individually; earlier days keep only their total
+ *
+ * Stored shape:
+ * {
+ *   today: { dayKey: '2024-05-01', entries: [{ at, ml, source }] },
+ *   totals: { '2024-04-30': 1750 }
+ * }
+ */
+class WaterIntakeTracker {
+    /**
+     * Create water intake tracker instance
+     * @param {StorageManager} storage - Storage manager for persistence
+     */
+    constructor(storage) {
+        this.storage = storage;
+        this.data = this.load();
+
+        // Close out previous days on startup
+        if (this.rollOver()) {
+            this.save();
+        }
+    }
+
+    /**
+     * Load intake log from storage
+     * @returns {Object} Intake data
+     * @private
+     */
+    load() {
+        const saved = this.storage ? this.storage.getItem(STORAGE_CONSTANTS.WATER_INTAKE_KEY) : null;
+        const today = saved?.today;
+
+        return {
+            today: {
+                dayKey: typeof today?.dayKey === 'string' ? today.dayKey : ReminderHistory.getDayKey(new Date()),
+                entries: Array.isArray(today?.entries) ? today.entries : []
+            },
+            totals: saved?.totals && typeof saved.totals === 'object' ? saved.totals : {}
+        };
+    }
+
+    /**
+     * Pick up drinks another tab logged
+     */
+    reload() {
+        this.data = this.load();
+    }
+
+    /**
+     * Show today's drinks from the leading tab, which logs and saves them
+     * @param {Object} today - Today's log {dayKey, entries} from the leading tab
+     */
+    mirrorToday(today) {
+        if (typeof today?.dayKey !== 'string' || !Array.isArray(today.entries)) return;
+
+        // Earlier days stay in this tab's totals
+        this.rollOver();
+        this.data.today = { dayKey: today.dayKey, entries: today.entries };
+    }
+
+    /**
+     * Persist intake log to storage
+     * @private
+     */
+    save() {
+        if (!this.storage) return;
+
+        this.storage.setItem(STORAGE_CONSTANTS.WATER_INTAKE_KEY, this.data);
+    }
+
+    /**
+     * Log a drink
+     * @param {number} ml - Volume in millilitres
+     * @param {string} source - One of WATER_INTAKE_CONSTANTS.SOURCES
+     * @returns {Object|null} Stored entry, null if invalid
+     */
+    add(ml, source = WATER_INTAKE_CONSTANTS.SOURCES.QUICK_ADD) {
+        const volume = Math.round(Number(ml));
+        if (!(volume > 0)) {
+            console.warn('Invalid water intake ignored:', ml);
+            return null;
+        }
+
+        this.rollOver();
+
+        const entry = { at: Date.now(), ml: volume, source };
+        this.data.today.entries.push(entry);
+        this.save();
+
+        console.log(`💧 Logged ${volume} ml (${source}), ${this.getTotal()} ml today`);
+        return entry;
+    }
+
+    /**
+     * Move today's entries into the daily totals once the day has changed
+     * @param {Date} now - Current time
+     * @returns {boolean} Whether anything changed
+     * @private
+     */
+    rollOver(now = new Date()) {
+        const todayKey = ReminderHistory.getDayKey(now);
+        let changed = false;
+
+        if (this.data.today.dayKey !== todayKey) {
+            const total = this.sumEntries(this.data.today.entries);
+            if (total > 0) {
+                this.data.totals[this.data.today.dayKey] = total;
+            }
+
+            this.data.today = { dayKey: todayKey, entries: [] };
+            changed = true;
+        }
+
+        // Drop totals beyond the history retention window
+        const cutoff = new Date(now.getFullYear(), now.getMonth(), now.getDate() - HISTORY_CONSTANTS.RETENTION_DAYS);
+        const cutoffKey = ReminderHistory.getDayKey(cutoff);
+        Object.keys(this.data.totals).forEach(dayKey => {
+            if (dayKey < cutoffKey) {
+                delete this.data.totals[dayKey];
+                changed = true;
+            }
+        });
+
+        return changed;
+    }
+
+    /**
+     * Get total volume for a day
+     * @param {Date} date - Day to look up
+     * @returns {number} Total millilitres
+     */
+    getTotal(date = new Date()) {
+        const dayKey = ReminderHistory.getDayKey(date);
+
+        if (dayKey === this.data.today.dayKey) {
+            return this.sumEntries(this.data.today.entries);
+        }
+
+        return this.data.totals[dayKey] || 0;
+    }
+
+    /**
+     * Get today's entries
+     * @returns {Array<Object>} Entries {at, ml, source}
+     */
+    getTodayEntries() {
+        this.rollOver();
+        return [...this.data.today.entries];
+    }
+
+    /**
+     * Get progress toward a daily goal
+     * @param {number} goalMl - Daily goal in millilitres
+     * @param {Date} date - Day to look up
+     * @returns {Object} Progress {totalMl, goalMl, ratio, goalMet}
+     */
+    getProgress(goalMl, date = new Date()) {
+        const totalMl = this.getTotal(date);
+        const ratio = goalMl > 0 ? Math.min(1, totalMl / goalMl) : 0;
+
+        return {
+            totalMl,
+            goalMl,
+            ratio,
+            goalMet: goalMl > 0 && totalMl >= goalMl
+        };
+    }
+
+    /**
+     * Sum entry volumes
+     * @param {Array<Object>} entries - Intake entries
+     * @returns {number} Total millilitres
+     * @private
+     */
+    sumEntries(entries) {
+        return entries.reduce((total, entry) => total + (entry.ml || 0), 0);
+    }
+
+    /**
+     * Clear all intake data
+     */
+    clear() {
+        this.data = {
+            today: { dayKey: ReminderHistory.getDayKey(new Date()), entries: [] },
+            totals: {}
+        };
+        this.save();
+    }
+}
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WaterIntakeTracker;
+}
+
+// Export for browser use
+window.WaterIntakeTracker = WaterIntakeTracker;
@@ -1,21 +1,212 @@
 /**
  * Water Reminder Class - Handles water reminder logic
- * Extends ReminderManager, simplified for MVP
+ * Extends ReminderManager with daily intake tracking in millilitres and an
+ * interval that adapts to how far ahead or behind the daily goal the user is
  */
 class WaterReminder extends ReminderManager {
     /**
      * Create water reminder instance
      * @param {string} type - Reminder type ('water')
      * @param {Object} settings - Water reminder settings
+     * @param {number} settings.dailyGoalMl - Daily hydration goal in millilitres
+     * @param {number} settings.cupSizeMl - Volume logged for each Done
+     * @param {number|null} settings.goalMetInterval - Interval in minutes once the goal is met (null keeps the normal interval)
+     * @param {boolean} settings.adaptive - Derive the interval from intake pace
+     * @param {number} settings.minInterval - Shortest adaptive interval in minutes
+     * @param {number} settings.maxInterval - Longest adaptive interval in minutes
      * @param {NotificationService} notificationService - Notification service instance
+     * @param {Object} options - Optional dependencies forwarded to ReminderManager
+     * @param {WaterIntakeTracker} options.intake - Intake log (optional)
      */
-    constructor(type, settings, notificationService) {
-        super(type, settings, notificationService);
+    constructor(type, settings, notificationService, options = {}) {
+        super(type, settings, notificationService, options);
+
+        this.intake = options.intake || null;
+        this.settings = {
+            dailyGoalMl: WATER_INTAKE_CONSTANTS.DEFAULT_GOAL_ML,
+            cupSizeMl: WATER_INTAKE_CONSTANTS.DEFAULT_CUP_ML,
+            goalMetInterval: WATER_INTAKE_CONSTANTS.DEFAULT_GOAL_MET_INTERVAL_MINUTES,
+            adaptive: true,
+            minInterval: WATER_INTAKE_CONSTANTS.ADAPTIVE.DEFAULT_MIN_INTERVAL_MINUTES,
+            maxInterval: WATER_INTAKE_CONSTANTS.ADAPTIVE.DEFAULT_MAX_INTERVAL_MINUTES,
+            ...this.settings
+        };
         
+        // Why the current countdown has its length, as a message {key, params} shown on the card
+        this.intervalReason = null;
+
         console.log('Water reminder created');
     }
 
+    /**
+     * Get interval for the next countdown
+     * Remembers the reason so the UI can explain when the next reminder comes
+     * @returns {number} Interval in minutes
+     * @protected
+     */
+    getIntervalMinutes() {
+        const decision = this.computeInterval();
+        this.intervalReason = decision.reason;
+
+        return decision.minutes;
+    }
+
+    /**
+     * Decide the next interval from intake pace
+     * Starts from the configured interval and shortens it when intake is
+     * behind an even pace across the working day, lengthens it when ahead,
+     * then clamps it to the configured min and max
+     * @param {Date} now - Current time
+     * @returns {Object} Decision {minutes, reason}; reason is a message {key, params} or null
+     */
+    computeInterval(now = new Date(this.clock.now())) {
+        const { interval, goalMetInterval, adaptive, cupSizeMl } = this.settings;
+        const progress = this.getIntakeProgress();
+
+        if (progress.goalMet) {
+            if (goalMetInterval > interval) {
+                return { minutes: goalMetInterval, reason: { key: 'water.reason.goalRelaxed', params: { minutes: goalMetInterval } } };
+            }
+            return { minutes: interval, reason: { key: 'water.reason.goalReached', params: {} } };
+        }
+
+        if (!adaptive || !this.intake) {
+            return { minutes: interval, reason: null };
+        }
+
+        const minInterval = this.settings.minInterval;
+        const maxInterval = Math.max(minInterval, this.settings.maxInterval);
+        const day = this.getWorkday(now);
+        if (!day) {
+            return { minutes: maxInterval, reason: { key: 'water.reason.dayOff', params: { minutes: maxInterval } } };
+        }
+
+        const minutesLeft = (day.end - now) / 60000;
+        if (minutesLeft <= 0) {
+            return { minutes: maxInterval, reason: { key: 'water.reason.workdayOver', params: { minutes: maxInterval } } };
+        }
+
+        // Compare intake with an even pace across the working day (half a cup of slack)
+        const elapsed = Math.min(1, Math.max(0, (now - day.start) / (day.end - day.start)));
+        const expectedMl = progress.goalMl * elapsed;
+        const cupsAhead = (progress.totalMl - expectedMl) / cupSizeMl;
+        let pace = 'onPace';
+        if (cupsAhead < -0.5) {
+            pace = 'behindPace';
+        } else if (cupsAhead > 0.5) {
+            pace = 'aheadOfPace';
+        }
+
+        // Each cup behind shortens the interval and each cup ahead lengthens it
+        const factor = pace === 'onPace' ? 1 : 1 + cupsAhead * WATER_INTAKE_CONSTANTS.ADAPTIVE.PACE_STEP_PER_CUP;
+        const minutes = Math.min(maxInterval, Math.max(minInterval, Math.round(interval * factor)));
+
+        const remainingMl = progress.goalMl - progress.totalMl;
+        const reason = {
+            key: `water.reason.${pace}`,
+            params: { count: Math.ceil(remainingMl / cupSizeMl), ml: remainingMl, end: this.i18n.formatTime(day.end), minutes }
+        };
+
+        return { minutes, reason };
+    }
+
+    /**
+     * Get today's working day
+     * Uses working hours when enabled, otherwise the fallback day
+     * @param {Date} now - Current time
+     * @returns {Object|null} Day {start, end} as Dates, null on days off
+     * @private
+     */
+    getWorkday(now) {
+        if (this.schedule && this.schedule.isEnabled()) {
+            const start = this.schedule.getWorkdayStart(now);
+            const end = this.schedule.getWorkdayEnd(now);
+            return start && end ? { start, end } : null;
+        }
+
+        const { FALLBACK_DAY_START, FALLBACK_DAY_END } = WATER_INTAKE_CONSTANTS.ADAPTIVE;
+        const atTime = value => new Date(now.getFullYear(), now.getMonth(), now.getDate(), 0, WorkSchedule.parseTime(value));
+        return { start: atTime(FALLBACK_DAY_START), end: atTime(FALLBACK_DAY_END) };
+    }
+
+    /**
+     * Log water intake
+     * @param {number} ml - Volume in millilitres
+     * @param {string} source - One of WATER_INTAKE_CONSTANTS.SOURCES
+     * @returns {Object|boolean|null} Logged entry (true when sent to the leading tab), null if not logged
+     */
+    logIntake(ml, source = WATER_INTAKE_CONSTANTS.SOURCES.QUICK_ADD) {
+        if (this.remote) {
+            // The leading tab logs it, so its tracker is not overwritten by this tab's copy
+            return this.remote({ command: TAB_CONSTANTS.COMMANDS.LOG_INTAKE, ml, source }) || null;
+        }
+
+        if (!this.intake) {
+            console.warn('Water intake not logged - tracker not available');
+            return null;
+        }
+
+        const wasGoalMet = this.getIntakeProgress().goalMet;
+        const entry = this.intake.add(ml, source);
+
+        if (entry && !wasGoalMet && this.getIntakeProgress().goalMet) {
+            console.log(`🎉 Daily water goal of ${this.settings.dailyGoalMl} ml reached`);
+        }
+
+        return entry;
+    }
+
+    /**
+     * Get today's progress toward the daily goal
+     * @returns {Object} Progress {totalMl, goalMl, ratio, goalMet}
+     */
+    getIntakeProgress() {
+        const goalMl = this.settings.dailyGoalMl;
 
+        if (!this.intake) {
+            return { totalMl: 0, goalMl, ratio: 0, goalMet: false };
+        }
+
+        return this.intake.getProgress(goalMl);
+    }
+
+    /**
+     * Add today's intake to the detailed notification
+     * @returns {Array<string>} Detail parts
+     * @protected
+     */
+    getNotificationDetails() {
+        const { totalMl, goalMl } = this.getIntakeProgress();
+        return [...super.getNotificationDetails(), this.i18n.t('notification.details.intake', { totalMl, goalMl })];
+    }
+
+    /**
+     * Acknowledge reminder, logging one cup (in the leading tab only)
+     */
+    acknowledge() {
+        if (!this.isActive) return;
+
+        if (!this.remote) {
+            this.logIntake(this.settings.cupSizeMl, WATER_INTAKE_CONSTANTS.SOURCES.REMINDER);
+        }
+        super.acknowledge();
+    }
+
+    /**
+     * Snooze reminder, replacing the interval explanation
+     * @param {number|string} choice - Minutes, or SNOOZE_CONSTANTS.MEETING_OPTION
+     * @returns {boolean} Whether the reminder was snoozed
+     */
+    snooze(choice) {
+        // A following tab leaves the explanation to the leader
+        const snoozed = super.snooze(choice);
+        if (!snoozed || this.remote) return snoozed;
+
+        this.intervalReason = choice === SNOOZE_CONSTANTS.MEETING_OPTION
+            ? { key: 'water.reason.snoozedForMeeting', params: {} }
+            : { key: 'water.reason.snoozed', params: { minutes: Math.round(this.timeRemaining / 60000) } };
+        return true;
+    }
 
     /**
      * Trigger water reminder - use parent implementation
@@ -26,16 +217,51 @@ class WaterReminder extends ReminderManager {
         super.triggerReminder();
     }
 
+    /**
+     * Get current status including intake progress
+     * @returns {Object} Current reminder status
+     */
+    getStatus() {
+        return {
+            ...super.getStatus(),
+            intake: this.getIntakeProgress(),
+            intervalReason: this.intervalReason
+        };
+    }
+
+    /**
+     * Share the interval explanation with following tabs
+     * @returns {Object} Snapshot
+     */
+    getSnapshot() {
+        return {
+            ...super.getSnapshot(),
+            intervalReason: this.intervalReason
+        };
+    }
+
+    /**
+     * Show the leading tab's state, including its interval explanation
+     * @param {Object} snapshot - State from getSnapshot() in the leading tab
+     */
+    mirror(snapshot) {
+        super.mirror(snapshot);
+
+        if (this.remote && snapshot) {
+            this.intervalReason = snapshot.intervalReason || null;
+        }
+    }
+
     /**
      * Destroy water reminder (override parent method)
      */
     destroy() {
         // Call parent destroy method
         super.destroy();
-        
+
         console.log('Water reminder destroyed');
     }
 }
 
 // Export for browser use
-window.WaterReminder = WaterReminder;
\ No newline at end of file
+window.WaterReminder = WaterReminder;
@@ -0,0 +1,174 @@
+/**
+ * Work Schedule - Per-weekday working windows with breaks
+ * Reminders consult the schedule to suspend themselves outside office time
+ *
+ * Config shape:
+ * {
+ *   enabled: true,
+ *   days: {
+ *     mon: { start: '09:00', end: '18:00', breaks: [{ start: '12:00', end: '13:00' }] },
+ *     ...
+ *     sun: null // day off
+ *   }
+ * }
+ */
+class WorkSchedule {
+    /**
+     * Create work schedule instance
+     * @param {Object} config - Schedule configuration (merged over defaults)
+     */
+    constructor(config = {}) {
+        this.config = null;
+        this.update(config);
+    }
+
+    /**
+     * Replace schedule configuration
+     * @param {Object} config - Schedule configuration (merged over defaults)
+     */
+    update(config = {}) {
+        const defaults = SCHEDULE_CONSTANTS.DEFAULT_SCHEDULE;
+
+        this.config = {
+            enabled: typeof config.enabled === 'boolean' ? config.enabled : defaults.enabled,
+            days: { ...defaults.days, ...(config.days || {}) }
+        };
+    }
+
+    /**
+     * Check whether the schedule is active
+     * @returns {boolean}
+     */
+    isEnabled() {
+        return this.config.enabled;
+    }
+
+    /**
+     * Get working window for the weekday of a date
+     * @param {Date} date - Date to look up
+     * @returns {Object|null} Window {start, end, breaks} in minutes since midnight, or null on days off
+     * @private
+     */
+    getWindow(date) {
+        const dayKey = SCHEDULE_CONSTANTS.DAY_KEYS[date.getDay()];
+        const day = this.config.days[dayKey];
+        if (!day) return null;
+
+        const start = WorkSchedule.parseTime(day.start);
+        const end = WorkSchedule.parseTime(day.end);
+        if (start === null || end === null || end <= start) return null;
+
+        // Settings are validated on load; skip whatever still slipped through (e.g. from the console)
+        const breaks = (Array.isArray(day.breaks) ? day.breaks : [])
+            .filter(range => range && typeof range === 'object')
+            .map(range => ({
+                start: WorkSchedule.parseTime(range.start),
+                end: WorkSchedule.parseTime(range.end)
+            }))
+            .filter(range => range.start !== null && range.end !== null && range.end > range.start);
+
+        return { start, end, breaks };
+    }
+
+    /**
+     * Check whether a moment falls inside working hours
+     * Always true when the schedule is disabled
+     * @param {Date} date - Moment to check
+     * @returns {boolean}
+     */
+    isWorkingTime(date = new Date()) {
+        if (!this.config.enabled) return true;
+
+        const window = this.getWindow(date);
+        if (!window) return false;
+
+        const minutes = date.getHours() * 60 + date.getMinutes();
+        if (minutes < window.start || minutes >= window.end) return false;
+
+        return !window.breaks.some(range => minutes >= range.start && minutes < range.end);
+    }
+
+    /**
+     * Find the next moment working time begins
+     * @param {Date} date - Moment to search from
+     * @returns {Date|null} Next working moment (date itself if already working), null if no working days
+     */
+    getNextWorkingTime(date = new Date()) {
+        if (this.isWorkingTime(date)) return date;
+
+        // Candidates are window starts and break ends over the coming week
+        for (let offset = 0; offset <= 7; offset++) {
+            const day = new Date(date.getFullYear(), date.getMonth(), date.getDate() + offset);
+            const window = this.getWindow(day);
+            if (!window) continue;
+
+            const candidates = [window.start, ...window.breaks.map(range => range.end)]
+                .sort((a, b) => a - b)
+                .map(minutes => new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes));
+
+            const next = candidates.find(candidate => candidate > date && this.isWorkingTime(candidate));
+            if (next) return next;
+        }
+
+        return null;
+    }
+
+    /**
+     * Get start of the working window on the day of a date
+     * @param {Date} date - Day to look up
+     * @returns {Date|null} Start of working day, null on days off
+     */
+    getWorkdayStart(date = new Date()) {
+        const window = this.getWindow(date);
+        if (!window) return null;
+
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0, window.start);
+    }
+
+    /**
+     * Get end of the working window on the day of a date
+     * @param {Date} date - Day to look up
+     * @returns {Date|null} End of working day, null on days off
+     */
+    getWorkdayEnd(date = new Date()) {
+        const window = this.getWindow(date);
+        if (!window) return null;
+
+        return new Date(date.getFullYear(), date.getMonth(), date.getDate(), 0, window.end);
+    }
+
+    /**
+     * Get serializable configuration
+     * @returns {Object} Schedule configuration
+     */
+    toJSON() {
+        return {
+            enabled: this.config.enabled,
+            days: { ...this.config.days }
+        };
+    }
+
+    /**
+     * Parse 'HH:MM' into minutes since midnight
+     * @param {string} value - Time string
+     * @returns {number|null} Minutes, null if invalid
+     */
+    static parseTime(value) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(String(value || ''));
+        if (!match) return null;
+
+        const hours = parseInt(match[1], 10);
+        const minutes = parseInt(match[2], 10);
+        if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) return null;
+
+        return hours * 60 + minutes;
+    }
+}
+
+// Export for use by other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WorkSchedule;
+}
+
+// Export for browser use
+window.WorkSchedule = WorkSchedule;
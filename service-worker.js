@@ -1,54 +1,98 @@
 // Hydrate Move Service Worker
-// 简单的缓存策略，支持离线使用
-
-const CACHE_NAME = 'hydrate-move-v1.0.1';
-const urlsToCache = [
-  './',
-  './index.html',
-  './styles/main.css',
-  './js/constants.js',
-  './js/app.js',
-  './js/ui-controller.js',
-  './js/reminder-manager.js',
-  './js/water-reminder.js',
-  './js/standup-reminder.js',
-  './js/notification-service.js',
-  './js/storage-manager.js',
-  './js/app-settings.js',
-  './js/error-handler.js',
-  './js/mobile-adapter.js',
-  './js/demo-controller.js',
-  './manifest.json'
-];
-
-// 安装事件 - 缓存资源
+// 离线优先：安装时预缓存全部资源，HTML 使用 stale-while-revalidate
+// The asset list lives in asset-manifest.js and the cache is named after
+// APP_VERSION (version.js), so bumping the version ships a fresh cache
+
+importScripts('./version.js', './asset-manifest.js');
+
+const CACHE_NAME = 'hydrate-move-v' + self.APP_VERSION;
+
+// Message posted by the page when the user accepts an update
+// (mirrors SERVICE_WORKER_CONSTANTS.SKIP_WAITING_MESSAGE in js/constants.js)
+const SKIP_WAITING_MESSAGE = 'skip-waiting';
+
+// 安装事件 - 预缓存资源
+// The new worker then waits until the page asks it to take over, so an open
+// tab never mixes old and new code
 self.addEventListener('install', function(event) {
   event.waitUntil(
     caches.open(CACHE_NAME)
       .then(function(cache) {
-        console.log('Opened cache');
-        return cache.addAll(urlsToCache);
+        console.log('Opened cache', CACHE_NAME);
+        // Bypass the HTTP cache so the new version is not filled with old files
+        return cache.addAll(self.ASSET_MANIFEST.map(function(url) {
+          return new Request(url, { cache: 'reload' });
+        }));
       })
   );
 });
 
-// 获取事件 - 提供缓存内容
+// 获取事件 - 页面导航用 stale-while-revalidate，其他资源缓存优先
+// Refreshed pages are kept in the current version's cache, so they are
+// dropped with it when a new version activates
 self.addEventListener('fetch', function(event) {
-  event.respondWith(
-    caches.match(event.request)
-      .then(function(response) {
-        // 如果缓存中有，返回缓存版本
-        if (response) {
-          return response;
+  const request = event.request;
+
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) {
+    return;
+  }
+
+  if (request.mode === 'navigate') {
+    event.respondWith(staleWhileRevalidate(event));
+  } else {
+    event.respondWith(cacheFirst(request));
+  }
+});
+
+/**
+ * Serve cached assets, falling back to the network
+ * @param {Request} request - Asset request
+ * @returns {Promise<Response>}
+ */
+function cacheFirst(request) {
+  return caches.open(CACHE_NAME)
+    .then(function(cache) {
+      return cache.match(request);
+    })
+    .then(function(response) {
+      return response || fetch(request);
+    });
+}
+
+/**
+ * Serve the cached page at once and refresh it from the network for next time
+ * The page is cached without its query string, so ?utm= style links share it.
+ * Falls back to the cached index.html when offline on an uncached URL
+ * @param {FetchEvent} event - Navigation fetch event
+ * @returns {Promise<Response>}
+ */
+function staleWhileRevalidate(event) {
+  const request = event.request;
+  const pageUrl = new URL(request.url);
+  pageUrl.search = '';
+
+  return caches.open(CACHE_NAME).then(function(cache) {
+    return cache.match(request, { ignoreSearch: true }).then(function(cached) {
+      const network = fetch(request).then(function(response) {
+        if (response && response.ok) {
+          cache.put(pageUrl.href, response.clone());
         }
-        // 否则从网络获取
-        return fetch(event.request);
+        return response;
+      });
+
+      if (cached) {
+        event.waitUntil(network.catch(function() {}));
+        return cached;
       }
-    )
-  );
-});
 
-// 激活事件 - 清理旧缓存
+      return network.catch(function() {
+        return cache.match('./index.html');
+      });
+    });
+  });
+}
+
+// 激活事件 - 清理旧版本缓存
 self.addEventListener('activate', function(event) {
   event.waitUntil(
     caches.keys().then(function(cacheNames) {
@@ -62,4 +106,40 @@ self.addEventListener('activate', function(event) {
       );
     })
   );
-});
\ No newline at end of file
+});
+
+// 消息事件 - 用户点击“重新加载”后启用新版本
+self.addEventListener('message', function(event) {
+  if (event.data && event.data.type === SKIP_WAITING_MESSAGE) {
+    self.skipWaiting();
+  }
+});
+
+// 通知点击事件 - 把 Done/Snooze 操作交回页面
+// Message and action names mirror SERVICE_WORKER_CONSTANTS in js/constants.js
+self.addEventListener('notificationclick', function(event) {
+  const notification = event.notification;
+  const reminderType = notification.data && notification.data.type;
+  const action = event.action || 'open';
+
+  notification.close();
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+      .then(function(clients) {
+        const client = clients[0];
+
+        // 页面已关闭 - 打开应用
+        if (!client) {
+          return self.clients.openWindow('./');
+        }
+
+        client.postMessage({ type: 'notification-action', reminderType: reminderType, action: action });
+
+        // 只有点击通知本身才切换到页面，Done/Snooze 在后台完成
+        if (action === 'open' && client.focus) {
+          return client.focus();
+        }
+      })
+  );
+});
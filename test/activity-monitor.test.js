@@ -0,0 +1,292 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const MINUTE = 60 * 1000;
+
+let sandbox;
+let clock;
+let page;
+let events;
+
+/**
+ * Document stand-in that delivers input and visibility events
+ */
+function createDocument() {
+    const listeners = new Map();
+    return {
+        hidden: false,
+        addEventListener(type, listener) {
+            if (!listeners.has(type)) listeners.set(type, new Set());
+            listeners.get(type).add(listener);
+        },
+        removeEventListener(type, listener) {
+            listeners.get(type)?.delete(listener);
+        },
+        dispatch(type) {
+            listeners.get(type)?.forEach(listener => listener({ type }));
+        },
+        listenerCount() {
+            return Array.from(listeners.values()).reduce((count, set) => count + set.size, 0);
+        }
+    };
+}
+
+function createMonitor(options = {}) {
+    return new sandbox.ActivityMonitor({
+        clock,
+        document: page,
+        idleThresholdMs: 5 * MINUTE,
+        onAway: ({ since }) => events.push({ away: since }),
+        onReturn: ({ since, awayMs }) => events.push({ back: since, awayMs }),
+        ...options
+    });
+}
+
+/**
+ * Standup reminder with a notification service stand-in
+ * @param {number} interval - Interval in minutes
+ */
+function createStandup(interval = 45) {
+    const notificationService = {
+        showNotification: () => {},
+        showInPageAlert: () => {},
+        runEscalationStep: () => true,
+        dismissNotification: () => true
+    };
+    return new sandbox.StandupReminder('standup', { enabled: true, interval }, notificationService, { clock });
+}
+
+beforeEach(() => {
+    sandbox = loadScripts(['constants.js', 'locale-en-us.js', 'i18n.js', 'clock.js', 'reminder-types.js', 'work-schedule.js',
+        'message-library.js', 'reminder-manager.js', 'standup-reminder.js', 'activity-monitor.js']);
+    clock = new sandbox.VirtualClock(new Date(2026, 0, 5, 10, 0).getTime());
+    page = createDocument();
+    events = [];
+});
+
+test('no input for the idle threshold means away, and the next input means back', () => {
+    const monitor = createMonitor();
+    const start = clock.now();
+    monitor.start();
+
+    clock.advance(4 * MINUTE);
+    assert.equal(monitor.isAway, false);
+
+    // Input resets the idle time
+    page.dispatch('mousemove');
+    clock.advance(4 * MINUTE);
+    assert.deepEqual(events, []);
+
+    clock.advance(MINUTE + sandbox.ACTIVITY_CONSTANTS.CHECK_INTERVAL_MS);
+    assert.equal(monitor.isAway, true);
+    assert.deepEqual(events, [{ away: start + 4 * MINUTE }]);
+
+    clock.advance(20 * MINUTE);
+    page.dispatch('keydown');
+    assert.equal(monitor.isAway, false);
+    assert.equal(events[1].back, start + 4 * MINUTE);
+    assert.equal(events[1].awayMs, clock.now() - (start + 4 * MINUTE));
+});
+
+test('a hidden tab counts as present unless configured otherwise', () => {
+    const monitor = createMonitor();
+    monitor.start();
+    page.hidden = true;
+
+    clock.advance(30 * MINUTE);
+    assert.equal(monitor.isAway, false);
+
+    monitor.configure({ hiddenCountsAsIdle: true });
+    clock.advance(sandbox.ACTIVITY_CONSTANTS.CHECK_INTERVAL_MS);
+    assert.equal(monitor.isAway, true);
+
+    // Coming back to the tab is activity
+    page.hidden = false;
+    page.dispatch('visibilitychange');
+    assert.equal(monitor.isAway, false);
+});
+
+test('a new idle threshold applies to the running monitor', () => {
+    const monitor = createMonitor();
+    monitor.start();
+
+    monitor.configure({ idleThresholdMs: 20 * MINUTE });
+    clock.advance(10 * MINUTE);
+    assert.equal(monitor.isAway, false);
+
+    clock.advance(10 * MINUTE + sandbox.ACTIVITY_CONSTANTS.CHECK_INTERVAL_MS);
+    assert.equal(monitor.isAway, true);
+});
+
+test('while another tab is visible, a hidden tab counts idle time from that tab\'s input', () => {
+    const monitor = createMonitor();
+    monitor.start();
+    page.hidden = true;
+
+    monitor.recordOtherTabActivity({ visible: true });
+    clock.advance(4 * MINUTE);
+    monitor.recordOtherTabActivity({ visible: true });
+    const lastInput = clock.now();
+
+    clock.advance(4 * MINUTE);
+    assert.equal(monitor.isAway, false);
+
+    clock.advance(MINUTE + sandbox.ACTIVITY_CONSTANTS.CHECK_INTERVAL_MS);
+    assert.deepEqual(events, [{ away: lastInput }]);
+
+    monitor.recordOtherTabActivity({ visible: true });
+    assert.equal(monitor.isAway, false);
+
+    // Once every tab is hidden, input in other apps can't be seen again
+    monitor.recordOtherTabActivity({ visible: false });
+    clock.advance(30 * MINUTE);
+    assert.equal(monitor.isAway, false);
+});
+
+test('input is reported at most every report interval, visibility changes at once', () => {
+    const reports = [];
+    const monitor = createMonitor({ onActivity: report => reports.push({ ...report }) });
+    monitor.start();
+
+    page.dispatch('mousemove');
+    page.dispatch('keydown');
+    assert.deepEqual(reports, [{ visible: true }]);
+
+    clock.advance(sandbox.ACTIVITY_CONSTANTS.REPORT_INTERVAL_MS);
+    page.dispatch('mousemove');
+    assert.equal(reports.length, 2);
+
+    page.hidden = true;
+    page.dispatch('visibilitychange');
+    assert.deepEqual(reports[2], { visible: false });
+});
+
+test('stopping removes the listeners and the check timer', () => {
+    const monitor = createMonitor();
+    monitor.start();
+    assert.ok(page.listenerCount() > 0);
+
+    monitor.stop();
+    assert.equal(page.listenerCount(), 0);
+
+    clock.advance(30 * MINUTE);
+    assert.deepEqual(events, []);
+});
+
+test('the Idle Detection API is only asked for permission when enabled, and then decides', async () => {
+    const detectors = [];
+    let asked = 0;
+    sandbox.IdleDetector = class {
+        constructor() {
+            this.listeners = [];
+            this.userState = 'active';
+            this.screenState = 'unlocked';
+            detectors.push(this);
+        }
+        static async requestPermission() {
+            asked++;
+            return 'granted';
+        }
+        addEventListener(type, listener) {
+            this.listeners.push(listener);
+        }
+        async start(options) {
+            this.options = options;
+        }
+        change(userState, screenState = 'unlocked') {
+            Object.assign(this, { userState, screenState });
+            this.listeners.forEach(listener => listener());
+        }
+    };
+    sandbox.navigator = { permissions: { query: async () => ({ state: 'prompt' }) } };
+    sandbox.AbortController = AbortController;
+
+    const monitor = createMonitor();
+    monitor.start();
+    await Promise.resolve();
+    assert.equal(asked, 0);
+    assert.equal(detectors.length, 0);
+
+    assert.equal(await monitor.enableIdleDetection(), true);
+    assert.equal(asked, 1);
+    assert.equal(detectors[0].options.threshold, 5 * MINUTE);
+    assert.equal(monitor.getStatus().idleDetection, true);
+
+    // Input in other apps keeps the user present even without input on the page
+    clock.advance(30 * MINUTE);
+    assert.equal(monitor.isAway, false);
+
+    detectors[0].change('active', 'locked');
+    assert.equal(monitor.isAway, true);
+    detectors[0].change('active');
+    assert.equal(monitor.isAway, false);
+
+    // A new threshold restarts the detector with it
+    monitor.configure({ idleThresholdMs: 10 * MINUTE });
+    await new Promise(resolve => setImmediate(resolve));
+    assert.equal(detectors.length, 2);
+    assert.equal(detectors[1].options.threshold, 10 * MINUTE);
+    assert.equal(monitor.getStatus().idleDetection, true);
+});
+
+test('the standup countdown pauses while away and carries on after a short break', () => {
+    const standup = createStandup(45);
+    const monitor = createMonitor({
+        onAway: () => standup.handleAway(),
+        onReturn: ({ awayMs }) => standup.handleReturn(awayMs)
+    });
+    standup.start();
+    monitor.start();
+
+    clock.advance(10 * MINUTE);
+    assert.equal(standup.isPaused, true);
+    const remaining = standup.getTimeRemaining();
+
+    clock.advance(15 * MINUTE);
+    assert.equal(standup.getTimeRemaining(), remaining);
+
+    page.dispatch('mousedown');
+    assert.equal(standup.isPaused, false);
+    assert.equal(standup.getTimeRemaining(), remaining);
+});
+
+test('an away period longer than the interval starts the standup countdown over', () => {
+    const standup = createStandup(30);
+    const monitor = createMonitor({
+        onAway: () => standup.handleAway(),
+        onReturn: ({ awayMs }) => standup.handleReturn(awayMs)
+    });
+    standup.start();
+    monitor.start();
+
+    clock.advance(40 * MINUTE);
+    assert.equal(standup.isPaused, true);
+
+    page.dispatch('mousedown');
+    assert.equal(standup.isPaused, false);
+    assert.equal(standup.isActive, true);
+    assert.equal(standup.getTimeRemaining(), 30 * MINUTE);
+});
+
+test('coming back while a standup reminder is due leaves it waiting for an answer', () => {
+    const standup = createStandup(30);
+    const { STATES } = sandbox.REMINDER_STATE_CONSTANTS;
+    standup.start();
+
+    clock.advance(30 * MINUTE);
+    assert.equal(standup.state, STATES.DUE);
+
+    standup.handleAway();
+    assert.equal(standup.state, STATES.DUE);
+    standup.handleReturn(40 * MINUTE);
+    assert.equal(standup.state, STATES.DUE);
+
+    // A snoozed reminder keeps its snooze too
+    assert.equal(standup.snooze(10), true);
+    const remaining = standup.getTimeRemaining();
+    standup.handleAway();
+    standup.handleReturn(40 * MINUTE);
+    assert.equal(standup.state, STATES.SNOOZED);
+    assert.equal(standup.getTimeRemaining(), remaining);
+});
@@ -0,0 +1,213 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+let sandbox;
+let settings;
+let storage;
+
+/**
+ * In-memory stand-in for StorageManager
+ * @param {Object} entries - Initial values by key
+ */
+function createStorage(entries = {}) {
+    const data = new Map(Object.entries(entries));
+    return {
+        writes: 0,
+        getItem: key => (data.has(key) ? JSON.parse(JSON.stringify(data.get(key))) : null),
+        setItem(key, value) {
+            this.writes++;
+            data.set(key, JSON.parse(JSON.stringify(value)));
+            return true;
+        },
+        peek: key => data.get(key)
+    };
+}
+
+beforeEach(() => {
+    sandbox = loadScripts(['constants.js', 'locale-en-us.js', 'i18n.js', 'reminder-types.js', 'work-schedule.js', 'app-settings.js']);
+    settings = new sandbox.AppSettings();
+});
+
+test('without stored settings the defaults are used and nothing is written', () => {
+    storage = createStorage();
+
+    const loaded = settings.load(storage);
+
+    assert.equal(loaded.water.interval, 30);
+    assert.equal(loaded.notifications.style, 'standard');
+    assert.equal(storage.writes, 0);
+});
+
+test('unversioned settings are migrated, filled in and saved with the current version', () => {
+    storage = createStorage({
+        appSettings: { water: { interval: 20, enabled: false, sound: true }, standup: { interval: 45, enabled: true, sound: false } }
+    });
+
+    const loaded = settings.load(storage);
+
+    assert.equal(loaded.water.interval, 20);
+    assert.equal(loaded.water.enabled, false);
+    assert.equal(loaded.water.dailyGoalMl, 2000);
+    assert.equal(loaded.standup.sound, false);
+    assert.equal(loaded.notifications.browserNotifications, true);
+    assert.equal(loaded.isFirstUse, false);
+    assert.equal('schemaVersion' in loaded, false);
+
+    const stored = storage.peek('appSettings');
+    assert.equal(stored.schemaVersion, sandbox.SETTINGS_CONSTANTS.SCHEMA_VERSION);
+    assert.equal(stored.water.interval, 20);
+});
+
+test('English stored by default before version 2 follows the browser language', () => {
+    storage = createStorage({
+        appSettings: { schemaVersion: 1, water: { enabled: true, interval: 25, sound: true }, appearance: { language: 'en-US' } }
+    });
+    assert.equal(settings.load(storage).appearance.language, 'auto');
+
+    storage = createStorage({ appSettings: { schemaVersion: 1, appearance: { language: 'zh-CN' } } });
+    assert.equal(settings.load(storage).appearance.language, 'zh-CN');
+    assert.equal(storage.peek('appSettings').schemaVersion, 2);
+});
+
+test('invalid fields are reset one by one and valid neighbours are kept', () => {
+    const { settings: repaired, repairs } = settings.repairSettings({
+        water: { enabled: true, interval: 500, sound: 'yes', dailyGoalMl: 2500 },
+        standup: { enabled: 'no', interval: 40 },
+        notifications: { style: 'loud', soundEnabled: false }
+    });
+
+    assert.equal(repaired.water.interval, 30);
+    assert.equal(repaired.water.sound, true);
+    assert.equal(repaired.water.dailyGoalMl, 2500);
+    assert.equal(repaired.standup.enabled, true);
+    assert.equal(repaired.standup.interval, 40);
+    assert.equal(repaired.notifications.style, 'standard');
+    assert.equal(repaired.notifications.soundEnabled, false);
+    assert.deepEqual(Array.from(repairs), [
+        'water.interval: reset to default',
+        'water.sound: reset to default',
+        'standup.enabled: reset to default',
+        'notifications.style: reset to default'
+    ]);
+});
+
+test('sound themes and the volume are checked, missing ones filled in', () => {
+    const { settings: repaired, repairs } = settings.repairSettings({
+        water: { enabled: true, interval: 30, sound: true, soundTheme: 'chime' },
+        standup: { enabled: true, interval: 45, sound: true, soundTheme: 'trumpet' },
+        notifications: { soundEnabled: true, volume: 140 }
+    });
+
+    assert.equal(repaired.water.soundTheme, 'chime');
+    assert.equal(repaired.standup.soundTheme, 'default');
+    assert.equal(repaired.notifications.volume, sandbox.SOUND_CONSTANTS.DEFAULT_VOLUME);
+    assert.deepEqual(Array.from(repairs), [
+        'standup.soundTheme: reset to default',
+        'notifications.volume: reset to default'
+    ]);
+
+    const loaded = settings.load(createStorage({ appSettings: { schemaVersion: 2, water: { enabled: true, interval: 30, sound: true } } }));
+    assert.equal(loaded.water.soundTheme, 'default');
+    assert.equal(loaded.notifications.volume, sandbox.SOUND_CONSTANTS.DEFAULT_VOLUME);
+    assert.equal(settings.validateSettings({ ...loaded, notifications: { ...loaded.notifications, volume: 0 } }).isValid, true);
+});
+
+test('away detection settings are checked field by field', () => {
+    const { settings: repaired, repairs } = settings.repairSettings({
+        water: { enabled: true, interval: 30 },
+        standup: { enabled: true, interval: 45 },
+        activity: { enabled: 'yes', idleThresholdMinutes: 90, hiddenCountsAsIdle: true }
+    });
+
+    assert.equal(repaired.activity.enabled, true);
+    assert.equal(repaired.activity.idleThresholdMinutes, 5);
+    assert.equal(repaired.activity.hiddenCountsAsIdle, true);
+    assert.deepEqual(Array.from(repairs), [
+        'activity.enabled: reset to default',
+        'activity.idleThresholdMinutes: reset to default'
+    ]);
+});
+
+test('corrupt sections are replaced by their defaults', () => {
+    const { settings: repaired, repairs } = settings.repairSettings({
+        water: 'broken',
+        standup: { enabled: true, interval: 40, sound: true },
+        appearance: null,
+        extra: { kept: true }
+    });
+
+    assert.equal(repaired.water.interval, 30);
+    assert.equal(repaired.standup.interval, 40);
+    assert.equal(repaired.appearance.language, 'auto');
+    assert.equal(repaired.extra.kept, true);
+    assert.deepEqual(Array.from(repairs), [
+        'water: not an object, reset to defaults',
+        'appearance: not an object, reset to defaults'
+    ]);
+
+    assert.deepEqual(Array.from(settings.repairSettings([1, 2]).repairs), ['settings: not an object, reset to defaults']);
+});
+
+test('a corrupt working schedule falls back to the default windows', () => {
+    storage = createStorage({
+        appSettings: {
+            schemaVersion: 2,
+            schedule: { enabled: true, days: { mon: { start: '09:00', end: '18:00', breaks: 'lunch' } } }
+        }
+    });
+
+    const loaded = settings.load(storage);
+
+    assert.equal(loaded.schedule.enabled, true);
+    assert.deepEqual(JSON.parse(JSON.stringify(loaded.schedule.days)), JSON.parse(JSON.stringify(sandbox.SCHEDULE_CONSTANTS.DEFAULT_SCHEDULE.days)));
+    assert.equal(storage.peek('appSettings').schedule.days.mon.breaks.length, 1);
+
+    // The repaired schedule can be consulted (reminders check it every second)
+    const schedule = new sandbox.WorkSchedule(loaded.schedule);
+    assert.equal(schedule.isWorkingTime(new Date(2026, 0, 5, 10, 0)), true);
+    assert.equal(schedule.isWorkingTime(new Date(2026, 0, 5, 12, 30)), false);
+
+    const check = days => Array.from(settings.validateSettings({ ...loaded, schedule: { enabled: true, days } }).errors);
+    assert.deepEqual(check({ tue: { start: 'nine', end: '18:00' } }), ["schedule: days.tue must be null or have a start and a later end ('HH:MM')"]);
+    assert.match(check({ wed: { start: '09:00', end: '18:00', breaks: [{ start: '13:00', end: '12:00' }] } })[0], /days.wed.breaks/);
+    assert.match(check({ funday: null })[0], /unknown weekday funday/);
+    assert.deepEqual(check({ sat: null, sun: { start: '10:00', end: '14:00' } }), []);
+    assert.deepEqual(Array.from(settings.repairSettings({ schedule: 'always' }).repairs), ['schedule: not an object, reset to defaults']);
+});
+
+test('custom reminder types are repaired against their registered interval', () => {
+    sandbox.reminderTypeRegistry.register({ id: 'eyes', label: 'Eye Rest', title: 'Rest your eyes', body: 'Look away', defaultInterval: 20 });
+
+    const { settings: repaired } = settings.repairSettings({
+        eyes: { enabled: true, interval: 0, sound: false }
+    });
+
+    assert.equal(repaired.eyes.interval, 20);
+    assert.equal(repaired.eyes.sound, false);
+});
+
+test('settings from a newer version are loaded but not overwritten', () => {
+    storage = createStorage({
+        appSettings: { schemaVersion: 99, water: { enabled: true, interval: 25, sound: true }, futureOption: 'on' }
+    });
+
+    const loaded = settings.load(storage);
+
+    assert.equal(loaded.water.interval, 25);
+    assert.equal(loaded.futureOption, 'on');
+    assert.equal(storage.writes, 0);
+});
+
+test('current settings round-trip without being rewritten', () => {
+    storage = createStorage();
+    const original = settings.getDefaultSettings();
+    original.standup.interval = 50;
+
+    assert.equal(settings.save(storage, original), true);
+    storage.writes = 0;
+
+    const loaded = settings.load(storage);
+    assert.equal(loaded.standup.interval, 50);
+    assert.equal(storage.writes, 0);
+});
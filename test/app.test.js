@@ -0,0 +1,147 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadDom } = require('./helpers/load-scripts');
+
+// The page's own modules, in the order index.html loads them
+const PAGE_SCRIPTS = Array.from(
+    fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8').matchAll(/<script src="js\/([^"]+)"/g),
+    match => match[1]
+);
+
+let tabs = [];
+
+/**
+ * In-process BroadcastChannel shared by the tabs of one test
+ */
+function createChannelClass() {
+    const channels = new Set();
+    return class {
+        constructor(name) {
+            this.name = name;
+            this.onmessage = null;
+            channels.add(this);
+        }
+        postMessage(message) {
+            const data = JSON.parse(JSON.stringify(message));
+            channels.forEach(other => {
+                if (other !== this && other.name === this.name) {
+                    setTimeout(() => other.onmessage?.({ data }), 0);
+                }
+            });
+        }
+        close() {
+            channels.delete(this);
+        }
+    };
+}
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Open two tabs of the app sharing storage and a tab channel
+ * The first one opened leads
+ * @returns {Promise<Array<Object>>} Tabs [{window, app}]
+ */
+async function openTabs() {
+    const Channel = createChannelClass();
+    let localStorage = null;
+
+    for (let i = 0; i < 2; i++) {
+        const window = loadDom(PAGE_SCRIPTS, {
+            beforeLoad: w => {
+                w.BroadcastChannel = Channel;
+                if (localStorage) {
+                    Object.defineProperty(w, 'localStorage', { value: localStorage, configurable: true });
+                }
+                localStorage = w.localStorage;
+            }
+        });
+        const app = new window.OfficeWellnessApp();
+        tabs.push({ window, app });
+        await app.initialize();
+        await wait(500);
+    }
+
+    return tabs;
+}
+
+afterEach(() => {
+    tabs.forEach(({ window, app }) => {
+        app.cleanup();
+        window.close();
+    });
+    tabs = [];
+});
+
+test('quick-add water in a following tab is logged by the leading tab', async () => {
+    const [leader, follower] = await openTabs();
+    assert.equal(leader.app.tabCoordinator.isLeader, true);
+    assert.equal(follower.app.tabCoordinator.isLeader, false);
+
+    leader.app.waterReminder.logIntake(500);
+    follower.window.document.querySelector('[data-intake-ml="250"]').click();
+    await wait(100);
+
+    // Both drinks are kept, and the following tab shows them
+    assert.equal(leader.app.waterIntake.getTotal(), 750);
+    assert.equal(follower.app.waterIntake.getTotal(), 750);
+    assert.equal(follower.app.waterReminder.getIntakeProgress().totalMl, 750);
+
+    const { PREFIX, WATER_INTAKE_KEY } = leader.window.STORAGE_CONSTANTS;
+    const saved = JSON.parse(follower.window.localStorage.getItem(`${PREFIX}.${WATER_INTAKE_KEY}`));
+    assert.deepEqual(saved.today.entries.map(entry => entry.ml), [500, 250]);
+});
+
+test("a following tab shows today's reminder outcomes from the leading tab", async () => {
+    const [leader, follower] = await openTabs();
+
+    leader.app.history.record({ type: 'water', firedAt: Date.now(), outcome: 'done', respondedAt: Date.now() });
+    leader.app.shareReminderStates();
+    await wait(1100);
+
+    assert.equal(follower.app.history.getDailyCounts('water').done, 1);
+    assert.match(follower.window.document.getElementById('water-progress').textContent, /^1 of /);
+});
+
+test('a routine chosen in a following tab is selected and saved by the leading tab', async () => {
+    const [leader, follower] = await openTabs();
+    const select = follower.window.document.getElementById('standup-routine');
+    const routineId = leader.app.routineLibrary.getAll()[0].id;
+
+    select.value = routineId;
+    select.dispatchEvent(new follower.window.Event('change'));
+    await wait(100);
+
+    assert.equal(leader.app.standupReminder.settings.routineId, routineId);
+    assert.equal(leader.app.getSettings().standup.routineId, routineId);
+    assert.equal(follower.app.standupReminder.settings.routineId, routineId);
+    assert.equal(select.value, routineId);
+});
+
+test('a custom routine saved in a following tab can be chosen there', async () => {
+    const [leader, follower] = await openTabs();
+    const routine = { id: 'desk-shrug', name: 'Desk shrug', steps: [{ name: 'Shrug', duration: 30 }] };
+
+    follower.app.addStandupRoutine(routine);
+    follower.app.standupReminder.setRoutine('desk-shrug');
+    await wait(100);
+
+    assert.equal(leader.app.routineLibrary.get('desk-shrug').name, 'Desk shrug');
+    assert.equal(leader.app.standupReminder.settings.routineId, 'desk-shrug');
+    assert.equal(follower.app.standupReminder.settings.routineId, 'desk-shrug');
+});
+
+test('input in a following tab keeps the user present for the leading tab', async () => {
+    const [leader, follower] = await openTabs();
+    Object.defineProperty(leader.window.document, 'hidden', { value: true, configurable: true });
+    const before = leader.app.activityMonitor.lastActivityAt;
+
+    await wait(10);
+    follower.window.document.dispatchEvent(new follower.window.Event('mousemove'));
+    await wait(100);
+
+    assert.ok(leader.app.activityMonitor.lastActivityAt > before);
+    assert.equal(leader.app.activityMonitor.visibleElsewhere, true);
+});
@@ -0,0 +1,201 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+let sandbox;
+
+/**
+ * In-memory stand-in for StorageManager
+ * Values are copied in and out like JSON in localStorage
+ * @param {Object} entries - Initial values by key
+ */
+function createStorage(entries = {}) {
+    const copy = value => JSON.parse(JSON.stringify(value));
+    const data = new Map(Object.entries(entries).map(([key, value]) => [key, copy(value)]));
+    return {
+        getItem: key => (data.has(key) ? copy(data.get(key)) : null),
+        setItem: (key, value) => {
+            data.set(key, copy(value));
+            return true;
+        },
+        removeItem: key => data.delete(key),
+        dump: () => Object.fromEntries(data)
+    };
+}
+
+function createBackupManager(storage) {
+    return new sandbox.BackupManager({ storage, appSettings: new sandbox.AppSettings() });
+}
+
+/**
+ * Stored data of a user who has used the app for a while
+ */
+function sampleData() {
+    const settings = new sandbox.AppSettings().getDefaultSettings();
+    settings.water.interval = 25;
+
+    return {
+        appSettings: { schemaVersion: sandbox.SETTINGS_CONSTANTS.SCHEMA_VERSION, ...settings, isFirstUse: false },
+        customReminderTypes: [{ id: 'eyes', label: 'Eye Rest', title: 'Rest your eyes', body: 'Look away', defaultInterval: 20 }],
+        customRoutines: [{ id: 'neck', name: 'Neck Rolls', steps: [{ name: 'Roll', duration: 30, instruction: '' }] }],
+        customMessages: [{ id: 'custom-a1', type: 'water', text: 'Fill your bottle', timeOfDay: null, weight: 1 }],
+        reminderHistory: {
+            events: [{ type: 'water', firedAt: 1000, outcome: 'done', respondedAt: 2000, latencyMs: 1000 }],
+            daily: { '2024-05-01': { water: { fired: 4, done: 3 } } }
+        },
+        waterIntake: {
+            today: { dayKey: '2024-05-02', entries: [{ at: 1500, ml: 250, source: 'reminder' }] },
+            totals: { '2024-05-01': 1750 }
+        }
+    };
+}
+
+beforeEach(() => {
+    sandbox = loadScripts(
+        ['constants.js', 'locale-en-us.js', 'i18n.js', 'reminder-types.js', 'reminder-history.js', 'standup-routines.js', 'message-library.js',
+            'sound-library.js', 'work-schedule.js', 'app-settings.js', 'backup-manager.js'],
+        { APP_VERSION: '1.0.2' }
+    );
+});
+
+test('an export holds every stored section', () => {
+    const backup = createBackupManager(createStorage(sampleData())).createExport();
+
+    assert.equal(backup.format, 'hydrate-move-backup');
+    assert.equal(backup.version, 1);
+    assert.equal(backup.appVersion, '1.0.2');
+    assert.deepEqual(Object.keys(backup.data).sort(),
+        ['appSettings', 'customMessages', 'customReminderTypes', 'customRoutines', 'reminderHistory', 'waterIntake']);
+});
+
+test('importing an export into another browser gives identical data', () => {
+    const source = createStorage(sampleData());
+    const text = JSON.stringify(createBackupManager(source).createExport());
+
+    const target = createStorage({ appSettings: { schemaVersion: 1, water: { interval: 60 } }, customRoutines: [] });
+    const targetManager = createBackupManager(target);
+    const { isValid, backup } = targetManager.parseImport(text);
+
+    assert.equal(isValid, true);
+    assert.equal(targetManager.applyImport(backup, 'replace'), true);
+    assert.deepEqual(target.dump(), source.dump());
+
+    // Importing the same file again changes nothing, in either mode
+    assert.deepEqual(Array.from(targetManager.previewImport(backup, 'merge')), []);
+    assert.deepEqual(Array.from(targetManager.previewImport(backup, 'replace')), []);
+});
+
+test('invalid files are rejected with a reason', () => {
+    const manager = createBackupManager(createStorage());
+    const errorsFor = value => Array.from(manager.parseImport(typeof value === 'string' ? value : JSON.stringify(value)).errors);
+    const backup = data => ({ format: 'hydrate-move-backup', version: 1, data });
+
+    assert.deepEqual(errorsFor('{not json'), ['The file is not valid JSON']);
+    assert.deepEqual(errorsFor({ water: {} }), ['The file is not a Hydrate Move export']);
+    assert.deepEqual(errorsFor({ ...backup({}), version: 2 }), ['The file was exported by a newer version of the app']);
+    assert.deepEqual(errorsFor(backup({ reminderHistory: { events: 'x' } })),
+        ['Reminder history: must have a list of events and daily totals']);
+    assert.equal(errorsFor(backup({ customReminderTypes: [{ id: 'water', label: 'Water', title: 'W', body: 'B' }] })).length, 1);
+    assert.deepEqual(errorsFor(backup({ customRoutines: [{ id: 'neck', name: '', steps: [] }] })),
+        ['Custom routines: Routine neck: name is required']);
+    assert.deepEqual(errorsFor(backup({ customMessages: [{ id: 'custom-a1', type: 'water', text: ' ' }] })),
+        ['Custom messages: Message custom-a1: text must be 1-200 characters']);
+    assert.deepEqual(errorsFor(backup({ appSettings: { schemaVersion: 99 } })),
+        ['Settings: saved by a newer version of the app']);
+});
+
+test('the preview lists changed settings and definitions for the chosen mode', () => {
+    const stored = sampleData();
+    stored.customReminderTypes.push({ id: 'posture', label: 'Posture', title: 'Sit up', body: 'Straighten up', defaultInterval: 40 });
+    const manager = createBackupManager(createStorage(stored));
+
+    const incoming = sampleData();
+    incoming.appSettings.water.interval = 45;
+    incoming.customRoutines.push({ id: 'wrists', name: 'Wrist Stretch', steps: [{ name: 'Stretch', duration: 20 }] });
+    const backup = { format: 'hydrate-move-backup', version: 1, data: incoming };
+
+    const describe = mode => Object.fromEntries(
+        manager.previewImport(backup, mode).map(({ label, changes }) => [label, Array.from(changes)])
+    );
+
+    assert.deepEqual(describe('merge'), {
+        Settings: ['water.interval: 25 → 45'],
+        'Custom routines': ['Added: Wrist Stretch']
+    });
+    assert.deepEqual(describe('replace'), {
+        Settings: ['water.interval: 25 → 45'],
+        'Custom reminder types': ['Removed: Posture'],
+        'Custom routines': ['Added: Wrist Stretch']
+    });
+});
+
+test('merging keeps stored history and intake alongside the imported records', () => {
+    const storage = createStorage(sampleData());
+    const manager = createBackupManager(storage);
+
+    const incoming = sampleData();
+    incoming.reminderHistory.events.push({ type: 'standup', firedAt: 3000, outcome: 'snoozed', respondedAt: 3500, latencyMs: 500 });
+    incoming.reminderHistory.daily = { '2024-04-30': { standup: { fired: 2, done: 2 } } };
+    incoming.waterIntake = {
+        today: { dayKey: '2024-05-03', entries: [{ at: 5000, ml: 300, source: 'quick-add' }] },
+        totals: { '2024-04-30': 1500 }
+    };
+
+    manager.applyImport({ format: 'hydrate-move-backup', version: 1, data: incoming }, 'merge');
+
+    const history = storage.getItem('reminderHistory');
+    assert.deepEqual(history.events.map(event => event.firedAt), [1000, 3000]);
+    assert.deepEqual(Object.keys(history.daily).sort(), ['2024-04-30', '2024-05-01']);
+
+    // The later day stays open; the stored day becomes a total
+    const intake = storage.getItem('waterIntake');
+    assert.equal(intake.today.dayKey, '2024-05-03');
+    assert.deepEqual(intake.totals, { '2024-04-30': 1500, '2024-05-01': 1750, '2024-05-02': 250 });
+});
+
+test('replacing removes sections the file does not have', () => {
+    const storage = createStorage(sampleData());
+    const manager = createBackupManager(storage);
+    const backup = { format: 'hydrate-move-backup', version: 1, data: { customRoutines: [] } };
+
+    assert.deepEqual(Array.from(manager.previewImport(backup, 'replace'), section => section.key),
+        ['appSettings', 'customReminderTypes', 'customRoutines', 'customMessages', 'reminderHistory', 'waterIntake']);
+
+    manager.applyImport(backup, 'replace');
+    assert.deepEqual(Object.keys(storage.dump()), ['customRoutines']);
+});
+
+test('uploaded sounds are exported and come back after the data is cleared', () => {
+    const gong = { name: 'gong.mp3', size: 3, dataUrl: 'data:audio/mpeg;base64,SUQz' };
+    const data = sampleData();
+    data.appSettings.water.soundTheme = 'custom';
+    const storage = createStorage({ ...data, 'customSound.water': gong });
+    const manager = createBackupManager(storage);
+
+    const text = JSON.stringify(manager.createExport());
+    assert.deepEqual(JSON.parse(text).data.customSounds, { water: gong });
+
+    // Cleared, as on another device
+    Object.keys(storage.dump()).forEach(key => storage.removeItem(key));
+    const { isValid, backup } = manager.parseImport(text);
+    assert.equal(isValid, true);
+    assert.deepEqual(Array.from(manager.previewImport(backup, 'replace').find(section => section.key === 'customSounds').changes),
+        ['Added: gong.mp3']);
+
+    assert.equal(manager.applyImport(backup, 'replace'), true);
+    assert.deepEqual(storage.getItem('customSound.water'), gong);
+    assert.equal(storage.getItem('appSettings').water.soundTheme, 'custom');
+    assert.equal(new sandbox.SoundLibrary(storage).get('water').name, 'gong.mp3');
+
+    // Replacing with a file without sounds removes the upload
+    manager.applyImport({ format: 'hydrate-move-backup', version: 1, data: sampleData() }, 'replace');
+    assert.equal(storage.getItem('customSound.water'), null);
+});
+
+test('an uploaded sound that is not audio is rejected', () => {
+    const manager = createBackupManager(createStorage());
+    const backup = { format: 'hydrate-move-backup', version: 1, data: { customSounds: { water: { name: 'a.txt', size: 3, dataUrl: 'data:text/plain,abc' } } } };
+
+    assert.deepEqual(Array.from(manager.parseImport(JSON.stringify(backup)).errors),
+        ['Uploaded sounds: water: Sound dataUrl must be an audio data URL']);
+});
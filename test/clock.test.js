@@ -0,0 +1,87 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const { VirtualClock } = loadScripts(['clock.js']);
+
+test('now() starts at the given time and only moves when advanced', () => {
+    const clock = new VirtualClock(1000);
+
+    assert.equal(clock.now(), 1000);
+    clock.advance(250);
+    assert.equal(clock.now(), 1250);
+});
+
+test('timeouts fire once at their due time', () => {
+    const clock = new VirtualClock();
+    const calls = [];
+
+    clock.setTimeout(() => calls.push(clock.now()), 100);
+    clock.advance(99);
+    assert.deepEqual(calls, []);
+
+    clock.advance(1);
+    clock.advance(500);
+    assert.deepEqual(calls, [100]);
+    assert.equal(clock.pendingCount, 0);
+});
+
+test('intervals repeat until cleared', () => {
+    const clock = new VirtualClock();
+    const calls = [];
+
+    const id = clock.setInterval(() => calls.push(clock.now()), 1000);
+    clock.advance(3500);
+    assert.deepEqual(calls, [1000, 2000, 3000]);
+
+    clock.clearInterval(id);
+    clock.advance(5000);
+    assert.equal(calls.length, 3);
+});
+
+test('cleared timeouts never fire', () => {
+    const clock = new VirtualClock();
+    let fired = false;
+
+    const id = clock.setTimeout(() => { fired = true; }, 10);
+    clock.clearTimeout(id);
+    clock.advance(100);
+
+    assert.equal(fired, false);
+});
+
+test('timers run in due order, ties in creation order', () => {
+    const clock = new VirtualClock();
+    const order = [];
+
+    clock.setTimeout(() => order.push('b'), 20);
+    clock.setTimeout(() => order.push('a'), 10);
+    clock.setTimeout(() => order.push('c'), 20);
+    clock.advance(20);
+
+    assert.deepEqual(order, ['a', 'b', 'c']);
+});
+
+test('timers scheduled by callbacks run within the same advance', () => {
+    const clock = new VirtualClock();
+    const calls = [];
+
+    clock.setTimeout(() => {
+        calls.push(clock.now());
+        clock.setTimeout(() => calls.push(clock.now()), 50);
+    }, 50);
+    clock.advance(100);
+
+    assert.deepEqual(calls, [50, 100]);
+});
+
+test('advanceTo() jumps to an absolute time', () => {
+    const clock = new VirtualClock(500);
+    let firedAt = null;
+
+    clock.setTimeout(() => { firedAt = clock.now(); }, 1000);
+    clock.advanceTo(2000);
+
+    assert.equal(firedAt, 1500);
+    assert.equal(clock.now(), 2000);
+});
@@ -0,0 +1,89 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadDom } = require('./helpers/load-scripts');
+
+const SECOND = 1000;
+
+let window;
+let clock;
+let fired;
+let water;
+let standup;
+let schedule;
+let demo;
+
+beforeEach(() => {
+    window = loadDom([
+        'constants.js', 'locale-en-us.js', 'i18n.js', 'clock.js', 'reminder-types.js', 'work-schedule.js',
+        'reminder-manager.js', 'water-reminder.js', 'standup-reminder.js', 'demo-controller.js'
+    ]);
+
+    clock = new window.VirtualClock(Date.now());
+    fired = [];
+    const notificationService = {
+        showNotification: type => fired.push({ type, at: clock.now() })
+    };
+
+    schedule = new window.WorkSchedule({ enabled: true });
+    water = new window.WaterReminder('water', { enabled: true, interval: 45, goalMetInterval: 90, adaptive: true },
+        notificationService, { clock, schedule });
+    standup = new window.StandupReminder('standup', { enabled: true, interval: 60 },
+        notificationService, { clock, schedule });
+    demo = new window.DemoController({ waterReminder: water, standupReminder: standup, uiController: null, clock });
+});
+
+afterEach(() => {
+    demo.destroy();
+    water.destroy();
+    standup.destroy();
+    window.close();
+});
+
+test('the demo fires both reminders on the short demo interval', async () => {
+    const start = clock.now();
+    await demo.startDemo();
+
+    assert.equal(demo.isDemoRunning, true);
+    assert.equal(water.schedule, null);
+
+    clock.advance(41 * SECOND);
+
+    assert.deepEqual(fired.map(({ type, at }) => [type, (at - start) / SECOND]), [
+        ['water', 30],
+        ['standup', 40]
+    ]);
+});
+
+test('finishing the demo restores the original intervals and schedules', async () => {
+    await demo.startDemo();
+    clock.advance(60 * SECOND);
+
+    assert.equal(demo.isDemoRunning, false);
+    assert.equal(water.isActive, false);
+    assert.equal(standup.isActive, false);
+
+    assert.equal(water.settings.interval, 45);
+    assert.equal(water.settings.goalMetInterval, 90);
+    assert.equal(water.settings.adaptive, true);
+    assert.equal(water.timeRemaining, 45 * 60 * SECOND);
+    assert.equal(standup.settings.interval, 60);
+    assert.equal(water.schedule, schedule);
+    assert.equal(standup.schedule, schedule);
+
+    assert.equal(window.document.getElementById('demo-btn').textContent, 'Demo');
+    assert.equal(window.document.getElementById('demo-status').textContent,
+        window.i18n.t(window.DEMO_CONSTANTS.STATUS_MESSAGES.READY));
+});
+
+test('stopping the demo early cancels the rest of the sequence', async () => {
+    await demo.startDemo();
+    clock.advance(5 * SECOND);
+
+    demo.stopDemo();
+    clock.advance(60 * SECOND);
+
+    assert.deepEqual(fired, []);
+    assert.equal(standup.isActive, false);
+    assert.equal(water.settings.interval, 45);
+    assert.equal(standup.settings.interval, 60);
+});
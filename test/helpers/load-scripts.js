@@ -0,0 +1,77 @@
+/**
+ * Load browser scripts into an isolated context for Node tests
+ * The app's modules are plain scripts that register classes on `window`,
+ * so each test gets a fresh sandbox where `window` is the global object.
+ * loadScripts() is a bare sandbox for logic-only modules; loadDom() adds a
+ * jsdom document built from index.html for modules that touch the page
+ */
+const fs = require('node:fs');
+const path = require('node:path');
+const vm = require('node:vm');
+const { JSDOM, VirtualConsole } = require('jsdom');
+
+const ROOT_DIR = path.join(__dirname, '..', '..');
+const SCRIPT_DIR = path.join(ROOT_DIR, 'js');
+
+// Modules log progress with emoji; keep test output readable
+const silentConsole = {
+    log() {},
+    info() {},
+    warn() {},
+    error() {},
+    debug() {}
+};
+
+/**
+ * Run scripts from js/ inside a context
+ * @param {Array<string>} files - File names relative to js/, in load order
+ * @param {Object} context - Contextified global object
+ */
+function runScripts(files, context) {
+    files.forEach(file => {
+        const source = fs.readFileSync(path.join(SCRIPT_DIR, file), 'utf8');
+        new vm.Script(source, { filename: file }).runInContext(context);
+    });
+}
+
+/**
+ * Run scripts from js/ in a new sandbox without a DOM
+ * @param {Array<string>} files - File names relative to js/, in load order
+ * @param {Object} globals - Extra globals (e.g. localStorage)
+ * @returns {Object} Sandbox global, also reachable as `window`
+ */
+function loadScripts(files, globals = {}) {
+    const context = vm.createContext({ console: silentConsole, ...globals });
+    context.window = context;
+
+    runScripts(files, context);
+    return context;
+}
+
+/**
+ * Run scripts from js/ in a new jsdom window
+ * Inline and external scripts in the page are not executed; only the listed
+ * modules are loaded, so each test pulls in exactly what it needs
+ * @param {Array<string>} files - File names relative to js/, in load order
+ * @param {Object} options - DOM options
+ * @param {string} options.html - Page markup (defaults to index.html)
+ * @param {Function} options.beforeLoad - Called with the window before scripts run
+ * @returns {Window} jsdom window; call window.close() when done to drop its timers
+ */
+function loadDom(files, { html, beforeLoad } = {}) {
+    const dom = new JSDOM(html ?? fs.readFileSync(path.join(ROOT_DIR, 'index.html'), 'utf8'), {
+        url: 'http://localhost/',
+        runScripts: 'outside-only',
+        pretendToBeVisual: true,
+        virtualConsole: new VirtualConsole()
+    });
+
+    if (beforeLoad) {
+        beforeLoad(dom.window);
+    }
+
+    runScripts(files, dom.getInternalVMContext());
+    return dom.window;
+}
+
+module.exports = { loadScripts, loadDom };
@@ -0,0 +1,146 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, loadDom } = require('./helpers/load-scripts');
+
+const CATALOGS = ['constants.js', 'locale-en-us.js', 'locale-zh-cn.js', 'i18n.js'];
+
+let sandbox;
+
+/**
+ * Create an i18n instance for the given browser languages
+ * @param {Array<string>} languages - Preferred languages
+ */
+function createI18n(languages) {
+    return new sandbox.I18n({ languages });
+}
+
+/**
+ * Placeholder names used by a message (all plural forms together)
+ * @param {string|Object} message - Message or plural forms
+ */
+function placeholders(message) {
+    const text = typeof message === 'string' ? message : Object.values(message).join(' ');
+    return Array.from(new Set(text.match(/\{\w+\}/g) || [])).sort();
+}
+
+beforeEach(() => {
+    sandbox = loadScripts(CATALOGS);
+});
+
+test('the browser language picks the closest catalog', () => {
+    const supported = ['en-US', 'zh-CN'];
+
+    assert.equal(sandbox.I18n.matchLocale(['zh-CN', 'en-US'], supported), 'zh-CN');
+    assert.equal(sandbox.I18n.matchLocale(['zh-TW'], supported), 'zh-CN');
+    assert.equal(sandbox.I18n.matchLocale(['en-GB'], supported), 'en-US');
+    assert.equal(sandbox.I18n.matchLocale(['fr-FR', 'zh'], supported), 'zh-CN');
+    assert.equal(sandbox.I18n.matchLocale(['fr-FR'], supported), 'en-US');
+    assert.equal(sandbox.I18n.matchLocale([], supported), 'en-US');
+});
+
+test('the language setting overrides the browser until set back to auto', () => {
+    const i18n = createI18n(['zh-CN']);
+    assert.equal(i18n.locale, 'zh-CN');
+
+    assert.equal(i18n.setLanguage('en-US'), true);
+    assert.equal(i18n.t('card.start'), 'Start');
+    assert.equal(i18n.setLanguage('en-US'), false);
+
+    assert.equal(i18n.setLanguage('auto'), true);
+    assert.equal(i18n.t('card.start'), '开始');
+
+    // Unknown languages fall back to the browser's
+    i18n.setLanguage('de-DE');
+    assert.equal(i18n.locale, 'zh-CN');
+});
+
+test('messages fill placeholders and pick plural forms', () => {
+    const i18n = createI18n(['en-US']);
+
+    assert.equal(i18n.t('card.pausedUntil', { time: '13:00' }), 'Paused until 13:00');
+    assert.equal(i18n.t('card.interval', { count: 1 }), '1 min');
+    assert.equal(i18n.t('card.interval', { count: 30 }), '30 mins');
+    assert.equal(i18n.t('backup.change.daysAdded', { count: 2 }), '2 days added');
+    assert.equal(i18n.selectPlural(1, { one: 'glass', other: 'glasses' }), 'glass');
+
+    // Unknown placeholders are left as they are, unknown keys come back unchanged
+    assert.equal(i18n.t('card.pausedUntil'), 'Paused until {time}');
+    assert.equal(i18n.t('no.such.key'), 'no.such.key');
+    assert.equal(i18n.has('no.such.key'), false);
+});
+
+test('messages missing from a catalog fall back to English', () => {
+    const i18n = new sandbox.I18n({
+        catalogs: { 'en-US': { greeting: 'Hello {name}', farewell: 'Bye' }, 'zh-CN': { greeting: '你好 {name}' } },
+        languages: ['zh-CN']
+    });
+
+    assert.equal(i18n.t('greeting', { name: 'Li' }), '你好 Li');
+    assert.equal(i18n.t('farewell'), 'Bye');
+});
+
+test('Chinese uses one plural form and Chinese weekdays', () => {
+    const i18n = createI18n(['zh-CN']);
+    const monday = new Date(2026, 0, 5, 9, 5);
+
+    assert.equal(i18n.t('card.interval', { count: 1 }), '1 分钟');
+    assert.equal(i18n.t('routine.steps', { count: 1 }), '1 步');
+    assert.equal(i18n.selectPlural(1, { one: '杯', other: '杯' }), '杯');
+    assert.equal(i18n.formatWeekday(monday), '周一');
+    assert.equal(i18n.formatTime(monday), '09:05');
+    assert.equal(i18n.formatTwoDigits(7), '07');
+});
+
+test('both catalogs have the same messages, placeholders and plural forms', () => {
+    const english = sandbox.LOCALE_MESSAGES['en-US'];
+    const chinese = sandbox.LOCALE_MESSAGES['zh-CN'];
+
+    assert.deepEqual(Object.keys(chinese).sort(), Object.keys(english).sort());
+
+    Object.keys(english).forEach(key => {
+        assert.deepEqual(placeholders(chinese[key]), placeholders(english[key]), key);
+        assert.equal(typeof chinese[key], typeof english[key], key);
+
+        if (typeof english[key] === 'object') {
+            assert.ok(english[key].one && english[key].other, `${key} needs one and other in English`);
+            assert.ok(chinese[key].other, `${key} needs other in Chinese`);
+        }
+    });
+});
+
+test('built-in reminder types and routines switch language in place', () => {
+    sandbox = loadScripts([...CATALOGS, 'reminder-types.js', 'standup-routines.js']);
+    const water = sandbox.reminderTypeRegistry.get('water');
+    const routines = new sandbox.RoutineLibrary();
+    const stretch = routines.get('desk-stretch');
+
+    assert.equal(water.title, '💧 Time to Hydrate!');
+    assert.equal(stretch.steps[0].name, 'Neck Rolls');
+
+    sandbox.i18n.setLanguage('zh-CN');
+    sandbox.reminderTypeRegistry.localizeBuiltInTypes();
+    routines.localizeBuiltInRoutines();
+
+    assert.equal(water.title, '💧 该喝水了！');
+    assert.equal(water.unit.other, '杯');
+    assert.equal(stretch.name, '桌前伸展');
+    assert.equal(stretch.steps[0].name, '转动颈部');
+    assert.equal(stretch.steps[0].duration, 30);
+});
+
+test('marked page text and attributes are translated', () => {
+    const window = loadDom(CATALOGS);
+    const { document } = window;
+
+    window.i18n.setLanguage('zh-CN');
+    window.i18n.translatePage();
+
+    assert.equal(document.getElementById('settings-heading').textContent, '设置');
+    assert.equal(document.getElementById('demo-btn').getAttribute('aria-label'), '开始演示模式，看看提醒如何工作');
+    assert.equal(document.querySelector('[data-i18n="import.merge"]').textContent, '与我的数据合并');
+
+    // Radio buttons keep their place inside translated labels
+    assert.ok(document.querySelector('#import-preview [value="merge"]'));
+
+    window.close();
+});
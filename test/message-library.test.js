@@ -0,0 +1,125 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const MORNING = new Date(2026, 0, 5, 9, 0);
+const AFTERNOON = new Date(2026, 0, 5, 15, 0);
+
+let sandbox;
+
+/**
+ * In-memory stand-in for StorageManager
+ */
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? JSON.parse(JSON.stringify(items.get(key))) : null),
+        setItem: (key, value) => { items.set(key, JSON.parse(JSON.stringify(value))); }
+    };
+}
+
+/**
+ * Random source returning the given values in turn, then repeating the last
+ * @param {...number} values - Values in [0, 1)
+ */
+function sequence(...values) {
+    return () => (values.length > 1 ? values.shift() : values[0]);
+}
+
+beforeEach(() => {
+    sandbox = loadScripts(['constants.js', 'locale-en-us.js', 'locale-zh-cn.js', 'i18n.js', 'message-library.js']);
+    sandbox.i18n.setLanguage('en-US');
+});
+
+test('a message is not shown again until others have been shown', () => {
+    const library = new sandbox.MessageLibrary(null, { random: () => 0 });
+    const { RECENT_COUNT } = sandbox.MESSAGE_CONSTANTS;
+
+    const picked = Array.from({ length: 12 }, () => library.pick('water', MORNING).id);
+
+    for (let index = RECENT_COUNT; index < picked.length; index++) {
+        const window = picked.slice(index - RECENT_COUNT, index + 1);
+        assert.equal(new Set(window).size, window.length, `repeat in ${window}`);
+    }
+});
+
+test('messages for another time of day are left out, the current one is preferred', () => {
+    const library = new sandbox.MessageLibrary();
+    library.addCustomMessage({ id: 'any', type: 'eyes', text: 'Look away from the screen' });
+    library.addCustomMessage({ id: 'slump', type: 'eyes', text: 'Afternoon slump? Close your eyes', timeOfDay: 'afternoon' });
+
+    // Weights 1 and 1 × TIME_OF_DAY_BOOST: the afternoon message takes everything past 1 / (1 + boost)
+    const share = 1 / (1 + sandbox.MESSAGE_CONSTANTS.TIME_OF_DAY_BOOST);
+    library.random = sequence(share - 0.01);
+    assert.equal(library.pick('eyes', AFTERNOON).id, 'any');
+    library.random = sequence(share + 0.01);
+    assert.equal(library.pick('eyes', AFTERNOON).id, 'slump');
+
+    library.random = () => 0.99;
+    assert.equal(library.pick('eyes', MORNING).id, 'any');
+    assert.equal(library.pick('eyes', MORNING).id, 'any');
+
+    assert.equal(sandbox.MessageLibrary.getTimeOfDay(new Date(2026, 0, 5, 23, 30)), 'night');
+    assert.equal(sandbox.MessageLibrary.getTimeOfDay(new Date(2026, 0, 5, 4, 59)), 'night');
+    assert.equal(sandbox.MessageLibrary.getTimeOfDay(new Date(2026, 0, 5, 12, 0)), 'afternoon');
+});
+
+test('user messages and recently shown ones are saved', () => {
+    const storage = createStorage();
+    const library = new sandbox.MessageLibrary(storage);
+
+    const added = library.addCustomMessage({ type: 'water', text: '  Fill your bottle  ', weight: 5 });
+    assert.match(added.id, /^custom-/);
+    assert.equal(added.text, 'Fill your bottle');
+    assert.equal(library.addCustomMessage({ type: 'water', text: 'Another one' }).id === added.id, false);
+
+    library.addCustomMessage({ id: 'a', type: 'eyes', text: 'Blink' });
+    library.addCustomMessage({ id: 'b', type: 'eyes', text: 'Look out of the window' });
+    const first = library.pick('eyes', MORNING).id;
+
+    const reloaded = new sandbox.MessageLibrary(storage, { random: () => 0 });
+    assert.deepEqual(Array.from(reloaded.getCustomMessages('water'), message => message.text), ['Fill your bottle', 'Another one']);
+    assert.ok(reloaded.getMessages('water').some(message => message.builtIn));
+    assert.notEqual(reloaded.pick('eyes', MORNING).id, first);
+
+    // Built-in messages stay, user ones can be removed
+    assert.equal(reloaded.removeCustomMessage('water', 'classic'), false);
+    assert.equal(reloaded.removeCustomMessage('water', added.id), true);
+    assert.equal(new sandbox.MessageLibrary(storage).getCustomMessages('water').length, 1);
+});
+
+test('a type without messages has nothing to pick', () => {
+    const library = new sandbox.MessageLibrary();
+    library.addCustomMessage({ id: 'late', type: 'eyes', text: 'Dim the screen', timeOfDay: 'night' });
+
+    assert.equal(library.pick('posture', MORNING), null);
+    assert.equal(library.pick('eyes', MORNING), null);
+    assert.equal(library.getText('eyes', 'missing'), null);
+});
+
+test('invalid messages are rejected with a reason', () => {
+    const { validate } = sandbox.MessageLibrary;
+    const valid = { id: 'note', type: 'water', text: 'Drink up' };
+
+    assert.deepEqual({ ...validate(valid) }, { ...valid, timeOfDay: null, weight: 1 });
+    assert.throws(() => validate(null), /must be an object/);
+    assert.throws(() => validate({ ...valid, id: 'Bad Id' }), /Invalid message id/);
+    assert.throws(() => validate({ ...valid, type: '' }), /invalid reminder type/);
+    assert.throws(() => validate({ ...valid, text: 'x'.repeat(sandbox.MESSAGE_CONSTANTS.MAX_LENGTH + 1) }), /text must be/);
+    assert.throws(() => validate({ ...valid, timeOfDay: 'lunch' }), /time of day must be one of morning/);
+    assert.throws(() => validate({ ...valid, weight: 0 }), /weight must be/);
+
+    const library = new sandbox.MessageLibrary();
+    assert.throws(() => library.addCustomMessage({ id: 'classic', type: 'water', text: 'Mine' }), /built-in/);
+});
+
+test('built-in messages follow the language', () => {
+    const library = new sandbox.MessageLibrary(null, { random: () => 0 });
+    const { id, text } = library.pick('water', MORNING);
+    assert.equal(text, sandbox.LOCALE_MESSAGES['en-US'][`message.water.${id}`]);
+
+    sandbox.i18n.setLanguage('zh-CN');
+    library.localizeBuiltInMessages();
+
+    assert.equal(library.getText('water', id), sandbox.LOCALE_MESSAGES['zh-CN'][`message.water.${id}`]);
+});
@@ -0,0 +1,41 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadDom } = require('./helpers/load-scripts');
+
+// Scripts that must load before a module (constants.js always loads first)
+const PREREQUISITES = {
+    'reminder-types.js': ['locale-en-us.js', 'i18n.js'],
+    'water-reminder.js': ['reminder-manager.js'],
+    'standup-reminder.js': ['reminder-manager.js'],
+    'water-intake.js': ['reminder-history.js']
+};
+
+// Modules whose class is built without other objects, so the prerequisites
+// above are checked at runtime too and not only when the script is parsed
+const CONSTRUCTORS = {
+    'app-settings.js': window => new window.AppSettings(),
+    'reminder-history.js': window => new window.ReminderHistory(null),
+    'water-intake.js': window => new window.WaterIntakeTracker(null),
+    'work-schedule.js': window => new window.WorkSchedule()
+};
+
+const modules = fs.readdirSync(path.join(__dirname, '..', 'js'))
+    .filter(file => file.endsWith('.js') && file !== 'constants.js');
+
+modules.forEach(file => {
+    test(`${file} loads on its own`, () => {
+        let window = null;
+
+        assert.doesNotThrow(() => {
+            window = loadDom(['constants.js', ...(PREREQUISITES[file] || []), file]);
+        });
+
+        if (CONSTRUCTORS[file]) {
+            assert.doesNotThrow(() => CONSTRUCTORS[file](window));
+        }
+
+        window.close();
+    });
+});
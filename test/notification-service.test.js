@@ -0,0 +1,411 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadDom } = require('./helpers/load-scripts');
+
+const MINUTE = 60 * 1000;
+
+let window;
+let document;
+let service;
+let recorded;
+
+/**
+ * Click a modal button by id (buttons are replaced each time the modal opens)
+ * @param {string} id - Element id
+ */
+function click(id) {
+    document.getElementById(id).dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+}
+
+beforeEach(() => {
+    window = loadDom([
+        'constants.js', 'locale-en-us.js', 'i18n.js', 'clock.js', 'reminder-types.js', 'standup-routines.js',
+        'routine-player.js', 'notification-service.js', 'reminder-manager.js'
+    ]);
+    document = window.document;
+
+    recorded = [];
+    service = new window.NotificationService({
+        history: { record: event => recorded.push(event) }
+    });
+    service.setSoundEnabled(false);
+});
+
+afterEach(() => {
+    window.close();
+});
+
+test('showNotification() opens the modal with the reminder text', () => {
+    service.showNotification('water', 'Time to hydrate', 'Drink a glass of water', () => {}, () => {});
+
+    const overlay = document.getElementById('notification-overlay');
+    assert.equal(overlay.style.display, 'flex');
+    assert.equal(document.getElementById('notification-title').textContent, 'Time to hydrate');
+    assert.equal(document.getElementById('notification-message').textContent, 'Drink a glass of water');
+    assert.equal(document.getElementById('notification-confirm').textContent, 'Done');
+    assert.ok(document.getElementById('wellness-notification'));
+});
+
+test('Done runs the done callback once and records the outcome', () => {
+    let done = 0;
+    let snoozed = 0;
+    service.showNotification('water', 'Title', 'Body', () => done++, () => snoozed++);
+
+    click('notification-confirm');
+
+    assert.equal(done, 1);
+    assert.equal(snoozed, 0);
+    assert.equal(recorded.length, 1);
+    assert.equal(recorded[0].type, 'water');
+    assert.equal(recorded[0].outcome, window.HISTORY_CONSTANTS.OUTCOMES.DONE);
+    assert.equal(service.currentCallbacks, null);
+    assert.equal(document.getElementById('notification-overlay').classList.contains('show'), false);
+});
+
+test('Remind Later runs the snooze callback', () => {
+    let snoozed = 0;
+    service.showNotification('standup', 'Title', 'Body', () => {}, () => snoozed++);
+
+    click('notification-snooze');
+
+    assert.equal(snoozed, 1);
+    assert.equal(recorded[0].outcome, window.HISTORY_CONSTANTS.OUTCOMES.SNOOZED);
+});
+
+test('Remind Later opens a menu of snooze choices', () => {
+    const choices = [];
+    const snooze = {
+        count: 1,
+        limit: 3,
+        choices: [{ value: 10, label: '10 min' }, { value: 'meeting', label: 'After my meeting (14:30)' }]
+    };
+    service.showNotification('water', 'Title', 'Body', () => {}, choice => choices.push(choice), { snooze });
+
+    const menu = document.getElementById('notification-snooze-menu');
+    assert.equal(menu.hidden, true);
+    assert.equal(document.getElementById('notification-snooze-note').textContent, 'Snoozed 1 of 3 times');
+
+    click('notification-snooze');
+    assert.equal(menu.hidden, false);
+    assert.deepEqual(Array.from(menu.children, option => option.textContent), ['10 min', 'After my meeting (14:30)']);
+
+    menu.children[1].click();
+
+    assert.deepEqual(choices, ['meeting']);
+    assert.equal(recorded[0].outcome, window.HISTORY_CONSTANTS.OUTCOMES.SNOOZED);
+    assert.equal(recorded[0].snoozeCount, 2);
+});
+
+test('an escalated reminder cannot be snoozed again', () => {
+    service.showNotification('water', 'Title', 'Body', () => {}, () => {}, {
+        snooze: { count: 3, limit: 3, choices: [] },
+        escalated: true
+    });
+
+    assert.equal(document.getElementById('notification-snooze').disabled, true);
+    assert.equal(document.getElementById('notification-overlay').classList.contains('escalated'), true);
+    assert.match(document.getElementById('notification-snooze-note').textContent, /Snoozed 3 times in a row/);
+
+    click('notification-confirm');
+    assert.equal(recorded[0].snoozeCount, 3);
+});
+
+test('escalation steps are recorded with the outcome', () => {
+    service.showNotification('water', 'Time to hydrate', 'Body', () => {}, () => {}, { awaitResponse: true });
+    const title = document.title;
+
+    assert.equal(service.runEscalationStep('water', 'realert'), true);
+    assert.equal(service.runEscalationStep('water', 'flash-title'), true);
+    assert.equal(document.title, '⏰ Time to hydrate');
+
+    click('notification-confirm');
+
+    assert.equal(document.title, title);
+    assert.deepEqual(Array.from(recorded[0].escalations, step => step.action), ['realert', 'flash-title']);
+});
+
+test('a persistent escalation stays on the page until the reminder is answered', async () => {
+    service.showNotification('water', 'Title', 'Body', () => {}, () => {}, { awaitResponse: true });
+
+    // No Notification API here, so the persistent step falls back to the in-page alert
+    assert.equal(service.runEscalationStep('water', 'persistent'), true);
+    assert.ok(document.getElementById('wellness-notification'));
+
+    click('notification-snooze');
+    await new Promise(resolve => setTimeout(resolve, 350));
+
+    assert.equal(document.getElementById('wellness-notification'), null);
+});
+
+test('escalation steps are refused once the reminder is answered or replaced', () => {
+    assert.equal(service.runEscalationStep('water', 'realert'), false);
+
+    service.showNotification('water', 'Title', 'Body', () => {}, () => {});
+    assert.equal(service.runEscalationStep('standup', 'realert'), false);
+    assert.equal(service.runEscalationStep('water', 'unknown'), false);
+
+    click('notification-confirm');
+    assert.equal(service.runEscalationStep('water', 'realert'), false);
+});
+
+test('browser notifications go through the service worker when it is ready', () => {
+    const shown = [];
+    const closed = [];
+    service = new window.NotificationService({
+        serviceWorker: {
+            isAvailable: () => true,
+            showNotification: (type, title, options, actions) => shown.push({ type, title, options, actions }),
+            closeNotifications: type => closed.push(type)
+        }
+    });
+    service.setSoundEnabled(false);
+    service.hasPermission = true;
+    service.isSupported = true;
+
+    service.showNotification('water', 'Time to hydrate', 'Body', () => {}, () => {});
+    assert.equal(shown.length, 1);
+    assert.equal(shown[0].options.body, 'Body');
+    assert.deepEqual(Array.from(shown[0].actions), ['done', 'snooze']);
+
+    click('notification-confirm');
+    assert.deepEqual(closed, ['water']);
+});
+
+test('turning browser notifications off leaves only the page alerts', () => {
+    const shown = [];
+    service = new window.NotificationService({
+        serviceWorker: {
+            isAvailable: () => true,
+            showNotification: (type, title) => shown.push(title),
+            closeNotifications() {}
+        }
+    });
+    service.setSoundEnabled(false);
+    service.hasPermission = true;
+    service.isSupported = true;
+    service.setBrowserNotificationsEnabled(false);
+
+    service.showNotification('water', 'Time to hydrate', 'Body', () => {}, () => {});
+
+    assert.equal(shown.length, 0);
+    assert.ok(document.getElementById('wellness-notification'));
+    assert.equal(document.getElementById('notification-overlay').style.display, 'flex');
+});
+
+test('the notification style shapes the reminder text', () => {
+    const message = () => document.getElementById('notification-message').textContent;
+
+    assert.equal(service.setStyle('minimal'), true);
+    service.showNotification('water', 'Title', 'Body', () => {}, () => {}, { details: 'Every 30 min' });
+    assert.equal(message(), '');
+
+    service.setStyle('detailed');
+    service.showNotification('water', 'Title', 'Body', () => {}, () => {}, { details: 'Every 30 min' });
+    assert.equal(message(), 'Body\nEvery 30 min');
+
+    assert.equal(service.setStyle('loud'), false);
+    assert.equal(service.style, 'detailed');
+});
+
+test('a reminder type with its sound off stays silent', () => {
+    const played = [];
+    service.setSoundEnabled(true);
+    service.playSound = (type, { loud = false } = {}) => played.push(loud ? `${type} (loud)` : type);
+
+    service.showNotification('water', 'Title', 'Body', () => {}, () => {}, { sound: false });
+    service.runEscalationStep('water', window.ESCALATION_CONSTANTS.ACTIONS.REALERT);
+    assert.equal(service.runEscalationStep('water', window.ESCALATION_CONSTANTS.ACTIONS.LOUD_SOUND), true);
+    service.showNotification('standup', 'Title', 'Body', () => {}, () => {});
+    service.runEscalationStep('standup', window.ESCALATION_CONSTANTS.ACTIONS.LOUD_SOUND);
+
+    assert.deepEqual(played, ['standup', 'standup (loud)']);
+});
+
+test('sound themes play at the set volume and only when sounds are on', () => {
+    const played = [];
+    service.playThemeSound = (type, sound) => played.push({ type, ...sound });
+
+    // Preview ignores the mute so the choice can be heard
+    service.playSound('water', { theme: 'chime' });
+    service.previewSound('water', { theme: 'melody', volume: 30 });
+    assert.deepEqual(played, [{ type: 'water', theme: 'melody', volume: 30 }]);
+
+    service.setSoundEnabled(true);
+    service.setVolume(150);
+    service.playSound('standup', { theme: 'soft-bell' });
+    assert.deepEqual(played[1], { type: 'standup', loud: false, theme: 'soft-bell', volume: 100 });
+
+    service.setVolume(Number.NaN);
+    assert.equal(service.volume, window.SOUND_CONSTANTS.DEFAULT_VOLUME);
+
+    // The default theme keeps each reminder type's own tone
+    assert.deepEqual(service.getTone('water', 'chime'), window.SOUND_CONSTANTS.TONES.chime);
+    assert.deepEqual(service.getTone('water', 'default'), window.reminderTypeRegistry.get('water').sound.tone);
+});
+
+test('the custom theme plays the uploaded sound, scaled by the volume', () => {
+    const dataUrl = 'data:audio/mpeg;base64,SUQz';
+    service = new window.NotificationService({
+        sounds: { get: type => (type === 'water' ? { name: 'gong.mp3', size: 3, dataUrl } : null) }
+    });
+    service.setVolume(50);
+
+    assert.equal(service.getSoundFile('water', 'custom'), dataUrl);
+    assert.equal(service.getSoundFile('water', 'chime'), window.reminderTypeRegistry.get('water').sound.file);
+    assert.equal(service.getSoundFile('standup', 'custom'), window.reminderTypeRegistry.get('standup').sound.file);
+
+    service.playAudioFile('water', { theme: 'custom' });
+    assert.ok(Math.abs(service.audioFiles[dataUrl].volume - window.SOUND_CONSTANTS.FILE_VOLUME / 2) < 1e-9);
+
+    // Synthesized themes go through Web Audio with the gain scaled the same way
+    let gain;
+    service.audioContext = {
+        state: 'running',
+        currentTime: 0,
+        destination: {},
+        createOscillator: () => ({ connect() {}, start() {}, stop() {}, frequency: {} }),
+        createGain: () => (gain = { connect() {}, gain: { value: null, exponentialRampToValueAtTime() {} } })
+    };
+    service.playBeepSound('water', { theme: 'soft-bell' });
+    assert.ok(Math.abs(gain.gain.value - window.SOUND_CONSTANTS.GAIN / 2) < 1e-9);
+});
+
+test('every repeat of the loud escalation sound uses the raised gain', () => {
+    const gains = [];
+    service.audioContext = {
+        state: 'running',
+        currentTime: 0,
+        destination: {},
+        createOscillator: () => ({ connect() {}, start() {}, stop() {}, frequency: {} }),
+        createGain: () => {
+            const node = { connect() {}, gain: { value: null, exponentialRampToValueAtTime() {} } };
+            gains.push(node.gain);
+            return node;
+        }
+    };
+    // Run the repeats (and the tone steps) at once
+    const timers = [];
+    window.setTimeout = (callback, delay) => timers.push({ callback, delay });
+
+    service.setSoundEnabled(true);
+    service.setVolume(50);
+    service.playSound('water', { loud: true, theme: 'chime' });
+    for (let index = 0; index < timers.length; index++) timers[index].callback();
+
+    const { REPEAT, GAP_MS, GAIN } = window.ESCALATION_CONSTANTS.LOUD_SOUND;
+    assert.deepEqual(timers.filter(timer => timer.delay >= GAP_MS).map(timer => timer.delay),
+        Array.from({ length: REPEAT - 1 }, (_, index) => (index + 1) * GAP_MS));
+    assert.equal(gains.length, REPEAT);
+    assert.ok(gains.every(gain => Math.abs(gain.value - GAIN / 2) < 1e-9));
+    assert.ok(GAIN > window.SOUND_CONSTANTS.GAIN);
+});
+
+test('OS notification actions are recorded like modal clicks', () => {
+    let done = 0;
+    let snoozed = 0;
+    service.showNotification('water', 'Title', 'Body', () => done++, () => snoozed++);
+
+    assert.equal(service.handleNotificationAction('standup', 'done'), false);
+    assert.equal(service.handleNotificationAction('water', 'snooze'), true);
+    assert.equal(snoozed, 1);
+    assert.equal(recorded[0].outcome, window.HISTORY_CONSTANTS.OUTCOMES.SNOOZED);
+    assert.equal(service.currentCallbacks, null);
+
+    service.showNotification('water', 'Title', 'Body', () => done++, () => snoozed++);
+    assert.equal(service.handleNotificationAction('water', 'done'), true);
+    assert.equal(done, 1);
+    assert.equal(recorded[1].outcome, window.HISTORY_CONSTANTS.OUTCOMES.DONE);
+});
+
+test('a reminder out of snoozes offers only Done on the OS notification', () => {
+    service.showNotification('water', 'Title', 'Body', () => {}, () => {}, {
+        snooze: { count: 3, limit: 3, choices: [] },
+        escalated: true
+    });
+
+    assert.deepEqual(Array.from(service.getNotificationActions('water')), ['done']);
+    assert.equal(service.handleNotificationAction('water', 'snooze'), false);
+});
+
+test('a reminder replaced before it was answered counts as ignored', () => {
+    service.showNotification('water', 'First', 'Body', () => {}, () => {});
+    service.showNotification('standup', 'Second', 'Body', () => {}, () => {});
+
+    assert.equal(recorded.length, 1);
+    assert.equal(recorded[0].type, 'water');
+    assert.equal(recorded[0].outcome, window.HISTORY_CONSTANTS.OUTCOMES.IGNORED);
+    assert.equal(recorded[0].respondedAt, null);
+});
+
+test('the replaced reminder hears that it went unanswered', () => {
+    let ignored = 0;
+    service.showNotification('water', 'First', 'Body', () => {}, () => {}, { onIgnored: () => ignored++ });
+    service.showNotification('standup', 'Second', 'Body', () => {}, () => {});
+
+    assert.equal(ignored, 1);
+    assert.equal(service.currentCallbacks.type, 'standup');
+});
+
+test('dismissNotification() closes a timed out reminder as ignored', () => {
+    let ignored = 0;
+    service.showNotification('water', 'Title', 'Body', () => {}, () => {}, { onIgnored: () => ignored++ });
+
+    assert.equal(service.dismissNotification('standup'), false);
+    assert.equal(service.dismissNotification('water'), true);
+
+    assert.equal(ignored, 0);
+    assert.equal(service.currentCallbacks, null);
+    assert.equal(recorded[0].outcome, window.HISTORY_CONSTANTS.OUTCOMES.IGNORED);
+});
+
+test('a guided routine replaces Done and reports its progress', () => {
+    const routine = new window.RoutineLibrary().get('desk-stretch');
+    let done = 0;
+    service.showNotification('standup', 'Stand up', 'Body', () => done++, () => {}, { routine });
+
+    assert.equal(document.getElementById('notification-confirm').textContent, 'Start Routine');
+    assert.equal(document.getElementById('notification-routine-summary').hidden, false);
+
+    click('notification-confirm');
+    assert.equal(service.isRoutinePlaying(), true);
+    assert.equal(document.querySelector('#notification-overlay .notification-actions').hidden, true);
+
+    click('routine-skip');
+    click('routine-finish');
+
+    assert.equal(done, 1);
+    assert.equal(recorded[0].routine.id, 'desk-stretch');
+    assert.equal(recorded[0].routine.completedSteps, 1);
+    assert.equal(recorded[0].routine.completed, false);
+});
+
+test('reminders firing during a routine wait until it ends', () => {
+    const routine = new window.RoutineLibrary().get('quick-walk');
+    service.showNotification('standup', 'Stand up', 'Body', () => {}, () => {}, { routine });
+    click('notification-confirm');
+
+    const shown = service.showNotification('water', 'Water', 'Body', () => {}, () => {});
+
+    assert.equal(shown, false);
+    assert.equal(service.pendingNotification[0], 'water');
+    assert.equal(document.getElementById('notification-title').textContent, 'Stand up');
+});
+
+test('modal buttons drive the reminder that fired', () => {
+    const clock = new window.VirtualClock(Date.now());
+    const reminder = new window.ReminderManager('water', { enabled: true, interval: 30 }, service, { clock });
+    reminder.start();
+
+    clock.advance(30 * MINUTE);
+    assert.equal(document.getElementById('notification-overlay').style.display, 'flex');
+
+    click('notification-snooze');
+    document.querySelector('#notification-snooze-menu .snooze-option').click();
+    assert.equal(reminder.timeRemaining, 5 * MINUTE);
+
+    clock.advance(5 * MINUTE);
+    click('notification-confirm');
+    assert.equal(reminder.timeRemaining, 30 * MINUTE);
+
+    reminder.destroy();
+});
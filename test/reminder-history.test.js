@@ -0,0 +1,147 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const SECOND = 1000;
+
+let sandbox;
+let storage;
+
+/**
+ * In-memory stand-in for StorageManager
+ */
+function createStorage() {
+    const items = new Map();
+    return {
+        items,
+        getItem: key => (items.has(key) ? JSON.parse(JSON.stringify(items.get(key))) : null),
+        setItem: (key, value) => { items.set(key, JSON.parse(JSON.stringify(value))); },
+        removeItem: key => { items.delete(key); }
+    };
+}
+
+/**
+ * A time of day a number of days before today
+ * History rolls up by the real date, so tests place events around today
+ * @param {number} days - Days before today
+ * @param {number} hours - Hour of the day
+ */
+function daysAgo(days, hours = 10) {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate() - days, hours).getTime();
+}
+
+/**
+ * Stored event as ReminderHistory#record() keeps it
+ * @param {string} type - Reminder type id
+ * @param {number} firedAt - Timestamp the reminder fired
+ * @param {string} outcome - One of HISTORY_CONSTANTS.OUTCOMES
+ * @param {number|null} latencyMs - Response time, null when ignored
+ */
+function storedEvent(type, firedAt, outcome, latencyMs = null) {
+    return { type, firedAt, outcome, respondedAt: latencyMs === null ? null : firedAt + latencyMs, latencyMs };
+}
+
+const plain = value => JSON.parse(JSON.stringify(value));
+
+beforeEach(() => {
+    sandbox = loadScripts(['constants.js', 'reminder-history.js']);
+    storage = createStorage();
+});
+
+test("today's outcomes add up per type, with response times, routines, snoozes and escalations", () => {
+    const history = new sandbox.ReminderHistory(storage);
+    const firedAt = daysAgo(0, 9);
+    const routine = { id: 'desk-stretch', name: 'Desk Stretch', completedSteps: 4, totalSteps: 4, completed: true };
+
+    history.record({ type: 'water', firedAt, outcome: 'done', respondedAt: firedAt + 30 * SECOND });
+    history.record({ type: 'water', firedAt, outcome: 'snoozed', respondedAt: firedAt + 10 * SECOND, snoozeCount: 2 });
+    history.record({ type: 'water', firedAt, outcome: 'ignored', escalations: [{ action: 'sound', at: firedAt, extra: true }] });
+    history.record({ type: 'standup', firedAt, outcome: 'done', respondedAt: firedAt, routine });
+
+    // Events without a type, a time or a known outcome are not kept
+    assert.equal(history.record({ type: 'water', firedAt, outcome: 'skipped' }), null);
+    assert.equal(history.record({ firedAt, outcome: 'done' }), null);
+
+    assert.deepEqual(plain(history.getDailyCounts('water')), {
+        fired: 3,
+        done: 1,
+        snoozed: 1,
+        ignored: 1,
+        respondedCount: 2,
+        totalLatencyMs: 40 * SECOND,
+        hours: { 9: { fired: 3, done: 1 } },
+        routines: {},
+        maxSnoozeStreak: 2,
+        escalated: 1
+    });
+    assert.deepEqual(plain(history.getDailyCounts('standup').routines), { 'desk-stretch': 1 });
+    assert.deepEqual(plain(history.getTodayEvents('water')[2].escalations), [{ action: 'sound', at: firedAt }]);
+    assert.equal(history.getCombinedCounts().done, 2);
+
+    // Saved for the next visit
+    assert.equal(new sandbox.ReminderHistory(storage).getTodayEvents().length, 4);
+});
+
+test('earlier days are rolled up into aggregates, and aggregates past retention are dropped', () => {
+    const retention = sandbox.HISTORY_CONSTANTS.RETENTION_DAYS;
+    const oldKey = sandbox.ReminderHistory.getDayKey(new Date(daysAgo(retention + 1)));
+    storage.setItem(sandbox.STORAGE_CONSTANTS.HISTORY_KEY, {
+        events: [
+            storedEvent('water', daysAgo(2, 9), 'done', 20 * SECOND),
+            storedEvent('water', daysAgo(2, 14), 'ignored'),
+            storedEvent('water', daysAgo(1, 9), 'done', 40 * SECOND),
+            storedEvent('water', daysAgo(0, 9), 'snoozed', 5 * SECOND)
+        ],
+        daily: { [oldKey]: { water: sandbox.ReminderHistory.createAggregate() } }
+    });
+
+    const history = new sandbox.ReminderHistory(storage);
+    const saved = storage.items.get(sandbox.STORAGE_CONSTANTS.HISTORY_KEY);
+
+    assert.equal(saved.events.length, 1);
+    assert.deepEqual(Object.keys(saved.daily).sort(), [
+        sandbox.ReminderHistory.getDayKey(new Date(daysAgo(2))),
+        sandbox.ReminderHistory.getDayKey(new Date(daysAgo(1)))
+    ]);
+
+    const twoDaysAgo = history.getDailyCounts('water', new Date(daysAgo(2)));
+    assert.deepEqual([twoDaysAgo.fired, twoDaysAgo.done, twoDaysAgo.ignored], [2, 1, 1]);
+    assert.deepEqual(plain(twoDaysAgo.hours), { 9: { fired: 1, done: 1 }, 14: { fired: 1, done: 0 } });
+    assert.equal(history.getFirstDay().getTime(), daysAgo(2, 0));
+});
+
+test('a daily range lists every day oldest first, for one type or all combined', () => {
+    storage.setItem(sandbox.STORAGE_CONSTANTS.HISTORY_KEY, {
+        events: [
+            storedEvent('water', daysAgo(2), 'done', SECOND),
+            storedEvent('standup', daysAgo(2), 'done', SECOND),
+            storedEvent('standup', daysAgo(0), 'ignored')
+        ],
+        daily: {}
+    });
+    const history = new sandbox.ReminderHistory(storage);
+
+    const water = history.getDailyRange('water', 3);
+    assert.deepEqual(plain(water.map(entry => entry.counts.fired)), [1, 0, 0]);
+    assert.equal(water[0].dayKey, sandbox.ReminderHistory.getDayKey(new Date(daysAgo(2))));
+
+    const combined = history.getDailyRange(null, 3);
+    assert.deepEqual(plain(combined.map(entry => [entry.counts.fired, entry.counts.done])), [[2, 2], [0, 0], [1, 0]]);
+});
+
+test("a following tab shows the leading tab's events and keeps its own earlier days", () => {
+    storage.setItem(sandbox.STORAGE_CONSTANTS.HISTORY_KEY, {
+        events: [storedEvent('water', daysAgo(1), 'done', SECOND)],
+        daily: {}
+    });
+    const history = new sandbox.ReminderHistory(storage);
+    const events = [storedEvent('water', daysAgo(0), 'done', SECOND)];
+
+    assert.equal(history.mirrorToday(events), true);
+    assert.equal(history.mirrorToday(plain(events)), false);
+    assert.equal(history.mirrorToday(null), false);
+
+    assert.equal(history.getDailyCounts('water').done, 1);
+    assert.equal(history.getDailyCounts('water', new Date(daysAgo(1))).done, 1);
+});
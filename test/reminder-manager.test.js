@@ -0,0 +1,660 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const MINUTE = 60 * 1000;
+
+let sandbox;
+let clock;
+let notifications;
+let escalations;
+
+/**
+ * Notification service stand-in that records what was shown
+ */
+function createNotificationService() {
+    return {
+        showNotification(type, title, message, onDone, onSnooze, options) {
+            notifications.push({ type, title, message, onDone, onSnooze, options });
+        },
+        showInPageAlert(type, title) {
+            notifications.push({ type, title, missed: true });
+        },
+        runEscalationStep(type, action) {
+            escalations.push({ type, action, at: clock.now() });
+            return true;
+        },
+        dismissNotification(type) {
+            notifications.push({ type, dismissed: true });
+            return true;
+        }
+    };
+}
+
+/**
+ * In-memory stand-in for StorageManager
+ */
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => { items.set(key, JSON.parse(JSON.stringify(value))); },
+        removeItem: key => { items.delete(key); }
+    };
+}
+
+function createReminder(settings = {}, options = {}) {
+    return new sandbox.ReminderManager(
+        'water',
+        { enabled: true, interval: 30, ...settings },
+        createNotificationService(),
+        { clock, ...options }
+    );
+}
+
+beforeEach(() => {
+    sandbox = loadScripts(['constants.js', 'locale-en-us.js', 'i18n.js', 'clock.js', 'reminder-types.js', 'work-schedule.js',
+        'message-library.js', 'reminder-manager.js']);
+    clock = new sandbox.VirtualClock(Date.UTC(2026, 0, 5, 10, 0));
+    notifications = [];
+    escalations = [];
+});
+
+test('start() counts down and fires after one interval', () => {
+    const reminder = createReminder();
+
+    assert.equal(reminder.start(), true);
+    assert.equal(reminder.timeRemaining, 30 * MINUTE);
+
+    clock.advance(10 * MINUTE);
+    assert.equal(reminder.timeRemaining, 20 * MINUTE);
+    assert.equal(notifications.length, 0);
+
+    clock.advance(20 * MINUTE);
+    assert.equal(notifications.length, 1);
+    assert.equal(notifications[0].type, 'water');
+
+    reminder.destroy();
+});
+
+test('start() refuses a disabled reminder', () => {
+    const reminder = createReminder({ enabled: false });
+
+    assert.equal(reminder.start(), false);
+    assert.equal(reminder.isActive, false);
+    assert.equal(clock.pendingCount, 0);
+});
+
+test('a fired reminder waits for an answer before counting down again', () => {
+    const reminder = createReminder();
+    reminder.start();
+    assert.equal(reminder.getStatus().state, 'counting');
+
+    clock.advance(30 * MINUTE);
+    assert.equal(reminder.getStatus().state, 'due');
+
+    clock.advance(10 * MINUTE);
+    assert.equal(reminder.getStatus().state, 'escalating');
+    assert.equal(notifications.length, 1);
+
+    notifications[0].onDone();
+    assert.equal(reminder.getStatus().state, 'counting');
+    assert.equal(reminder.nextReminderTime, clock.now() + 30 * MINUTE);
+
+    reminder.destroy();
+});
+
+test('an unanswered reminder counts down again after the response timeout', () => {
+    const reminder = createReminder({ responseTimeout: 3, escalation: [] });
+    reminder.notificationService.dismissNotification = type => notifications.push({ type, dismissed: true });
+    reminder.start();
+
+    clock.advance(30 * MINUTE);
+    clock.advance(3 * MINUTE);
+
+    assert.equal(reminder.getStatus().state, 'counting');
+    assert.equal(reminder.nextReminderTime, clock.now() + 30 * MINUTE);
+    assert.equal(notifications[1].dismissed, true);
+
+    reminder.destroy();
+});
+
+test('a notification closed unanswered starts the next countdown', () => {
+    const reminder = createReminder();
+    let onIgnored;
+    reminder.notificationService.showNotification = (type, title, message, onDone, onSnooze, extras) => {
+        onIgnored = extras.onIgnored;
+    };
+    reminder.start();
+    clock.advance(30 * MINUTE);
+
+    onIgnored();
+
+    assert.equal(reminder.getStatus().state, 'counting');
+    assert.equal(reminder.timeRemaining, 30 * MINUTE);
+
+    reminder.destroy();
+});
+
+test('a late answer to an older notification is ignored', () => {
+    const reminder = createReminder({ maxSnoozes: 0 });
+    const ignored = [];
+    reminder.notificationService.showNotification = (type, title, message, onDone, onSnooze, extras) => {
+        ignored.push(extras.onIgnored);
+    };
+    reminder.start();
+    clock.advance(30 * MINUTE);
+
+    // Out of snoozes - the reminder shows itself again, replacing the first notification
+    assert.equal(reminder.snooze(), false);
+    ignored[0]();
+
+    assert.equal(reminder.getStatus().state, 'escalating');
+
+    reminder.destroy();
+});
+
+test('transitions outside the state machine are refused', () => {
+    const reminder = createReminder();
+
+    assert.equal(reminder.canTransition('due'), false);
+    assert.equal(reminder.transition('snoozed'), false);
+    assert.equal(reminder.getStatus().state, 'idle');
+});
+
+test('acknowledge() starts a fresh interval', () => {
+    const reminder = createReminder();
+    reminder.start();
+    clock.advance(12 * MINUTE);
+
+    reminder.acknowledge();
+    assert.equal(reminder.timeRemaining, 30 * MINUTE);
+
+    clock.advance(29 * MINUTE);
+    assert.equal(notifications.length, 0);
+    clock.advance(MINUTE);
+    assert.equal(notifications.length, 1);
+
+    reminder.destroy();
+});
+
+test('a new interval restarts a running countdown', () => {
+    const reminder = createReminder();
+    reminder.start();
+    clock.advance(10 * MINUTE);
+
+    reminder.updateSettings({ interval: 15 });
+    assert.equal(reminder.timeRemaining, 15 * MINUTE);
+
+    clock.advance(15 * MINUTE);
+    assert.equal(notifications.length, 1);
+
+    reminder.destroy();
+});
+
+test('a new interval waits for a running snooze to finish', () => {
+    const reminder = createReminder();
+    reminder.start();
+    clock.advance(30 * MINUTE);
+    notifications[0].onSnooze(10);
+
+    reminder.updateSettings({ interval: 45 });
+    assert.equal(reminder.timeRemaining, 10 * MINUTE);
+
+    clock.advance(10 * MINUTE);
+    notifications[1].onDone();
+    assert.equal(reminder.timeRemaining, 45 * MINUTE);
+
+    reminder.destroy();
+});
+
+test('the notification carries the sound setting and reminder details', () => {
+    const reminder = createReminder({ sound: false });
+    reminder.start();
+    clock.advance(30 * MINUTE);
+    notifications[0].onSnooze(10);
+    clock.advance(10 * MINUTE);
+
+    const { options } = notifications[1];
+    assert.equal(options.sound, false);
+    assert.equal(options.details, `Every 30 min · Snoozed 1 of ${reminder.getSnoozeLimit()}`);
+
+    reminder.destroy();
+});
+
+test('snooze() fires again after the snooze duration', () => {
+    const reminder = createReminder();
+    reminder.start();
+    clock.advance(30 * MINUTE);
+
+    notifications[0].onSnooze();
+    assert.equal(reminder.getStatus().state, 'snoozed');
+    const snoozeMs = sandbox.REMINDER_CONSTANTS.SNOOZE_DURATION_MINUTES * MINUTE;
+    assert.equal(reminder.timeRemaining, snoozeMs);
+
+    clock.advance(snoozeMs);
+    assert.equal(notifications.length, 2);
+
+    reminder.destroy();
+});
+
+test('snooze() accepts a choice of minutes', () => {
+    const reminder = createReminder();
+    reminder.start();
+
+    assert.equal(reminder.snooze(15), true);
+    assert.equal(reminder.timeRemaining, 15 * MINUTE);
+    assert.equal(reminder.snoozeCount, 1);
+
+    reminder.destroy();
+});
+
+test('"after my meeting" snoozes until the next half hour', () => {
+    // 10:05 -> 10:30, but 10:25 -> 11:00 since 10:30 is too close
+    clock = new sandbox.VirtualClock(new Date(2026, 0, 5, 10, 5).getTime());
+    const reminder = createReminder();
+    reminder.start();
+
+    reminder.snooze(sandbox.SNOOZE_CONSTANTS.MEETING_OPTION);
+    assert.equal(reminder.nextReminderTime, new Date(2026, 0, 5, 10, 30).getTime());
+
+    clock.advanceTo(new Date(2026, 0, 5, 10, 25).getTime());
+    reminder.snooze(sandbox.SNOOZE_CONSTANTS.MEETING_OPTION);
+    assert.equal(reminder.nextReminderTime, new Date(2026, 0, 5, 11, 0).getTime());
+
+    reminder.destroy();
+});
+
+test('the notification offers snooze choices until the limit is reached', () => {
+    const reminder = createReminder({ maxSnoozes: 2 });
+    const options = [];
+    reminder.notificationService.showNotification = (type, title, message, onDone, onSnooze, extras) => {
+        options.push(extras);
+    };
+    reminder.start();
+
+    clock.advance(30 * MINUTE);
+    assert.deepEqual(Array.from(options[0].snooze.choices, choice => choice.value), [5, 10, 15, 'meeting']);
+    assert.equal(options[0].escalated, false);
+
+    reminder.snooze(5);
+    reminder.snooze(5);
+    clock.advance(5 * MINUTE);
+
+    const last = options[options.length - 1];
+    assert.equal(last.snooze.choices.length, 0);
+    assert.equal(last.snooze.count, 2);
+    assert.equal(last.escalated, true);
+
+    reminder.destroy();
+});
+
+test('snoozing past the limit escalates instead', () => {
+    const reminder = createReminder({ maxSnoozes: 1 });
+    reminder.start();
+
+    assert.equal(reminder.snooze(), true);
+    assert.equal(reminder.snooze(), false);
+
+    assert.equal(notifications.length, 1);
+    assert.equal(reminder.getStatus().state, 'escalating');
+
+    reminder.destroy();
+});
+
+test('acknowledge() resets the snooze count', () => {
+    const reminder = createReminder();
+    reminder.start();
+    reminder.snooze();
+    reminder.snooze();
+
+    reminder.acknowledge();
+
+    assert.equal(reminder.snoozeCount, 0);
+    assert.equal(reminder.canSnooze(), true);
+
+    reminder.destroy();
+});
+
+test('an unanswered reminder escalates step by step', () => {
+    const reminder = createReminder();
+    reminder.start();
+    clock.advance(30 * MINUTE);
+    const firedAt = clock.now();
+
+    clock.advance(15 * MINUTE);
+
+    assert.deepEqual(
+        escalations.map(step => [step.action, (step.at - firedAt) / MINUTE]),
+        [['realert', 2], ['loud-sound', 5], ['persistent', 10], ['flash-title', 15]]
+    );
+
+    reminder.destroy();
+});
+
+test('escalation stops as soon as the user answers', () => {
+    const reminder = createReminder({ escalation: [{ action: 'realert', afterMinutes: 2 }, { action: 'flash-title', afterMinutes: 4 }] });
+    reminder.start();
+    clock.advance(33 * MINUTE);
+    assert.equal(escalations.length, 1);
+
+    reminder.acknowledge();
+    clock.advance(5 * MINUTE);
+    assert.equal(escalations.length, 1);
+
+    reminder.destroy();
+});
+
+test('notification actions answer a reminder that is due', () => {
+    const reminder = createReminder();
+    reminder.start();
+
+    assert.equal(reminder.handleNotificationAction('done'), false);
+
+    clock.advance(30 * MINUTE);
+    assert.equal(reminder.handleNotificationAction('snooze'), true);
+    assert.equal(reminder.getStatus().state, 'snoozed');
+
+    clock.advance(5 * MINUTE);
+    assert.equal(reminder.handleNotificationAction('done'), true);
+    assert.equal(reminder.getStatus().state, 'counting');
+    assert.equal(reminder.snoozeCount, 0);
+
+    reminder.destroy();
+});
+
+test('snoozing cancels pending escalation steps', () => {
+    const reminder = createReminder({ escalation: [{ action: 'realert', afterMinutes: 2 }] });
+    reminder.start();
+    clock.advance(30 * MINUTE);
+
+    reminder.snooze(5);
+    clock.advance(2 * MINUTE);
+
+    assert.equal(escalations.length, 0);
+
+    reminder.destroy();
+});
+
+test('escalation stops once the notification service reports the reminder answered', () => {
+    const reminder = createReminder();
+    let calls = 0;
+    reminder.notificationService.runEscalationStep = () => {
+        calls++;
+        return false;
+    };
+    reminder.start();
+
+    clock.advance(45 * MINUTE);
+
+    assert.equal(calls, 1);
+
+    reminder.destroy();
+});
+
+test('an empty escalation list turns escalation off', () => {
+    const reminder = createReminder({ escalation: [] });
+    const options = [];
+    reminder.notificationService.showNotification = (type, title, message, onDone, onSnooze, extras) => {
+        options.push(extras);
+    };
+    reminder.start();
+
+    clock.advance(45 * MINUTE);
+
+    assert.equal(options[0].awaitResponse, false);
+    assert.equal(escalations.length, 0);
+
+    reminder.destroy();
+});
+
+test('stop() cancels every pending timer', () => {
+    const reminder = createReminder();
+    reminder.start();
+
+    reminder.stop();
+    assert.equal(reminder.isActive, false);
+    assert.equal(clock.pendingCount, 0);
+
+    clock.advance(60 * MINUTE);
+    assert.equal(notifications.length, 0);
+});
+
+test('pause() freezes the countdown until every reason is released', () => {
+    const reminder = createReminder();
+    reminder.start();
+    clock.advance(10 * MINUTE);
+
+    reminder.pause('manual');
+    reminder.pause('away');
+    clock.advance(60 * MINUTE);
+    assert.equal(reminder.timeRemaining, 20 * MINUTE);
+    assert.equal(notifications.length, 0);
+
+    assert.equal(reminder.resume('manual'), false);
+    assert.equal(reminder.resume('away'), true);
+    assert.equal(reminder.nextReminderTime, clock.now() + 20 * MINUTE);
+
+    clock.advance(20 * MINUTE);
+    assert.equal(notifications.length, 1);
+
+    reminder.destroy();
+});
+
+test('the countdown suspends outside working hours', () => {
+    // Monday 17:50 local time, schedule ends at 18:00
+    clock = new sandbox.VirtualClock(new Date(2026, 0, 5, 17, 50).getTime());
+    const schedule = new sandbox.WorkSchedule({ enabled: true });
+    const reminder = createReminder({}, { schedule });
+    reminder.start();
+
+    clock.advance(15 * MINUTE);
+
+    assert.equal(reminder.isPaused, true);
+    assert.equal(reminder.pauseReasons.has(sandbox.SCHEDULE_CONSTANTS.PAUSE_REASON), true);
+    assert.equal(reminder.pausedUntil, new Date(2026, 0, 6, 9, 0).getTime());
+    assert.equal(notifications.length, 0);
+
+    reminder.destroy();
+});
+
+test('restoreState() continues a countdown saved before a reload', () => {
+    const storage = createStorage();
+    const first = createReminder({}, { storage });
+    first.start();
+    clock.advance(10 * MINUTE);
+    first.destroy();
+
+    clock.advance(5 * MINUTE);
+    const second = createReminder({}, { storage });
+
+    assert.equal(second.restoreState(), true);
+    assert.equal(second.timeRemaining, 15 * MINUTE);
+
+    second.destroy();
+});
+
+test('restoreState() reports a reminder missed by more than one interval', () => {
+    const storage = createStorage();
+    const first = createReminder({}, { storage });
+    first.start();
+    first.destroy();
+
+    clock.advance(90 * MINUTE);
+    const second = createReminder({}, { storage });
+
+    assert.equal(second.restoreState(), true);
+    assert.equal(notifications.length, 1);
+    assert.equal(notifications[0].missed, true);
+    assert.equal(second.timeRemaining, 30 * MINUTE);
+
+    second.destroy();
+});
+
+test('restoreState() keeps a paused countdown paused and its remaining time', () => {
+    // Monday 17:50 local time, schedule ends at 18:00
+    clock = new sandbox.VirtualClock(new Date(2026, 0, 5, 17, 50).getTime());
+    const storage = createStorage();
+    const first = createReminder({}, { storage, schedule: new sandbox.WorkSchedule({ enabled: true }) });
+    first.start();
+    clock.advance(15 * MINUTE);
+    assert.equal(first.isPaused, true);
+    first.destroy();
+
+    // Reopened the same evening: still outside working hours
+    clock.advance(2 * 60 * MINUTE);
+    const evening = createReminder({}, { storage, schedule: new sandbox.WorkSchedule({ enabled: true }) });
+    assert.equal(evening.restoreState(), true);
+    assert.equal(evening.isPaused, true);
+    assert.equal(evening.timeRemaining, 20 * MINUTE);
+    evening.destroy();
+
+    // Reopened the next morning: the paused time continues, nothing was missed
+    clock.advance(new Date(2026, 0, 6, 9, 30).getTime() - clock.now());
+    const morning = createReminder({}, { storage, schedule: new sandbox.WorkSchedule({ enabled: true }) });
+    assert.equal(morning.restoreState(), true);
+    assert.equal(morning.state, 'counting');
+    assert.equal(morning.timeRemaining, 20 * MINUTE);
+    assert.equal(notifications.length, 0);
+
+    morning.destroy();
+});
+
+test('restoreState() reports a reminder that came due but cannot fire outside working hours', () => {
+    clock = new sandbox.VirtualClock(new Date(2026, 0, 5, 17, 20).getTime());
+    const storage = createStorage();
+    const first = createReminder({}, { storage });
+    first.start();
+    first.destroy();
+
+    // Due at 17:50; reopened at 18:10 with working hours ending at 18:00
+    clock.advance(50 * MINUTE);
+    const second = createReminder({}, { storage, schedule: new sandbox.WorkSchedule({ enabled: true }) });
+
+    assert.equal(second.restoreState(), true);
+    assert.equal(notifications.length, 1);
+    assert.equal(notifications[0].missed, true);
+    assert.equal(second.isPaused, true);
+    assert.equal(second.timeRemaining, 30 * MINUTE);
+
+    second.destroy();
+});
+
+test('restoreState() continues a snooze as a snooze', () => {
+    const storage = createStorage();
+    const first = createReminder({}, { storage });
+    first.start();
+    clock.advance(30 * MINUTE);
+    assert.equal(first.snooze(10), true);
+    first.destroy();
+
+    clock.advance(4 * MINUTE);
+    const second = createReminder({}, { storage });
+
+    assert.equal(second.restoreState(), true);
+    assert.equal(second.state, 'snoozed');
+    assert.equal(second.snoozeCount, 1);
+    assert.equal(second.timeRemaining, 6 * MINUTE);
+
+    clock.advance(6 * MINUTE);
+    assert.equal(second.state, 'due');
+    assert.equal(notifications.length, 2);
+
+    second.destroy();
+});
+
+test('a following reminder mirrors the leading tab and sends answers to it', () => {
+    const leader = createReminder();
+    const commands = [];
+    const follower = createReminder();
+    follower.follow(command => {
+        commands.push({ ...command });
+        return true;
+    });
+
+    leader.start();
+    follower.mirror(leader.getSnapshot());
+    clock.advance(10 * MINUTE);
+    assert.equal(follower.state, 'counting');
+    assert.equal(follower.timeRemaining, 20 * MINUTE);
+
+    // Only the leader fires; the follower opens a silent copy of the modal
+    clock.advance(20 * MINUTE);
+    assert.equal(notifications.length, 1);
+    follower.mirror(leader.getSnapshot());
+    assert.equal(notifications.length, 2);
+    assert.equal(notifications[1].options.mirrored, true);
+
+    notifications[1].onSnooze(10);
+    assert.deepEqual(commands, [{ command: 'answer', action: 'snooze', choice: 10 }]);
+    assert.equal(follower.state, 'due');
+
+    // The leader applies it; the follower closes its modal
+    leader.snooze(10);
+    follower.mirror(leader.getSnapshot());
+    assert.equal(follower.state, 'snoozed');
+    assert.equal(notifications[2].dismissed, true);
+
+    follower.stop();
+    assert.deepEqual(commands[1], { command: 'stop' });
+    assert.equal(follower.isActive, true);
+
+    leader.destroy();
+    follower.destroy();
+});
+
+test('a following reminder that takes the lead keeps the shared schedule', () => {
+    const leader = createReminder();
+    const follower = createReminder();
+    follower.follow(() => true);
+
+    leader.start();
+    clock.advance(25 * MINUTE);
+    follower.mirror(leader.getSnapshot());
+
+    // The leading tab closes
+    leader.destroy();
+    clock.advance(MINUTE);
+
+    assert.equal(follower.lead(), true);
+    assert.equal(follower.timeRemaining, 4 * MINUTE);
+
+    clock.advance(4 * MINUTE);
+    assert.equal(notifications.length, 1);
+    assert.notEqual(notifications[0].options.mirrored, true);
+
+    follower.destroy();
+});
+
+test('each firing shows a message from the library, and following tabs show the same one', () => {
+    const messages = new sandbox.MessageLibrary(null, { random: () => 0 });
+    const leader = createReminder({}, { messages });
+    const follower = createReminder({}, { messages });
+    follower.follow(() => true);
+
+    leader.start();
+    clock.advance(30 * MINUTE);
+    follower.mirror(leader.getSnapshot());
+
+    const picked = leader.getSnapshot().messageId;
+    assert.equal(notifications[0].message, messages.getText('water', picked));
+    assert.equal(notifications[1].message, notifications[0].message);
+
+    // The next firing picks another message
+    leader.acknowledge();
+    clock.advance(30 * MINUTE);
+    assert.notEqual(leader.getSnapshot().messageId, picked);
+
+    leader.destroy();
+    follower.destroy();
+});
+
+test('without a message library the reminder type\'s own text is shown', () => {
+    const reminder = createReminder();
+
+    reminder.start();
+    clock.advance(30 * MINUTE);
+
+    assert.equal(notifications[0].message, sandbox.reminderTypeRegistry.get('water').body);
+    reminder.destroy();
+});
@@ -0,0 +1,34 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+let sandbox;
+let registry;
+
+beforeEach(() => {
+    sandbox = loadScripts(['constants.js', 'locale-en-us.js', 'i18n.js', 'reminder-types.js']);
+    registry = new sandbox.ReminderTypeRegistry();
+});
+
+test('custom types get defaults for the fields they leave out', () => {
+    const eyes = registry.register({ id: 'eye-rest', title: 'Rest your eyes', defaultInterval: 20 });
+
+    assert.equal(eyes.label, 'Rest your eyes');
+    assert.equal(eyes.defaultInterval, 20);
+    assert.equal(eyes.sound.file, sandbox.REMINDER_TYPE_CONSTANTS.DEFAULTS.SOUND_FILE);
+    assert.equal(eyes.analyticsEvent, 'eye-rest_done');
+    assert.deepEqual(Array.from(registry.getIds()), ['water', 'standup', 'eye-rest']);
+    assert.equal(registry.getCustomDefinitions()[0].builtIn, undefined);
+});
+
+test('ids of other settings sections and built-in types cannot be taken', () => {
+    // Settings are keyed by reminder type next to these sections (see OfficeWellnessApp.getSettings)
+    ['schedule', 'notifications', 'appearance', 'activity'].forEach(id => {
+        assert.throws(() => registry.register({ id, title: 'Mine' }), /Invalid reminder type id/, id);
+    });
+
+    assert.throws(() => registry.register({ id: 'Eye Rest', title: 'Mine' }), /Invalid reminder type id/);
+    assert.throws(() => registry.register({ id: 'water', title: 'Mine' }), /built-in/);
+    assert.throws(() => registry.register({ id: 'eyes' }), /title is required/);
+    assert.equal(registry.has('activity'), false);
+});
@@ -0,0 +1,98 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadDom } = require('./helpers/load-scripts');
+
+const SECOND = 1000;
+
+let window;
+let document;
+let clock;
+let player;
+let results;
+
+const routine = {
+    id: 'desk-test',
+    name: 'Desk Test',
+    steps: [
+        { name: 'Reach', instruction: 'Reach up high', duration: 30 },
+        { name: 'Twist', instruction: 'Twist left and right', duration: 20 },
+        { name: 'Breathe', instruction: 'Breathe deeply', duration: 10 }
+    ]
+};
+
+const text = id => document.getElementById(id).textContent;
+
+beforeEach(() => {
+    window = loadDom(['constants.js', 'locale-en-us.js', 'i18n.js', 'clock.js', 'routine-player.js']);
+    document = window.document;
+    clock = new window.VirtualClock(new Date(2026, 0, 5, 10, 0).getTime());
+    player = new window.RoutinePlayer({
+        container: document.getElementById('notification-routine'),
+        stepName: document.getElementById('routine-step-name'),
+        instruction: document.getElementById('routine-step-instruction'),
+        timer: document.getElementById('routine-step-timer'),
+        progress: document.getElementById('routine-progress'),
+        skipBtn: document.getElementById('routine-skip'),
+        finishBtn: document.getElementById('routine-finish')
+    }, window.i18n, clock);
+    results = [];
+});
+
+afterEach(() => {
+    player.stop();
+    window.close();
+});
+
+test('each step counts down and the next one starts when its time is up', () => {
+    player.play(routine, result => results.push({ ...result }));
+
+    assert.equal(player.isRunning, true);
+    assert.equal(document.getElementById('notification-routine').hidden, false);
+    assert.equal(text('routine-step-name'), 'Reach');
+    assert.equal(text('routine-step-instruction'), 'Reach up high');
+    assert.equal(text('routine-progress'), 'Step 1 of 3');
+    assert.equal(text('routine-step-timer'), '0:30');
+
+    clock.advance(12 * SECOND);
+    assert.equal(text('routine-step-timer'), '0:18');
+
+    clock.advance(18 * SECOND);
+    assert.equal(text('routine-step-name'), 'Twist');
+    assert.equal(text('routine-progress'), 'Step 2 of 3');
+
+    clock.advance(30 * SECOND);
+    assert.equal(player.isRunning, false);
+    assert.equal(document.getElementById('notification-routine').hidden, true);
+    assert.deepEqual(results, [{ routineId: 'desk-test', routineName: 'Desk Test', completedSteps: 3, totalSteps: 3, completed: true }]);
+});
+
+test('Skip moves on at once, and Finish Early counts only the finished steps', () => {
+    player.play(routine, result => results.push({ ...result }));
+
+    document.getElementById('routine-skip').click();
+    assert.equal(text('routine-step-name'), 'Twist');
+    assert.equal(text('routine-step-timer'), '0:20');
+
+    document.getElementById('routine-finish').click();
+    assert.equal(player.isRunning, false);
+    assert.equal(results[0].completedSteps, 1);
+    assert.equal(results[0].completed, false);
+
+    // Nothing is left ticking
+    clock.advance(60 * SECOND);
+    assert.equal(results.length, 1);
+    assert.equal(clock.pendingCount, 0);
+});
+
+test('stop() ends playback without reporting, and a new routine replaces a playing one', () => {
+    player.play(routine, result => results.push({ ...result }));
+    player.play({ ...routine, id: 'second', steps: [routine.steps[2]] }, result => results.push({ ...result }));
+
+    clock.advance(10 * SECOND);
+    assert.deepEqual(results.map(result => result.routineId), ['second']);
+
+    player.play(routine, result => results.push({ ...result }));
+    player.stop();
+    clock.advance(60 * SECOND);
+    assert.equal(results.length, 1);
+});
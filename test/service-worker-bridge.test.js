@@ -0,0 +1,221 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+let sandbox;
+let container;
+let registration;
+let actions;
+let updates;
+let reloads;
+
+/**
+ * Service worker container stand-in with a ready registration
+ * `controller` is set when a worker already controls the page
+ */
+function createContainer() {
+    const listeners = { message: new Set(), controllerchange: new Set() };
+    return {
+        ready: Promise.resolve(registration),
+        controller: null,
+        addEventListener: (type, listener) => listeners[type].add(listener),
+        removeEventListener: (type, listener) => listeners[type].delete(listener),
+        post: data => listeners.message.forEach(listener => listener({ data })),
+        emit: type => listeners[type].forEach(listener => listener({})),
+        get listenerCount() {
+            return listeners.message.size + listeners.controllerchange.size;
+        }
+    };
+}
+
+/**
+ * Worker stand-in that records posted messages and state change listeners
+ * @param {string} state - Initial worker state
+ */
+function createWorker(state) {
+    const listeners = [];
+    return {
+        state,
+        messages: [],
+        postMessage(message) {
+            this.messages.push(message);
+        },
+        addEventListener: (type, listener) => listeners.push(listener),
+        changeState(next) {
+            this.state = next;
+            listeners.forEach(listener => listener());
+        }
+    };
+}
+
+/**
+ * Give the registration update events, optionally with a worker already waiting
+ * @param {Object|null} waiting - Waiting worker
+ * @returns {Function} Fires 'updatefound' with the given installing worker
+ */
+function enableUpdates(waiting = null) {
+    const listeners = [];
+    registration.waiting = waiting;
+    registration.addEventListener = (type, listener) => listeners.push(listener);
+
+    return installing => {
+        registration.installing = installing;
+        listeners.forEach(listener => listener());
+    };
+}
+
+beforeEach(() => {
+    sandbox = loadScripts(['constants.js', 'locale-en-us.js', 'i18n.js', 'service-worker-bridge.js'], {
+        navigator: {},
+        Notification: { maxActions: 2 }
+    });
+    registration = {
+        shown: [],
+        closed: [],
+        showNotification(title, options) {
+            this.shown.push({ title, options });
+            return Promise.resolve();
+        },
+        getNotifications: ({ tag }) => Promise.resolve([{ close: () => registration.closed.push(tag) }])
+    };
+    container = createContainer();
+    actions = [];
+    updates = 0;
+    reloads = 0;
+});
+
+function createBridge() {
+    return new sandbox.ServiceWorkerBridge({
+        container,
+        onAction: (type, action) => actions.push([type, action]),
+        onUpdate: () => updates++,
+        reload: () => reloads++
+    });
+}
+
+test('notifications go through the worker registration with Done and Snooze actions', async () => {
+    const bridge = createBridge();
+    assert.equal(bridge.isAvailable(), false);
+
+    assert.equal(await bridge.init(), true);
+    assert.equal(bridge.showNotification('water', 'Time to hydrate', { body: 'Drink' }, ['done', 'snooze']), true);
+
+    const { title, options } = registration.shown[0];
+    assert.equal(title, 'Time to hydrate');
+    assert.equal(options.body, 'Drink');
+    assert.equal(options.tag, 'wellness-reminder-water');
+    assert.equal(options.data.type, 'water');
+    assert.deepEqual(Array.from(options.actions, action => action.action), ['done', 'snooze']);
+    assert.deepEqual(Array.from(options.actions, action => action.title), ['✅ Done', '⏰ Snooze']);
+});
+
+test('platforms without action buttons get a plain notification', async () => {
+    sandbox.Notification.maxActions = 0;
+    const bridge = createBridge();
+    await bridge.init();
+
+    bridge.showNotification('water', 'Title', {}, ['done', 'snooze']);
+
+    assert.equal(registration.shown[0].options.actions.length, 0);
+});
+
+test('actions are capped at what the platform can show', async () => {
+    sandbox.Notification.maxActions = 1;
+    const bridge = createBridge();
+    await bridge.init();
+
+    bridge.showNotification('water', 'Title', {}, ['done', 'snooze']);
+
+    assert.deepEqual(Array.from(registration.shown[0].options.actions, action => action.action), ['done']);
+});
+
+test('without a service worker the bridge reports it is unavailable', async () => {
+    const bridge = new sandbox.ServiceWorkerBridge({ container: null });
+
+    assert.equal(await bridge.init(), false);
+    assert.equal(bridge.showNotification('water', 'Title'), false);
+});
+
+test('clicked actions posted by the worker reach onAction', async () => {
+    const bridge = createBridge();
+    await bridge.init();
+
+    container.post({ type: 'notification-action', reminderType: 'standup', action: 'snooze' });
+    container.post({ type: 'something-else' });
+
+    assert.deepEqual(actions, [['standup', 'snooze']]);
+});
+
+test('closeNotifications() closes the notifications of one type', async () => {
+    const bridge = createBridge();
+    await bridge.init();
+
+    bridge.closeNotifications('water');
+    await Promise.resolve();
+
+    assert.deepEqual(registration.closed, ['wellness-reminder-water']);
+});
+
+test('destroy() stops listening for worker messages', async () => {
+    const bridge = createBridge();
+    await bridge.init();
+
+    bridge.destroy();
+
+    assert.equal(container.listenerCount, 0);
+});
+
+test('a version already waiting on load is offered as an update', async () => {
+    const waiting = createWorker('installed');
+    enableUpdates(waiting);
+    container.controller = {};
+
+    const bridge = createBridge();
+    await bridge.init();
+
+    assert.equal(updates, 1);
+    assert.equal(bridge.hasUpdate(), true);
+});
+
+test('a version installed while the page is open is offered once it finishes installing', async () => {
+    const findUpdate = enableUpdates();
+    container.controller = {};
+    const bridge = createBridge();
+    await bridge.init();
+
+    const worker = createWorker('installing');
+    findUpdate(worker);
+    assert.equal(updates, 0);
+
+    worker.changeState('installed');
+    assert.equal(updates, 1);
+});
+
+test('the first install is not offered as an update', async () => {
+    const findUpdate = enableUpdates();
+    const bridge = createBridge();
+    await bridge.init();
+
+    const worker = createWorker('installing');
+    findUpdate(worker);
+    worker.changeState('installed');
+
+    assert.equal(updates, 0);
+    assert.equal(bridge.applyUpdate(), false);
+});
+
+test('applying an update activates the waiting worker and reloads once it takes over', async () => {
+    const waiting = createWorker('installed');
+    enableUpdates(waiting);
+    container.controller = {};
+    const bridge = createBridge();
+    await bridge.init();
+
+    assert.equal(bridge.applyUpdate(), true);
+    assert.deepEqual({ ...waiting.messages[0] }, { type: 'skip-waiting' });
+    assert.equal(reloads, 0);
+
+    container.emit('controllerchange');
+    container.emit('controllerchange');
+    assert.equal(reloads, 1);
+});
@@ -0,0 +1,323 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const path = require('node:path');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const ORIGIN = 'https://example.test/';
+
+let self;
+let listeners;
+let windows;
+let opened;
+let cacheStores;
+let network;
+
+/**
+ * Window client stand-in that records posted messages
+ */
+function createClient() {
+    return {
+        messages: [],
+        focused: false,
+        postMessage(message) {
+            this.messages.push(message);
+        },
+        focus() {
+            this.focused = true;
+            return Promise.resolve(this);
+        }
+    };
+}
+
+/**
+ * Response stand-in
+ * @param {string} body - Response body
+ */
+function createResponse(body) {
+    return {
+        ok: true,
+        body,
+        clone() {
+            return this;
+        }
+    };
+}
+
+/**
+ * Cache key for a request or URL, resolved against the test origin
+ * @param {Request|string} request - Request or URL
+ * @param {boolean} ignoreSearch - Drop the query string
+ */
+function cacheKey(request, ignoreSearch = false) {
+    const url = new URL(typeof request === 'string' ? request : request.url, ORIGIN);
+    if (ignoreSearch) url.search = '';
+    return url.href;
+}
+
+/**
+ * Cache stand-in storing responses by URL
+ */
+function createCache() {
+    const entries = new Map();
+    return {
+        entries,
+        requests: [],
+        addAll(requests) {
+            requests.forEach(request => {
+                this.requests.push(request);
+                entries.set(cacheKey(request), createResponse(`cached ${request.url}`));
+            });
+            return Promise.resolve();
+        },
+        put(request, response) {
+            entries.set(cacheKey(request), response);
+            return Promise.resolve();
+        },
+        match(request, options = {}) {
+            const key = cacheKey(request, options.ignoreSearch);
+            const match = Array.from(entries.keys()).find(url => cacheKey(url, options.ignoreSearch) === key);
+            return Promise.resolve(match ? entries.get(match) : undefined);
+        }
+    };
+}
+
+/**
+ * CacheStorage stand-in
+ */
+function createCaches() {
+    return {
+        open: name => {
+            if (!cacheStores.has(name)) cacheStores.set(name, createCache());
+            return Promise.resolve(cacheStores.get(name));
+        },
+        keys: () => Promise.resolve(Array.from(cacheStores.keys())),
+        delete: name => Promise.resolve(cacheStores.delete(name))
+    };
+}
+
+/**
+ * Dispatch a worker event and wait for everything it waits on
+ * @param {string} type - Event type
+ * @param {Object} props - Event properties
+ * @returns {Promise<*>} Response passed to respondWith(), if any
+ */
+async function dispatch(type, props = {}) {
+    const pending = [];
+    let response;
+    const event = {
+        ...props,
+        waitUntil: promise => pending.push(promise),
+        respondWith: promise => { response = promise; }
+    };
+
+    listeners[type](event);
+    const result = await response;
+    await Promise.all(pending);
+    return result;
+}
+
+/**
+ * Dispatch a notificationclick event and wait for the worker to finish
+ * @param {string} action - Clicked action ('' for the notification body)
+ * @returns {Promise<Object>} Event, with `closed` set once the notification closed
+ */
+async function clickNotification(action) {
+    let pending = Promise.resolve();
+    const event = {
+        action,
+        closed: false,
+        notification: {
+            data: { type: 'water' },
+            close: () => { event.closed = true; }
+        },
+        waitUntil: promise => { pending = promise; }
+    };
+
+    listeners.notificationclick(event);
+    await pending;
+    return event;
+}
+
+/**
+ * Request stand-in for a page navigation or asset fetch
+ * @param {string} url - Path relative to the test origin
+ * @param {string} mode - Request mode
+ */
+function request(url, mode = 'no-cors') {
+    return { url: new URL(url, ORIGIN).href, method: 'GET', mode };
+}
+
+function currentCache() {
+    return cacheStores.get(`hydrate-move-v${self.APP_VERSION}`);
+}
+
+beforeEach(() => {
+    listeners = {};
+    windows = [];
+    opened = [];
+    cacheStores = new Map();
+    network = () => Promise.resolve(createResponse('network'));
+
+    self = {
+        location: new URL(ORIGIN),
+        skipped: false,
+        addEventListener: (type, listener) => { listeners[type] = listener; },
+        skipWaiting() {
+            this.skipped = true;
+            return Promise.resolve();
+        },
+        clients: {
+            matchAll: () => Promise.resolve(windows),
+            openWindow: url => {
+                opened.push(url);
+                return Promise.resolve(null);
+            }
+        }
+    };
+
+    // importScripts() is a no-op here; the imported files are loaded first instead
+    loadScripts(['../version.js', '../asset-manifest.js', '../service-worker.js'], {
+        self,
+        caches: createCaches(),
+        importScripts: () => {},
+        fetch: req => network(req),
+        Request: class {
+            constructor(url, init = {}) {
+                this.url = url;
+                this.cache = init.cache;
+            }
+        },
+        URL
+    });
+});
+
+test('install precaches the asset manifest in a cache named after APP_VERSION', async () => {
+    await dispatch('install');
+
+    const cache = currentCache();
+    assert.ok(cache);
+    assert.equal(cache.entries.size, self.ASSET_MANIFEST.length);
+    assert.ok(cache.requests.every(req => req.cache === 'reload'));
+});
+
+test('the asset manifest lists every file the page and app load', () => {
+    const html = fs.readFileSync(path.join(ROOT_DIR, 'index.html'), 'utf8');
+    const referenced = Array.from(html.matchAll(/(?:src|href)="([^"#:]+?)(?:\?[^"]*)?"/g), match => match[1])
+        .filter(file => fs.existsSync(path.join(ROOT_DIR, file)) && fs.statSync(path.join(ROOT_DIR, file)).isFile());
+    const scripts = fs.readdirSync(path.join(ROOT_DIR, 'js')).map(file => `js/${file}`);
+    const assets = fs.readdirSync(path.join(ROOT_DIR, 'assets'))
+        .filter(file => !file.startsWith('.'))
+        .map(file => `assets/${file}`);
+
+    const manifest = new Set(self.ASSET_MANIFEST);
+    const missing = [...referenced, ...scripts, ...assets].filter(file => !manifest.has(`./${file}`));
+
+    assert.ok(referenced.length > 20);
+    assert.deepEqual(missing, []);
+});
+
+test('a cached page is served at once and refreshed from the network for next time', async () => {
+    await dispatch('install');
+    let fetched = 0;
+    network = () => {
+        fetched++;
+        return Promise.resolve(createResponse('network'));
+    };
+
+    const response = await dispatch('fetch', { request: request('index.html?utm=1', 'navigate') });
+
+    assert.equal(response.body, 'cached ./index.html');
+    assert.equal(fetched, 1);
+
+    // Refreshed in the current version's cache, under the page without its query
+    const cache = currentCache();
+    assert.equal(cache.entries.get(`${ORIGIN}index.html`).body, 'network');
+    assert.equal(cache.entries.has(`${ORIGIN}index.html?utm=1`), false);
+    assert.equal(cacheStores.size, 1);
+
+    const next = await dispatch('fetch', { request: request('index.html', 'navigate') });
+    assert.equal(next.body, 'network');
+});
+
+test('a cached page is still served when the refresh fails', async () => {
+    await dispatch('install');
+    network = () => Promise.reject(new Error('offline'));
+
+    const response = await dispatch('fetch', { request: request('index.html', 'navigate') });
+
+    assert.equal(response.body, 'cached ./index.html');
+    assert.equal(currentCache().entries.get(`${ORIGIN}index.html`).body, 'cached ./index.html');
+});
+
+test('an uncached page falls back to index.html when offline', async () => {
+    await dispatch('install');
+    network = () => Promise.reject(new Error('offline'));
+
+    const response = await dispatch('fetch', { request: request('somewhere?utm=1', 'navigate') });
+
+    assert.equal(response.body, 'cached ./index.html');
+});
+
+test('assets come from the cache without a network request', async () => {
+    await dispatch('install');
+    let fetched = 0;
+    network = () => {
+        fetched++;
+        return Promise.resolve(createResponse('network'));
+    };
+
+    const response = await dispatch('fetch', { request: request('js/app.js') });
+
+    assert.equal(response.body, 'cached ./js/app.js');
+    assert.equal(fetched, 0);
+});
+
+test('activating deletes the caches of older versions', async () => {
+    cacheStores.set('hydrate-move-v0.9.0', createCache());
+    await dispatch('install');
+
+    await dispatch('activate');
+
+    assert.deepEqual(Array.from(cacheStores.keys()), [`hydrate-move-v${self.APP_VERSION}`]);
+});
+
+test('the waiting worker takes over only when the page asks', async () => {
+    await dispatch('install');
+    assert.equal(self.skipped, false);
+
+    listeners.message({ data: { type: 'something-else' } });
+    assert.equal(self.skipped, false);
+
+    listeners.message({ data: { type: 'skip-waiting' } });
+    assert.equal(self.skipped, true);
+});
+
+test('a notification action is posted to the page without switching tabs', async () => {
+    const client = createClient();
+    windows.push(client);
+
+    const event = await clickNotification('done');
+
+    assert.equal(event.closed, true);
+    assert.equal(client.messages.length, 1);
+    assert.deepEqual({ ...client.messages[0] }, { type: 'notification-action', reminderType: 'water', action: 'done' });
+    assert.equal(client.focused, false);
+});
+
+test('clicking the notification body focuses the page', async () => {
+    const client = createClient();
+    windows.push(client);
+
+    await clickNotification('');
+
+    assert.equal(client.messages[0].action, 'open');
+    assert.equal(client.focused, true);
+});
+
+test('the app opens when no page is left to answer', async () => {
+    await clickNotification('snooze');
+
+    assert.deepEqual(opened, ['./']);
+});
@@ -0,0 +1,458 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadDom } = require('./helpers/load-scripts');
+
+let window;
+let document;
+let settings;
+let saved;
+let panel;
+
+function submit() {
+    document.getElementById('settings-form').dispatchEvent(new window.Event('submit', { cancelable: true }));
+}
+
+function field(id) {
+    return document.getElementById(id);
+}
+
+beforeEach(() => {
+    window = loadDom(['constants.js', 'locale-en-us.js', 'i18n.js', 'reminder-types.js', 'reminder-history.js', 'standup-routines.js',
+        'message-library.js', 'sound-library.js', 'work-schedule.js', 'app-settings.js', 'backup-manager.js', 'settings-panel.js',
+        'clock.js', 'water-intake.js', 'reminder-manager.js', 'water-reminder.js']);
+    document = window.document;
+
+    settings = {
+        water: { enabled: true, interval: 30, sound: true },
+        standup: { enabled: true, interval: 45, sound: false },
+        notifications: { browserNotifications: true, soundEnabled: true, style: 'standard' },
+        appearance: { language: 'en-US' }
+    };
+    saved = [];
+
+    // Validates like OfficeWellnessApp.updateSettings: changes merged over the current settings
+    panel = new window.SettingsPanel({
+        getSettings: () => settings,
+        onSave: changes => {
+            const merged = { ...settings };
+            Object.entries(changes).forEach(([key, value]) => {
+                merged[key] = { ...settings[key], ...value };
+            });
+
+            const result = new window.AppSettings().validateSettings(merged);
+            if (result.isValid) saved.push(changes);
+            return result;
+        }
+    });
+});
+
+afterEach(() => {
+    panel.destroy();
+    window.close();
+});
+
+test('opening shows one section per reminder type with its current values', () => {
+    assert.equal(field('settings-panel').hasAttribute('inert'), true);
+    panel.open();
+
+    assert.equal(field('settings-panel').classList.contains('show'), true);
+    assert.equal(field('settings-panel').hasAttribute('inert'), false);
+    assert.deepEqual(
+        Array.from(document.querySelectorAll('#settings-reminders [data-type]'), section => section.dataset.type),
+        ['water', 'standup']
+    );
+    assert.equal(field('setting-water-interval').value, '30');
+    assert.equal(field('setting-standup-interval').value, '45');
+    assert.equal(field('setting-water-sound').checked, true);
+    assert.equal(field('setting-standup-sound').checked, false);
+    assert.equal(field('setting-notification-style').value, 'standard');
+    assert.equal(field('setting-language').value, 'en-US');
+
+    // Without a sound library there is nothing to upload and no custom theme
+    assert.deepEqual(Array.from(field('setting-water-theme').options, option => option.value), ['default', 'chime', 'soft-bell', 'melody']);
+    assert.equal(field('setting-water-theme').value, 'default');
+    assert.equal(document.querySelector('.setting-sound-file'), null);
+    assert.equal(document.querySelector('[data-action="preview-sound"]'), null);
+    assert.equal(field('setting-volume-value').textContent, '70%');
+});
+
+test('saving hands the edited settings over and closes the panel', () => {
+    panel.open();
+
+    field('setting-water-interval').value = '20';
+    field('setting-standup-sound').checked = true;
+    field('setting-browser-notifications').checked = false;
+    field('setting-notification-style').value = 'detailed';
+    submit();
+
+    assert.equal(saved.length, 1);
+    assert.deepEqual(JSON.parse(JSON.stringify(saved[0].water)), {
+        interval: 20,
+        sound: true,
+        soundTheme: 'default',
+        maxSnoozes: 3,
+        escalation: JSON.parse(JSON.stringify(window.ESCALATION_CONSTANTS.DEFAULT_STEPS))
+    });
+    assert.deepEqual({ ...saved[0].notifications }, { browserNotifications: false, soundEnabled: true, volume: 70, style: 'detailed' });
+    assert.equal(field('settings-panel').classList.contains('show'), false);
+});
+
+test('a saved water interval sets the pace of the next adaptive countdown', () => {
+    const MINUTE = 60 * 1000;
+    const clock = new window.VirtualClock(new Date(2026, 0, 5, 13, 0).getTime());
+    const intake = new window.WaterIntakeTracker(null);
+    const notificationService = { showNotification: () => {}, showInPageAlert: () => {}, dismissNotification: () => true };
+    const water = new window.WaterReminder('water', { ...settings.water }, notificationService, { clock, intake });
+
+    // Applies the water changes like OfficeWellnessApp.updateSettings
+    panel.destroy();
+    panel = new window.SettingsPanel({
+        getSettings: () => settings,
+        onSave: changes => {
+            water.updateSettings(changes.water);
+            return { isValid: true, errors: [] };
+        }
+    });
+
+    // Behind pace at 13:00, so the countdown is shorter than the interval
+    intake.add(750);
+    water.start();
+    assert.equal(water.getTimeRemaining(), 26 * MINUTE);
+
+    panel.open();
+    field('setting-water-interval').value = '40';
+    submit();
+    assert.equal(water.getTimeRemaining(), 34 * MINUTE);
+
+    water.destroy();
+});
+
+test('invalid settings are reported and nothing is saved', () => {
+    panel.open();
+
+    field('setting-water-interval').value = '';
+    field('setting-standup-interval').value = '500';
+    submit();
+
+    assert.equal(saved.length, 0);
+    assert.equal(field('settings-panel').classList.contains('show'), true);
+    assert.equal(field('settings-errors').hidden, false);
+    assert.equal(field('settings-errors').children.length, 2);
+    assert.match(field('settings-errors').textContent, /water: interval/);
+
+    // Errors clear the next time the panel opens
+    panel.close();
+    panel.open();
+    assert.equal(field('settings-errors').hidden, true);
+});
+
+test('the snooze limit and escalation steps are edited per reminder type', () => {
+    settings.standup.maxSnoozes = 0;
+    settings.standup.escalation = [{ action: 'persistent', afterMinutes: 4 }];
+    panel.open();
+
+    const standupRow = action => document.querySelector(`[data-type="standup"] [data-escalation="${action}"]`);
+    const enabled = row => row.querySelector('[data-field="escalation-enabled"]');
+    const minutes = row => row.querySelector('[data-field="escalation-minutes"]');
+
+    assert.equal(field('setting-water-max-snoozes').value, '3');
+    assert.equal(field('setting-standup-max-snoozes').value, '0');
+    assert.equal(enabled(standupRow('persistent')).checked, true);
+    assert.equal(minutes(standupRow('persistent')).value, '4');
+    // Steps that are off still offer their default delay
+    assert.equal(enabled(standupRow('realert')).checked, false);
+    assert.equal(minutes(standupRow('realert')).value, '2');
+
+    field('setting-standup-max-snoozes').value = '5';
+    enabled(standupRow('realert')).checked = true;
+    minutes(standupRow('realert')).value = '6';
+    enabled(standupRow('flash-title')).checked = true;
+    minutes(standupRow('flash-title')).value = '1';
+    submit();
+
+    assert.equal(saved.length, 1);
+    assert.equal(saved[0].standup.maxSnoozes, 5);
+    assert.deepEqual(JSON.parse(JSON.stringify(saved[0].standup.escalation)), [
+        { action: 'flash-title', afterMinutes: 1 },
+        { action: 'persistent', afterMinutes: 4 },
+        { action: 'realert', afterMinutes: 6 }
+    ]);
+});
+
+test('an invalid snooze limit or escalation delay is reported', () => {
+    panel.open();
+
+    field('setting-water-max-snoozes').value = '11';
+    document.querySelector('[data-type="standup"] [data-escalation="realert"] [data-field="escalation-minutes"]').value = '';
+    submit();
+
+    assert.equal(saved.length, 0);
+    assert.match(field('settings-errors').textContent, /water: maxSnoozes/);
+    assert.match(field('settings-errors').textContent, /standup: escalation/);
+});
+
+test('working hours are edited per weekday', () => {
+    settings.schedule = {
+        enabled: true,
+        days: {
+            ...window.SCHEDULE_CONSTANTS.DEFAULT_SCHEDULE.days,
+            mon: { start: '08:30', end: '17:00', breaks: [{ start: '12:00', end: '12:30' }, { start: '15:00', end: '15:15' }] },
+            fri: null
+        }
+    };
+    panel.open();
+
+    const row = day => document.querySelector(`#setting-schedule-days [data-day="${day}"]`);
+    const input = (day, name) => row(day).querySelector(`[data-field="${name}"]`);
+
+    assert.deepEqual(Array.from(document.querySelectorAll('#setting-schedule-days [data-day]'), item => item.dataset.day),
+        ['mon', 'tue', 'wed', 'thu', 'fri', 'sat', 'sun']);
+    assert.equal(row('mon').querySelector('label span').textContent, 'Mon');
+    assert.equal(field('setting-schedule-enabled').checked, true);
+    assert.equal(input('mon', 'start').value, '08:30');
+    assert.equal(input('mon', 'break-end').value, '12:30');
+    // A day off still offers the default window
+    assert.equal(input('fri', 'works').checked, false);
+    assert.equal(input('fri', 'start').value, '09:00');
+
+    input('mon', 'end').value = '16:00';
+    input('tue', 'break-start').value = '';
+    input('tue', 'break-end').value = '';
+    input('fri', 'works').checked = true;
+    input('sat', 'works').checked = true;
+    input('sat', 'start').value = '10:00';
+    input('sat', 'end').value = '14:00';
+    submit();
+
+    assert.equal(saved.length, 1);
+    const days = JSON.parse(JSON.stringify(saved[0].schedule.days));
+    assert.equal(saved[0].schedule.enabled, true);
+    // The second Monday break has no fields and is kept
+    assert.deepEqual(days.mon, { start: '08:30', end: '16:00', breaks: [{ start: '12:00', end: '12:30' }, { start: '15:00', end: '15:15' }] });
+    assert.deepEqual(days.tue, { start: '09:00', end: '18:00', breaks: [] });
+    assert.deepEqual(days.fri, { start: '09:00', end: '18:00', breaks: [{ start: '12:00', end: '13:00' }] });
+    assert.deepEqual(days.sat, { start: '10:00', end: '14:00', breaks: [{ start: '12:00', end: '13:00' }] });
+    assert.equal(days.sun, null);
+});
+
+test('a working day that ends before it starts is reported', () => {
+    panel.open();
+
+    const wednesday = document.querySelector('#setting-schedule-days [data-day="wed"]');
+    wednesday.querySelector('[data-field="end"]').value = '08:00';
+    submit();
+
+    assert.equal(saved.length, 0);
+    assert.match(field('settings-errors').textContent, /schedule: days.wed/);
+});
+
+test('away detection options are edited, and Idle Detection is asked for from the button', async () => {
+    settings.activity = { enabled: true, idleThresholdMinutes: 10, hiddenCountsAsIdle: false };
+    let idleDetectionOn = false;
+    let asked = 0;
+
+    panel.destroy();
+    panel = new window.SettingsPanel({
+        getSettings: () => settings,
+        onSave: changes => {
+            const result = new window.AppSettings().validateSettings({ ...settings, ...changes });
+            if (result.isValid) saved.push(changes);
+            return result;
+        },
+        onEnableIdleDetection: async () => {
+            asked++;
+            idleDetectionOn = asked > 1;
+            return idleDetectionOn;
+        },
+        isIdleDetectionOn: () => idleDetectionOn
+    });
+    panel.open();
+
+    assert.equal(field('setting-activity-enabled').checked, true);
+    assert.equal(field('setting-idle-threshold').value, '10');
+    assert.equal(field('setting-hidden-idle').checked, false);
+    assert.equal(field('setting-idle-detection-item').hidden, false);
+
+    // Refused first, granted on the second click
+    field('setting-idle-detection').click();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.match(field('setting-idle-detection-status').textContent, /Not allowed/);
+    assert.equal(field('setting-idle-detection').hidden, false);
+
+    field('setting-idle-detection').click();
+    await new Promise(resolve => setImmediate(resolve));
+    assert.match(field('setting-idle-detection-status').textContent, /^On/);
+    assert.equal(field('setting-idle-detection').hidden, true);
+
+    field('setting-idle-threshold').value = '61';
+    submit();
+    assert.equal(saved.length, 0);
+    assert.match(field('settings-errors').textContent, /activity: idleThresholdMinutes must be between 1 and 60/);
+
+    field('setting-idle-threshold').value = '3';
+    field('setting-hidden-idle').checked = true;
+    submit();
+    assert.deepEqual({ ...saved[0].activity }, { enabled: true, idleThresholdMinutes: 3, hiddenCountsAsIdle: true });
+
+    // Already running when the panel opens again
+    panel.open();
+    assert.equal(field('setting-idle-detection').hidden, true);
+});
+
+test('the Idle Detection button is hidden where the browser has no Idle Detection', () => {
+    panel.open();
+
+    assert.equal(field('setting-idle-detection-item').hidden, true);
+});
+
+test('Escape closes the panel without saving', () => {
+    panel.open();
+    field('setting-water-interval').value = '20';
+
+    document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape' }));
+
+    assert.equal(panel.isOpen, false);
+    assert.equal(field('settings-panel').hasAttribute('inert'), true);
+    assert.equal(saved.length, 0);
+});
+
+test('the data section is hidden without a backup manager', () => {
+    assert.equal(field('settings-data').hidden, true);
+});
+
+test('own messages are added and removed from a reminder section', () => {
+    const messages = new window.MessageLibrary();
+    const removed = [];
+
+    panel.destroy();
+    panel = new window.SettingsPanel({
+        getSettings: () => settings,
+        onSave: () => ({ isValid: true, errors: [] }),
+        messages,
+        onRemoveMessage: (type, id) => removed.push(id) > 0 && messages.removeCustomMessage(type, id)
+    });
+    panel.open();
+
+    const section = document.querySelector('#settings-reminders [data-type="water"]');
+    const text = section.querySelector('[data-field="message-text"]');
+    const addButton = section.querySelector('.message-form button');
+    const listed = () => Array.from(section.querySelectorAll('.custom-messages li span'), item => item.textContent);
+
+    addButton.click();
+    assert.equal(section.querySelector('.setting-messages .settings-errors').textContent, 'Type a message first');
+
+    text.value = 'Afternoon slump? Grab some water';
+    section.querySelector('[data-field="message-time"]').value = 'afternoon';
+    text.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Enter', cancelable: true }));
+
+    assert.deepEqual(listed(), ['Afternoon slump? Grab some water (Afternoon)']);
+    assert.equal(text.value, '');
+    assert.equal(section.querySelector('.setting-messages .settings-errors').hidden, true);
+    assert.equal(panel.isOpen, true);
+    assert.equal(messages.getCustomMessages('water')[0].timeOfDay, 'afternoon');
+    assert.equal(messages.getCustomMessages('standup').length, 0);
+
+    section.querySelector('.message-remove').click();
+    assert.deepEqual(listed(), []);
+    assert.equal(removed.length, 1);
+    assert.equal(messages.getCustomMessages().length, 0);
+});
+
+test('an import file is previewed and applied in the chosen mode', async () => {
+    const stored = new Map([['customRoutines', [{ id: 'neck', name: 'Neck Rolls', steps: [{ name: 'Roll', duration: 30 }] }]]]);
+    const backup = new window.BackupManager({
+        storage: { getItem: key => stored.get(key) ?? null, setItem: () => true, removeItem: () => true }
+    });
+    const imports = [];
+
+    panel.destroy();
+    panel = new window.SettingsPanel({
+        getSettings: () => settings,
+        onSave: () => ({ isValid: true, errors: [] }),
+        backup,
+        onImport: (data, mode) => imports.push(mode) > 0
+    });
+    panel.open();
+
+    assert.equal(panel.previewImport('{"format":"something-else"}'), false);
+    assert.equal(field('import-errors').textContent, 'The file is not a Hydrate Move export');
+    assert.equal(field('import-preview').hidden, true);
+
+    const text = JSON.stringify({
+        format: 'hydrate-move-backup',
+        version: 1,
+        data: { customRoutines: [{ id: 'wrists', name: 'Wrist Stretch', steps: [{ name: 'Stretch', duration: 20 }] }] }
+    });
+    assert.equal(panel.previewImport(text), true);
+    assert.equal(field('import-errors').hidden, true);
+    assert.equal(field('import-preview').hidden, false);
+    assert.match(field('import-changes').textContent, /Added: Wrist Stretch/);
+    assert.doesNotMatch(field('import-changes').textContent, /Removed/);
+
+    // Switching to replace updates the preview
+    const replace = document.querySelector('[name="import-mode"][value="replace"]');
+    replace.checked = true;
+    replace.dispatchEvent(new window.Event('change'));
+    assert.match(field('import-changes').textContent, /Removed: Neck Rolls/);
+
+    await panel.confirmImport();
+    assert.deepEqual(imports, ['replace']);
+    assert.equal(field('import-preview').hidden, true);
+});
+
+test('a sound is previewed, uploaded and removed from a reminder section', async () => {
+    const stored = new Map();
+    const sounds = new window.SoundLibrary({
+        getItem: key => stored.get(key) ?? null,
+        setItem: (key, value) => stored.set(key, value) && true,
+        removeItem: key => stored.delete(key),
+        flush: async () => true
+    });
+    const previews = [];
+
+    panel.destroy();
+    panel = new window.SettingsPanel({
+        getSettings: () => settings,
+        onSave: changes => saved.push(changes) > 0 && { isValid: true, errors: [] },
+        sounds,
+        onPreviewSound: (type, sound) => previews.push({ type, ...sound })
+    });
+    panel.open();
+
+    const section = document.querySelector('#settings-reminders [data-type="water"]');
+    const theme = field('setting-water-theme');
+    const fileName = () => section.querySelector('.setting-sound-file small').textContent;
+    assert.match(fileName(), /up to 1024 KB/);
+
+    // Preview uses the form's theme and volume before anything is saved
+    field('setting-volume').value = '40';
+    field('setting-volume').dispatchEvent(new window.Event('input'));
+    theme.value = 'chime';
+    section.querySelector('[data-action="preview-sound"]').click();
+    assert.equal(field('setting-volume-value').textContent, '40%');
+    assert.deepEqual(previews, [{ type: 'water', theme: 'chime', volume: 40 }]);
+
+    assert.equal(await panel.uploadSound(section, 'water', new window.File(['notes'], 'notes.txt', { type: 'text/plain' })), false);
+    assert.equal(section.querySelector('.sound-errors').textContent, 'Choose an audio file');
+
+    const gong = new window.File([new Uint8Array([73, 68, 51])], 'gong.mp3', { type: 'audio/mpeg' });
+    assert.equal(await panel.uploadSound(section, 'water', gong), true);
+    assert.equal(section.querySelector('.sound-errors').hidden, true);
+    assert.equal(theme.value, 'custom');
+    assert.equal(fileName(), 'Uploaded: gong.mp3');
+    assert.match(sounds.get('water').dataUrl, /^data:audio\/mpeg;base64,/);
+
+    submit();
+    assert.equal(saved[0].water.soundTheme, 'custom');
+    assert.equal(saved[0].notifications.volume, 40);
+
+    settings.water = { ...settings.water, soundTheme: 'custom' };
+    panel.open();
+    assert.equal(field('setting-water-theme').value, 'custom');
+
+    const reopened = document.querySelector('#settings-reminders [data-type="water"]');
+    reopened.querySelector('[data-action="remove-sound"]').click();
+    assert.equal(sounds.get('water'), null);
+    assert.equal(field('setting-water-theme').value, 'default');
+    assert.equal(reopened.querySelector('[data-action="remove-sound"]').hidden, true);
+});
@@ -0,0 +1,100 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadDom } = require('./helpers/load-scripts');
+
+let window;
+let storage;
+let library;
+
+/**
+ * In-memory stand-in for StorageManager
+ * @param {Object} options - Storage behaviour
+ * @param {boolean} options.saves - Whether writes reach the backend
+ */
+function createStorage({ saves = true } = {}) {
+    const items = new Map();
+    return {
+        items,
+        getItem: key => (items.has(key) ? JSON.parse(JSON.stringify(items.get(key))) : null),
+        setItem: (key, value) => items.set(key, JSON.parse(JSON.stringify(value))) && true,
+        removeItem: key => items.delete(key),
+        flush: async () => saves
+    };
+}
+
+/**
+ * Create an audio file in the jsdom window
+ * @param {string} name - File name
+ * @param {number} size - Size in bytes
+ * @param {string} type - MIME type
+ */
+function audioFile(name, size = 3, type = 'audio/mpeg') {
+    return new window.File([new Uint8Array(size)], name, { type });
+}
+
+beforeEach(() => {
+    window = loadDom(['constants.js', 'locale-en-us.js', 'i18n.js', 'sound-library.js']);
+    storage = createStorage();
+    library = new window.SoundLibrary(storage);
+});
+
+afterEach(() => {
+    window.close();
+});
+
+test('an uploaded file is kept as a data URL for its reminder type', async () => {
+    const sound = await library.add('water', audioFile('gong.mp3'));
+
+    assert.equal(sound.name, 'gong.mp3');
+    assert.equal(sound.size, 3);
+    assert.equal(sound.dataUrl, 'data:audio/mpeg;base64,AAAA');
+    assert.deepEqual({ ...storage.items.get('customSound.water') }, { ...sound });
+
+    assert.equal(new window.SoundLibrary(storage).get('water').name, 'gong.mp3');
+    assert.equal(library.get('standup'), null);
+});
+
+test('files that are not audio or too large are refused', async () => {
+    const { MAX_UPLOAD_BYTES } = window.SOUND_CONSTANTS;
+
+    await assert.rejects(library.add('water', new window.File(['notes'], 'notes.txt', { type: 'text/plain' })), /Choose an audio file/);
+    await assert.rejects(library.add('water', audioFile('long.wav', MAX_UPLOAD_BYTES + 1, 'audio/wav')), /limit is 1024 KB/);
+    assert.equal(storage.items.size, 0);
+
+    // A sound the backend could not save is not left behind in the cache
+    library = new window.SoundLibrary(createStorage({ saves: false }));
+    await assert.rejects(library.add('water', audioFile('gong.mp3')), /could not be saved/);
+    assert.equal(library.get('water'), null);
+});
+
+test('a sound is removed, and invalid stored sounds are ignored', async () => {
+    await library.add('water', audioFile('gong.mp3'));
+
+    assert.equal(library.remove('water'), true);
+    assert.equal(library.remove('water'), false);
+    assert.equal(library.get('water'), null);
+
+    storage.setItem('customSound.standup', { name: 'page.html', size: 10, dataUrl: 'data:text/html,<p>hi</p>' });
+    assert.equal(library.get('standup'), null);
+    assert.throws(() => library.set('standup', { name: 'empty.mp3', size: 0, dataUrl: 'data:audio/mpeg;base64,' }), /size must be/);
+});
+
+test('another tab picks up a sound from shared storage', async () => {
+    window.close();
+    window = loadDom(['constants.js', 'locale-en-us.js', 'i18n.js', 'storage-adapters.js', 'storage-manager.js', 'sound-library.js']);
+    const shared = new window.MemoryAdapter();
+    const openTab = async () => {
+        const tabStorage = new window.StorageManager({ adapters: [shared], channel: null });
+        await tabStorage.init();
+        return new window.SoundLibrary(tabStorage);
+    };
+    const first = await openTab();
+    const second = await openTab();
+
+    await first.add('water', audioFile('gong.mp3'));
+    assert.equal(second.get('water'), null);
+
+    assert.equal(await second.reload('water'), true);
+    assert.equal(second.get('water').name, 'gong.mp3');
+    assert.equal(await second.reload('water'), false);
+});
@@ -0,0 +1,132 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadDom } = require('./helpers/load-scripts');
+
+const SECOND = 1000;
+
+let window;
+let document;
+let dashboard;
+
+/**
+ * A time of day a number of days before today
+ * History rolls up by the real date, so tests place events around today
+ * @param {number} days - Days before today
+ * @param {number} hours - Hour of the day
+ */
+function daysAgo(days, hours = 9) {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate() - days, hours).getTime();
+}
+
+/**
+ * Stored water event answered with Done after 30 seconds
+ * @param {number} days - Days before today
+ * @param {number} hours - Hour it fired
+ */
+function done(days, hours = 9) {
+    const firedAt = daysAgo(days, hours);
+    return { type: 'water', firedAt, outcome: 'done', respondedAt: firedAt + 30 * SECOND, latencyMs: 30 * SECOND };
+}
+
+/**
+ * Stored water event nobody answered
+ * @param {number} days - Days before today
+ * @param {number} hours - Hour it fired
+ */
+function ignored(days, hours = 16) {
+    return { type: 'water', firedAt: daysAgo(days, hours), outcome: 'ignored', respondedAt: null, latencyMs: null };
+}
+
+/**
+ * History with a daily target of two cups:
+ * met 7, 6 and 5 days ago, missed 4 days ago, nothing 3 days ago,
+ * met the last two days and one cup so far today
+ */
+function createHistory() {
+    const events = [
+        done(7), done(7), done(6), done(6), done(5), done(5),
+        done(4), ignored(4), ignored(4), ignored(4),
+        done(2), done(2), done(1), done(1),
+        done(0)
+    ];
+    const storage = {
+        getItem: () => JSON.parse(JSON.stringify({ events, daily: {} })),
+        setItem: () => {}
+    };
+    return new window.ReminderHistory(storage);
+}
+
+const summaryValues = () => Array.from(document.querySelectorAll('#stats-summary .summary-value'), item => item.textContent);
+
+beforeEach(() => {
+    window = loadDom(['constants.js', 'locale-en-us.js', 'i18n.js', 'reminder-history.js', 'stats-dashboard.js']);
+    document = window.document;
+
+    const water = { id: 'water', label: 'Water', dailyTarget: 2 };
+    dashboard = new window.StatsDashboard({
+        history: createHistory(),
+        registry: { get: id => (id === 'water' ? water : null), getAll: () => [water] }
+    });
+});
+
+afterEach(() => {
+    dashboard.destroy();
+    window.close();
+});
+
+test('streaks count days meeting the target, skipping days without reminders and an unfinished today', () => {
+    const stats = dashboard.computeStats('water', 7);
+
+    assert.equal(stats.currentStreak, 2);
+    assert.equal(stats.bestStreak, 3);
+});
+
+test('rates, response time and hours cover the selected range', () => {
+    const week = dashboard.computeStats(null, 7);
+
+    assert.equal(week.totals.fired, 13);
+    assert.equal(week.totals.done, 10);
+    assert.equal(week.completionRate, 10 / 13);
+    assert.equal(week.averageResponseMs, 30 * SECOND);
+    assert.equal(week.weekdays.reduce((fired, weekday) => fired + weekday.fired, 0), 13);
+    assert.deepEqual([week.bestHour.hour, week.bestHour.rate], [9, 1]);
+    assert.deepEqual([week.worstHour.hour, week.worstHour.rate], [16, 0]);
+
+    const month = dashboard.computeStats(null, 30);
+    assert.equal(month.completionRate, 12 / 15);
+});
+
+test('the dashboard shows the summary and charts, and follows the range and type controls', () => {
+    dashboard.open();
+
+    assert.equal(document.getElementById('stats-overlay').classList.contains('show'), true);
+    assert.equal(document.getElementById('stats-overlay').hasAttribute('inert'), false);
+    assert.deepEqual(summaryValues(), ['2 days', '3 days', '77%', '30s']);
+    assert.equal(document.getElementById('stats-hour-summary').textContent, 'Best hour: 09:00 (100%) · Worst hour: 16:00 (0%)');
+    assert.equal(document.querySelectorAll('#stats-weekday-chart rect').length, 7);
+    assert.equal(document.querySelectorAll('#stats-hour-chart rect').length, 2);
+    assert.deepEqual(Array.from(document.getElementById('stats-type').options, option => option.textContent), ['All reminders', 'Water']);
+
+    document.querySelector('#stats-overlay [data-range="30"]').click();
+    assert.equal(summaryValues()[2], '80%');
+    assert.equal(document.querySelector('#stats-overlay [data-range="30"]').classList.contains('active'), true);
+
+    const select = document.getElementById('stats-type');
+    select.value = 'water';
+    select.dispatchEvent(new window.Event('change'));
+    assert.equal(dashboard.selectedType, 'water');
+
+    document.dispatchEvent(new window.KeyboardEvent('keydown', { key: 'Escape' }));
+    assert.equal(dashboard.isOpen, false);
+    assert.equal(document.getElementById('stats-overlay').hasAttribute('inert'), true);
+});
+
+test('an empty history shows dashes and asks for more reminders', () => {
+    dashboard.history = new window.ReminderHistory(null);
+    dashboard.open();
+
+    assert.deepEqual(summaryValues(), ['0 days', '0 days', '–', '–']);
+    assert.equal(document.getElementById('stats-hour-summary').textContent, 'Not enough reminders yet to rank hours.');
+    assert.equal(document.getElementById('stats-hour-chart').textContent, 'No reminders in this period yet.');
+});
@@ -0,0 +1,288 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadDom } = require('./helpers/load-scripts');
+
+let window;
+
+/**
+ * Minimal IndexedDB stand-in: one database of key/value object stores
+ * Requests and transactions complete asynchronously like the real thing
+ * @returns {Object} IDBFactory-like object; `stores` holds the data
+ */
+function createIndexedDB() {
+    const stores = new Map();
+    const later = callback => setTimeout(callback, 0);
+
+    const db = {
+        objectStoreNames: { contains: name => stores.has(name) },
+        createObjectStore: name => stores.set(name, new Map()),
+        transaction(name) {
+            const data = stores.get(name);
+            const request = run => ({ result: run() });
+            const transaction = {
+                objectStore: () => ({
+                    get: key => request(() => structuredClone(data.get(key))),
+                    put: (value, key) => request(() => data.set(key, structuredClone(value))),
+                    delete: key => request(() => data.delete(key)),
+                    getAllKeys: () => request(() => Array.from(data.keys())),
+                    getAll: () => request(() => Array.from(data.values(), value => structuredClone(value))),
+                    clear: () => request(() => data.clear())
+                })
+            };
+            later(() => transaction.oncomplete());
+            return transaction;
+        }
+    };
+
+    return {
+        stores,
+        open() {
+            const request = { result: db };
+            later(() => {
+                request.onupgradeneeded();
+                request.onsuccess();
+            });
+            return request;
+        }
+    };
+}
+
+/**
+ * BroadcastChannel stand-in linking the tabs of one test
+ * Messages are copied and delivered asynchronously, never to the sender
+ * @returns {Function} Opens a channel
+ */
+function createHub() {
+    const channels = new Set();
+
+    return () => {
+        const channel = {
+            onmessage: null,
+            postMessage(message) {
+                const data = JSON.parse(JSON.stringify(message));
+                channels.forEach(other => {
+                    if (other !== channel) setTimeout(() => other.onmessage?.({ data }), 0);
+                });
+            },
+            close() {
+                channels.delete(channel);
+            }
+        };
+        channels.add(channel);
+        return channel;
+    };
+}
+
+/**
+ * Wait for messages between tabs and the reads they cause
+ */
+function settle() {
+    return new Promise(resolve => setTimeout(resolve, 20));
+}
+
+/**
+ * Load StorageManager into a fresh window
+ * @param {boolean} blocked - Make localStorage throw, as in private mode or with storage disabled
+ * @param {Object} indexedDB - IndexedDB stand-in (none by default, as in jsdom)
+ * @param {Object} localData - localStorage entries present before the app starts
+ */
+function setup({ blocked = false, indexedDB = null, localData = {} } = {}) {
+    window = loadDom(['constants.js', 'storage-adapters.js', 'storage-manager.js'], {
+        beforeLoad: win => {
+            if (blocked) {
+                Object.defineProperty(win, 'localStorage', {
+                    get() { throw new win.DOMException('Storage disabled', 'SecurityError'); },
+                    configurable: true
+                });
+            } else {
+                Object.entries(localData).forEach(([key, value]) => win.localStorage.setItem(key, value));
+            }
+
+            if (indexedDB) win.indexedDB = indexedDB;
+        }
+    });
+
+    return new window.StorageManager();
+}
+
+afterEach(() => {
+    window.close();
+});
+
+test('values round-trip through localStorage under the app prefix', async () => {
+    const storage = setup();
+
+    assert.equal(await storage.init(), 'localStorage');
+    assert.equal(storage.isAvailable(), true);
+    assert.equal(storage.setItem('settings', { water: { interval: 30 } }), true);
+    assert.equal(storage.getItem('settings').water.interval, 30);
+
+    assert.equal(await storage.flush(), true);
+    assert.equal(window.localStorage.getItem('wellness-reminder.settings'), '{"water":{"interval":30}}');
+});
+
+test('missing and corrupt entries read as null', async () => {
+    const storage = setup({ localData: { 'wellness-reminder.broken': '{not json' } });
+    await storage.init();
+
+    assert.equal(storage.getItem('absent'), null);
+    assert.equal(storage.getItem('broken'), null);
+});
+
+test('removeItem() deletes a single entry', async () => {
+    const storage = setup();
+    await storage.init();
+    storage.setItem('a', 1);
+    storage.setItem('b', 2);
+
+    storage.removeItem('a');
+    await storage.flush();
+
+    assert.equal(storage.getItem('a'), null);
+    assert.equal(storage.getItem('b'), 2);
+    assert.equal(window.localStorage.getItem('wellness-reminder.a'), null);
+});
+
+test('clearAllData() leaves other sites\' keys alone', async () => {
+    const storage = setup();
+    await storage.init();
+    storage.setItem('a', 1);
+    window.localStorage.setItem('other-app', 'keep');
+    window.localStorage.setItem('wellness-reminder:migratedToIndexedDB', '2026-01-05T09:00:00.000Z');
+
+    assert.equal(storage.clearAllData(), true);
+    await storage.flush();
+
+    assert.equal(storage.getItem('a'), null);
+    assert.equal(window.localStorage.getItem('wellness-reminder.a'), null);
+    assert.equal(window.localStorage.getItem('other-app'), 'keep');
+
+    // The app's own flags are not data and survive a clear
+    assert.ok(window.localStorage.getItem('wellness-reminder:migratedToIndexedDB'));
+});
+
+test('falls back to memory when localStorage is unavailable', async () => {
+    const storage = setup({ blocked: true });
+
+    assert.equal(await storage.init(), 'memory');
+    assert.equal(storage.isAvailable(), false);
+    assert.equal(await storage.set('settings', { enabled: true }), true);
+    assert.equal((await storage.get('settings')).enabled, true);
+
+    await storage.remove('settings');
+    assert.equal(storage.getItem('settings'), null);
+    assert.equal((await storage.getStorageInfo()).type, 'memory');
+});
+
+test('IndexedDB is preferred and existing localStorage data moves there once', async () => {
+    const indexedDB = createIndexedDB();
+    const storage = setup({
+        indexedDB,
+        localData: {
+            'wellness-reminder.appSettings': '{"water":{"interval":25}}',
+            'wellness-reminder.reminderHistory': '{"events":[],"daily":{}}',
+            'other-app': 'keep'
+        }
+    });
+
+    assert.equal(await storage.init(), 'indexedDB');
+    assert.equal(storage.getItem('appSettings').water.interval, 25);
+    assert.deepEqual(Array.from(indexedDB.stores.get('keyval').keys()).sort(), ['appSettings', 'reminderHistory']);
+
+    // The old keys are gone and a flag stops the move from running again
+    assert.equal(window.localStorage.getItem('wellness-reminder.appSettings'), null);
+    assert.equal(window.localStorage.getItem('other-app'), 'keep');
+    assert.ok(window.localStorage.getItem('wellness-reminder:migratedToIndexedDB'));
+
+    window.localStorage.setItem('wellness-reminder.appSettings', '{"water":{"interval":60}}');
+    const reopened = new window.StorageManager();
+    await reopened.init();
+    assert.equal(reopened.getItem('appSettings').water.interval, 25);
+});
+
+test('writes reach IndexedDB in order, once per key', async () => {
+    const indexedDB = createIndexedDB();
+    const storage = setup({ indexedDB });
+    await storage.init();
+
+    const store = indexedDB.stores.get('keyval');
+    const puts = [];
+    const set = store.set.bind(store);
+    store.set = (key, value) => {
+        puts.push(key);
+        return set(key, value);
+    };
+
+    storage.setItem('a', 1);
+    storage.setItem('a', 2);
+    storage.setItem('b', 3);
+    storage.removeItem('b');
+
+    assert.equal(await storage.flush(), true);
+    assert.deepEqual(puts, ['a']);
+    assert.equal(store.get('a'), 2);
+    assert.equal(store.has('b'), false);
+});
+
+test('getStorageInfo() reports quota from navigator.storage.estimate()', async () => {
+    const storage = setup();
+    Object.defineProperty(window.navigator, 'storage', {
+        value: { estimate: () => Promise.resolve({ usage: 2048, quota: 1024 * 1024 }) },
+        configurable: true
+    });
+    await storage.init();
+    storage.setItem('a', [1, 2, 3]);
+
+    const info = await storage.getStorageInfo();
+
+    assert.equal(info.type, 'localStorage');
+    assert.equal(info.available, true);
+    assert.equal(info.usage, 2048);
+    assert.equal(info.quota, 1024 * 1024);
+    assert.equal(info.appUsed, '[1,2,3]'.length);
+});
+
+test('tabs sharing a backend read each other\'s writes instead of overwriting them', async () => {
+    window = loadDom(['constants.js', 'storage-adapters.js', 'storage-manager.js']);
+    const shared = new window.MemoryAdapter();
+    shared.persistent = true; // stands in for IndexedDB, which every tab of the app shares
+    const openChannel = createHub();
+    const first = new window.StorageManager({ adapters: [shared], channel: openChannel() });
+    const second = new window.StorageManager({ adapters: [shared], channel: openChannel() });
+    await first.init();
+    await second.init();
+
+    // Values come from the window's realm; compare them as plain data
+    const read = (storage, key) => JSON.parse(JSON.stringify(storage.getItem(key)));
+    const changes = [];
+    second.addChangeListener(keys => changes.push(...keys));
+
+    first.setItem('reminderHistory', { events: [1] });
+    await first.flush();
+    await settle();
+    assert.deepEqual(read(second, 'reminderHistory'), { events: [1] });
+    assert.deepEqual(Array.from(changes), ['reminderHistory']);
+
+    // The second tab now builds on the first tab's data
+    second.setItem('reminderHistory', { events: [...second.getItem('reminderHistory').events, 2] });
+    await second.flush();
+    await settle();
+    assert.deepEqual(read(first, 'reminderHistory'), { events: [1, 2] });
+
+    // A change made here while reading is not replaced by the other tab's older value
+    await shared.setItem('waterIntake', { ml: 500 });
+    second.setItem('waterIntake', { ml: 250 });
+    assert.deepEqual(Array.from(await second.reload(['waterIntake'])), []);
+    assert.deepEqual(read(second, 'waterIntake'), { ml: 250 });
+    await second.flush();
+    await settle();
+    assert.deepEqual(read(first, 'waterIntake'), { ml: 250 });
+
+    first.removeItem('reminderHistory');
+    await first.flush();
+    await settle();
+    assert.equal(second.getItem('reminderHistory'), null);
+
+    first.destroy();
+    second.destroy();
+});
@@ -0,0 +1,182 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+let sandbox;
+let clock;
+let hub;
+
+/**
+ * BroadcastChannel stand-in shared by the tabs of one test
+ * Messages are copied and delivered asynchronously, never to the sender
+ */
+function createHub() {
+    const channels = new Set();
+
+    return {
+        open() {
+            const channel = {
+                onmessage: null,
+                postMessage(message) {
+                    if (!channels.has(channel)) return;
+
+                    const data = JSON.parse(JSON.stringify(message));
+                    channels.forEach(other => {
+                        if (other === channel) return;
+                        clock.setTimeout(() => {
+                            if (channels.has(other) && other.onmessage) other.onmessage({ data });
+                        }, 0);
+                    });
+                },
+                close() {
+                    channels.delete(channel);
+                }
+            };
+            channels.add(channel);
+            return channel;
+        }
+    };
+}
+
+/**
+ * Open a tab; `roles` records what onLeaderChange reported
+ * @param {string} id - Tab id (older tabs sort first)
+ * @param {Object} options - Extra coordinator options
+ */
+function openTab(id, options = {}) {
+    const tab = {
+        roles: [],
+        states: [],
+        commands: [],
+        messages: []
+    };
+
+    tab.coordinator = new sandbox.TabCoordinator({
+        channel: hub.open(),
+        clock,
+        id,
+        onLeaderChange: isLeader => tab.roles.push(isLeader ? 'leader' : 'follower'),
+        getState: () => ({ from: id }),
+        onState: state => tab.states.push(state.from),
+        onCommand: command => tab.commands.push(command),
+        onMessage: message => tab.messages.push(message),
+        ...options
+    });
+    tab.coordinator.start();
+    return tab;
+}
+
+beforeEach(() => {
+    const listeners = new EventTarget();
+    sandbox = loadScripts(['constants.js', 'clock.js', 'tab-coordinator.js'], {
+        addEventListener: listeners.addEventListener.bind(listeners),
+        removeEventListener: listeners.removeEventListener.bind(listeners)
+    });
+    clock = new sandbox.VirtualClock(Date.UTC(2026, 0, 5, 10, 0));
+    hub = createHub();
+});
+
+test('the first tab leads and a later tab follows it', () => {
+    const first = openTab('1-a');
+    clock.advance(sandbox.TAB_CONSTANTS.CLAIM_TIMEOUT_MS);
+    assert.deepEqual(first.roles, ['leader']);
+
+    const second = openTab('2-b');
+    clock.advance(sandbox.TAB_CONSTANTS.CLAIM_TIMEOUT_MS);
+
+    assert.deepEqual(second.roles, ['follower']);
+    assert.equal(second.coordinator.leaderId, '1-a');
+    assert.equal(first.coordinator.isLeader, true);
+});
+
+test('tabs opened together settle on the oldest one', () => {
+    const tabs = [openTab('3-c'), openTab('1-a'), openTab('2-b')];
+    clock.advance(sandbox.TAB_CONSTANTS.HEARTBEAT_MS * 3);
+
+    assert.deepEqual(tabs.map(tab => tab.coordinator.isLeader), [false, true, false]);
+    assert.deepEqual(tabs.map(tab => tab.roles), [['follower'], ['leader'], ['follower']]);
+});
+
+test('followers receive the leader\'s state and send commands and broadcasts', () => {
+    const leader = openTab('1-a');
+    clock.advance(sandbox.TAB_CONSTANTS.CLAIM_TIMEOUT_MS);
+    const follower = openTab('2-b');
+    clock.advance(sandbox.TAB_CONSTANTS.CLAIM_TIMEOUT_MS);
+
+    // The heartbeat that answered the claim carried the state; so does every later one
+    const received = follower.states.length;
+    assert.ok(received >= 1);
+    clock.advance(sandbox.TAB_CONSTANTS.HEARTBEAT_MS);
+    assert.equal(follower.states.length, received + 1);
+    assert.equal(follower.states[0], '1-a');
+
+    assert.equal(follower.coordinator.sendCommand({ type: 'water', command: 'start' }), true);
+    follower.coordinator.broadcast({ kind: 'settings', changes: { water: { interval: 20 } } });
+    clock.advance(0);
+
+    assert.deepEqual(leader.commands, [{ type: 'water', command: 'start' }]);
+    assert.deepEqual(leader.messages, [{ kind: 'settings', changes: { water: { interval: 20 } } }]);
+    assert.deepEqual(follower.commands, []);
+    assert.deepEqual(leader.states, []);
+});
+
+test('a follower takes over at once when the leading tab closes', () => {
+    const leader = openTab('1-a');
+    clock.advance(sandbox.TAB_CONSTANTS.CLAIM_TIMEOUT_MS);
+    const follower = openTab('2-b');
+    clock.advance(sandbox.TAB_CONSTANTS.CLAIM_TIMEOUT_MS);
+
+    leader.coordinator.stop();
+    clock.advance(sandbox.TAB_CONSTANTS.CLAIM_TIMEOUT_MS);
+
+    assert.equal(follower.coordinator.isLeader, true);
+    assert.deepEqual(follower.roles, ['follower', 'leader']);
+});
+
+test('a follower takes over when the leader goes silent', () => {
+    const leader = openTab('1-a');
+    clock.advance(sandbox.TAB_CONSTANTS.CLAIM_TIMEOUT_MS);
+    const follower = openTab('2-b');
+    clock.advance(sandbox.TAB_CONSTANTS.CLAIM_TIMEOUT_MS);
+
+    // The leading tab crashes: its messages no longer arrive
+    leader.coordinator.channel.close();
+    clock.advance(sandbox.TAB_CONSTANTS.LEASE_MS);
+    assert.equal(follower.coordinator.isLeader, false);
+
+    clock.advance(sandbox.TAB_CONSTANTS.HEARTBEAT_MS + sandbox.TAB_CONSTANTS.CLAIM_TIMEOUT_MS);
+    assert.equal(follower.coordinator.isLeader, true);
+});
+
+test('two leaders hand over to the older tab', () => {
+    const older = openTab('1-a');
+    const newer = openTab('2-b');
+
+    // Both take the lead before hearing each other (e.g. one tab was frozen)
+    older.coordinator.lead();
+    newer.coordinator.lead();
+
+    clock.advance(sandbox.TAB_CONSTANTS.HEARTBEAT_MS);
+
+    assert.equal(older.coordinator.isLeader, true);
+    assert.equal(newer.coordinator.isLeader, false);
+    assert.deepEqual(newer.roles, ['leader', 'follower']);
+});
+
+test('a tab that cannot reach other tabs leads on its own', () => {
+    const roles = [];
+    const commands = [];
+    const coordinator = new sandbox.TabCoordinator({
+        channel: null,
+        clock,
+        onLeaderChange: isLeader => roles.push(isLeader),
+        onCommand: command => commands.push(command)
+    });
+
+    coordinator.start();
+    assert.deepEqual(roles, [true]);
+
+    assert.equal(coordinator.sendCommand({ type: 'water', command: 'stop' }), true);
+    assert.deepEqual(commands, [{ type: 'water', command: 'stop' }]);
+    assert.equal(clock.pendingCount, 0);
+});
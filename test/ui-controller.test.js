@@ -0,0 +1,125 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadDom } = require('./helpers/load-scripts');
+
+const MINUTE = 60 * 1000;
+
+let window;
+let document;
+let clock;
+let ui;
+let water;
+let standup;
+
+function createReminder(type, interval) {
+    return new window.ReminderManager(type, { enabled: true, interval },
+        { showNotification() {} }, { clock });
+}
+
+function click(id) {
+    document.getElementById(id).dispatchEvent(new window.MouseEvent('click', { bubbles: true }));
+}
+
+beforeEach(() => {
+    window = loadDom([
+        'constants.js', 'locale-en-us.js', 'i18n.js', 'clock.js', 'reminder-types.js', 'reminder-manager.js', 'ui-controller.js'
+    ]);
+    document = window.document;
+
+    clock = new window.VirtualClock(new Date(2026, 0, 5, 10, 0).getTime());
+    ui = new window.UIController({ clock });
+    water = createReminder('water', 30);
+    standup = createReminder('standup', 45);
+});
+
+afterEach(() => {
+    water.destroy();
+    standup.destroy();
+    ui.destroy();
+    window.close();
+});
+
+test('cards show a loading state until reminders are linked', () => {
+    clock.advance(1000);
+
+    assert.equal(document.getElementById('water-countdown').textContent, '...');
+    assert.equal(document.getElementById('water-toggle').disabled, true);
+
+    ui.setReminders(water, standup);
+
+    assert.equal(document.getElementById('water-toggle').disabled, false);
+    assert.equal(document.getElementById('water-countdown').textContent, '30:00');
+    assert.equal(document.getElementById('standup-countdown').textContent, '45:00');
+});
+
+test('the card button starts and stops its reminder', () => {
+    ui.setReminders(water, standup);
+
+    click('water-toggle');
+    assert.equal(water.isActive, true);
+    assert.equal(document.getElementById('water-toggle').textContent, 'Stop');
+
+    click('water-toggle');
+    assert.equal(water.isActive, false);
+    assert.equal(document.getElementById('water-toggle').textContent, 'Start');
+});
+
+test('the update loop keeps the countdown current', () => {
+    ui.setReminders(water, standup);
+    water.start();
+
+    // The card redraws before the reminder's own tick, so it trails by one second
+    clock.advance(91 * 1000);
+
+    assert.equal(document.getElementById('water-countdown').textContent, '28:30');
+});
+
+test('paused reminders say when they pick up again', () => {
+    ui.setReminders(water, standup);
+    water.start();
+    standup.start();
+
+    water.pause('schedule', new Date(2026, 0, 5, 13, 0).getTime());
+    standup.pause(window.ACTIVITY_CONSTANTS.PAUSE_REASON);
+    clock.advance(1000);
+
+    assert.equal(document.getElementById('water-countdown').textContent, 'Paused until 13:00');
+    assert.equal(document.getElementById('standup-countdown').textContent, 'Paused while away');
+});
+
+test('a fired reminder shows it is due until answered', () => {
+    ui.setReminders(water, standup);
+    water.settings.escalation = [];
+    water.start();
+
+    clock.advance(31 * MINUTE);
+    assert.equal(document.getElementById('water-countdown').textContent, 'Due now');
+
+    water.acknowledge();
+    clock.advance(1000);
+    assert.equal(document.getElementById('water-countdown').textContent, '30:00'); // trails by one second
+});
+
+test('the update banner stays hidden until a new version is offered', () => {
+    const banner = document.getElementById('update-banner');
+    let reloads = 0;
+    assert.equal(banner.hidden, true);
+
+    ui.showUpdateBanner(() => reloads++);
+    assert.equal(banner.hidden, false);
+
+    // A second click while reloading is ignored (the button is disabled)
+    const reload = document.getElementById('update-reload-btn');
+    reload.click();
+    reload.click();
+    assert.equal(reloads, 1);
+});
+
+test('destroy() stops the update loop', () => {
+    ui.setReminders(water, standup);
+    const pending = clock.pendingCount;
+
+    ui.destroy();
+
+    assert.equal(clock.pendingCount, pending - 1);
+});
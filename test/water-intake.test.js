@@ -0,0 +1,92 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+let sandbox;
+let storage;
+
+/**
+ * In-memory stand-in for StorageManager
+ */
+function createStorage() {
+    const items = new Map();
+    return {
+        items,
+        getItem: key => (items.has(key) ? JSON.parse(JSON.stringify(items.get(key))) : null),
+        setItem: (key, value) => { items.set(key, JSON.parse(JSON.stringify(value))); },
+        removeItem: key => { items.delete(key); }
+    };
+}
+
+/**
+ * Noon a number of days before today
+ * @param {number} days - Days before today
+ */
+function daysAgo(days) {
+    const now = new Date();
+    return new Date(now.getFullYear(), now.getMonth(), now.getDate() - days, 12);
+}
+
+const dayKey = days => sandbox.ReminderHistory.getDayKey(daysAgo(days));
+
+beforeEach(() => {
+    sandbox = loadScripts(['constants.js', 'reminder-history.js', 'water-intake.js']);
+    storage = createStorage();
+});
+
+test('drinks add up for today and are saved', () => {
+    const tracker = new sandbox.WaterIntakeTracker(storage);
+
+    assert.equal(tracker.add(250).ml, 250);
+    assert.equal(tracker.add('500', sandbox.WATER_INTAKE_CONSTANTS.SOURCES.REMINDER).ml, 500);
+    assert.equal(tracker.getTotal(), 750);
+
+    // Nothing that isn't a positive volume is logged
+    assert.equal(tracker.add(0), null);
+    assert.equal(tracker.add(-250), null);
+    assert.equal(tracker.add('a glass'), null);
+
+    const reloaded = new sandbox.WaterIntakeTracker(storage);
+    const entries = reloaded.getTodayEntries().map(entry => `${entry.ml} ${entry.source}`);
+    assert.deepEqual([...entries], ['250 quick-add', '500 reminder']);
+});
+
+test('an earlier day is closed into its total, and totals past retention are dropped', () => {
+    const retention = sandbox.HISTORY_CONSTANTS.RETENTION_DAYS;
+    storage.setItem(sandbox.STORAGE_CONSTANTS.WATER_INTAKE_KEY, {
+        today: { dayKey: dayKey(1), entries: [{ at: 1, ml: 500, source: 'quick-add' }, { at: 2, ml: 250, source: 'reminder' }] },
+        totals: { [dayKey(2)]: 1500, [dayKey(retention + 1)]: 2000 }
+    });
+
+    const tracker = new sandbox.WaterIntakeTracker(storage);
+
+    assert.equal(tracker.getTotal(), 0);
+    assert.equal(tracker.getTotal(daysAgo(1)), 750);
+    assert.deepEqual(Object.keys(storage.items.get(sandbox.STORAGE_CONSTANTS.WATER_INTAKE_KEY).totals).sort(), [dayKey(2), dayKey(1)]);
+});
+
+test('progress toward the goal is capped once the goal is met', () => {
+    const tracker = new sandbox.WaterIntakeTracker(storage);
+    tracker.add(500);
+
+    assert.deepEqual({ ...tracker.getProgress(2000) }, { totalMl: 500, goalMl: 2000, ratio: 0.25, goalMet: false });
+
+    tracker.add(2000);
+    assert.deepEqual({ ...tracker.getProgress(2000) }, { totalMl: 2500, goalMl: 2000, ratio: 1, goalMet: true });
+});
+
+test("a following tab shows the leading tab's drinks without saving them", () => {
+    storage.setItem(sandbox.STORAGE_CONSTANTS.WATER_INTAKE_KEY, {
+        today: { dayKey: dayKey(0), entries: [] },
+        totals: { [dayKey(1)]: 1000 }
+    });
+    const tracker = new sandbox.WaterIntakeTracker(storage);
+    const saved = JSON.stringify(storage.items.get(sandbox.STORAGE_CONSTANTS.WATER_INTAKE_KEY));
+
+    tracker.mirrorToday({ dayKey: dayKey(0), entries: [{ at: 1, ml: 250, source: 'quick-add' }] });
+    tracker.mirrorToday({ dayKey: dayKey(0) });
+
+    assert.equal(tracker.getTotal(), 250);
+    assert.equal(tracker.getTotal(daysAgo(1)), 1000);
+    assert.equal(JSON.stringify(storage.items.get(sandbox.STORAGE_CONSTANTS.WATER_INTAKE_KEY)), saved);
+});
@@ -0,0 +1,135 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const MINUTE = 60 * 1000;
+
+let sandbox;
+let clock;
+let intake;
+let notifications;
+
+/**
+ * In-memory stand-in for StorageManager
+ */
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? JSON.parse(JSON.stringify(items.get(key))) : null),
+        setItem: (key, value) => { items.set(key, JSON.parse(JSON.stringify(value))); },
+        removeItem: key => { items.delete(key); }
+    };
+}
+
+/**
+ * Water reminder on the virtual clock, logging into the shared tracker
+ * @param {Object} settings - Settings over a 30 minute interval and the defaults
+ * @param {Object} options - Extra ReminderManager options
+ */
+function createWaterReminder(settings = {}, options = {}) {
+    const notificationService = {
+        showNotification: (type, title, message) => notifications.push({ type, title, message }),
+        showInPageAlert: () => {},
+        runEscalationStep: () => true,
+        dismissNotification: () => true
+    };
+    return new sandbox.WaterReminder('water', { enabled: true, interval: 30, ...settings }, notificationService, {
+        clock,
+        intake,
+        ...options
+    });
+}
+
+/**
+ * Local time on Monday 5 January 2026
+ * @param {number} hours - Hours
+ * @param {number} minutes - Minutes
+ */
+function monday(hours, minutes = 0) {
+    return new Date(2026, 0, 5, hours, minutes).getTime();
+}
+
+beforeEach(() => {
+    sandbox = loadScripts(['constants.js', 'locale-en-us.js', 'i18n.js', 'clock.js', 'reminder-types.js', 'work-schedule.js',
+        'message-library.js', 'reminder-history.js', 'water-intake.js', 'reminder-manager.js', 'water-reminder.js']);
+    clock = new sandbox.VirtualClock(monday(13));
+    intake = new sandbox.WaterIntakeTracker(createStorage());
+    notifications = [];
+});
+
+test('the configured interval shortens when behind an even pace and lengthens when ahead', () => {
+    const reminder = createWaterReminder();
+
+    // At 13:00 an even pace over 09:00-18:00 expects about 889 ml
+    intake.add(750);
+    const behind = reminder.computeInterval();
+    assert.equal(behind.minutes, 26);
+    assert.equal(behind.reason.key, 'water.reason.behindPace');
+    assert.equal(behind.reason.params.count, 5);
+    assert.equal(behind.reason.params.ml, 1250);
+
+    intake.add(150);
+    const onPace = reminder.computeInterval();
+    assert.deepEqual([onPace.minutes, onPace.reason.key], [30, 'water.reason.onPace']);
+
+    intake.add(350);
+    const ahead = reminder.computeInterval();
+    assert.deepEqual([ahead.minutes, ahead.reason.key], [41, 'water.reason.aheadOfPace']);
+    assert.ok(behind.minutes < 30 && 30 < ahead.minutes);
+});
+
+test('the adaptive interval follows the configured one within the shortest and longest intervals', () => {
+    intake.add(750);
+    assert.equal(createWaterReminder({ interval: 40 }).computeInterval().minutes, 34);
+    assert.equal(createWaterReminder({ interval: 20 }).computeInterval().minutes, 17);
+
+    // Far behind never drops under the shortest interval, far ahead never passes the longest
+    assert.equal(createWaterReminder({ interval: 20, minInterval: 18 }).computeInterval().minutes, 18);
+    intake.add(1000);
+    assert.equal(createWaterReminder({ interval: 50 }).computeInterval().minutes, 60);
+});
+
+test('a met goal relaxes the interval, and the fixed interval applies when adaptation is off', () => {
+    intake.add(2000);
+    assert.deepEqual(JSON.parse(JSON.stringify(createWaterReminder().computeInterval())), {
+        minutes: 60,
+        reason: { key: 'water.reason.goalRelaxed', params: { minutes: 60 } }
+    });
+    assert.equal(createWaterReminder({ goalMetInterval: null }).computeInterval().reason.key, 'water.reason.goalReached');
+
+    const fixed = createWaterReminder({ adaptive: false, dailyGoalMl: 3000 });
+    assert.equal(fixed.computeInterval().minutes, 30);
+    assert.equal(fixed.computeInterval().reason, null);
+});
+
+test('outside the working day the longest interval applies', () => {
+    clock = new sandbox.VirtualClock(monday(19));
+    assert.equal(createWaterReminder().computeInterval().reason.key, 'water.reason.workdayOver');
+
+    // Working hours decide the day when they are on
+    clock = new sandbox.VirtualClock(new Date(2026, 0, 10, 11, 0).getTime());
+    const saturday = createWaterReminder({}, { schedule: new sandbox.WorkSchedule({ enabled: true }) }).computeInterval();
+    assert.deepEqual([saturday.minutes, saturday.reason.key], [60, 'water.reason.dayOff']);
+});
+
+test('each countdown uses the interval for the intake so far, and Done logs a cup', () => {
+    const reminder = createWaterReminder();
+
+    intake.add(750);
+    reminder.start();
+    assert.equal(reminder.getTimeRemaining(), 26 * MINUTE);
+    assert.equal(reminder.getStatus().intervalReason.key, 'water.reason.behindPace');
+
+    clock.advance(26 * MINUTE);
+    assert.equal(notifications.length, 1);
+
+    reminder.acknowledge();
+    assert.equal(intake.getTotal(), 1000);
+    assert.equal(intake.getTodayEntries()[1].source, sandbox.WATER_INTAKE_CONSTANTS.SOURCES.REMINDER);
+
+    // Back on pace at 13:26, so the configured interval applies
+    assert.equal(reminder.getTimeRemaining(), 30 * MINUTE);
+    assert.equal(reminder.getStatus().intervalReason.key, 'water.reason.onPace');
+
+    reminder.destroy();
+});
@@ -0,0 +1,112 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers/load-scripts');
+
+const MINUTE = 60 * 1000;
+
+let sandbox;
+
+/**
+ * Local time in the week of Monday 5 January 2026
+ * @param {number} day - Day of the month
+ * @param {number} hours - Hours
+ * @param {number} minutes - Minutes
+ */
+function at(day, hours, minutes = 0) {
+    return new Date(2026, 0, day, hours, minutes);
+}
+
+beforeEach(() => {
+    sandbox = loadScripts(['constants.js', 'locale-en-us.js', 'i18n.js', 'clock.js', 'reminder-types.js', 'work-schedule.js',
+        'message-library.js', 'reminder-manager.js']);
+});
+
+test('working time is the weekday window minus its breaks', () => {
+    const schedule = new sandbox.WorkSchedule({ enabled: true });
+
+    assert.equal(schedule.isWorkingTime(at(5, 8, 59)), false);
+    assert.equal(schedule.isWorkingTime(at(5, 9, 0)), true);
+    assert.equal(schedule.isWorkingTime(at(5, 12, 30)), false);
+    assert.equal(schedule.isWorkingTime(at(5, 13, 0)), true);
+    assert.equal(schedule.isWorkingTime(at(5, 18, 0)), false);
+
+    // Weekends are off by default
+    assert.equal(schedule.isWorkingTime(at(10, 10, 0)), false);
+});
+
+test('a disabled schedule is always working time', () => {
+    const schedule = new sandbox.WorkSchedule();
+
+    assert.equal(schedule.isEnabled(), false);
+    assert.equal(schedule.isWorkingTime(at(10, 3, 0)), true);
+    assert.equal(schedule.getNextWorkingTime(at(10, 3, 0)).getTime(), at(10, 3, 0).getTime());
+});
+
+test('the next working time is the end of a break or the next working morning', () => {
+    const schedule = new sandbox.WorkSchedule({ enabled: true });
+
+    assert.equal(schedule.getNextWorkingTime(at(5, 12, 15)).getTime(), at(5, 13, 0).getTime());
+    assert.equal(schedule.getNextWorkingTime(at(5, 19, 0)).getTime(), at(6, 9, 0).getTime());
+    assert.equal(schedule.getNextWorkingTime(at(5, 7, 0)).getTime(), at(5, 9, 0).getTime());
+
+    // Friday evening waits for Monday
+    assert.equal(schedule.getNextWorkingTime(at(9, 18, 30)).getTime(), at(12, 9, 0).getTime());
+
+    const neverWorking = new sandbox.WorkSchedule({
+        enabled: true,
+        days: { mon: null, tue: null, wed: null, thu: null, fri: null }
+    });
+    assert.equal(neverWorking.getNextWorkingTime(at(5, 10, 0)), null);
+});
+
+test('days override the defaults one by one, and invalid windows and breaks are skipped', () => {
+    const schedule = new sandbox.WorkSchedule({
+        enabled: true,
+        days: {
+            sat: { start: '10:00', end: '14:00', breaks: [] },
+            tue: { start: '18:00', end: '09:00', breaks: [] },
+            wed: { start: '09:00', end: '17:00', breaks: [{ start: '15:00', end: '14:00' }, null, { start: 'noon', end: '13:00' }] }
+        }
+    });
+
+    assert.equal(schedule.isWorkingTime(at(10, 11, 0)), true);
+    assert.equal(schedule.isWorkingTime(at(5, 12, 30)), false);
+    assert.equal(schedule.isWorkingTime(at(6, 10, 0)), false);
+    assert.equal(schedule.getWorkdayStart(at(6, 10, 0)), null);
+    assert.equal(schedule.isWorkingTime(at(7, 12, 30)), true);
+    assert.equal(schedule.isWorkingTime(at(7, 14, 30)), true);
+    assert.equal(schedule.getWorkdayEnd(at(7, 10, 0)).getTime(), at(7, 17, 0).getTime());
+});
+
+test('times parse as minutes since midnight up to 24:00', () => {
+    const { parseTime } = sandbox.WorkSchedule;
+
+    assert.equal(parseTime('09:30'), 570);
+    assert.equal(parseTime('7:05'), 425);
+    assert.equal(parseTime('24:00'), 1440);
+    assert.equal(parseTime('24:01'), null);
+    assert.equal(parseTime('12:60'), null);
+    assert.equal(parseTime('9am'), null);
+    assert.equal(parseTime(null), null);
+});
+
+test('a reminder paused over lunch resumes with the time it had left', () => {
+    const clock = new sandbox.VirtualClock(at(5, 11, 50).getTime());
+    const reminder = new sandbox.ReminderManager('water', { enabled: true, interval: 30 }, null, {
+        clock,
+        schedule: new sandbox.WorkSchedule({ enabled: true })
+    });
+    reminder.start();
+
+    clock.advance(15 * MINUTE);
+    assert.equal(reminder.isPaused, true);
+    assert.equal(reminder.pausedUntil, at(5, 13, 0).getTime());
+    assert.equal(reminder.getTimeRemaining(), 20 * MINUTE);
+
+    // Back at 13:00, ten minutes of the countdown have run by 13:10
+    clock.advance(65 * MINUTE);
+    assert.equal(reminder.isPaused, false);
+    assert.ok(Math.abs(reminder.getTimeRemaining() - 10 * MINUTE) <= reminder.updateInterval);
+
+    reminder.destroy();
+});
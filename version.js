@@ -1,3 +1,5 @@
 // Simple version control
-window.APP_VERSION = '1.0.2';
-console.log('Hydrate Move v' + window.APP_VERSION + ' - Feedback Feature Update');
\ No newline at end of file
+// Also loaded by the service worker, which names its cache after this version;
+// `self` is the window on the page and the worker global inside the worker
+self.APP_VERSION = '1.1.0';
+console.log('Hydrate Move v' + self.APP_VERSION + ' - Feedback Feature Update');